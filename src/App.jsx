@@ -7,9 +7,17 @@ import "./index.css";
 import "./styles/globals.css";
 import JsonUploadInstructions from "./components/JsonUploadInstructions";
 import ExampleDownloads from "./components/ExampleDownloads";
+import ModelAnalysis from "./components/ModelAnalysis";
+import Optimizer from "./components/Optimizer";
+import SamplePlanner from "./components/SamplePlanner";
+import ConfigurationUpload from "./components/ConfigurationUpload";
+import ModelCompare from "./components/ModelCompare";
+import FeatureEditMenu from "./components/FeatureEditMenu";
+import HistoryPanel from "./components/HistoryPanel";
+import ModelTabs from "./components/ModelTabs";
 
 function Main() {
-  const { model, graph, searchHits } = useApp();
+  const { model, graph, searchHits, modelDiff } = useApp();
 
   return (
     <div className="p-4 flex flex-col justify-center items-center gap-4 w-full h-full min-h-screen">
@@ -17,15 +25,27 @@ function Main() {
         Mini Feature Variability Visualizer
       </h1>
 
+      <ModelTabs />
+      <HistoryPanel />
       {model && (
         <>
           <SearchBar />
+          <ModelAnalysis />
+          <Optimizer />
+          <SamplePlanner />
           <FeatureList />
 
-          <Visualizer graph={graph} highlights={searchHits} model={model} />
+          <Visualizer
+            graph={graph}
+            highlights={searchHits}
+            model={modelDiff ? modelDiff.merged : model}
+          />
+          <FeatureEditMenu />
         </>
       )}
       <FileUpload />
+      {model && <ConfigurationUpload />}
+      {model && <ModelCompare />}
       <ExampleDownloads />
       <JsonUploadInstructions />
     </div>
@@ -0,0 +1,184 @@
+import { useApp } from "../state/store";
+import {
+  CheckCircle2,
+  AlertTriangle,
+  CircleDashed,
+  RotateCcw,
+  HelpCircle,
+  X,
+  Download,
+} from "lucide-react";
+import { formatAttributeValue } from "../core/attributes";
+import { createConfigurationFile } from "../core/configurationFile";
+import { downloadText } from "../utils/download";
+
+export default function ConfigurationStatus() {
+  const {
+    model,
+    configurationState,
+    setConfiguration,
+    attributeTotals,
+    explanation,
+    setExplainedId,
+  } = useApp();
+
+  if (!configurationState) return null;
+
+  const { states, sources, contradictory, complete, conflictingDecisions } =
+    configurationState;
+  const forced = Object.keys(states).filter(
+    (id) => sources[id] === "propagated"
+  );
+  const counts = { selected: 0, deselected: 0, undecided: 0 };
+  Object.values(states).forEach((state) => counts[state]++);
+
+  return (
+    <div className="w-72 p-3 rounded-lg bg-white/95 border border-gray-200 shadow-sm text-left text-xs text-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-gray-800 font-semibold text-sm">Configure Mode</h4>
+        <div className="flex gap-1">
+          <button
+            onClick={() =>
+              downloadText(
+                `${model?.root || "model"}-configuration.json`,
+                JSON.stringify(createConfigurationFile(model, states), null, 2),
+                "application/json"
+              )
+            }
+            className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-600 hover:bg-gray-100 transition"
+            title="Save the decisions and open features as a configuration file"
+          >
+            <Download size={12} />
+            Export
+          </button>
+          <button
+            onClick={() => setConfiguration({})}
+            className="flex items-center gap-1 px-2 py-1 rounded-md text-gray-600 hover:bg-gray-100 transition"
+            title="Clear all decisions"
+          >
+            <RotateCcw size={12} />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      <p className="text-gray-500 mb-2">
+        Click a feature to select it, again to deselect it, and a third time to
+        clear your decision.
+      </p>
+
+      <div className="flex gap-3 font-mono mb-2">
+        <span className="text-green-700">{counts.selected} selected</span>
+        <span className="text-red-700">{counts.deselected} deselected</span>
+        <span className="text-gray-500">{counts.undecided} undecided</span>
+      </div>
+
+      {contradictory ? (
+        <div
+          role="alert"
+          className="flex items-start gap-1.5 text-red-700 font-medium"
+        >
+          <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+          <span>
+            Contradictory: your decisions on{" "}
+            <span className="font-mono">{conflictingDecisions.join(", ")}</span>{" "}
+            cannot all hold.
+          </span>
+        </div>
+      ) : complete ? (
+        <div className="flex items-center gap-1.5 text-green-700 font-medium">
+          <CheckCircle2 size={14} className="shrink-0" />
+          <span>Complete: this is a valid product.</span>
+        </div>
+      ) : (
+        <div className="flex items-center gap-1.5 text-gray-600">
+          <CircleDashed size={14} className="shrink-0" />
+          <span>
+            Partial: {counts.undecided} feature
+            {counts.undecided === 1 ? "" : "s"} still open.
+          </span>
+        </div>
+      )}
+
+      {forced.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-1">
+          <span className="text-gray-500">Forced:</span>
+          {forced.map((id) => (
+            <button
+              key={id}
+              onClick={() => setExplainedId(id)}
+              className="flex items-center gap-0.5 px-1.5 py-0.5 rounded bg-gray-100 font-mono hover:bg-orange-100 transition"
+              title={`Why is ${id} ${states[id]}?`}
+            >
+              {id}
+              <HelpCircle size={10} />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {explanation && (
+        <div className="mt-2 p-2 rounded-md bg-orange-50 border border-orange-200">
+          <div className="flex items-center justify-between mb-1">
+            <span className="font-semibold text-orange-800">
+              Why is {explanation.feature} {explanation.state}?
+            </span>
+            <button
+              onClick={() => setExplainedId(null)}
+              className="p-0.5 rounded text-orange-800 hover:bg-orange-100"
+              aria-label="Close explanation"
+            >
+              <X size={12} />
+            </button>
+          </div>
+          <ol className="list-decimal ml-4 space-y-0.5">
+            {explanation.steps.map((step, index) => (
+              <li key={index}>{step.text}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {attributeTotals?.length > 0 && (
+        <table className="w-full mt-3 font-mono">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-normal">attribute</th>
+              <th className="text-right font-normal">sum</th>
+              <th className="text-right font-normal">min</th>
+              <th className="text-right font-normal">max</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attributeTotals.map((total) => (
+              <tr
+                key={total.name}
+                title={
+                  total.undecided
+                    ? `${total.undecided} undecided feature(s) may still change this`
+                    : undefined
+                }
+              >
+                <td className="text-left">
+                  {total.name}
+                  {total.undecided > 0 && (
+                    <span className="text-gray-400">*</span>
+                  )}
+                </td>
+                <td className="text-right">
+                  {formatAttributeValue(total.sum)}
+                </td>
+                <td className="text-right">
+                  {total.min === null ? "–" : formatAttributeValue(total.min)}
+                </td>
+                <td className="text-right">
+                  {total.max === null ? "–" : formatAttributeValue(total.max)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
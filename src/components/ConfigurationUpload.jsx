@@ -0,0 +1,120 @@
+import { useState } from "react";
+import { useApp } from "../state/store";
+import { FileCheck2, CheckCircle2, AlertTriangle, X } from "lucide-react";
+import { parseConfigurationFile } from "../core/configurationFile";
+
+export default function ConfigurationUpload() {
+  const {
+    loadedConfiguration,
+    setLoadedConfiguration,
+    configurationCheck,
+    focusedIssue,
+    setFocusedIssue,
+  } = useApp();
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  async function handleFileInputChange(event) {
+    const selectedFile = event.target.files?.[0];
+    if (!selectedFile) return;
+
+    try {
+      setErrorMessage(null);
+      const text = await selectedFile.text();
+      const configuration = parseConfigurationFile(JSON.parse(text));
+      setFocusedIssue(null);
+      setLoadedConfiguration({ ...configuration, name: selectedFile.name });
+    } catch (err) {
+      const msg =
+        err instanceof Error ? err.message : "Invalid or unreadable file.";
+      setErrorMessage("Failed to load configuration: " + msg);
+    } finally {
+      event.target.value = "";
+    }
+  }
+
+  function handleClear() {
+    setLoadedConfiguration(null);
+    setFocusedIssue(null);
+  }
+
+  const violations = configurationCheck?.violations || [];
+
+  return (
+    <div className="w-full max-w-lg px-4 py-3 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+      <div className="flex items-center gap-2">
+        <FileCheck2 size={18} className="text-blue-400 shrink-0" />
+        {loadedConfiguration ? (
+          <span className="truncate text-gray-200">
+            {loadedConfiguration.name}
+          </span>
+        ) : (
+          <span>Check a configuration file against this model</span>
+        )}
+        <label className="ml-auto px-3 py-1 rounded-md border border-gray-600 hover:bg-gray-800 transition cursor-pointer">
+          {loadedConfiguration ? "Replace" : "Load configuration"}
+          <input
+            type="file"
+            accept="application/json"
+            aria-label="Configuration file"
+            onChange={handleFileInputChange}
+            className="hidden"
+          />
+        </label>
+        {loadedConfiguration && (
+          <button
+            onClick={handleClear}
+            aria-label="Clear configuration"
+            className="p-1 rounded-md text-gray-400 hover:text-gray-200 hover:bg-gray-800 transition"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {errorMessage && (
+        <p role="alert" className="mt-2 text-red-300">
+          {errorMessage}
+        </p>
+      )}
+
+      {configurationCheck &&
+        (configurationCheck.valid ? (
+          <p className="mt-2 flex items-center gap-1.5 text-green-300">
+            <CheckCircle2 size={14} className="shrink-0" />
+            Valid product: shown on the tree outside Configure mode.
+          </p>
+        ) : (
+          <div className="mt-2">
+            <p className="flex items-center gap-1.5 text-amber-300">
+              <AlertTriangle size={14} className="shrink-0" />
+              {violations.length} violation
+              {violations.length === 1 ? "" : "s"}:
+            </p>
+            <ul className="mt-1 space-y-1">
+              {violations.map((violation) => {
+                const focused = focusedIssue === violation;
+                return (
+                  <li key={violation.message}>
+                    <button
+                      aria-pressed={focused}
+                      title="Highlight in the tree"
+                      onClick={() =>
+                        setFocusedIssue(focused ? null : violation)
+                      }
+                      className={`text-left px-2 py-0.5 rounded-md border transition ${
+                        focused
+                          ? "border-red-400 bg-red-900/40 text-red-100"
+                          : "border-transparent text-gray-300 hover:border-gray-600"
+                      }`}
+                    >
+                      {violation.message}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useEffect, useState } from "react";
+import { useApp } from "../state/store";
+import { Pencil, Trash2, X } from "lucide-react";
+import { relationType } from "../core/model";
+import {
+  FEATURE_TYPES,
+  addFeature,
+  changeFeatureType,
+  commitModelEdit,
+  deleteFeature,
+  moveFeature,
+  newFeatureId,
+  renameFeature,
+  subtreeOf,
+} from "../core/editModel";
+
+function EditPanel({ feature, x, y }) {
+  const { model, setModel, setGraph, setEditTarget, setSearchHits } = useApp();
+  const [label, setLabel] = useState(feature.label || feature.id);
+  const [childName, setChildName] = useState("");
+  const [errors, setErrors] = useState([]);
+
+  const close = () => setEditTarget(null);
+  useEffect(() => {
+    const handleKeydown = (event) => {
+      if (event.key === "Escape") setEditTarget(null);
+    };
+    window.addEventListener("keydown", handleKeydown);
+    return () => window.removeEventListener("keydown", handleKeydown);
+  }, [setEditTarget]);
+
+  const commit = (edit) => {
+    const refused = commitModelEdit(model, edit, setModel, setGraph);
+    setErrors(refused);
+    return refused.length === 0;
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    commit((m) => renameFeature(m, feature.id, label));
+  };
+
+  const handleAddChild = (event) => {
+    event.preventDefault();
+    const id = newFeatureId(model, childName);
+    if (commit((m) => addFeature(m, feature.id, { id, label: childName }))) {
+      setChildName("");
+      setSearchHits([id]);
+    }
+  };
+
+  const handleDelete = () => {
+    if (commit((m) => deleteFeature(m, feature.id))) close();
+  };
+
+  const isRoot = !feature.parent;
+  const subtree = subtreeOf(model, feature.id);
+  const parentOptions = model.features.filter((f) => !subtree.has(f.id));
+
+  return (
+    <div
+      role="dialog"
+      aria-label={`Edit ${feature.label || feature.id}`}
+      style={{
+        left: Math.max(8, Math.min(x, window.innerWidth - 300)),
+        top: Math.max(8, Math.min(y, window.innerHeight - 360)),
+      }}
+      className="fixed z-50 w-72 p-3 rounded-lg bg-white/95 border border-gray-200 shadow-lg text-left text-xs text-gray-700"
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="flex items-center gap-1.5 text-gray-800 font-semibold text-sm truncate">
+          <Pencil size={12} className="shrink-0" />
+          {feature.label || feature.id}
+          <span className="font-mono font-normal text-gray-500">
+            ({feature.id})
+          </span>
+        </h4>
+        <button
+          onClick={close}
+          className="p-1 rounded-md text-gray-500 hover:bg-gray-100 transition"
+          aria-label="Close editor"
+        >
+          <X size={12} />
+        </button>
+      </div>
+
+      <form onSubmit={handleRename} className="flex gap-1.5 mb-2">
+        <input
+          aria-label="Label"
+          value={label}
+          onChange={(event) => setLabel(event.target.value)}
+          className="flex-1 min-w-0 px-2 py-1 rounded-md border border-gray-300"
+        />
+        <button
+          type="submit"
+          className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-100 transition"
+        >
+          Rename
+        </button>
+      </form>
+
+      <form onSubmit={handleAddChild} className="flex gap-1.5 mb-2">
+        <input
+          aria-label="New child name"
+          value={childName}
+          placeholder="New child feature"
+          onChange={(event) => setChildName(event.target.value)}
+          className="flex-1 min-w-0 px-2 py-1 rounded-md border border-gray-300"
+        />
+        <button
+          type="submit"
+          className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-100 transition"
+        >
+          Add child
+        </button>
+      </form>
+
+      {!isRoot && (
+        <div className="grid grid-cols-[auto_1fr] items-center gap-x-3 gap-y-1.5 mb-2">
+          <label htmlFor="edit-feature-type" className="text-gray-500">
+            Type
+          </label>
+          <select
+            id="edit-feature-type"
+            value={relationType(feature)}
+            onChange={(event) =>
+              commit((m) =>
+                changeFeatureType(m, feature.id, event.target.value)
+              )
+            }
+            className="px-2 py-1 rounded-md border border-gray-300 bg-white"
+          >
+            {FEATURE_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="edit-feature-parent" className="text-gray-500">
+            Parent
+          </label>
+          <select
+            id="edit-feature-parent"
+            value={feature.parent}
+            onChange={(event) =>
+              commit((m) => moveFeature(m, feature.id, event.target.value))
+            }
+            className="px-2 py-1 rounded-md border border-gray-300 bg-white font-mono"
+          >
+            {parentOptions.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.id}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {!isRoot && (
+        <button
+          onClick={handleDelete}
+          className="w-full flex items-center justify-center gap-1.5 px-2 py-1 rounded-md border border-red-200 text-red-700 hover:bg-red-50 transition"
+        >
+          <Trash2 size={12} />
+          {subtree.size > 1
+            ? `Delete subtree (${subtree.size} features)`
+            : "Delete feature"}
+        </button>
+      )}
+
+      {errors.length > 0 && (
+        <ul role="alert" className="mt-2 space-y-0.5 text-red-600">
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Opened by right-clicking a feature in the tree or the feature list
+export default function FeatureEditMenu() {
+  const { model, editTarget } = useApp();
+  const feature = model?.features?.find((f) => f.id === editTarget?.featureId);
+  if (!feature) return null;
+
+  return (
+    <EditPanel
+      key={feature.id}
+      feature={feature}
+      x={editTarget.x}
+      y={editTarget.y}
+    />
+  );
+}
@@ -0,0 +1,70 @@
+import { useApp } from "../state/store";
+import { X } from "lucide-react";
+import { relationType } from "../core/model";
+import { formatAttributeValue } from "../core/attributes";
+import { formatSelectionRatio } from "../core/countConfigurations";
+
+export default function FeatureInspector() {
+  const { model, activeId, setActiveId, counts } = useApp();
+
+  const feature = model?.features?.find((f) => f.id === activeId);
+  if (!feature) return null;
+
+  const attributes = Object.entries(feature.attributes || {});
+  const ratio = counts?.ratios[feature.id];
+
+  return (
+    <div className="w-72 p-3 rounded-lg bg-white/95 border border-gray-200 shadow-sm text-left text-xs text-gray-700">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-gray-800 font-semibold text-sm truncate">
+          {feature.label || feature.id}
+        </h4>
+        <button
+          onClick={() => setActiveId(null)}
+          className="p-1 rounded-md text-gray-500 hover:bg-gray-100 transition"
+          title="Close inspector"
+          aria-label="Close inspector"
+        >
+          <X size={12} />
+        </button>
+      </div>
+
+      <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 mb-2">
+        <dt className="text-gray-500">ID</dt>
+        <dd className="font-mono truncate">{feature.id}</dd>
+        <dt className="text-gray-500">Type</dt>
+        <dd>{relationType(feature)}</dd>
+        {feature.parent && (
+          <>
+            <dt className="text-gray-500">Parent</dt>
+            <dd className="font-mono truncate">{feature.parent}</dd>
+          </>
+        )}
+        {ratio !== undefined && (
+          <>
+            <dt className="text-gray-500">Products</dt>
+            <dd>{formatSelectionRatio(ratio)}</dd>
+          </>
+        )}
+      </dl>
+
+      <h5 className="text-gray-800 font-semibold mb-1">Attributes</h5>
+      {attributes.length ? (
+        <table className="w-full">
+          <tbody>
+            {attributes.map(([name, value]) => (
+              <tr key={name}>
+                <td className="font-mono text-gray-500 pr-3">{name}</td>
+                <td className="text-right font-mono">
+                  {formatAttributeValue(value)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-gray-500">No attributes.</p>
+      )}
+    </div>
+  );
+}
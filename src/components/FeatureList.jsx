@@ -3,11 +3,27 @@ import { useApp } from "../state/store";
 import { ChevronLeft, ChevronRight } from "lucide-react";
 import { searchFeatures } from "../core/search";
 import buildFeatureHierarchy from "../core/buildFeatureHierarchy";
+import { formatSelectionRatio } from "../core/countConfigurations";
+import { commitModelEdit, moveFeature } from "../core/editModel";
 
 export default function FeatureListPanel() {
-  const { model, searchHits, setSearchHits, setQuery } = useApp();
-  const [isOpen, setIsOpen] = useState(false);
+  const {
+    model,
+    setModel,
+    setGraph,
+    searchHits,
+    setSearchHits,
+    setQuery,
+    analysis,
+    counts,
+    setEditTarget,
+    featureListOpen: isOpen,
+    setFeatureListOpen: setIsOpen,
+  } = useApp();
   const [isMobileView, setIsMobileView] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [moveErrors, setMoveErrors] = useState([]);
 
   // Detect mobile vs desktop view
   useEffect(() => {
@@ -17,6 +33,13 @@ export default function FeatureListPanel() {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
+  // A refused move is about the model it was tried on; undo, redo, edits
+  // and tab switches replace that model
+  useEffect(
+    () => setMoveErrors((errors) => (errors.length ? [] : errors)),
+    [model]
+  );
+
   // Keyboard shortcut: Shift + M toggles panel visibility
   useEffect(() => {
     const handleKeydown = (event) => {
@@ -26,7 +49,7 @@ export default function FeatureListPanel() {
     };
     window.addEventListener("keydown", handleKeydown);
     return () => window.removeEventListener("keydown", handleKeydown);
-  }, []);
+  }, [setIsOpen]);
 
   if (!model) return null;
 
@@ -39,19 +62,67 @@ export default function FeatureListPanel() {
     if (isMobileView) setIsOpen(false);
   };
 
+  // Dropping a feature onto another makes it a child of that feature
+  const handleDrop = (event, feature) => {
+    event.preventDefault();
+    setDropTargetId(null);
+    if (!draggedId || draggedId === feature.id) return;
+    setMoveErrors(
+      commitModelEdit(
+        model,
+        (m) => moveFeature(m, draggedId, feature.id),
+        setModel,
+        setGraph
+      )
+    );
+    setDraggedId(null);
+  };
+
   const rootFeatures = buildFeatureHierarchy(model.features);
+  const deadFeatures = new Set(analysis?.deadFeatures || []);
+  const falseOptionalFeatures = new Set(analysis?.falseOptionalFeatures || []);
 
   // Recursively render feature hierarchy
   const renderFeatureTree = (featureNodes, depth = 0) =>
     featureNodes.map((feature) => {
       const isHighlighted = searchHits?.includes(feature.id);
+      const isDead = deadFeatures.has(feature.id);
+      const isFalseOptional = falseOptionalFeatures.has(feature.id);
+      const isDropTarget = dropTargetId === feature.id;
       return (
         <div key={feature.id}>
           <div
             onClick={() => handleFeatureClick(feature)}
+            onContextMenu={(event) => {
+              event.preventDefault();
+              setEditTarget({
+                featureId: feature.id,
+                x: event.clientX,
+                y: event.clientY,
+              });
+            }}
+            draggable={Boolean(feature.parent)}
+            onDragStart={(event) => {
+              event.dataTransfer.effectAllowed = "move";
+              setDraggedId(feature.id);
+            }}
+            onDragEnd={() => {
+              setDraggedId(null);
+              setDropTargetId(null);
+            }}
+            onDragOver={(event) => {
+              if (!draggedId) return;
+              event.preventDefault();
+              setDropTargetId(feature.id);
+            }}
+            onDragLeave={() => setDropTargetId(null)}
+            onDrop={(event) => handleDrop(event, feature)}
+            title="Right-click to edit, drag onto another feature to move"
             style={{ marginLeft: depth * 14 }}
             className={`px-3 py-2 rounded-md cursor-pointer border border-transparent select-none transition-all duration-150 ${
-              isHighlighted
+              isDropTarget
+                ? "bg-emerald-500/10 border-emerald-400/60"
+                : isHighlighted
                 ? "bg-blue-500/10 border-blue-400/40"
                 : "hover:bg-gray-800/60"
             }`}
@@ -63,21 +134,44 @@ export default function FeatureListPanel() {
                     ? "bg-green-500"
                     : feature.type === "optional"
                     ? "bg-blue-400"
+                    : feature.type === "alternative"
+                    ? "bg-purple-500"
+                    : feature.type === "or"
+                    ? "bg-teal-500"
                     : "bg-gray-400"
                 }`}
               ></span>
               <span
                 className={`truncate text-base font-medium ${
                   isHighlighted ? "text-blue-300" : "text-gray-100"
-                }`}
+                } ${isDead ? "line-through opacity-60" : ""}`}
               >
                 {feature.label}
               </span>
+              {isDead && (
+                <span className="ml-auto px-1.5 py-0.5 rounded text-[11px] font-mono bg-gray-700 text-gray-200">
+                  dead
+                </span>
+              )}
+              {isFalseOptional && (
+                <span className="ml-auto px-1.5 py-0.5 rounded text-[11px] font-mono bg-amber-500/20 text-amber-300">
+                  false-optional
+                </span>
+              )}
             </div>
 
             <div className="mt-1 ml-5 flex flex-col text-sm font-mono text-gray-400 leading-tight">
               <span>({feature.id})</span>
               {feature.parent && <span>↳ {feature.parent}</span>}
+              {counts?.ratios[feature.id] !== undefined && (
+                <span
+                  className="text-emerald-300/80"
+                  title="Share of valid products that include this feature"
+                >
+                  in {formatSelectionRatio(counts.ratios[feature.id])} of
+                  products
+                </span>
+              )}
             </div>
           </div>
 
@@ -127,6 +221,23 @@ export default function FeatureListPanel() {
           {renderFeatureTree(rootFeatures)}
         </div>
 
+        {moveErrors.length > 0 && (
+          <div
+            role="alert"
+            className="px-4 py-2 text-sm text-red-300 font-mono border-t border-gray-700/40 bg-gray-800/60"
+          >
+            {moveErrors.join(" ")}
+          </div>
+        )}
+
+        {deadFeatures.size + falseOptionalFeatures.size > 0 && (
+          <div className="px-4 py-2 text-sm text-amber-300/80 font-mono border-t border-gray-700/40 bg-gray-800/60">
+            {deadFeatures.size} dead, {falseOptionalFeatures.size}{" "}
+            false-optional feature
+            {falseOptionalFeatures.size === 1 ? "" : "s"} found.
+          </div>
+        )}
+
         {searchHits?.length > 0 && (
           <div className="px-4 py-2 text-sm text-blue-300/70 font-mono border-t border-gray-700/40 bg-gray-800/60">
             {searchHits.length} feature
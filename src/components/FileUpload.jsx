@@ -1,13 +1,33 @@
 import { useState } from "react";
 import { useApp } from "../state/store";
-import { UploadCloud, FileJson, RefreshCcw } from "lucide-react";
+import {
+  UploadCloud,
+  FileJson,
+  RefreshCcw,
+  Download,
+  Clock,
+  Trash2,
+} from "lucide-react";
 import processUploadedFile from "../core/processUploadedFile";
 import validateJSON from "../core/validateJSON";
+import { formatUvl } from "../core/uvl";
+import { formatDimacs } from "../core/dimacs";
+import { loadJSONFile } from "../data/loaders/jsonLoader";
+import { downloadText } from "../utils/download";
 
 export default function FileUpload() {
-  const { setModel, setGraph } = useApp();
+  const {
+    model,
+    setModel,
+    setGraph,
+    storedId,
+    fileName: uploadedFileName,
+    setFileName: setUploadedFileName,
+    recentModels,
+    restoreModel,
+    clearStoredModels,
+  } = useApp();
   const [isDragActive, setIsDragActive] = useState(false);
-  const [uploadedFileName, setUploadedFileName] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
 
   async function handleFileInputChange(event) {
@@ -16,8 +36,7 @@ export default function FileUpload() {
 
     try {
       setErrorMessage(null);
-      const text = await selectedFile.text();
-      const parsed = JSON.parse(text);
+      const parsed = await loadJSONFile(selectedFile);
 
       // Validate structure before processing
       validateJSON(parsed);
@@ -57,8 +76,7 @@ export default function FileUpload() {
 
     try {
       setErrorMessage(null);
-      const text = await droppedFile.text();
-      const parsed = JSON.parse(text);
+      const parsed = await loadJSONFile(droppedFile);
 
       // Validate structure before processing
       validateJSON(parsed);
@@ -78,12 +96,31 @@ export default function FileUpload() {
 
   // Clears the current model and allows re-upload
   function handleReplaceFile() {
-    setUploadedFileName(null);
     setModel(null);
     setGraph(null);
+    setUploadedFileName(null);
     setErrorMessage(null); // also clear any previous error
   }
 
+  async function handleClearStoredData() {
+    try {
+      setErrorMessage(null);
+      await clearStoredModels();
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : "Storage unavailable.";
+      setErrorMessage("Failed to clear stored data: " + msg);
+    }
+  }
+
+  // Saves the model as currently shown, including edits made in the app,
+  // under the name it was loaded as with the extension of the format
+  function handleExport(extension, text, type) {
+    const baseName = uploadedFileName
+      ? uploadedFileName.replace(/\.[^.]*$/, "")
+      : model.root;
+    downloadText(`${baseName}.${extension}`, text, type);
+  }
+
   return (
     <div className="w-full h-full flex flex-col items-center justify-center  space-y-4">
       <label
@@ -110,14 +147,16 @@ export default function FileUpload() {
           Upload Feature Model
         </h2>
         <p className="text-sm text-gray-400 mb-4">
-          Drop your <span className="text-blue-400 font-mono">.json</span> file
-          here, or click anywhere to browse.
+          Drop your <span className="text-blue-400 font-mono">.json</span>,{" "}
+          <span className="text-blue-400 font-mono">.uvl</span> or FeatureIDE{" "}
+          <span className="text-blue-400 font-mono">.xml</span> file here, or
+          click anywhere to browse.
         </p>
 
         <input
           id="file-upload"
           type="file"
-          accept="application/json"
+          accept="application/json,.json,.uvl,.xml"
           onChange={handleFileInputChange}
           className="absolute inset-0 opacity-0 cursor-pointer"
         />
@@ -144,6 +183,82 @@ export default function FileUpload() {
         )}
       </label>
 
+      {model && (
+        <div className="flex gap-2">
+          <button
+            onClick={() =>
+              handleExport(
+                "json",
+                JSON.stringify(model, null, 2) + "\n",
+                "application/json"
+              )
+            }
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md border border-gray-700 bg-gray-900/70 text-sm text-gray-300 hover:border-blue-500 hover:text-blue-400 transition"
+            title="Download the model, including edits made here, as JSON"
+          >
+            <Download size={14} />
+            Export JSON
+          </button>
+          <button
+            onClick={() => handleExport("uvl", formatUvl(model), "text/plain")}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md border border-gray-700 bg-gray-900/70 text-sm text-gray-300 hover:border-blue-500 hover:text-blue-400 transition"
+            title="Download the model, including edits made here, as UVL"
+          >
+            <Download size={14} />
+            Export UVL
+          </button>
+          <button
+            onClick={() =>
+              handleExport("dimacs", formatDimacs(model), "text/plain")
+            }
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md border border-gray-700 bg-gray-900/70 text-sm text-gray-300 hover:border-blue-500 hover:text-blue-400 transition"
+            title="Download the model's tree and constraints as DIMACS CNF for SAT solvers"
+          >
+            <Download size={14} />
+            Export DIMACS
+          </button>
+        </div>
+      )}
+
+      {recentModels?.length > 0 && (
+        <div className="w-full max-w-lg px-4 py-3 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+          <div className="flex items-center gap-2 mb-2">
+            <Clock size={16} className="text-blue-400 shrink-0" />
+            <h3 className="font-semibold text-gray-200">Recent models</h3>
+            <button
+              onClick={handleClearStoredData}
+              className="ml-auto flex items-center gap-1 text-xs text-gray-400 hover:text-red-400 transition"
+              title="Forget all models and views stored in this browser, and the model in the page's link"
+            >
+              <Trash2 size={12} />
+              Clear stored data
+            </button>
+          </div>
+          <ul className="space-y-1">
+            {recentModels.map((stored) => (
+              <li key={stored.id}>
+                <button
+                  onClick={() => restoreModel(stored)}
+                  aria-current={stored.id === storedId ? "true" : undefined}
+                  className={`w-full flex items-center gap-2 px-2 py-1 rounded-md border text-left transition ${
+                    stored.id === storedId
+                      ? "border-blue-400/60 bg-blue-900/30"
+                      : "border-transparent hover:border-gray-600"
+                  }`}
+                >
+                  <FileJson size={14} className="text-blue-400 shrink-0" />
+                  <span className="truncate text-gray-200">{stored.name}</span>
+                  <span className="ml-auto shrink-0 text-xs text-gray-500">
+                    {stored.model.features.length} features ·{" "}
+                    {new Date(stored.openedAt).toLocaleString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {errorMessage && (
         <div className="w-full max-w-lg bg-red-900/40 border border-red-600 text-red-300 px-4 py-2 rounded-md text-sm text-center">
           {errorMessage}
@@ -0,0 +1,85 @@
+import { useMemo, useState } from "react";
+import { useApp } from "../state/store";
+import { ChevronDown, ChevronRight, History, Redo2, Undo2 } from "lucide-react";
+import { describeChange } from "../core/history";
+
+export default function HistoryPanel() {
+  const { history, undo, redo, jumpToStep } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const labels = useMemo(
+    () =>
+      history.entries.map((entry, index) =>
+        describeChange(history.entries[index - 1], entry)
+      ),
+    [history.entries]
+  );
+
+  if (history.entries.length < 2) return null;
+
+  const { index } = history;
+  const last = history.entries.length - 1;
+
+  return (
+    <div className="w-full max-w-3xl mx-auto px-4 py-2.5 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+      <div className="flex items-center gap-2">
+        <History size={18} className="text-blue-400 shrink-0" />
+        <button
+          onClick={() => setIsOpen((open) => !open)}
+          aria-expanded={isOpen}
+          className="flex items-center gap-1 hover:text-gray-100 transition"
+        >
+          {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          History
+        </button>
+        <span className="truncate text-gray-400">{labels[index]}</span>
+        <div className="ml-auto flex gap-1">
+          <button
+            onClick={undo}
+            disabled={index === 0}
+            aria-label="Undo"
+            title="Undo (Ctrl+Z)"
+            className="p-1 rounded-md border border-gray-600 hover:bg-gray-800 disabled:opacity-40"
+          >
+            <Undo2 size={14} />
+          </button>
+          <button
+            onClick={redo}
+            disabled={index === last}
+            aria-label="Redo"
+            title="Redo (Ctrl+Shift+Z)"
+            className="p-1 rounded-md border border-gray-600 hover:bg-gray-800 disabled:opacity-40"
+          >
+            <Redo2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      {/* Steps after the current one stay listed until a new change replaces them */}
+      {isOpen && (
+        <ol className="mt-2 max-h-56 overflow-y-auto space-y-0.5">
+          {labels.map((label, step) => (
+            <li key={step}>
+              <button
+                onClick={() => jumpToStep(step)}
+                aria-current={step === index ? "step" : undefined}
+                className={`w-full text-left px-2 py-0.5 rounded-md border transition ${
+                  step === index
+                    ? "border-blue-400 bg-blue-900/40 text-blue-100"
+                    : step > index
+                    ? "border-transparent text-gray-500 hover:border-gray-600"
+                    : "border-transparent text-gray-300 hover:border-gray-600"
+                }`}
+              >
+                <span className="mr-2 font-mono text-xs text-gray-500">
+                  {step + 1}
+                </span>
+                {label}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -38,7 +38,23 @@ export default function JsonUploadInstructions() {
               <span className="text-blue-400">mandatory</span>,{" "}
               <span className="text-blue-400">optional</span>,{" "}
               <span className="text-blue-400">alternative</span>,{" "}
-              <span className="text-blue-400">or</span>
+              <span className="text-blue-400">or</span>. Siblings typed{" "}
+              <span className="text-blue-400">alternative</span> form a group
+              where exactly one is selected; siblings typed{" "}
+              <span className="text-blue-400">or</span> form a group where at
+              least one is selected. A parent cannot mix both kinds.
+            </li>
+            <li>
+              <span className="font-mono text-gray-200">groupCardinality</span>:
+              (optional) on a parent, how many of its group children may be
+              selected together, e.g.{" "}
+              <span className="text-blue-400">"1..2"</span> or{" "}
+              <span className="text-blue-400">"2..*"</span>
+            </li>
+            <li>
+              <span className="font-mono text-gray-200">cardinality</span>:
+              (optional) how many instances of a clone-able feature a product
+              contains, e.g. <span className="text-blue-400">"1..4"</span>
             </li>
             <li>
               <span className="font-mono text-gray-200">parent</span>:
@@ -48,6 +64,14 @@ export default function JsonUploadInstructions() {
               <span className="font-mono text-gray-200">label</span>: (optional)
               human-readable display name
             </li>
+            <li>
+              <span className="font-mono text-gray-200">attributes</span>:
+              (optional) object of number, text or true/false values such as{" "}
+              <span className="text-blue-400">{'{ "cost": 12.5 }'}</span>. Types
+              may be declared in a top-level{" "}
+              <span className="font-mono text-gray-200">attributeTypes</span>{" "}
+              object.
+            </li>
           </ul>
         </li>
         <li>
@@ -65,6 +89,18 @@ export default function JsonUploadInstructions() {
               <span className="text-blue-400">excludes</span>, or{" "}
               <span className="text-blue-400">conflicts</span>
             </li>
+            <li>
+              or instead an{" "}
+              <span className="font-mono text-gray-200">expression</span> over
+              feature IDs using <span className="text-blue-400">!</span>,{" "}
+              <span className="text-blue-400">&amp;</span>,{" "}
+              <span className="text-blue-400">|</span>,{" "}
+              <span className="text-blue-400">=&gt;</span> and{" "}
+              <span className="text-blue-400">&lt;=&gt;</span>, e.g.{" "}
+              <span className="font-mono text-gray-200">
+                (GPS &amp; WiFi) =&gt; !LowPower
+              </span>
+            </li>
           </ul>
         </li>
       </ul>
@@ -11,6 +11,31 @@ const legendItems = [
     label: "Optional Feature",
     sub: "May or may not be selected.",
   },
+  {
+    shape: "circle",
+    color: "#8e24aa",
+    label: "Alternative Feature",
+    sub: "Member of an alternative group under its parent.",
+  },
+  {
+    shape: "circle",
+    color: "#00897b",
+    label: "Or Feature",
+    sub: "Member of an or group under its parent.",
+  },
+  {
+    shape: "arc",
+    color: "#555",
+    label: "Alternative Group",
+    sub: "Empty arc: exactly one child is selected with the parent.",
+  },
+  {
+    shape: "arc",
+    color: "#555",
+    filled: true,
+    label: "Or Group",
+    sub: "Filled arc: at least one child is selected with the parent.",
+  },
   {
     shape: "line",
     color: "#bbb",
@@ -31,6 +56,13 @@ const legendItems = [
     label: "Excludes Constraint",
     sub: "A and B cannot coexist.",
   },
+  {
+    shape: "line",
+    color: "#6a1b9a",
+    dash: "2 3",
+    label: "Expression Constraint",
+    sub: "Chip showing the formula, linked to every feature it mentions.",
+  },
   {
     shape: "circle",
     color: "#2196f3",
@@ -59,9 +91,84 @@ const legendItems = [
     label: "Related Branch",
     sub: "Related nodes (ancestors / children). Ancestors and descendants of a highlight.",
   },
+  {
+    shape: "circle",
+    color: "rgba(153,153,153,0.35)",
+    stroke: "#424242",
+    dash: "6 3",
+    label: "Dead Feature",
+    sub: "Dashed dark outline: no valid configuration can include it.",
+  },
+  {
+    shape: "circle",
+    color: "#1e88e5",
+    stroke: "#fb8c00",
+    dash: "6 3",
+    label: "False-Optional Feature",
+    sub: "Dashed orange outline: marked optional but present in every valid configuration.",
+  },
+  {
+    shape: "circle",
+    color: "#2e7d32",
+    label: "Selected (Configure)",
+    sub: "Solid badge: chosen by you. Outlined badge: forced by propagation.",
+  },
+  {
+    shape: "circle",
+    color: "#c62828",
+    label: "Deselected (Configure)",
+    sub: "Excluded from the product; the node is faded.",
+  },
+  {
+    shape: "circle",
+    color: "#9e9e9e",
+    label: "Undecided (Configure)",
+    sub: "Still open: both choices lead to valid products.",
+  },
+  {
+    shape: "line",
+    color: "#ff6f00",
+    label: "Explanation Path (Configure)",
+    sub: "Links, constraints and features behind a forced choice.",
+  },
+  {
+    shape: "line",
+    color: "#e53935",
+    dash: "10 6",
+    label: "Constraint Finding",
+    sub: "Rules behind a picked analysis finding or configuration violation.",
+  },
+  {
+    shape: "circle",
+    color: "#2e7d32",
+    label: "Added (Compare)",
+    sub: "Ringed and marked + : new in the compared version.",
+  },
+  {
+    shape: "circle",
+    color: "#fff",
+    stroke: "#c62828",
+    dash: "4 3",
+    label: "Removed (Compare)",
+    sub: "Faded ghost marked − : only in the loaded version.",
+  },
+  {
+    shape: "circle",
+    color: "#f9a825",
+    label: "Changed (Compare)",
+    sub: "Marked ~ : type, parent or label differ between the versions.",
+  },
 ];
-import { ChevronDown, ChevronUp, Maximize2, Minimize2 } from "lucide-react";
+import {
+  ChevronDown,
+  ChevronUp,
+  FileDown,
+  Maximize2,
+  Minimize2,
+} from "lucide-react";
 import { useEffect, useState } from "react";
+import { formatFeatureIdeXml } from "../core/featureIde";
+import { downloadText } from "../utils/download";
 
 function useKeyboardShortcuts(toggleLegend, toggleFullscreen, isFullscreen) {
   useEffect(() => {
@@ -85,11 +192,38 @@ function useKeyboardShortcuts(toggleLegend, toggleFullscreen, isFullscreen) {
   }, [isFullscreen, toggleLegend, toggleFullscreen]);
 }
 
-export default function LegendSection({ isFullscreen, toggleFullscreen }) {
+// The export writes `model` as it is in the app, edits included, under the
+// name it was loaded as
+export default function LegendSection({
+  isFullscreen,
+  toggleFullscreen,
+  model,
+  fileName,
+}) {
   const [showLegend, setShowLegend] = useState(true);
+  const [exportError, setExportError] = useState(null);
   const toggleLegend = () => setShowLegend((v) => !v);
   useKeyboardShortcuts(toggleLegend, toggleFullscreen, isFullscreen);
 
+  useEffect(() => setExportError(null), [model]);
+
+  // Models FeatureIDE cannot express are refused with the reason
+  const exportFeatureIde = () => {
+    let text;
+    try {
+      text = formatFeatureIdeXml(model);
+    } catch (err) {
+      setExportError(err.message);
+      return;
+    }
+    setExportError(null);
+    downloadText(
+      `${fileName ? fileName.replace(/\.[^.]*$/, "") : model.root}.xml`,
+      text,
+      "application/xml"
+    );
+  };
+
   return (
     <div className="w-full mt-4 bg-white/95 backdrop-blur-md border border-gray-200 rounded-lg shadow-sm flex flex-col items-center transition-all duration-300">
       <div className="w-full flex items-center justify-between px-5 py-3 border-b border-gray-200 bg-linear-to-r from-gray-50 to-white rounded-t-lg">
@@ -97,6 +231,15 @@ export default function LegendSection({ isFullscreen, toggleFullscreen }) {
           Visualizer Controls
         </h3>
         <div className="flex gap-2">
+          {model && (
+            <button
+              onClick={exportFeatureIde}
+              className="flex items-center gap-1 px-4 py-2 text-sm rounded-full border transition-all cursor-pointer hover:bg-slate-800 bg-slate-900 text-white"
+              title="Download the model as FeatureIDE model.xml"
+            >
+              <FileDown size={15} /> FeatureIDE XML
+            </button>
+          )}
           <button
             onClick={toggleLegend}
             className="flex items-center gap-1 px-4 py-2 text-sm rounded-full border transition-all cursor-pointer hover:bg-slate-800 bg-slate-900 text-white"
@@ -121,6 +264,12 @@ export default function LegendSection({ isFullscreen, toggleFullscreen }) {
         </div>
       </div>
 
+      {exportError && (
+        <p role="alert" className="w-full px-5 py-2 text-sm text-red-600">
+          FeatureIDE export failed: {exportError}
+        </p>
+      )}
+
       <div
         className={[
           "transition-all duration-300 overflow-hidden",
@@ -150,9 +299,24 @@ export default function LegendSection({ isFullscreen, toggleFullscreen }) {
                         background: item.color,
                         width: 16,
                         height: 16,
-                        border: "1px solid rgba(0,0,0,0.15)",
+                        border: item.dash
+                          ? `2px dashed ${item.stroke}`
+                          : "1px solid rgba(0,0,0,0.15)",
                       }}
                     />
+                  ) : item.shape === "arc" ? (
+                    <svg width="22" height="16" viewBox="0 0 22 16">
+                      <path
+                        d={
+                          item.filled
+                            ? "M11,1 L3,7 A10,10 0 0 0 19,7 Z"
+                            : "M3,7 A10,10 0 0 0 19,7"
+                        }
+                        fill={item.filled ? item.color : "none"}
+                        stroke={item.color}
+                        strokeWidth="2"
+                      />
+                    </svg>
                   ) : (
                     <span
                       className="inline-block"
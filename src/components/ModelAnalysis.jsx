@@ -0,0 +1,123 @@
+import { useApp } from "../state/store";
+import { ShieldCheck, ShieldAlert, ShieldQuestion } from "lucide-react";
+import { describeConstraint } from "../core/parser";
+
+const ISSUE_KINDS = {
+  "contradicts-tree": "Contradiction",
+  "contradicts-constraints": "Contradiction",
+  cycle: "Cycle",
+  redundant: "Redundant",
+};
+
+// Each finding toggles a highlight of its constraints in the tree
+function ConstraintIssues({ issues }) {
+  const { focusedIssue, setFocusedIssue } = useApp();
+  if (!issues?.length) return null;
+
+  return (
+    <ul className="basis-full mt-1 space-y-1">
+      {issues.map((issue) => {
+        const focused = focusedIssue === issue;
+        return (
+          <li key={issue.message}>
+            <button
+              aria-pressed={focused}
+              title="Highlight in the tree"
+              onClick={() => setFocusedIssue(focused ? null : issue)}
+              className={`text-left px-2 py-0.5 rounded-md border transition ${
+                focused
+                  ? "border-red-400 bg-red-900/40 text-red-100"
+                  : "border-transparent text-gray-300 hover:border-gray-600"
+              }`}
+            >
+              <span
+                className={`mr-2 font-semibold ${
+                  issue.kind === "redundant" ? "text-sky-300" : "text-amber-300"
+                }`}
+              >
+                {ISSUE_KINDS[issue.kind]}
+              </span>
+              {issue.message}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default function ModelAnalysis() {
+  const { analysis, counts, tooLarge } = useApp();
+
+  if (tooLarge?.analysis) {
+    return (
+      <div className="w-full max-w-3xl mx-auto px-4 py-2.5 flex items-center gap-2 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+        <ShieldQuestion size={18} className="text-gray-400 shrink-0" />
+        <span>This model is too large to analyse in the browser.</span>
+      </div>
+    );
+  }
+  if (!analysis) return null;
+
+  if (analysis.satisfiable) {
+    const { deadFeatures, falseOptionalFeatures } = analysis;
+    const hasAnomalies = deadFeatures.length + falseOptionalFeatures.length > 0;
+    return (
+      <div className="w-full max-w-3xl mx-auto px-4 py-2.5 flex flex-wrap items-center gap-x-2 gap-y-1 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+        <ShieldCheck size={18} className="text-green-400 shrink-0" />
+        <span>
+          Model is satisfiable: at least one valid product can be built.
+        </span>
+        {counts && (
+          <span className="font-mono text-green-300">
+            {counts.total.toLocaleString("en-US")} valid product
+            {counts.total === 1n ? "" : "s"}
+          </span>
+        )}
+        {tooLarge?.counts && (
+          <span className="text-gray-400">Too many products to count.</span>
+        )}
+        {hasAnomalies && (
+          <span className="font-mono text-amber-300">
+            {deadFeatures.length} dead, {falseOptionalFeatures.length}{" "}
+            false-optional feature
+            {falseOptionalFeatures.length === 1 ? "" : "s"}
+          </span>
+        )}
+        <ConstraintIssues issues={analysis.constraintIssues} />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      role="alert"
+      className="w-full max-w-3xl mx-auto px-4 py-3 rounded-lg bg-red-900/40 border border-red-600 text-sm text-red-200"
+    >
+      <div className="flex items-center gap-2 font-semibold">
+        <ShieldAlert size={18} className="text-red-400 shrink-0" />
+        <span>Model is void: no valid product can be built.</span>
+      </div>
+
+      {analysis.conflicts.length > 0 ? (
+        <>
+          <p className="mt-2 text-red-300">
+            These constraints conflict with each other and the feature tree:
+          </p>
+          <ul className="mt-1 ml-6 list-disc font-mono text-red-200">
+            {analysis.conflicts.map(({ index, constraint }) => (
+              <li key={index}>
+                #{index + 1} {describeConstraint(constraint)}
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="mt-2 text-red-300">
+          The feature tree itself admits no product.
+        </p>
+      )}
+      <ConstraintIssues issues={analysis.constraintIssues} />
+    </div>
+  );
+}
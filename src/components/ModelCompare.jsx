@@ -0,0 +1,175 @@
+import { useState } from "react";
+import { useApp } from "../state/store";
+import { GitCompare, X } from "lucide-react";
+import validateJSON from "../core/validateJSON";
+import { validateModel } from "../core/parser";
+import { loadJSONFile } from "../data/loaders/jsonLoader";
+import { diffStyles } from "../core/drawDiff";
+
+// Symbols match the badges on the tree; colours are lighter for the dark panel
+const added = { symbol: diffStyles.added.symbol, className: "text-green-300" };
+const removed = {
+  symbol: diffStyles.removed.symbol,
+  className: "text-red-300",
+};
+const changed = {
+  symbol: diffStyles.changed.symbol,
+  className: "text-amber-300",
+};
+
+const EDIT_KINDS = {
+  refactoring: "Refactoring: both versions allow exactly the same products.",
+  specialization:
+    "Specialization: the new version only removes products, so some existing configurations break.",
+  generalization:
+    "Generalization: the new version only adds products, so every existing configuration stays valid.",
+  arbitrary: "Arbitrary edit: the new version both removes and adds products.",
+};
+
+const CHANGE_STYLES = {
+  added,
+  "constraint-added": added,
+  removed,
+  "constraint-removed": removed,
+  type: changed,
+  parent: changed,
+  label: changed,
+};
+
+export default function ModelCompare() {
+  const {
+    model,
+    comparedModel,
+    setComparedModel,
+    modelDiff,
+    productDiff,
+    tooLarge,
+    setSearchHits,
+  } = useApp();
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  async function handleFileInputChange(event) {
+    const selectedFile = event.target.files?.[0];
+    if (!selectedFile) return;
+
+    try {
+      setErrorMessage(null);
+      const parsed = await loadJSONFile(selectedFile);
+      validateJSON(parsed);
+      const { ok, errors } = validateModel(parsed);
+      if (!ok) throw new Error(errors.join("; "));
+      setComparedModel({ name: selectedFile.name, model: parsed });
+    } catch (err) {
+      const msg =
+        err instanceof Error ? err.message : "Invalid or unreadable file.";
+      setErrorMessage("Failed to load file: " + msg);
+    } finally {
+      event.target.value = "";
+    }
+  }
+
+  const changes = modelDiff?.changes || [];
+
+  return (
+    <div className="w-full max-w-lg px-4 py-3 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+      <div className="flex items-center gap-2">
+        <GitCompare size={18} className="text-blue-400 shrink-0" />
+        {comparedModel ? (
+          <span className="truncate text-gray-200">
+            {model.root} → {comparedModel.name}
+          </span>
+        ) : (
+          <span>Compare with another version of this model</span>
+        )}
+        <label className="ml-auto px-3 py-1 rounded-md border border-gray-600 hover:bg-gray-800 transition cursor-pointer">
+          {comparedModel ? "Replace" : "Compare"}
+          <input
+            type="file"
+            accept="application/json,.json,.uvl,.xml"
+            aria-label="Model version to compare"
+            onChange={handleFileInputChange}
+            className="hidden"
+          />
+        </label>
+        {comparedModel && (
+          <button
+            onClick={() => setComparedModel(null)}
+            aria-label="Stop comparing"
+            className="p-1 rounded-md text-gray-400 hover:text-gray-200 hover:bg-gray-800 transition"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {errorMessage && (
+        <p role="alert" className="mt-2 text-red-300">
+          {errorMessage}
+        </p>
+      )}
+
+      {modelDiff &&
+        (changes.length ? (
+          <ul className="mt-2 space-y-0.5 font-mono text-xs">
+            {changes.map((change, index) => (
+              <li key={index}>
+                <button
+                  onClick={() =>
+                    change.feature && setSearchHits([change.feature])
+                  }
+                  className={`text-left hover:underline ${
+                    CHANGE_STYLES[change.kind].className
+                  }`}
+                >
+                  {CHANGE_STYLES[change.kind].symbol} {change.text}
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-green-300">The two versions are identical.</p>
+        ))}
+
+      {tooLarge?.productDiff && (
+        <p className="mt-3 pt-2 border-t border-gray-700 text-gray-400">
+          The models are too large to compare their products.
+        </p>
+      )}
+
+      {productDiff && (
+        <div className="mt-3 pt-2 border-t border-gray-700">
+          <p>{EDIT_KINDS[productDiff.kind]}</p>
+          <p className="mt-1 text-xs text-gray-500 font-mono">
+            {productDiff.baseTotal.toLocaleString("en-US")} →{" "}
+            {productDiff.comparedTotal.toLocaleString("en-US")} valid product
+            {productDiff.comparedTotal === 1n ? "" : "s"}
+          </p>
+          {[
+            ["Only valid before", productDiff.lost],
+            [`Only valid in ${comparedModel.name}`, productDiff.gained],
+          ].map(
+            ([title, products]) =>
+              products.length > 0 && (
+                <div key={title} className="mt-2">
+                  <p className="text-xs text-gray-400">{title}:</p>
+                  <ul className="mt-0.5 space-y-0.5 font-mono text-xs">
+                    {products.map((product) => (
+                      <li key={product.join()}>
+                        <button
+                          onClick={() => setSearchHits(product)}
+                          className="text-left text-gray-200 hover:underline"
+                          title="Highlight in the tree"
+                        >
+                          {product.join(", ")}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
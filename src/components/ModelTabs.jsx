@@ -0,0 +1,57 @@
+import { useApp } from "../state/store";
+import { Plus, X } from "lucide-react";
+import { currentState } from "../core/history";
+import { tabTitle } from "../core/workspace";
+
+export default function ModelTabs() {
+  const { tabs, activeTabId, openTab, selectTab, closeTab } = useApp();
+
+  // A single empty tab has nothing to switch to
+  if (tabs.length === 1 && !currentState(tabs[0].history).model) return null;
+
+  return (
+    <div className="w-full max-w-3xl mx-auto flex items-end gap-1 border-b border-gray-700 text-sm">
+      <div role="tablist" className="flex gap-1 overflow-x-auto">
+        {tabs.map((tab) => {
+          const title = tabTitle(tab);
+          const selected = tab.id === activeTabId;
+          return (
+            <div
+              key={tab.id}
+              className={`flex items-center gap-1 pl-3 pr-1 py-1.5 rounded-t-md border border-b-0 transition ${
+                selected
+                  ? "border-blue-400 bg-blue-900/40 text-blue-100"
+                  : "border-gray-700 bg-gray-900/70 text-gray-400 hover:text-gray-200"
+              }`}
+            >
+              <button
+                role="tab"
+                aria-selected={selected}
+                onClick={() => selectTab(tab.id)}
+                className="max-w-[12rem] truncate"
+                title={title}
+              >
+                {title}
+              </button>
+              <button
+                onClick={() => closeTab(tab.id)}
+                aria-label={`Close ${title}`}
+                className="p-0.5 rounded hover:bg-gray-700"
+              >
+                <X size={12} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button
+        onClick={openTab}
+        aria-label="New tab"
+        title="Open another model"
+        className="mb-1 p-1 rounded-md border border-gray-600 text-gray-400 hover:bg-gray-800 hover:text-gray-200"
+      >
+        <Plus size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import { useEffect, useId, useState } from "react";
+import { useApp } from "../state/store";
+import { Target } from "lucide-react";
+import {
+  collectAttributeTypes,
+  formatAttributeValue,
+} from "../core/attributes";
+import {
+  optimizeConfiguration,
+  parseLimit,
+  describeLimit,
+  findUnknownLimit,
+} from "../core/optimize";
+
+export default function Optimizer() {
+  const { model, configuration, setSearchHits } = useApp();
+  const [objective, setObjective] = useState("");
+  const [direction, setDirection] = useState("min");
+  const [limitText, setLimitText] = useState("");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const errorId = useId();
+
+  // An optimum only holds for the model and decisions it was found under
+  useEffect(() => {
+    setResult(null);
+    setError("");
+  }, [model, configuration]);
+
+  const numericAttributes = [...collectAttributeTypes(model)]
+    .filter(([, type]) => type === "number")
+    .map(([name]) => name);
+  if (!numericAttributes.length) return null;
+
+  const attribute = numericAttributes.includes(objective)
+    ? objective
+    : numericAttributes[0];
+  const pinnedCount = Object.keys(configuration || {}).length;
+
+  // Limits are comma-separated, e.g. "memoryKB <= 512, cost >= 20"
+  const handleOptimize = () => {
+    const parts = limitText
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+    const limits = parts.map(parseLimit);
+    const invalid = parts.find((_, index) => !limits[index]);
+    if (invalid) {
+      setError(`Cannot read limit "${invalid}". Use e.g. memoryKB <= 512.`);
+      setResult(null);
+      return;
+    }
+    const unknown = findUnknownLimit(model, limits);
+    if (unknown) {
+      setError(
+        `No feature has a numeric attribute "${unknown.attribute}". ` +
+          `Limits can use ${numericAttributes.join(", ")}.`
+      );
+      setResult(null);
+      return;
+    }
+
+    setError("");
+    const optimum = optimizeConfiguration(model, {
+      attribute,
+      direction,
+      pinned: configuration,
+      limits,
+    });
+    setResult({ ...optimum, attribute, direction, limits });
+    setSearchHits(optimum.features);
+  };
+
+  return (
+    <div className="w-full max-w-3xl mx-auto px-4 py-3 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+      <div className="flex flex-wrap items-center gap-2">
+        <Target size={18} className="text-blue-400 shrink-0" />
+        <select
+          aria-label="Optimization direction"
+          value={direction}
+          onChange={(event) => setDirection(event.target.value)}
+          className="px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-200"
+        >
+          <option value="min">Minimize</option>
+          <option value="max">Maximize</option>
+        </select>
+        <select
+          aria-label="Objective attribute"
+          value={attribute}
+          onChange={(event) => setObjective(event.target.value)}
+          className="px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-200 font-mono"
+        >
+          {numericAttributes.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          aria-label="Limits"
+          value={limitText}
+          onChange={(event) => setLimitText(event.target.value)}
+          placeholder="Limits, e.g. memoryKB <= 512"
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? errorId : undefined}
+          className={`flex-1 min-w-40 px-2 py-1 rounded-md bg-gray-800 border ${
+            error ? "border-red-400" : "border-gray-700"
+          } text-gray-200 placeholder-gray-500 font-mono`}
+        />
+        <button
+          onClick={handleOptimize}
+          className="px-3 py-1 rounded-md bg-blue-600 text-white hover:bg-blue-500 transition"
+        >
+          Optimize
+        </button>
+      </div>
+
+      {error && (
+        <p id={errorId} role="alert" className="mt-2 text-red-300">
+          {error}
+        </p>
+      )}
+
+      {pinnedCount > 0 && (
+        <p className="mt-1 text-xs text-gray-500">
+          Keeping {pinnedCount} feature decision{pinnedCount === 1 ? "" : "s"}{" "}
+          from Configure mode.
+        </p>
+      )}
+
+      {result &&
+        (result.features.length ? (
+          <div className="mt-2">
+            <p>
+              {result.status === "optimal" ? "Optimal" : "Best found"}{" "}
+              {result.attribute}:{" "}
+              <span className="font-mono text-green-300">
+                {formatAttributeValue(result.value)}
+              </span>
+              {result.status !== "optimal" &&
+                " (search stopped early, a better product may exist)"}
+              {result.limits.length > 0 &&
+                ` with ${result.limits.map(describeLimit).join(", ")}`}
+            </p>
+            <p className="mt-1 text-xs text-gray-400">
+              Highlighted in the tree:{" "}
+              <span className="font-mono">{result.features.join(", ")}</span>
+            </p>
+          </div>
+        ) : (
+          <p role="alert" className="mt-2 text-amber-300">
+            {result.status === "infeasible"
+              ? "No valid product satisfies these limits and decisions."
+              : "The search stopped before finding a product."}
+          </p>
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import { useEffect, useState } from "react";
+import { useApp } from "../state/store";
+import { ChevronLeft, ChevronRight, FlaskConical } from "lucide-react";
+import {
+  SAMPLING_STRENGTHS,
+  sampleConfigurations,
+  randomConfigurations,
+  sampleToCSV,
+  sampleToJSON,
+} from "../core/sampling";
+import { ACTION_TIME_LIMIT, withTimeLimit } from "../core/timeLimit";
+import { downloadText } from "../utils/download";
+
+const STRENGTH_LABELS = { 1: "features", 2: "pairs", 3: "triples" };
+
+export default function SamplePlanner() {
+  const { model, setSearchHits } = useApp();
+  const [strategy, setStrategy] = useState("2"); // a strength or "random"
+  const [batchSize, setBatchSize] = useState(10);
+  const [seed, setSeed] = useState("");
+  const [sample, setSample] = useState(null);
+  const [step, setStep] = useState(0);
+  const [tooLarge, setTooLarge] = useState(false);
+
+  // A sample only describes the model it was drawn from
+  useEffect(() => {
+    setSample(null);
+    setStep(0);
+    setTooLarge(false);
+  }, [model]);
+
+  const show = (result, index) => {
+    setStep(index);
+    setSearchHits(result.configurations[index] || []);
+  };
+
+  // An empty seed field lets the generator pick a seed, which is then shown
+  // so the batch can be reproduced
+  const handleSample = () => {
+    const run = withTimeLimit(ACTION_TIME_LIMIT, () =>
+      strategy === "random"
+        ? randomConfigurations(model, {
+            count: batchSize,
+            seed: seed.trim() || undefined,
+          })
+        : sampleConfigurations(model, Number(strategy))
+    );
+    const result = run.result || null;
+    setTooLarge(!result);
+    setSample(result);
+    if (result) show(result, 0);
+    else setSearchHits([]);
+  };
+
+  const isRandom = sample?.seed !== undefined;
+  const baseName = isRandom
+    ? `random-products-${sample.seed}`
+    : `sample-t${sample?.t}`;
+  const count = sample?.configurations.length || 0;
+
+  return (
+    <div className="w-full max-w-3xl mx-auto px-4 py-3 rounded-lg bg-gray-900/70 border border-gray-700 text-sm text-gray-300">
+      <div className="flex flex-wrap items-center gap-2">
+        <FlaskConical size={18} className="text-blue-400 shrink-0" />
+        <span>Test sample</span>
+        <select
+          aria-label="Sampling strategy"
+          value={strategy}
+          onChange={(event) => setStrategy(event.target.value)}
+          className="px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-200"
+        >
+          {SAMPLING_STRENGTHS.map((t) => (
+            <option key={t} value={String(t)}>
+              Covering all valid {STRENGTH_LABELS[t]} (t={t})
+            </option>
+          ))}
+          <option value="random">Random products</option>
+        </select>
+        {strategy === "random" && (
+          <>
+            <input
+              aria-label="Batch size"
+              type="number"
+              min={1}
+              max={1000}
+              value={batchSize}
+              onChange={(event) =>
+                setBatchSize(
+                  Math.min(1000, Math.max(1, Number(event.target.value) || 1))
+                )
+              }
+              className="w-20 px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-200"
+            />
+            <input
+              aria-label="Seed"
+              value={seed}
+              onChange={(event) => setSeed(event.target.value)}
+              placeholder="Seed (optional)"
+              className="w-32 px-2 py-1 rounded-md bg-gray-800 border border-gray-700 text-gray-200 placeholder-gray-500 font-mono"
+            />
+          </>
+        )}
+        <button
+          onClick={handleSample}
+          className="px-3 py-1 rounded-md bg-blue-600 text-white hover:bg-blue-500 transition"
+        >
+          Generate
+        </button>
+        {count > 0 && (
+          <div className="ml-auto flex gap-2">
+            <button
+              onClick={() =>
+                downloadText(`${baseName}.csv`, sampleToCSV(sample), "text/csv")
+              }
+              className="px-2 py-1 rounded-md border border-gray-600 hover:bg-gray-800 transition"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() =>
+                downloadText(
+                  `${baseName}.json`,
+                  sampleToJSON(sample),
+                  "application/json"
+                )
+              }
+              className="px-2 py-1 rounded-md border border-gray-600 hover:bg-gray-800 transition"
+            >
+              Export JSON
+            </button>
+          </div>
+        )}
+      </div>
+
+      {tooLarge && (
+        <p role="alert" className="mt-2 text-amber-300">
+          This model is too large to sample in the browser. Try a lower strength
+          or a smaller batch.
+        </p>
+      )}
+
+      {sample && !count && (
+        <p role="alert" className="mt-2 text-amber-300">
+          The model is void, so there is nothing to sample.
+        </p>
+      )}
+
+      {count > 0 && (
+        <>
+          <div className="mt-2 flex items-center gap-2">
+            <button
+              aria-label="Previous configuration"
+              disabled={step === 0}
+              onClick={() => show(sample, step - 1)}
+              className="p-1 rounded-md border border-gray-600 hover:bg-gray-800 disabled:opacity-40"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            <span>
+              Configuration {step + 1} of {count}, highlighted in the tree
+            </span>
+            <button
+              aria-label="Next configuration"
+              disabled={step === count - 1}
+              onClick={() => show(sample, step + 1)}
+              className="p-1 rounded-md border border-gray-600 hover:bg-gray-800 disabled:opacity-40"
+            >
+              <ChevronRight size={16} />
+            </button>
+            <span className="ml-auto text-xs text-gray-500">
+              {isRandom
+                ? `Seed ${sample.seed}`
+                : `${sample.covered.toLocaleString(
+                    "en-US"
+                  )} interactions covered`}
+            </span>
+          </div>
+
+          <div className="mt-2 max-h-72 overflow-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr>
+                  <th className="sticky left-0 bg-gray-900 px-2 py-1 text-left">
+                    #
+                  </th>
+                  {sample.features.map((id) => (
+                    <th
+                      key={id}
+                      className="px-2 py-1 font-normal text-gray-400 whitespace-nowrap"
+                    >
+                      {id}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sample.configurations.map((selected, index) => (
+                  <tr
+                    key={index}
+                    aria-selected={index === step}
+                    onClick={() => show(sample, index)}
+                    className={`cursor-pointer ${
+                      index === step ? "bg-blue-900/50" : "hover:bg-gray-800"
+                    }`}
+                  >
+                    <td className="sticky left-0 bg-gray-900 px-2 py-1">
+                      {index + 1}
+                    </td>
+                    {sample.features.map((id) => (
+                      <td key={id} className="px-2 py-1 text-center">
+                        {selected.includes(id) ? "✓" : ""}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
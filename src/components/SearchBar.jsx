@@ -1,4 +1,4 @@
-import { useMemo, useEffect, useState } from "react";
+import { useMemo, useEffect, useRef, useState } from "react";
 import { useApp } from "../state/store";
 import { searchFeatures } from "../core/search";
 import { Search, XCircle } from "lucide-react";
@@ -7,6 +7,7 @@ import { Search, XCircle } from "lucide-react";
 export default function ControlBar() {
   const { model, setSearchHits, query, setQuery } = useApp();
   const [searchResultCount, setSearchResultCount] = useState(null);
+  const searchedQueryRef = useRef("");
 
   // Memoize feature list for performance
   const featureList = useMemo(() => model?.features || [], [model]);
@@ -14,9 +15,13 @@ export default function ControlBar() {
   // Handle live search updates
   useEffect(() => {
     const trimmedQuery = query?.trim();
+    const previousQuery = searchedQueryRef.current;
+    searchedQueryRef.current = trimmedQuery;
 
+    // Without a query only clearing one drops the highlights, so highlights
+    // set elsewhere (samples, restored sessions) survive a model change
     if (!trimmedQuery) {
-      setSearchHits([]);
+      if (previousQuery) setSearchHits([]);
       setSearchResultCount(null);
       return;
     }
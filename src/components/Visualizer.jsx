@@ -4,17 +4,88 @@ import { useApp } from "../state/store";
 import LegendSection from "./LegendSelection";
 import buildGraphHierarchy from "../core/buildGraphHierarchy";
 import drawLinks from "../core/drawLinks";
-import drawNodes from "../core/drawNodes";
+import drawGroups from "../core/drawGroups";
+import drawNodes, {
+  drawConfigurationStates,
+  applyNodeTooltips,
+} from "../core/drawNodes";
 import drawConstraints from "../core/drawConstraints";
-import applyHighlights from "../core/applyHighlights";
+import drawExplanation from "../core/drawExplanation";
+import drawConstraintFocus from "../core/drawConstraintFocus";
+import { configurationFileStates } from "../core/configurationFile";
+import drawDiff from "../core/drawDiff";
+import applyHighlights, {
+  applyAnalysisHighlights,
+} from "../core/applyHighlights";
+import { toggleDecision } from "../core/configurator";
+import { commitModelEdit, moveFeature } from "../core/editModel";
+import ConfigurationStatus from "./ConfigurationStatus";
+import FeatureInspector from "./FeatureInspector";
 
 export default function GraphView({ graph, highlights = [], model }) {
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [isConfiguring, setIsConfiguring] = useState(false);
+  const [moveErrors, setMoveErrors] = useState([]);
   const svgRef = useRef();
   const zoomRef = useRef(d3.zoomIdentity);
   const containerRef = useRef(null);
 
-  const { setSearchHits, setQuery } = useApp();
+  const {
+    setSearchHits,
+    setQuery,
+    analysis,
+    counts,
+    configurationState,
+    setConfiguration,
+    setActiveId,
+    explanation,
+    focusedIssue,
+    loadedConfiguration,
+    modelDiff,
+    setEditTarget,
+    zoomState,
+    setZoomState,
+    model: loadedModel,
+    setModel,
+    setGraph,
+    fileName,
+  } = useApp();
+
+  // While comparing, the tree shows the merged model of the diff. Findings,
+  // counts, decisions and constraint indexes belong to the loaded model
+  // alone, so they stay off the tree and the tree cannot be edited.
+  const comparing = Boolean(modelDiff);
+  const configuring = isConfiguring && !comparing;
+  const treeAnalysis = comparing ? null : analysis;
+  const treeCounts = comparing ? null : counts;
+
+  // A refused move is about the model it was tried on
+  useEffect(
+    () => setMoveErrors((errors) => (errors.length ? [] : errors)),
+    [loadedModel]
+  );
+
+  // Read through a ref so that saving a zoom does not redraw the tree
+  const zoomStateRef = useRef(zoomState);
+  useEffect(() => {
+    zoomStateRef.current = zoomState;
+  }, [zoomState]);
+
+  // Node clicks go through a ref so toggling configure mode does not redraw.
+  // Outside configure mode a click opens the feature in the inspector.
+  const nodeClickRef = useRef(null);
+  useEffect(() => {
+    nodeClickRef.current = configuring
+      ? (featureId) =>
+          setConfiguration((decisions) =>
+            toggleDecision(
+              decisions,
+              featureId,
+              configurationState?.states[featureId]
+            )
+          )
+      : setActiveId;
+  }, [configuring, configurationState, setConfiguration, setActiveId]);
 
   // D3 graph state
   const graphStateRef = useRef({
@@ -24,6 +95,8 @@ export default function GraphView({ graph, highlights = [], model }) {
     viewHeight: 0,
     zoomBehavior: null,
     initialTransform: null,
+    nodeSelection: null,
+    rootNode: null,
   });
 
   const toggleFullscreen = () => {
@@ -68,14 +141,34 @@ export default function GraphView({ graph, highlights = [], model }) {
 
     // Draw
     const linkSelection = drawLinks(treeContainer, rootNode);
+    drawGroups(treeContainer, rootNode);
     const nodeSelection = drawNodes(
       treeContainer,
       rootNode,
       model,
       setSearchHits,
-      setQuery
+      setQuery,
+      (featureId) => nodeClickRef.current?.(featureId),
+      comparing
+        ? null
+        : (featureId, event) =>
+            setEditTarget({ featureId, x: event.clientX, y: event.clientY }),
+      // Dropping a node onto another makes it a child of that feature
+      comparing
+        ? null
+        : (featureId, parentId) =>
+            setMoveErrors(
+              commitModelEdit(
+                model,
+                (m) => moveFeature(m, featureId, parentId),
+                setModel,
+                setGraph
+              )
+            )
     );
+    applyNodeTooltips(nodeSelection, treeCounts);
     drawConstraints(treeContainer, model, rootNode);
+    applyAnalysisHighlights(nodeSelection, treeAnalysis);
     applyHighlights(nodeSelection, linkSelection, highlights, rootNode);
 
     // Zoom behavior with Shift-only wheel zoom
@@ -94,6 +187,10 @@ export default function GraphView({ graph, highlights = [], model }) {
       .on("zoom", (event) => {
         treeContainer.attr("transform", event.transform);
         zoomRef.current = event.transform;
+      })
+      .on("end", (event) => {
+        const { x, y, k } = event.transform;
+        setZoomState({ model, transform: { x, y, k } });
       });
 
     svg.call(zoomBehavior);
@@ -112,11 +209,17 @@ export default function GraphView({ graph, highlights = [], model }) {
       .translate(fitTx, fitTy)
       .scale(fitScale);
 
-    svg
-      .transition()
-      .duration(600)
-      .call(zoomBehavior.transform, initialTransform);
-    zoomRef.current = initialTransform;
+    // A zoom left on this same model, e.g. before a reload, wins over the fit
+    const saved =
+      zoomStateRef.current?.model === model
+        ? zoomStateRef.current.transform
+        : null;
+    const startTransform = saved
+      ? d3.zoomIdentity.translate(saved.x, saved.y).scale(saved.k)
+      : initialTransform;
+
+    svg.transition().duration(600).call(zoomBehavior.transform, startTransform);
+    zoomRef.current = startTransform;
 
     // Persist graph state
     graphStateRef.current = {
@@ -126,8 +229,87 @@ export default function GraphView({ graph, highlights = [], model }) {
       viewHeight,
       zoomBehavior,
       initialTransform,
+      nodeSelection,
+      rootNode,
     };
-  }, [model, graph, highlights, setSearchHits, setQuery]);
+  }, [
+    model,
+    graph,
+    highlights,
+    comparing,
+    treeAnalysis,
+    treeCounts,
+    setSearchHits,
+    setQuery,
+    setEditTarget,
+    setModel,
+    setGraph,
+    setZoomState,
+  ]);
+
+  // Configuration badges, explanations, focused constraint findings and the
+  // model diff live in their own layers so that clicking through them does
+  // not reset the zoom. The redraw dependencies repeat those of the main draw
+  // effect, which wipes the layers.
+  useEffect(() => {
+    const { treeContainer, nodeSelection, rootNode } = graphStateRef.current;
+    if (!treeContainer || !nodeSelection || !rootNode) return;
+    // Outside Configure mode an uploaded configuration file is overlaid
+    drawConfigurationStates(
+      treeContainer,
+      nodeSelection,
+      rootNode,
+      configuring
+        ? configurationState
+        : loadedConfiguration && !comparing
+        ? configurationFileStates(model, loadedConfiguration)
+        : null
+    );
+    drawExplanation(
+      treeContainer,
+      rootNode,
+      model,
+      configuring ? explanation : null
+    );
+    drawConstraintFocus(
+      treeContainer,
+      rootNode,
+      model,
+      comparing ? null : focusedIssue
+    );
+    // Drawn last so that removed features stay faded
+    drawDiff(treeContainer, rootNode, nodeSelection, model, modelDiff);
+  }, [
+    configuring,
+    comparing,
+    configurationState,
+    explanation,
+    focusedIssue,
+    loadedConfiguration,
+    modelDiff,
+    model,
+    graph,
+    highlights,
+    treeAnalysis,
+    treeCounts,
+  ]);
+
+  // A zoom set from outside the tree, e.g. by opening a link, is animated to
+  useEffect(() => {
+    const { svgSelection, zoomBehavior } = graphStateRef.current;
+    const saved = zoomState?.model === model ? zoomState.transform : null;
+    if (!svgSelection || !zoomBehavior || !saved) return;
+    const { x, y, k } = zoomRef.current;
+    if (saved.x === x && saved.y === y && saved.k === k) return;
+    const transform = d3.zoomIdentity
+      .translate(saved.x, saved.y)
+      .scale(saved.k);
+    svgSelection
+      .transition()
+      .duration(600)
+      .call(zoomBehavior.transform, transform);
+    zoomRef.current = transform;
+  }, [zoomState, model]);
 
   // Align Center (pan only, and maintain keep current zoom level)
   const handleAlignCenter = () => {
@@ -209,7 +391,43 @@ export default function GraphView({ graph, highlights = [], model }) {
           ></svg>
         </div>
 
+        {configuring && (
+          <div className="absolute top-4 left-4">
+            <ConfigurationStatus />
+          </div>
+        )}
+
+        {moveErrors.length > 0 && (
+          <div
+            role="alert"
+            className="absolute top-4 left-1/2 -translate-x-1/2 max-w-md px-3 py-2 rounded-md bg-white/95 border border-red-200 shadow-sm text-xs text-red-600 font-mono"
+          >
+            {moveErrors.join(" ")}
+          </div>
+        )}
+
+        <div className="absolute bottom-4 left-4">
+          <FeatureInspector />
+        </div>
+
         <div className="absolute top-4 right-4 flex flex-col gap-2">
+          <button
+            onClick={() => setIsConfiguring((on) => !on)}
+            disabled={comparing}
+            className={`px-3 py-1.5 text-xs rounded-md shadow transition disabled:opacity-50 disabled:cursor-not-allowed ${
+              configuring
+                ? "bg-green-700 text-white hover:bg-green-600"
+                : "bg-slate-900 text-white hover:bg-slate-800"
+            }`}
+            title={
+              comparing
+                ? "Configuring is off while comparing models"
+                : "Select and deselect features by clicking them"
+            }
+            aria-pressed={configuring}
+          >
+            {configuring ? "Exit Configure" : "Configure"}
+          </button>
           <button
             onClick={handleAlignCenter}
             className="px-3 py-1.5 bg-slate-900 text-white text-xs rounded-md shadow hover:bg-slate-800 transition"
@@ -230,6 +448,8 @@ export default function GraphView({ graph, highlights = [], model }) {
       <LegendSection
         isFullscreen={isFullscreen}
         toggleFullscreen={toggleFullscreen}
+        model={loadedModel}
+        fileName={fileName}
       />
     </div>
   );
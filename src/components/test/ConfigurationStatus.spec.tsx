@@ -0,0 +1,219 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import ConfigurationStatus from "../ConfigurationStatus";
+import { useApp } from "../../state/store";
+import { downloadText } from "../../utils/download";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+vi.mock("../../utils/download", () => ({
+  downloadText: vi.fn(),
+}));
+
+describe("ConfigurationStatus Component", () => {
+  const setConfiguration = vi.fn();
+  const setExplainedId = vi.fn();
+
+  function mockState(
+    configurationState,
+    attributeTotals = null,
+    explanation = null
+  ) {
+    (useApp as any).mockReturnValue({
+      model: {
+        root: "A",
+        features: [
+          { id: "A" },
+          { id: "B", parent: "A" },
+          { id: "C", parent: "A" },
+        ],
+      },
+      configurationState,
+      setConfiguration,
+      attributeTotals,
+      explanation,
+      setExplainedId,
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("renders nothing without a configuration state", () => {
+    mockState(null);
+    const { container } = render(<ConfigurationStatus />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("shows counts for a partial configuration", () => {
+    mockState({
+      states: { A: "selected", B: "deselected", C: "undecided" },
+      sources: { A: "user" },
+      contradictory: false,
+      complete: false,
+      conflictingDecisions: [],
+    });
+    render(<ConfigurationStatus />);
+    expect(screen.getByText("1 selected")).toBeInTheDocument();
+    expect(screen.getByText("1 deselected")).toBeInTheDocument();
+    expect(screen.getByText("1 undecided")).toBeInTheDocument();
+    expect(
+      screen.getByText(/Partial: 1 feature still open/)
+    ).toBeInTheDocument();
+  });
+
+  test("reports a complete configuration", () => {
+    mockState({
+      states: { A: "selected", B: "deselected" },
+      sources: {},
+      contradictory: false,
+      complete: true,
+      conflictingDecisions: [],
+    });
+    render(<ConfigurationStatus />);
+    expect(
+      screen.getByText(/Complete: this is a valid product/)
+    ).toBeInTheDocument();
+  });
+
+  test("names the conflicting decisions of a contradictory configuration", () => {
+    mockState({
+      states: { A: "selected", B: "selected" },
+      sources: { A: "user", B: "user" },
+      contradictory: true,
+      complete: false,
+      conflictingDecisions: ["A", "B"],
+    });
+    render(<ConfigurationStatus />);
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      /Contradictory: your decisions on A, B cannot all hold/
+    );
+  });
+
+  test("Reset clears all decisions", () => {
+    mockState({
+      states: {},
+      sources: {},
+      contradictory: false,
+      complete: true,
+      conflictingDecisions: [],
+    });
+    render(<ConfigurationStatus />);
+    fireEvent.click(screen.getByRole("button", { name: /Reset/i }));
+    expect(setConfiguration).toHaveBeenCalledWith({});
+  });
+
+  test("lists running attribute totals", () => {
+    mockState(
+      {
+        states: { A: "selected", B: "undecided" },
+        sources: { A: "user" },
+        contradictory: false,
+        complete: false,
+        conflictingDecisions: [],
+      },
+      [
+        {
+          name: "cost",
+          sum: 1234.5,
+          min: 4,
+          max: 1230.5,
+          count: 2,
+          undecided: 1,
+        },
+        {
+          name: "memoryKB",
+          sum: 0,
+          min: null,
+          max: null,
+          count: 0,
+          undecided: 0,
+        },
+      ]
+    );
+    render(<ConfigurationStatus />);
+    const costRow = screen.getByText("cost").closest("tr");
+    expect(costRow).toHaveTextContent("1,234.5");
+    expect(costRow).toHaveAttribute(
+      "title",
+      "1 undecided feature(s) may still change this"
+    );
+    expect(screen.getByText("memoryKB").closest("tr")).toHaveTextContent("–");
+  });
+
+  test("offers an explanation for every forced feature", () => {
+    mockState({
+      states: { Car: "selected", ABS: "selected", Gasoline: "deselected" },
+      sources: { Car: "propagated", ABS: "propagated", Gasoline: "user" },
+      contradictory: false,
+      complete: true,
+      conflictingDecisions: [],
+    });
+    render(<ConfigurationStatus />);
+    expect(screen.queryByTitle("Why is Gasoline deselected?")).toBeNull();
+    fireEvent.click(screen.getByTitle("Why is ABS selected?"));
+    expect(setExplainedId).toHaveBeenCalledWith("ABS");
+  });
+
+  test("lists the steps of the current explanation", () => {
+    mockState(
+      {
+        states: { ABS: "selected", ElectricMotor: "selected" },
+        sources: { ABS: "propagated", ElectricMotor: "user" },
+        contradictory: false,
+        complete: true,
+        conflictingDecisions: [],
+      },
+      null,
+      {
+        feature: "ABS",
+        state: "selected",
+        steps: [
+          { text: "ABS selected because ElectricMotor requires ABS" },
+          { text: "ElectricMotor was selected by you" },
+        ],
+      }
+    );
+    render(<ConfigurationStatus />);
+    expect(screen.getByText("Why is ABS selected?")).toBeInTheDocument();
+    const steps = screen.getAllByRole("listitem").map((li) => li.textContent);
+    expect(steps).toEqual([
+      "ABS selected because ElectricMotor requires ABS",
+      "ElectricMotor was selected by you",
+    ]);
+    fireEvent.click(screen.getByRole("button", { name: /Close explanation/i }));
+    expect(setExplainedId).toHaveBeenCalledWith(null);
+  });
+
+  test("exports the decisions and open features as a configuration file", () => {
+    mockState({
+      states: { A: "selected", B: "deselected", C: "undecided" },
+      sources: { A: "user" },
+      contradictory: false,
+      complete: false,
+      conflictingDecisions: [],
+    });
+    render(<ConfigurationStatus />);
+    fireEvent.click(screen.getByRole("button", { name: /export/i }));
+
+    const [name, text, type] = (downloadText as any).mock.calls[0];
+    expect(name).toBe("A-configuration.json");
+    expect(type).toBe("application/json");
+    expect(JSON.parse(text)).toEqual({
+      model: "A",
+      selected: ["A"],
+      deselected: ["B"],
+      undecided: ["C"],
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  cleanup,
+} from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import ConfigurationUpload from "../ConfigurationUpload";
+import { useApp } from "../../state/store";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+function makeFile(name: string, content: string): File {
+  const file = new File([content], name, { type: "application/json" });
+  file.text = vi.fn().mockResolvedValueOnce(content);
+  return file;
+}
+
+describe("ConfigurationUpload Component", () => {
+  const setLoadedConfiguration = vi.fn();
+  const setFocusedIssue = vi.fn();
+
+  function mockState(state = {}) {
+    (useApp as any).mockReturnValue({
+      loadedConfiguration: null,
+      setLoadedConfiguration,
+      configurationCheck: null,
+      focusedIssue: null,
+      setFocusedIssue,
+      ...state,
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockState();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("loads a configuration file", async () => {
+    render(<ConfigurationUpload />);
+    const file = makeFile(
+      "build-42.json",
+      JSON.stringify({ model: "Phone", selected: ["Phone"] })
+    );
+    fireEvent.change(screen.getByLabelText("Configuration file"), {
+      target: { files: [file] },
+    });
+
+    await waitFor(() =>
+      expect(setLoadedConfiguration).toHaveBeenCalledWith({
+        model: "Phone",
+        selected: ["Phone"],
+        deselected: [],
+        undecided: [],
+        name: "build-42.json",
+      })
+    );
+  });
+
+  test("explains why a file cannot be loaded", async () => {
+    render(<ConfigurationUpload />);
+    fireEvent.change(screen.getByLabelText("Configuration file"), {
+      target: { files: [makeFile("bad.json", JSON.stringify({ model: "" }))] },
+    });
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      /Failed to load configuration: Missing 'model'/
+    );
+    expect(setLoadedConfiguration).not.toHaveBeenCalled();
+  });
+
+  test("confirms a valid product", () => {
+    mockState({
+      loadedConfiguration: { name: "ok.json" },
+      configurationCheck: { valid: true, violations: [] },
+    });
+    render(<ConfigurationUpload />);
+    expect(screen.getByText("ok.json")).toBeInTheDocument();
+    expect(screen.getByText(/Valid product/)).toBeInTheDocument();
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Clear configuration" })
+    );
+    expect(setLoadedConfiguration).toHaveBeenCalledWith(null);
+  });
+
+  test("lists every violation and highlights the picked one", () => {
+    const violations = [
+      {
+        kind: "mandatory",
+        features: ["Screen", "Phone"],
+        constraints: [],
+        message: "Mandatory feature Screen is missing under Phone",
+      },
+      {
+        kind: "unknown",
+        features: [],
+        constraints: [],
+        message: "Unknown feature Radio",
+      },
+    ];
+    mockState({
+      loadedConfiguration: { name: "broken.json" },
+      configurationCheck: { valid: false, violations },
+      focusedIssue: violations[1],
+    });
+    render(<ConfigurationUpload />);
+
+    expect(screen.getByText("2 violations:")).toBeInTheDocument();
+    fireEvent.click(
+      screen.getByRole("button", { name: /Mandatory feature Screen/ })
+    );
+    expect(setFocusedIssue).toHaveBeenCalledWith(violations[0]);
+    const focused = screen.getByRole("button", {
+      name: "Unknown feature Radio",
+    });
+    expect(focused).toHaveAttribute("aria-pressed", "true");
+    fireEvent.click(focused);
+    expect(setFocusedIssue).toHaveBeenLastCalledWith(null);
+  });
+});
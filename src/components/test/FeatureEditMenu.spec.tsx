@@ -0,0 +1,151 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import FeatureEditMenu from "../FeatureEditMenu";
+import { useApp } from "../../state/store";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const model = {
+  root: "Phone",
+  features: [
+    { id: "Phone", label: "Phone", type: "mandatory" },
+    { id: "Screen", label: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", label: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", label: "HD", type: "alternative", parent: "Screen" },
+    { id: "GPS", label: "GPS", type: "optional", parent: "Phone" },
+  ],
+  constraints: [{ type: "requires", a: "GPS", b: "HD" }],
+};
+
+describe("FeatureEditMenu Component", () => {
+  const setModel = vi.fn();
+  const setGraph = vi.fn();
+  const setEditTarget = vi.fn();
+  const setSearchHits = vi.fn();
+
+  function mockState(featureId: string | null) {
+    (useApp as any).mockReturnValue({
+      model,
+      setModel,
+      setGraph,
+      setSearchHits,
+      setEditTarget,
+      editTarget: featureId ? { featureId, x: 40, y: 60 } : null,
+    });
+  }
+
+  const editedModel = () => setModel.mock.calls.at(-1)[0];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockState("GPS");
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("renders nothing without a target", () => {
+    mockState(null);
+    const { container } = render(<FeatureEditMenu />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("renames the feature and rebuilds the graph", () => {
+    render(<FeatureEditMenu />);
+    expect(screen.getByRole("dialog", { name: "Edit GPS" })).toBeVisible();
+
+    fireEvent.change(screen.getByLabelText("Label"), {
+      target: { value: "Location" },
+    });
+    fireEvent.click(screen.getByText("Rename"));
+
+    expect(editedModel().features[4].label).toBe("Location");
+    expect(setGraph.mock.calls[0][0].nodes).toHaveLength(5);
+  });
+
+  test("adds a child and highlights it", () => {
+    render(<FeatureEditMenu />);
+    fireEvent.change(screen.getByLabelText("New child name"), {
+      target: { value: "Maps offline" },
+    });
+    fireEvent.click(screen.getByText("Add child"));
+
+    expect(editedModel().features.at(-1)).toEqual({
+      id: "MapsOffline",
+      label: "Maps offline",
+      type: "optional",
+      parent: "GPS",
+    });
+    expect(setSearchHits).toHaveBeenCalledWith(["MapsOffline"]);
+  });
+
+  test("changes the type and the parent", () => {
+    render(<FeatureEditMenu />);
+    fireEvent.change(screen.getByLabelText("Type"), {
+      target: { value: "mandatory" },
+    });
+    expect(editedModel().features[4].type).toBe("mandatory");
+
+    fireEvent.change(screen.getByLabelText("Parent"), {
+      target: { value: "Screen" },
+    });
+    expect(editedModel().features[4].parent).toBe("Screen");
+  });
+
+  test("offers only parents outside the feature's own subtree", () => {
+    mockState("Screen");
+    render(<FeatureEditMenu />);
+    const options = Array.from(
+      (screen.getByLabelText("Parent") as HTMLSelectElement).options
+    ).map((option) => option.value);
+    expect(options).toEqual(["Phone", "GPS"]);
+  });
+
+  test("deletes a subtree with its constraints and closes", () => {
+    mockState("Screen");
+    render(<FeatureEditMenu />);
+    fireEvent.click(screen.getByText("Delete subtree (3 features)"));
+
+    expect(editedModel().features.map((f: any) => f.id)).toEqual([
+      "Phone",
+      "GPS",
+    ]);
+    expect(editedModel().constraints).toEqual([]);
+    expect(setEditTarget).toHaveBeenCalledWith(null);
+  });
+
+  test("shows why an edit was refused and keeps the model", () => {
+    mockState("Basic");
+    render(<FeatureEditMenu />);
+    fireEvent.change(screen.getByLabelText("Type"), {
+      target: { value: "or" },
+    });
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Parent Screen mixes alternative and or children"
+    );
+    expect(setModel).not.toHaveBeenCalled();
+  });
+
+  test("the root can be renamed but not retyped, moved or deleted", () => {
+    mockState("Phone");
+    render(<FeatureEditMenu />);
+    expect(screen.getByLabelText("Label")).toBeVisible();
+    expect(screen.queryByLabelText("Type")).toBeNull();
+    expect(screen.queryByLabelText("Parent")).toBeNull();
+    expect(screen.queryByText(/Delete/)).toBeNull();
+  });
+
+  test("closes on Escape", () => {
+    render(<FeatureEditMenu />);
+    fireEvent.keyDown(window, { key: "Escape" });
+    expect(setEditTarget).toHaveBeenCalledWith(null);
+  });
+});
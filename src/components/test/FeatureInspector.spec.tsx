@@ -0,0 +1,82 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import FeatureInspector from "../FeatureInspector";
+import { useApp } from "../../state/store";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const model = {
+  root: "Board",
+  features: [
+    { id: "Board", type: "mandatory", attributes: { cost: 49 } },
+    {
+      id: "Radio",
+      label: "Radio Module",
+      type: "optional",
+      parent: "Board",
+      attributes: { cost: 1250.75, vendor: "Acme", certified: true },
+    },
+    { id: "Antenna", parent: "Radio" },
+  ],
+};
+
+describe("FeatureInspector Component", () => {
+  const setActiveId = vi.fn();
+
+  function mockState(activeId) {
+    (useApp as any).mockReturnValue({
+      model,
+      activeId,
+      setActiveId,
+      counts: { ratios: { Radio: 0.5 } },
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("renders nothing without an active feature", () => {
+    mockState(null);
+    const { container } = render(<FeatureInspector />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("shows the feature and its attributes", () => {
+    mockState("Radio");
+    render(<FeatureInspector />);
+    expect(screen.getByText("Radio Module")).toBeInTheDocument();
+    expect(screen.getByText("Board")).toBeInTheDocument();
+    expect(screen.getByText("50.0%")).toBeInTheDocument();
+    expect(screen.getByText("cost").closest("tr")).toHaveTextContent(
+      "1,250.75"
+    );
+    expect(screen.getByText("vendor").closest("tr")).toHaveTextContent("Acme");
+    expect(screen.getByText("certified").closest("tr")).toHaveTextContent(
+      "true"
+    );
+  });
+
+  test("says when a feature has no attributes", () => {
+    mockState("Antenna");
+    render(<FeatureInspector />);
+    expect(screen.getByText("No attributes.")).toBeInTheDocument();
+  });
+
+  test("close button clears the active feature", () => {
+    mockState("Board");
+    render(<FeatureInspector />);
+    fireEvent.click(screen.getByRole("button", { name: /Close inspector/i }));
+    expect(setActiveId).toHaveBeenCalledWith(null);
+  });
+});
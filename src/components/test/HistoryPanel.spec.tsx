@@ -0,0 +1,82 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import HistoryPanel from "../HistoryPanel";
+import { useApp } from "../../state/store";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const model = { root: "Phone", features: [{ id: "Phone" }] };
+const start = { model: null, searchHits: [], query: "", configuration: {} };
+const loaded = { ...start, model };
+const searched = { ...loaded, query: "GPS" };
+
+describe("HistoryPanel Component", () => {
+  const undo = vi.fn();
+  const redo = vi.fn();
+  const jumpToStep = vi.fn();
+
+  function mockHistory(entries: object[], index: number) {
+    (useApp as any).mockReturnValue({
+      history: { entries, index, lastChangeAt: null },
+      undo,
+      redo,
+      jumpToStep,
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockHistory([start, loaded, searched], 1);
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("stays hidden until something was recorded", () => {
+    mockHistory([start], 0);
+    const { container } = render(<HistoryPanel />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("undoes and redoes through the store", () => {
+    render(<HistoryPanel />);
+    expect(screen.getByText("Loaded Phone")).toBeVisible();
+
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+    fireEvent.click(screen.getByRole("button", { name: "Redo" }));
+    expect(undo).toHaveBeenCalledTimes(1);
+    expect(redo).toHaveBeenCalledTimes(1);
+  });
+
+  test("disables the buttons at either end", () => {
+    mockHistory([start, loaded], 1);
+    render(<HistoryPanel />);
+    expect(screen.getByRole("button", { name: "Undo" })).toBeEnabled();
+    expect(screen.getByRole("button", { name: "Redo" })).toBeDisabled();
+  });
+
+  test("lists every step and jumps to the clicked one", () => {
+    render(<HistoryPanel />);
+    fireEvent.click(screen.getByRole("button", { name: /History/ }));
+
+    const steps = screen.getAllByRole("listitem");
+    expect(steps.map((step) => step.textContent)).toEqual([
+      "1Started",
+      "2Loaded Phone",
+      '3Searched "GPS"',
+    ]);
+    expect(
+      screen.getByRole("button", { name: /Loaded Phone/ })
+    ).toHaveAttribute("aria-current", "step");
+
+    fireEvent.click(screen.getByRole("button", { name: /Started/ }));
+    expect(jumpToStep).toHaveBeenCalledWith(0);
+  });
+});
@@ -4,6 +4,9 @@ import { render, screen, fireEvent, cleanup } from "@testing-library/react";
 import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
 import "@testing-library/jest-dom/vitest";
 import LegendSection from "../LegendSelection";
+import { downloadText } from "../../utils/download";
+
+vi.mock("../../utils/download", () => ({ downloadText: vi.fn() }));
 
 
 describe("LegendSection Component", () => {
@@ -102,16 +105,83 @@ describe("LegendSection Component", () => {
     const labels = [
       "Mandatory Feature",
       "Optional Feature",
+      "Alternative Feature",
+      "Or Feature",
+      "Alternative Group",
+      "Or Group",
       "Tree Link",
       "Requires Constraint",
       "Excludes Constraint",
+      "Expression Constraint",
       "Constraint Endpoint (requires)",
       "Constraint Endpoint (excludes)",
       "Highlighted Feature",
       "Related Branch",
+      "Dead Feature",
+      "False-Optional Feature",
+      "Selected (Configure)",
+      "Deselected (Configure)",
+      "Undecided (Configure)",
+      "Explanation Path (Configure)",
+      "Constraint Finding",
+      "Added (Compare)",
+      "Removed (Compare)",
+      "Changed (Compare)",
     ];
     labels.forEach((label) => {
       expect(screen.getByText(label)).toBeInTheDocument();
     });
   });
+
+  test("downloads the model as FeatureIDE XML", () => {
+    const model = {
+      root: "Phone",
+      features: [
+        { id: "Phone", type: "mandatory" },
+        { id: "GPS", type: "optional", parent: "Phone" },
+      ],
+    };
+    const { rerender } = render(
+      <LegendSection isFullscreen={false} toggleFullscreen={toggleFullscreen} />
+    );
+    expect(
+      screen.queryByRole("button", { name: /FeatureIDE XML/i })
+    ).toBeNull();
+
+    rerender(
+      <LegendSection
+        isFullscreen={false}
+        toggleFullscreen={toggleFullscreen}
+        model={model}
+        fileName="phone.json"
+      />
+    );
+    fireEvent.click(screen.getByRole("button", { name: /FeatureIDE XML/i }));
+    expect(downloadText).toHaveBeenCalledWith(
+      "phone.xml",
+      expect.stringContaining('<feature name="GPS"/>'),
+      "application/xml"
+    );
+  });
+
+  test("explains a model that cannot be written as FeatureIDE XML", () => {
+    const features: Record<string, string>[] = [
+      { id: "R", type: "mandatory", groupCardinality: "5..6" },
+    ];
+    for (let i = 0; i < 16; i++) {
+      features.push({ id: `M${i}`, type: "or", parent: "R" });
+    }
+    render(
+      <LegendSection
+        isFullscreen={false}
+        toggleFullscreen={toggleFullscreen}
+        model={{ root: "R", features }}
+      />
+    );
+    fireEvent.click(screen.getByRole("button", { name: /FeatureIDE XML/i }));
+    expect(downloadText).not.toHaveBeenCalled();
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      /FeatureIDE export failed: The \[5\.\.6\] group of "R"/
+    );
+  });
 });
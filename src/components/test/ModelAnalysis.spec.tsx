@@ -0,0 +1,133 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, cleanup, fireEvent } from "@testing-library/react";
+import { describe, test, expect, vi, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import ModelAnalysis from "../ModelAnalysis";
+import { useApp } from "../../state/store";
+import { analyzeModel } from "../../core/analysis";
+import countConfigurations from "../../core/countConfigurations";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const baseFeatures = [
+  { id: "R", type: "mandatory" },
+  { id: "A", type: "mandatory", parent: "R" },
+  { id: "B", type: "optional", parent: "R" },
+];
+
+function mockModel(constraints, extra = {}) {
+  const model = { root: "R", features: baseFeatures, constraints };
+  const analysis = analyzeModel(model);
+  (useApp as any).mockReturnValue({
+    analysis,
+    counts: countConfigurations(model),
+    focusedIssue: null,
+    setFocusedIssue: vi.fn(),
+    ...extra,
+  });
+  return analysis;
+}
+
+describe("ModelAnalysis Component", () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("renders nothing without a model", () => {
+    (useApp as any).mockReturnValue({ analysis: null });
+    const { container } = render(<ModelAnalysis />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("says when the model is too large to analyse", () => {
+    (useApp as any).mockReturnValue({
+      analysis: null,
+      counts: null,
+      tooLarge: { analysis: true, counts: true },
+    });
+    render(<ModelAnalysis />);
+    expect(
+      screen.getByText("This model is too large to analyse in the browser.")
+    ).toBeInTheDocument();
+  });
+
+  test("says when the products are too many to count", () => {
+    mockModel([], { counts: null, tooLarge: { counts: true } });
+    render(<ModelAnalysis />);
+    expect(screen.getByText(/Model is satisfiable/i)).toBeInTheDocument();
+    expect(screen.getByText("Too many products to count.")).toBeInTheDocument();
+  });
+
+  test("reports a satisfiable model", () => {
+    mockModel([]);
+    render(<ModelAnalysis />);
+    expect(screen.getByText(/Model is satisfiable/i)).toBeInTheDocument();
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+    expect(screen.queryByText(/false-optional/i)).not.toBeInTheDocument();
+    expect(screen.getByText("2 valid products")).toBeInTheDocument();
+  });
+
+  test("summarises dead and false-optional features", () => {
+    mockModel([{ type: "requires", a: "A", b: "B" }]);
+    render(<ModelAnalysis />);
+    expect(
+      screen.getByText(/0 dead, 1 false-optional feature$/)
+    ).toBeInTheDocument();
+  });
+
+  test("names the conflicting constraints of a void model", () => {
+    mockModel([
+      { type: "requires", a: "A", b: "B" },
+      { type: "excludes", a: "B", b: "A" },
+    ]);
+    render(<ModelAnalysis />);
+    expect(screen.getByRole("alert")).toHaveTextContent(/Model is void/i);
+    expect(screen.getByText("#1 A requires B")).toBeInTheDocument();
+    expect(screen.getByText("#2 B excludes A")).toBeInTheDocument();
+  });
+
+  test("lists constraint findings that toggle their highlight", () => {
+    const setFocusedIssue = vi.fn();
+    const analysis = mockModel([{ type: "requires", a: "B", b: "A" }], {
+      setFocusedIssue,
+    });
+    render(<ModelAnalysis />);
+
+    const finding = screen.getByRole("button", {
+      name: /#1 \(B requires A\) is already implied by the feature tree/,
+    });
+    expect(finding).toHaveTextContent(/^Redundant/);
+    expect(finding).toHaveAttribute("aria-pressed", "false");
+    fireEvent.click(finding);
+    expect(setFocusedIssue).toHaveBeenCalledWith(analysis.constraintIssues[0]);
+  });
+
+  test("clears the highlight when the focused finding is clicked again", () => {
+    const setFocusedIssue = vi.fn();
+    const model = {
+      root: "R",
+      features: baseFeatures,
+      constraints: [{ type: "excludes", a: "R", b: "A" }],
+    };
+    const analysis = analyzeModel(model);
+    (useApp as any).mockReturnValue({
+      analysis,
+      counts: countConfigurations(model),
+      focusedIssue: analysis.constraintIssues[0],
+      setFocusedIssue,
+    });
+    render(<ModelAnalysis />);
+
+    expect(screen.getByRole("alert")).toHaveTextContent(/Model is void/i);
+    const finding = screen.getByRole("button", {
+      name: /contradicts the feature tree/,
+    });
+    expect(finding).toHaveAttribute("aria-pressed", "true");
+    fireEvent.click(finding);
+    expect(setFocusedIssue).toHaveBeenCalledWith(null);
+  });
+});
@@ -0,0 +1,157 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import {
+  render,
+  screen,
+  fireEvent,
+  cleanup,
+  within,
+} from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import ModelCompare from "../ModelCompare";
+import { useApp } from "../../state/store";
+import { diffModels, compareProducts } from "../../core/modelDiff";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const base = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+    { id: "Radio", type: "optional", parent: "Phone" },
+  ],
+  constraints: [],
+};
+const compared = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "GPS", type: "mandatory", parent: "Phone" },
+  ],
+  constraints: [{ type: "requires", a: "Phone", b: "GPS" }],
+};
+
+function makeFile(name: string, content: string): File {
+  const file = new File([content], name, { type: "application/json" });
+  file.text = vi.fn().mockResolvedValueOnce(content);
+  return file;
+}
+
+describe("ModelCompare Component", () => {
+  const setComparedModel = vi.fn();
+  const setSearchHits = vi.fn();
+
+  function mockState(comparedModel = null) {
+    (useApp as any).mockReturnValue({
+      model: base,
+      comparedModel,
+      setComparedModel,
+      modelDiff: comparedModel ? diffModels(base, comparedModel.model) : null,
+      productDiff: comparedModel
+        ? compareProducts(base, comparedModel.model)
+        : null,
+      setSearchHits,
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockState();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("loads a second version of the model", async () => {
+    render(<ModelCompare />);
+    fireEvent.change(screen.getByLabelText("Model version to compare"), {
+      target: { files: [makeFile("v2.json", JSON.stringify(compared))] },
+    });
+    await vi.waitFor(() =>
+      expect(setComparedModel).toHaveBeenCalledWith({
+        name: "v2.json",
+        model: compared,
+      })
+    );
+  });
+
+  test("rejects an invalid model file", async () => {
+    render(<ModelCompare />);
+    fireEvent.change(screen.getByLabelText("Model version to compare"), {
+      target: { files: [makeFile("v2.json", "{ not json")] },
+    });
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      /^Failed to load file:/
+    );
+    expect(setComparedModel).not.toHaveBeenCalled();
+  });
+
+  test("lists the changes and highlights a changed feature", () => {
+    mockState({ name: "v2.json", model: compared });
+    render(<ModelCompare />);
+
+    expect(screen.getByText("Phone → v2.json")).toBeInTheDocument();
+    const changeList = screen.getAllByRole("list")[0];
+    const items = within(changeList)
+      .getAllByRole("listitem")
+      .map((li) => li.textContent);
+    expect(items).toEqual([
+      "~ GPS changed from optional to mandatory",
+      "− Removed Radio from Phone",
+      "+ Added constraint Phone requires GPS",
+    ]);
+    fireEvent.click(screen.getByText(/GPS changed/));
+    expect(setSearchHits).toHaveBeenCalledWith(["GPS"]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Stop comparing" }));
+    expect(setComparedModel).toHaveBeenCalledWith(null);
+  });
+
+  test("classifies the edit and shows products only one version allows", () => {
+    mockState({ name: "v2.json", model: compared });
+    render(<ModelCompare />);
+
+    expect(screen.getByText(/^Specialization:/)).toBeInTheDocument();
+    expect(screen.getByText("4 → 1 valid product")).toBeInTheDocument();
+    expect(screen.getByText("Only valid before:")).toBeInTheDocument();
+    expect(
+      screen.queryByText("Only valid in v2.json:")
+    ).not.toBeInTheDocument();
+
+    const lost = compareProducts(base, compared).lost;
+    fireEvent.click(screen.getByText(lost[0].join(", ")));
+    expect(setSearchHits).toHaveBeenCalledWith(lost[0]);
+  });
+
+  test("says when the products are too many to compare", () => {
+    (useApp as any).mockReturnValue({
+      model: base,
+      comparedModel: { name: "v2.json", model: compared },
+      setComparedModel,
+      modelDiff: diffModels(base, compared),
+      productDiff: null,
+      tooLarge: { productDiff: true },
+      setSearchHits,
+    });
+    render(<ModelCompare />);
+    expect(
+      screen.getByText("The models are too large to compare their products.")
+    ).toBeInTheDocument();
+    expect(screen.queryByText(/^Specialization:/)).not.toBeInTheDocument();
+  });
+
+  test("reports identical versions", () => {
+    mockState({ name: "same.json", model: base });
+    render(<ModelCompare />);
+    expect(
+      screen.getByText("The two versions are identical.")
+    ).toBeInTheDocument();
+    expect(screen.getByText(/^Refactoring:/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,72 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import ModelTabs from "../ModelTabs";
+import { useApp } from "../../state/store";
+import { createHistory } from "../../core/history";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+const tab = (id: number, fileName: string | null, model: object | null) => ({
+  id,
+  history: createHistory({ fileName, model }),
+  zoomState: null,
+  featureListOpen: false,
+});
+const phone = { root: "Phone", features: [{ id: "Phone" }] };
+const car = { root: "Car", features: [{ id: "Car" }] };
+
+describe("ModelTabs Component", () => {
+  const openTab = vi.fn();
+  const selectTab = vi.fn();
+  const closeTab = vi.fn();
+
+  function mockTabs(tabs: object[], activeTabId: number) {
+    (useApp as any).mockReturnValue({
+      tabs,
+      activeTabId,
+      openTab,
+      selectTab,
+      closeTab,
+    });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockTabs([tab(1, "phone.json", phone), tab(2, null, car)], 2);
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("stays hidden while the only tab is empty", () => {
+    mockTabs([tab(1, null, null)], 1);
+    const { container } = render(<ModelTabs />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("names each tab after its file or root feature", () => {
+    render(<ModelTabs />);
+    const tabs = screen.getAllByRole("tab");
+    expect(tabs.map((t) => t.textContent)).toEqual(["phone.json", "Car"]);
+    expect(tabs[1]).toHaveAttribute("aria-selected", "true");
+  });
+
+  test("selects, closes and opens tabs through the store", () => {
+    render(<ModelTabs />);
+    fireEvent.click(screen.getByRole("tab", { name: "phone.json" }));
+    expect(selectTab).toHaveBeenCalledWith(1);
+
+    fireEvent.click(screen.getByRole("button", { name: "Close Car" }));
+    expect(closeTab).toHaveBeenCalledWith(2);
+
+    fireEvent.click(screen.getByRole("button", { name: "New tab" }));
+    expect(openTab).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,130 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import Optimizer from "../Optimizer";
+import { useApp } from "../../state/store";
+import iotSystemModel from "../../../public/sample-iot.json";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+
+describe("Optimizer Component", () => {
+  const setSearchHits = vi.fn();
+
+  function mockState(model, configuration = {}) {
+    (useApp as any).mockReturnValue({ model, configuration, setSearchHits });
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("renders nothing for models without numeric attributes", () => {
+    mockState({ root: "A", features: [{ id: "A" }] });
+    const { container } = render(<Optimizer />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test("offers the numeric attributes as objectives", () => {
+    mockState(iotSystemModel);
+    render(<Optimizer />);
+    const options = screen
+      .getAllByRole("option")
+      .map((option) => option.textContent);
+    expect(options).toEqual(["Minimize", "Maximize", "cost", "memoryKB"]);
+  });
+
+  test("highlights the optimal product", () => {
+    mockState(iotSystemModel);
+    render(<Optimizer />);
+    fireEvent.change(screen.getByLabelText("Optimization direction"), {
+      target: { value: "max" },
+    });
+    fireEvent.change(screen.getByLabelText("Limits"), {
+      target: { value: "memoryKB <= 700" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+
+    expect(screen.getByText(/Optimal cost:/)).toHaveTextContent(
+      "Optimal cost: 76.5 with memoryKB ≤ 700"
+    );
+    expect(setSearchHits).toHaveBeenCalledWith([
+      "SmartHome",
+      "Sensors",
+      "Temperature",
+      "Motion",
+      "CloudService",
+    ]);
+  });
+
+  test("keeps decisions from configure mode", () => {
+    mockState(iotSystemModel, { Camera: true });
+    render(<Optimizer />);
+    expect(
+      screen.getByText(/Keeping 1 feature decision from Configure mode/)
+    ).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    expect(screen.getByText(/Optimal cost:/)).toHaveTextContent(
+      "Optimal cost: 140"
+    );
+  });
+
+  test("clears the optimum when the model or decisions change", () => {
+    mockState(iotSystemModel);
+    const { rerender } = render(<Optimizer />);
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    expect(screen.getByText(/Optimal cost:/)).toBeInTheDocument();
+
+    mockState(iotSystemModel, { Camera: true });
+    rerender(<Optimizer />);
+    expect(screen.queryByText(/Optimal cost:/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    mockState({ ...iotSystemModel }, { Camera: true });
+    rerender(<Optimizer />);
+    expect(screen.queryByText(/Optimal cost:/)).not.toBeInTheDocument();
+  });
+
+  test("reports unreadable and unsatisfiable limits", () => {
+    mockState(iotSystemModel);
+    render(<Optimizer />);
+    const limits = screen.getByLabelText("Limits");
+
+    fireEvent.change(limits, { target: { value: "memory below 5" } });
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      'Cannot read limit "memory below 5"'
+    );
+    expect(setSearchHits).not.toHaveBeenCalled();
+
+    fireEvent.change(limits, { target: { value: "memoryKB <= 100" } });
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "No valid product satisfies these limits and decisions."
+    );
+  });
+
+  test("reports limits on attributes no feature has", () => {
+    mockState(iotSystemModel);
+    render(<Optimizer />);
+    const limits = screen.getByLabelText("Limits");
+
+    fireEvent.change(limits, { target: { value: "cots <= 10" } });
+    fireEvent.click(screen.getByRole("button", { name: "Optimize" }));
+    const alert = screen.getByRole("alert");
+    expect(alert).toHaveTextContent(
+      'No feature has a numeric attribute "cots"'
+    );
+    expect(limits).toHaveAttribute("aria-invalid", "true");
+    expect(limits).toHaveAttribute("aria-describedby", alert.id);
+    expect(setSearchHits).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+/// <reference types="@testing-library/jest-dom" />
+// @vitest-environment jsdom
+import {
+  render,
+  screen,
+  fireEvent,
+  cleanup,
+  within,
+} from "@testing-library/react";
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import "@testing-library/jest-dom/vitest";
+
+import SamplePlanner from "../SamplePlanner";
+import { useApp } from "../../state/store";
+import { downloadText } from "../../utils/download";
+import {
+  sampleConfigurations,
+  randomConfigurations,
+} from "../../core/sampling";
+import { ACTION_TIME_LIMIT } from "../../core/timeLimit";
+import iotSystemModel from "../../../public/sample-iot.json";
+
+vi.mock("../../state/store", () => ({
+  useApp: vi.fn(),
+}));
+vi.mock("../../utils/download", () => ({
+  downloadText: vi.fn(),
+}));
+
+describe("SamplePlanner Component", () => {
+  const setSearchHits = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    (useApp as any).mockReturnValue({ model: iotSystemModel, setSearchHits });
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test("lists the pairwise sample and highlights its first product", () => {
+    const expected = sampleConfigurations(iotSystemModel, 2);
+    render(<SamplePlanner />);
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+
+    const rows = screen.getAllByRole("row");
+    expect(rows).toHaveLength(expected.configurations.length + 1);
+    expect(
+      screen.getByText(
+        `Configuration 1 of ${expected.configurations.length}, highlighted in the tree`
+      )
+    ).toBeInTheDocument();
+    expect(setSearchHits).toHaveBeenLastCalledWith(expected.configurations[0]);
+    expect(rows[1]).toHaveAttribute("aria-selected", "true");
+  });
+
+  test("steps through the sample with the arrows and the table", () => {
+    const expected = sampleConfigurations(iotSystemModel, 1);
+    render(<SamplePlanner />);
+    fireEvent.change(screen.getByLabelText("Sampling strategy"), {
+      target: { value: "1" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+
+    const previous = screen.getByRole("button", {
+      name: "Previous configuration",
+    });
+    expect(previous).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "Next configuration" }));
+    expect(setSearchHits).toHaveBeenLastCalledWith(expected.configurations[1]);
+    expect(previous).toBeEnabled();
+
+    fireEvent.click(within(screen.getAllByRole("row")[1]).getByText("1"));
+    expect(setSearchHits).toHaveBeenLastCalledWith(expected.configurations[0]);
+  });
+
+  test("draws a seeded batch of random products", () => {
+    const expected = randomConfigurations(iotSystemModel, {
+      count: 4,
+      seed: "bench",
+    });
+    render(<SamplePlanner />);
+    expect(screen.queryByLabelText("Seed")).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText("Sampling strategy"), {
+      target: { value: "random" },
+    });
+    fireEvent.change(screen.getByLabelText("Batch size"), {
+      target: { value: "4" },
+    });
+    fireEvent.change(screen.getByLabelText("Seed"), {
+      target: { value: "bench" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+
+    expect(screen.getAllByRole("row")).toHaveLength(5);
+    expect(screen.getByText("Seed bench")).toBeInTheDocument();
+    expect(setSearchHits).toHaveBeenLastCalledWith(expected.configurations[0]);
+
+    fireEvent.click(screen.getByRole("button", { name: "Export JSON" }));
+    expect(downloadText).toHaveBeenLastCalledWith(
+      "random-products-bench.json",
+      expect.stringContaining('"seed": "bench"'),
+      "application/json"
+    );
+  });
+
+  test("exports the sample as CSV and JSON", () => {
+    render(<SamplePlanner />);
+    expect(
+      screen.queryByRole("button", { name: "Export CSV" })
+    ).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+
+    fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+    expect(downloadText).toHaveBeenLastCalledWith(
+      "sample-t2.csv",
+      expect.stringMatching(/^Configuration,SmartHome,/),
+      "text/csv"
+    );
+    fireEvent.click(screen.getByRole("button", { name: "Export JSON" }));
+    expect(downloadText).toHaveBeenLastCalledWith(
+      "sample-t2.json",
+      expect.stringContaining('"t": 2'),
+      "application/json"
+    );
+  });
+
+  test("reports a sample that takes too long", () => {
+    render(<SamplePlanner />);
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+    expect(screen.getByRole("table")).toBeInTheDocument();
+
+    // Every reading of the clock is a whole time limit after the last one
+    let time = 0;
+    const now = vi
+      .spyOn(Date, "now")
+      .mockImplementation(() => (time += ACTION_TIME_LIMIT));
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+    now.mockRestore();
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "This model is too large to sample in the browser."
+    );
+    expect(screen.queryByRole("table")).not.toBeInTheDocument();
+    expect(setSearchHits).toHaveBeenLastCalledWith([]);
+  });
+
+  test("reports a void model", () => {
+    (useApp as any).mockReturnValue({
+      model: {
+        root: "A",
+        features: [
+          { id: "A", type: "mandatory" },
+          { id: "B", type: "mandatory", parent: "A" },
+        ],
+        constraints: [{ type: "excludes", a: "A", b: "B" }],
+      },
+      setSearchHits,
+    });
+    render(<SamplePlanner />);
+    fireEvent.click(screen.getByRole("button", { name: "Generate" }));
+    expect(screen.getByRole("alert")).toHaveTextContent(/model is void/i);
+    expect(setSearchHits).toHaveBeenLastCalledWith([]);
+  });
+});
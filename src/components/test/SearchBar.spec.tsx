@@ -112,4 +112,37 @@ describe("ControlBar Component", () => {
     fireEvent.keyDown(window, { shiftKey: true, key: "s" });
     expect(focusSpy).toHaveBeenCalled();
   });
+
+  test("clears highlights only when the query is cleared", () => {
+    (searchFeatures as any).mockReturnValue(["Login"]);
+    const { rerender } = render(<ControlBar />);
+    expect(setSearchHits).not.toHaveBeenCalled();
+
+    (useApp as any).mockReturnValue({
+      model: mockModel,
+      query: "log",
+      setQuery,
+      setSearchHits,
+    });
+    rerender(<ControlBar />);
+    expect(setSearchHits).toHaveBeenLastCalledWith(["Login"]);
+
+    (useApp as any).mockReturnValue({
+      model: { features: [...mockModel.features] },
+      query: "",
+      setQuery,
+      setSearchHits,
+    });
+    rerender(<ControlBar />);
+    expect(setSearchHits).toHaveBeenLastCalledWith([]);
+
+    (useApp as any).mockReturnValue({
+      model: { features: [] },
+      query: "",
+      setQuery,
+      setSearchHits,
+    });
+    rerender(<ControlBar />);
+    expect(setSearchHits).toHaveBeenCalledTimes(2);
+  });
 });
@@ -2,7 +2,7 @@
 /// <reference types="@testing-library/jest-dom" />
 // @vitest-environment jsdom
 
-import { render, screen, fireEvent } from "@testing-library/react";
+import { render, screen, fireEvent, within, act } from "@testing-library/react";
 import { beforeEach, describe, expect, test, vi, Mock } from "vitest";
 import * as matchers from "@testing-library/jest-dom/matchers";
 import * as d3 from "d3";
@@ -15,7 +15,22 @@ const mockDrawLinks = vi.fn();
 const mockDrawNodes = vi.fn();
 const mockDrawConstraints = vi.fn();
 const mockApplyHighlights = vi.fn();
+const mockApplyAnalysisHighlights = vi.fn();
 const mockBuildGraphHierarchy = vi.fn();
+const mockDrawConfigurationStates = vi.fn();
+const mockSetConfiguration = vi.fn();
+const mockSetActiveId = vi.fn();
+const mockDrawExplanation = vi.fn();
+const mockDrawConstraintFocus = vi.fn();
+const mockDrawDiff = vi.fn();
+const mockSetEditTarget = vi.fn();
+const mockSetZoomState = vi.fn();
+const mockSetModel = vi.fn();
+const mockSetGraph = vi.fn();
+const mockApp: { modelDiff: any; model: any } = {
+  modelDiff: null,
+  model: null,
+};
 
 declare global {
   interface SVGElement {
@@ -34,6 +49,21 @@ vi.mock("../../core/drawLinks", () => ({
 vi.mock("../../core/drawNodes", () => ({
   __esModule: true,
   default: (...args: any[]) => mockDrawNodes(...args),
+  drawConfigurationStates: (...args: any[]) =>
+    mockDrawConfigurationStates(...args),
+  applyNodeTooltips: vi.fn(),
+}));
+vi.mock("../../core/drawExplanation", () => ({
+  __esModule: true,
+  default: (...args: any[]) => mockDrawExplanation(...args),
+}));
+vi.mock("../../core/drawConstraintFocus", () => ({
+  __esModule: true,
+  default: (...args: any[]) => mockDrawConstraintFocus(...args),
+}));
+vi.mock("../../core/drawDiff", () => ({
+  __esModule: true,
+  default: (...args: any[]) => mockDrawDiff(...args),
 }));
 vi.mock("../../core/drawConstraints", () => ({
   __esModule: true,
@@ -42,6 +72,8 @@ vi.mock("../../core/drawConstraints", () => ({
 vi.mock("../../core/applyHighlights", () => ({
   __esModule: true,
   default: (...args: any[]) => mockApplyHighlights(...args),
+  applyAnalysisHighlights: (...args: any[]) =>
+    mockApplyAnalysisHighlights(...args),
 }));
 vi.mock("../../core/buildGraphHierarchy", () => ({
   __esModule: true,
@@ -52,6 +84,25 @@ vi.mock("../../state/store", () => ({
   useApp: () => ({
     setSearchHits: vi.fn(),
     setQuery: vi.fn(),
+    configurationState: {
+      states: { root: "selected", a: "undecided" },
+      sources: { root: "propagated" },
+      contradictory: false,
+      complete: false,
+      conflictingDecisions: [],
+    },
+    setConfiguration: mockSetConfiguration,
+    setActiveId: mockSetActiveId,
+    explanation: { feature: "a", steps: [] },
+    focusedIssue: { kind: "cycle", constraints: [0], features: ["a"] },
+    analysis: { deadFeatures: ["b"], falseOptionalFeatures: [] },
+    modelDiff: mockApp.modelDiff,
+    model: mockApp.model,
+    setEditTarget: mockSetEditTarget,
+    setModel: mockSetModel,
+    setGraph: mockSetGraph,
+    zoomState: null,
+    setZoomState: mockSetZoomState,
   }),
 }));
 
@@ -70,6 +121,8 @@ describe("GraphView Component", () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    mockApp.modelDiff = null;
+    mockApp.model = null;
 
     if (!SVGElement.prototype.getBBox) {
       Object.defineProperty(SVGElement.prototype, "getBBox", {
@@ -139,6 +192,75 @@ describe("GraphView Component", () => {
     expect(args[2]).toEqual(["a"]);
   });
 
+  test("applies the analysis overlay before search highlights", () => {
+    render(<GraphView graph={{}} model={model} highlights={[]} />);
+
+    expect(mockApplyAnalysisHighlights).toHaveBeenCalledTimes(1);
+    expect(
+      mockApplyAnalysisHighlights.mock.invocationCallOrder[0]
+    ).toBeLessThan(mockApplyHighlights.mock.invocationCallOrder[0]);
+  });
+
+  test("opens the feature editor where a node is right-clicked", () => {
+    render(<GraphView graph={{}} model={model} highlights={[]} />);
+
+    const onNodeContextMenu = mockDrawNodes.mock.calls[0][6];
+    onNodeContextMenu("a", { clientX: 120, clientY: 80 });
+    expect(mockSetEditTarget).toHaveBeenCalledWith({
+      featureId: "a",
+      x: 120,
+      y: 80,
+    });
+  });
+
+  test("moves a node dropped onto another under it", () => {
+    const editable = {
+      root: "root",
+      features: [
+        { id: "root", type: "mandatory" },
+        { id: "a", type: "optional", parent: "root" },
+        { id: "b", type: "optional", parent: "root" },
+      ],
+    };
+    mockApp.model = editable;
+    const { container, rerender } = render(
+      <GraphView graph={{}} model={editable} highlights={[]} />
+    );
+
+    const onNodeDrop = mockDrawNodes.mock.calls[0][7];
+    act(() => onNodeDrop("b", "a"));
+    expect(mockSetModel.mock.calls[0][0].features[2]).toEqual({
+      id: "b",
+      type: "optional",
+      parent: "a",
+    });
+    expect(mockSetGraph).toHaveBeenCalledTimes(1);
+
+    act(() => onNodeDrop("root", "a"));
+    expect(within(container).getByRole("alert")).toHaveTextContent(
+      "The root feature root cannot be moved"
+    );
+
+    // Undo, redo or another tab replace the model the move was tried on
+    mockApp.model = { ...editable };
+    rerender(<GraphView graph={{}} model={editable} highlights={[]} />);
+    expect(within(container).queryByRole("alert")).toBeNull();
+    // Settle the zoom transition of this model before other tests run
+    d3.select(container.querySelector("svg")).interrupt();
+  });
+
+  test("remembers where the zoom settles for the drawn model", async () => {
+    render(<GraphView graph={{}} model={model} highlights={[]} />);
+
+    await vi.waitFor(() => expect(mockSetZoomState).toHaveBeenCalled(), {
+      timeout: 2000,
+    });
+    expect(mockSetZoomState.mock.calls.at(-1)[0]).toMatchObject({
+      model,
+      transform: { k: expect.any(Number) },
+    });
+  });
+
   test("toggles fullscreen via LegendSection button", async () => {
     render(<GraphView graph={{}} model={model} highlights={[]} />);
 
@@ -252,4 +374,63 @@ describe("GraphView Component", () => {
     render(<GraphView graph={{}} model={model} highlights={[]} />);
     expect(mockDrawNodes).not.toHaveBeenCalled();
   });
+
+  test("configure mode shows the status panel and routes node clicks", async () => {
+    const { container } = render(
+      <GraphView graph={{}} model={model} highlights={[]} />
+    );
+    const view = within(container);
+    expect(mockDrawConfigurationStates.mock.calls.at(-1)[3]).toBeNull();
+    expect(mockDrawExplanation.mock.calls.at(-1)[3]).toBeNull();
+    // Focused constraint findings are shown in both modes
+    expect(mockDrawConstraintFocus.mock.calls.at(-1)[3]).toMatchObject({
+      kind: "cycle",
+    });
+    expect(mockDrawDiff.mock.calls.at(-1)[4]).toBeNull();
+
+    await fireEvent.click(view.getByRole("button", { name: /^configure$/i }));
+
+    expect(view.getByText(/Configure Mode/i)).toBeInTheDocument();
+    expect(mockDrawConfigurationStates.mock.calls.at(-1)[3]).toMatchObject({
+      complete: false,
+    });
+    expect(mockDrawExplanation.mock.calls.at(-1)[3]).toMatchObject({
+      feature: "a",
+    });
+
+    const onNodeClick = mockDrawNodes.mock.calls[0][5];
+    onNodeClick("a");
+    expect(mockSetConfiguration).toHaveBeenCalledTimes(1);
+    const updater = mockSetConfiguration.mock.calls[0][0];
+    expect(updater({})).toEqual({ a: true });
+
+    await fireEvent.click(
+      view.getByRole("button", { name: /exit configure/i })
+    );
+    onNodeClick("a");
+    expect(mockSetConfiguration).toHaveBeenCalledTimes(1);
+    expect(mockSetActiveId).toHaveBeenCalledWith("a");
+  });
+
+  test("draws only the diff over the merged model while comparing", () => {
+    mockApp.modelDiff = { featureStatus: { a: "added" }, constraintStatus: [] };
+    const { container } = render(
+      <GraphView graph={{}} model={model} highlights={[]} />
+    );
+    const view = within(container);
+
+    expect(mockDrawDiff.mock.calls.at(-1)[4]).toMatchObject({
+      featureStatus: { a: "added" },
+    });
+    // Findings, decisions and constraint indexes of the loaded model stay off
+    expect(mockApplyAnalysisHighlights.mock.calls.at(-1)[1]).toBeNull();
+    expect(mockDrawConfigurationStates.mock.calls.at(-1)[3]).toBeNull();
+    expect(mockDrawConstraintFocus.mock.calls.at(-1)[3]).toBeNull();
+
+    // and the tree cannot be edited or configured
+    expect(mockDrawNodes.mock.calls[0][6]).toBeNull();
+    expect(mockDrawNodes.mock.calls[0][7]).toBeNull();
+    const configure = view.getByRole("button", { name: /^configure$/i });
+    expect(configure).toBeDisabled();
+  });
 });
@@ -1,6 +1,7 @@
 // @vitest-environment jsdom
 import type { Mock } from "vitest";
 import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { useState } from "react";
 import {
   render,
   screen,
@@ -13,9 +14,11 @@ afterEach(() => cleanup());
 
 vi.mock("../../state/store", () => ({ useApp: vi.fn() }));
 vi.mock("../../core/processUploadedFile", () => ({ default: vi.fn() }));
+vi.mock("../../utils/download", () => ({ downloadText: vi.fn() }));
 
 import { useApp } from "../../state/store";
 import processUploadedFileImport from "../../core/processUploadedFile";
+import { downloadText } from "../../utils/download";
 import FileUpload from "../FileUpload";
 
 const processUploadedFile = processUploadedFileImport as unknown as Mock;
@@ -45,20 +48,31 @@ function makeMockFile(
 describe("FileUpload Component (Debug Mode)", () => {
   const mockSetModel = vi.fn();
   const mockSetGraph = vi.fn();
+  const mockRestoreModel = vi.fn();
+  const mockClearStoredModels = vi.fn();
 
+  // The file name lives in the store, so it is kept in real state here
   beforeEach(() => {
     vi.clearAllMocks();
-    (useApp as unknown as Mock).mockReturnValue({
-      model: null,
-      setModel: mockSetModel,
-      graph: null,
-      setGraph: mockSetGraph,
-      searchHits: [],
-      setSearchHits: vi.fn(),
-      activeId: null,
-      setActiveId: vi.fn(),
-      query: "",
-      setQuery: vi.fn(),
+    (useApp as unknown as Mock).mockImplementation(() => {
+      const [fileName, setFileName] = useState<string | null>(null);
+      return {
+        model: null,
+        setModel: mockSetModel,
+        graph: null,
+        setGraph: mockSetGraph,
+        searchHits: [],
+        setSearchHits: vi.fn(),
+        activeId: null,
+        setActiveId: vi.fn(),
+        query: "",
+        setQuery: vi.fn(),
+        fileName,
+        setFileName,
+        recentModels: [],
+        restoreModel: mockRestoreModel,
+        clearStoredModels: mockClearStoredModels,
+      };
     });
   });
 
@@ -174,6 +188,139 @@ describe("FileUpload Component (Debug Mode)", () => {
       expect(screen.getByText("No model loaded yet.")).toBeTruthy()
     );
   });
+
+  test("exports the current model, edits included, as JSON", () => {
+    const model = { root: "A", features: [{ id: "A", label: "Renamed" }] };
+    (useApp as unknown as Mock).mockReturnValue({
+      model,
+      setModel: mockSetModel,
+      setGraph: mockSetGraph,
+    });
+
+    render(<FileUpload />);
+    fireEvent.click(screen.getByText("Export JSON"));
+
+    expect(downloadText).toHaveBeenCalledWith(
+      "A.json",
+      JSON.stringify(model, null, 2) + "\n",
+      "application/json"
+    );
+  });
+
+  test("exports the model as UVL under the name it was loaded as", () => {
+    const model = {
+      root: "A",
+      features: [
+        { id: "A", type: "mandatory" },
+        { id: "B", type: "optional", parent: "A" },
+      ],
+    };
+    (useApp as unknown as Mock).mockReturnValue({
+      model,
+      setModel: mockSetModel,
+      setGraph: mockSetGraph,
+      fileName: "model.xml",
+    });
+
+    render(<FileUpload />);
+    fireEvent.click(screen.getByText("Export UVL"));
+
+    expect(downloadText).toHaveBeenCalledWith(
+      "model.uvl",
+      "features\n\tA\n\t\toptional\n\t\t\tB\n",
+      "text/plain"
+    );
+  });
+
+  test("exports the model as DIMACS CNF", () => {
+    const model = {
+      root: "A",
+      features: [
+        { id: "A", type: "mandatory" },
+        { id: "B", type: "optional", parent: "A" },
+      ],
+    };
+    (useApp as unknown as Mock).mockReturnValue({
+      model,
+      setModel: mockSetModel,
+      setGraph: mockSetGraph,
+      fileName: "model.json",
+    });
+
+    render(<FileUpload />);
+    fireEvent.click(screen.getByText("Export DIMACS"));
+
+    expect(downloadText).toHaveBeenCalledWith(
+      "model.dimacs",
+      "c 1 A\nc 2 B\np cnf 2 2\n1 0\n-2 1 0\n",
+      "text/plain"
+    );
+  });
+
+  test("offers no export before a model is loaded", () => {
+    render(<FileUpload />);
+    expect(screen.queryByText("Export JSON")).toBeNull();
+  });
+
+  test("restores a recent model with one click and clears stored data", () => {
+    const stored = {
+      id: "iot.json",
+      name: "iot.json",
+      model: { root: "Hub", features: [{ id: "Hub" }, { id: "Wifi" }] },
+      view: { query: "Wifi" },
+      openedAt: Date.UTC(2026, 0, 2),
+    };
+    (useApp as unknown as Mock).mockReturnValue({
+      model: null,
+      setModel: mockSetModel,
+      setGraph: mockSetGraph,
+      fileName: null,
+      setFileName: vi.fn(),
+      recentModels: [stored],
+      restoreModel: mockRestoreModel,
+      clearStoredModels: mockClearStoredModels,
+    });
+
+    render(<FileUpload />);
+    expect(screen.getByText("Recent models")).toBeTruthy();
+    fireEvent.click(screen.getByText("iot.json"));
+    expect(mockRestoreModel).toHaveBeenCalledWith(stored);
+
+    fireEvent.click(screen.getByText("Clear stored data"));
+    expect(mockClearStoredModels).toHaveBeenCalledTimes(1);
+  });
+
+  test("shows why stored data could not be cleared", async () => {
+    mockClearStoredModels.mockRejectedValueOnce(new Error("Quota locked"));
+    (useApp as unknown as Mock).mockReturnValue({
+      model: null,
+      setModel: mockSetModel,
+      setGraph: mockSetGraph,
+      fileName: null,
+      setFileName: vi.fn(),
+      recentModels: [
+        {
+          id: "iot",
+          name: "iot.json",
+          model: { root: "Hub", features: [{ id: "Hub" }] },
+          openedAt: Date.UTC(2026, 0, 2),
+        },
+      ],
+      restoreModel: mockRestoreModel,
+      clearStoredModels: mockClearStoredModels,
+    });
+
+    render(<FileUpload />);
+    fireEvent.click(screen.getByText("Clear stored data"));
+    expect(
+      await screen.findByText("Failed to clear stored data: Quota locked")
+    ).toBeTruthy();
+  });
+
+  test("shows no recent list when nothing is stored", () => {
+    render(<FileUpload />);
+    expect(screen.queryByText("Recent models")).toBeNull();
+  });
 });
 
 test("renders file input with correct accessibility attributes", async () => {
@@ -182,7 +329,7 @@ test("renders file input with correct accessibility attributes", async () => {
   logIfError("File input missing", () => {
     expect(input).toBeTruthy();
     expect(input.type).toBe("file");
-    expect(input.accept).toBe("application/json");
+    expect(input.accept).toBe("application/json,.json,.uvl,.xml");
   });
 });
 
@@ -210,6 +357,28 @@ test("renders visible error message when upload fails", async () => {
   });
 });
 
+test("accepts FeatureIDE XML files", async () => {
+  const xml = `<featureModel><struct><and name="Car"><feature name="GPS"/></and></struct></featureModel>`;
+  const xmlFile = new File([xml], "model.xml", { type: "text/xml" });
+  xmlFile.text = vi.fn().mockResolvedValueOnce(xml);
+  processUploadedFile.mockResolvedValueOnce(undefined);
+
+  render(<FileUpload />);
+
+  const input = document.querySelector("#file-upload") as HTMLInputElement;
+  await fireEvent.change(input, { target: { files: [xmlFile] } });
+
+  await waitFor(() => {
+    expect(processUploadedFile).toHaveBeenCalledWith(
+      xmlFile,
+      expect.any(Function),
+      expect.any(Function),
+      expect.any(Function)
+    );
+  });
+  expect(screen.queryByText(/Failed to load file/)).toBeNull();
+});
+
 test("handles non-JSON file upload safely", async () => {
   vi.clearAllMocks();
   const txtFile = makeMockFile(
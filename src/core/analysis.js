@@ -0,0 +1,451 @@
+import { buildFeatureFormula, normalizeConstraint } from "./featureFormula";
+import { collectGroups } from "./model";
+import { solve } from "./satSolver";
+import { describeConstraint } from "./parser";
+
+function solveClauses(formula, clauses, assumptions = []) {
+  return solve(
+    clauses.map((clause) => clause.literals),
+    formula.variableCount,
+    assumptions
+  );
+}
+
+function selectedFeatures(formula, assignment) {
+  return formula.variables.filter((_, index) => assignment[index + 1]);
+}
+
+// Deletion-based shrinking: drop each constraint in turn and keep it out
+// whenever the remaining ones are still contradictory.
+function minimalConflictingConstraints(formula) {
+  const treeClauses = formula.clauses.filter(
+    (clause) => clause.source.kind !== "constraint"
+  );
+  let conflictSet = [
+    ...new Set(
+      formula.clauses
+        .filter((clause) => clause.source.kind === "constraint")
+        .map((clause) => clause.source.constraint)
+    ),
+  ];
+
+  for (const candidate of [...conflictSet]) {
+    const remaining = conflictSet.filter((index) => index !== candidate);
+    const clauses = [
+      ...treeClauses,
+      ...formula.clauses.filter(
+        (clause) =>
+          clause.source.kind === "constraint" &&
+          remaining.includes(clause.source.constraint)
+      ),
+    ];
+    if (!solveClauses(formula, clauses)) conflictSet = remaining;
+  }
+  return conflictSet;
+}
+
+function satisfiabilityOf(model, formula) {
+  const assignment = solveClauses(formula, formula.clauses);
+
+  if (assignment) {
+    return {
+      satisfiable: true,
+      configuration: selectedFeatures(formula, assignment),
+      conflicts: [],
+    };
+  }
+
+  const constraints = model?.constraints || [];
+  return {
+    satisfiable: false,
+    configuration: null,
+    conflicts: minimalConflictingConstraints(formula).map((index) => ({
+      index,
+      constraint: constraints[index],
+    })),
+  };
+}
+
+export function checkSatisfiability(model) {
+  return satisfiabilityOf(model, buildFeatureFormula(model));
+}
+
+// Checks a product, given as the ids of its selected features, against every
+// rule of the model and returns the sources of broken rules. Features in
+// `undecided` may still go either way, so rules they take part in count as
+// kept.
+export function checkConfiguration(model, selected, undecided = []) {
+  const formula = buildFeatureFormula(model);
+  const chosen = new Set(selected);
+  const open = new Set(undecided);
+  const holds = (literal) => {
+    const id = formula.variables[Math.abs(literal) - 1];
+    return open.has(id) || chosen.has(id) === literal > 0;
+  };
+  // Groups are counted directly, since large ones are encoded over counter
+  // variables that a product does not assign
+  const groups = new Map(
+    collectGroups(model?.features || []).map((group) => [
+      `${group.parent}:${group.type}`,
+      group,
+    ])
+  );
+  const isSelected = (id) => chosen.has(id) && !open.has(id);
+  const groupHolds = ({ parent, group: type }) => {
+    const { members, min, max } = groups.get(`${parent}:${type}`);
+    const selectedCount = members.filter(isSelected).length;
+    const openCount = members.filter((id) => open.has(id)).length;
+    if (selectedCount > max) return false;
+    return !isSelected(parent) || selectedCount + openCount >= min;
+  };
+  // Constraints encoded over auxiliary variables are checked whole: they
+  // hold when their clauses can be satisfied given the decided features
+  const decided = formula.variables.flatMap((id, index) =>
+    open.has(id) ? [] : [chosen.has(id) ? index + 1 : -(index + 1)]
+  );
+  const auxiliary = (literal) => Math.abs(literal) > formula.variables.length;
+  const constraintHolds = new Map();
+  const holdsWhole = (source) => {
+    if (!constraintHolds.has(source)) {
+      const clauses = formula.clauses.filter(
+        (clause) => clause.source === source
+      );
+      constraintHolds.set(source, !!solveClauses(formula, clauses, decided));
+    }
+    return constraintHolds.get(source);
+  };
+  const broken = (clause) =>
+    clause.source.kind === "group"
+      ? !groupHolds(clause.source)
+      : clause.defines || clause.literals.some(auxiliary)
+      ? !holdsWhole(clause.source)
+      : !clause.literals.some(holds);
+  // Clauses of one group or constraint share their source object
+  const violations = [
+    ...new Set(formula.clauses.filter(broken).map((clause) => clause.source)),
+  ];
+  return { valid: violations.length === 0, violations };
+}
+
+// Every solution found along the way proves some features alive, so the
+// solver is only asked about features no earlier witness has settled.
+function deadFeaturesOf(formula) {
+  const alive = new Set();
+  const dead = [];
+  formula.variables.forEach((featureId, index) => {
+    if (alive.has(featureId)) return;
+    const witness = solveClauses(formula, formula.clauses, [index + 1]);
+    if (!witness) {
+      dead.push(featureId);
+      return;
+    }
+    selectedFeatures(formula, witness).forEach((id) => alive.add(id));
+  });
+  return dead;
+}
+
+function falseOptionalFeaturesOf(model, formula, deadFeatures) {
+  const dead = new Set(deadFeatures);
+  const falseOptional = [];
+  for (const feature of model?.features || []) {
+    const type = (feature?.type || "optional").toLowerCase();
+    if (type !== "optional" || !feature.parent || dead.has(feature.id)) {
+      continue;
+    }
+    const featureVar = formula.variableOf.get(feature.id);
+    const parentVar = formula.variableOf.get(feature.parent);
+    if (!featureVar || !parentVar || dead.has(feature.parent)) continue;
+    if (!solveClauses(formula, formula.clauses, [parentVar, -featureVar])) {
+      falseOptional.push(feature.id);
+    }
+  }
+  return falseOptional;
+}
+
+// Dead and false-optional features are only reported for satisfiable
+// models; in a void model every feature is trivially dead.
+export function findDeadFeatures(model) {
+  const formula = buildFeatureFormula(model);
+  if (!solveClauses(formula, formula.clauses)) return [];
+  return deadFeaturesOf(formula);
+}
+
+export function findFalseOptionalFeatures(model) {
+  const formula = buildFeatureFormula(model);
+  if (!solveClauses(formula, formula.clauses)) return [];
+  return falseOptionalFeaturesOf(model, formula, deadFeaturesOf(formula));
+}
+
+const listFeatures = (ids) =>
+  ids.length <= 1
+    ? ids.join("")
+    : `${ids.slice(0, -1).join(", ")} and ${ids[ids.length - 1]}`;
+
+function constraintLabel(model, index) {
+  return `#${index + 1} (${describeConstraint(model.constraints[index])})`;
+}
+
+function constraintClausesOf(formula) {
+  const byConstraint = new Map();
+  for (const clause of formula.clauses) {
+    if (clause.source.kind !== "constraint") continue;
+    const index = clause.source.constraint;
+    if (!byConstraint.has(index)) byConstraint.set(index, []);
+    byConstraint.get(index).push(clause);
+  }
+  return byConstraint;
+}
+
+// Feature variables of `clauses`, leaving out auxiliary ones
+function variablesOf(formula, clauses) {
+  return [
+    ...new Set(clauses.flatMap((clause) => clause.literals.map(Math.abs))),
+  ].filter((v) => v <= formula.variables.length);
+}
+
+// Variables among `variables` that no solution of `clauses` selects, or all
+// of them when `clauses` has no solution at all
+function deadAmong(formula, clauses, variables) {
+  if (!solveClauses(formula, clauses)) return { void: true, dead: variables };
+  return {
+    void: false,
+    dead: variables.filter((v) => !solveClauses(formula, clauses, [v])),
+  };
+}
+
+// A constraint contradicts the tree when it kills a feature it mentions that
+// the tree alone allows; two constraints contradict each other when they
+// kill such a feature only together.
+function contradictionsOf(model, formula, treeClauses, byConstraint) {
+  const issues = [];
+  const idOf = (v) => formula.variables[v - 1];
+  const treeDead = new Set(
+    deadAmong(
+      formula,
+      treeClauses,
+      formula.variables.map((_, i) => i + 1)
+    ).dead
+  );
+
+  const deadWith = new Map();
+  for (const [index, clauses] of byConstraint) {
+    const variables = variablesOf(formula, clauses).filter(
+      (v) => !treeDead.has(v)
+    );
+    const result = deadAmong(formula, [...treeClauses, ...clauses], variables);
+    deadWith.set(index, new Set(result.dead));
+    if (!result.void && !result.dead.length) continue;
+    const killed = result.dead.map(idOf);
+    issues.push({
+      kind: "contradicts-tree",
+      constraints: [index],
+      features: killed,
+      message: result.void
+        ? `${constraintLabel(
+            model,
+            index
+          )} contradicts the feature tree: no product satisfies it`
+        : `${constraintLabel(
+            model,
+            index
+          )} contradicts the feature tree: it makes ${listFeatures(
+            killed
+          )} dead`,
+    });
+  }
+
+  const candidates = [...byConstraint.keys()].filter(
+    (index) => !deadWith.get(index).size
+  );
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const first = byConstraint.get(candidates[i]);
+      const second = byConstraint.get(candidates[j]);
+      const shared = variablesOf(formula, first).filter((v) =>
+        variablesOf(formula, second).includes(v)
+      );
+      if (!shared.length) continue;
+
+      const variables = variablesOf(formula, [...first, ...second]).filter(
+        (v) => !treeDead.has(v)
+      );
+      const result = deadAmong(
+        formula,
+        [...treeClauses, ...first, ...second],
+        variables
+      );
+      if (!result.void && !result.dead.length) continue;
+      const killed = result.dead.map(idOf);
+      issues.push({
+        kind: "contradicts-constraints",
+        constraints: [candidates[i], candidates[j]],
+        features: killed,
+        message: `${constraintLabel(
+          model,
+          candidates[i]
+        )} and ${constraintLabel(model, candidates[j])} contradict each other${
+          result.void
+            ? ": no product satisfies both"
+            : `: together they make ${listFeatures(killed)} dead`
+        }`,
+      });
+    }
+  }
+  return issues;
+}
+
+// Strongly connected components of the requires graph (Tarjan)
+function requiresCyclesOf(model, formula) {
+  const edges = new Map();
+  (model?.constraints || []).forEach((constraint, index) => {
+    const { type, a, b } = normalizeConstraint(constraint);
+    if (type !== "requires" || a === b) return;
+    if (!formula.variableOf.has(a) || !formula.variableOf.has(b)) return;
+    if (!edges.has(a)) edges.set(a, []);
+    edges.get(a).push({ to: b, index });
+  });
+
+  const order = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  const visit = (id) => {
+    order.set(id, order.size);
+    lowLink.set(id, order.get(id));
+    stack.push(id);
+    onStack.add(id);
+    for (const { to } of edges.get(id) || []) {
+      if (!order.has(to)) {
+        visit(to);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(to)));
+      } else if (onStack.has(to)) {
+        lowLink.set(id, Math.min(lowLink.get(id), order.get(to)));
+      }
+    }
+    if (lowLink.get(id) !== order.get(id)) return;
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== id);
+    if (component.length > 1) components.push(component.reverse());
+  };
+  [...edges.keys()].forEach((id) => order.has(id) || visit(id));
+
+  return components.map((component) => {
+    const indices = [...edges]
+      .flatMap(([from, targets]) =>
+        component.includes(from)
+          ? targets.filter(({ to }) => component.includes(to))
+          : []
+      )
+      .map(({ index }) => index)
+      .sort((a, b) => a - b);
+    return {
+      kind: "cycle",
+      constraints: indices,
+      features: component,
+      message: `${indices
+        .map((index) => `#${index + 1}`)
+        .join(", ")} form a requires cycle: ${listFeatures(
+        component
+      )} can only be selected together`,
+    };
+  });
+}
+
+// A constraint is redundant when the tree and the other constraints already
+// imply each of its clauses, given the definitions of its own auxiliary
+// variables. The implying constraints are shrunk to a minimal set, like
+// conflicting constraints are.
+function redundanciesOf(model, formula, treeClauses, byConstraint) {
+  const issues = [];
+  const implies = (otherIndices, clauses) => {
+    const context = [
+      ...treeClauses,
+      ...otherIndices.flatMap((other) => byConstraint.get(other)),
+      ...clauses.filter((clause) => clause.defines),
+    ];
+    return clauses.every(
+      (clause) =>
+        clause.defines ||
+        !solveClauses(
+          formula,
+          context,
+          clause.literals.map((literal) => -literal)
+        )
+    );
+  };
+
+  for (const [index, clauses] of byConstraint) {
+    let others = [...byConstraint.keys()].filter((other) => other !== index);
+    if (!implies(others, clauses)) continue;
+    for (const candidate of [...others]) {
+      const remaining = others.filter((other) => other !== candidate);
+      if (implies(remaining, clauses)) others = remaining;
+    }
+    issues.push({
+      kind: "redundant",
+      constraints: [index],
+      impliedBy: others,
+      features: variablesOf(formula, clauses).map(
+        (v) => formula.variables[v - 1]
+      ),
+      message: `${constraintLabel(model, index)} is already implied by the ${
+        others.length
+          ? `feature tree and ${others
+              .map((other) => `#${other + 1}`)
+              .join(", ")}`
+          : "feature tree"
+      }`,
+    });
+  }
+  return issues;
+}
+
+export function findConstraintIssues(model) {
+  const formula = buildFeatureFormula(model);
+  const treeClauses = formula.clauses.filter(
+    (clause) => clause.source.kind !== "constraint"
+  );
+  if (!solveClauses(formula, treeClauses)) return [];
+  const byConstraint = constraintClausesOf(formula);
+
+  const issues = [
+    ...contradictionsOf(model, formula, treeClauses, byConstraint),
+    ...requiresCyclesOf(model, formula),
+  ];
+  // In a void model every constraint is trivially implied
+  if (solveClauses(formula, formula.clauses)) {
+    issues.push(...redundanciesOf(model, formula, treeClauses, byConstraint));
+  }
+  return issues;
+}
+
+export function analyzeModel(model) {
+  const formula = buildFeatureFormula(model);
+  const satisfiability = satisfiabilityOf(model, formula);
+  const constraintIssues = findConstraintIssues(model);
+  if (!satisfiability.satisfiable) {
+    return {
+      ...satisfiability,
+      deadFeatures: [],
+      falseOptionalFeatures: [],
+      constraintIssues,
+    };
+  }
+  const deadFeatures = deadFeaturesOf(formula);
+  return {
+    ...satisfiability,
+    deadFeatures,
+    falseOptionalFeatures: falseOptionalFeaturesOf(
+      model,
+      formula,
+      deadFeatures
+    ),
+    constraintIssues,
+  };
+}
@@ -38,3 +38,25 @@ export default function applyHighlights(
       : "#bbb";
   });
 }
+
+export function applyAnalysisHighlights(nodeSelection, analysis) {
+  const dead = new Set(analysis?.deadFeatures || []);
+  const falseOptional = new Set(analysis?.falseOptionalFeatures || []);
+  if (!dead.size && !falseOptional.size) return;
+
+  nodeSelection
+    .attr("stroke", (node) =>
+      dead.has(node.data.id)
+        ? "#424242"
+        : falseOptional.has(node.data.id)
+        ? "#fb8c00"
+        : "#fff"
+    )
+    .attr("stroke-width", (node) =>
+      dead.has(node.data.id) || falseOptional.has(node.data.id) ? 4 : 2
+    )
+    .attr("stroke-dasharray", (node) =>
+      dead.has(node.data.id) || falseOptional.has(node.data.id) ? "6 3" : null
+    )
+    .attr("fill-opacity", (node) => (dead.has(node.data.id) ? 0.35 : 1));
+}
@@ -0,0 +1,59 @@
+export const ATTRIBUTE_TYPES = ["number", "string", "boolean"];
+
+export function attributeTypeOf(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return "number";
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "boolean";
+  return null;
+}
+
+// Types declared in the model's `attributeTypes` win; other attributes take
+// the type of their first value.
+export function collectAttributeTypes(model) {
+  const types = new Map(Object.entries(model?.attributeTypes || {}));
+  for (const feature of model?.features || []) {
+    for (const [name, value] of Object.entries(feature?.attributes || {})) {
+      if (!types.has(name) && attributeTypeOf(value)) {
+        types.set(name, attributeTypeOf(value));
+      }
+    }
+  }
+  return types;
+}
+
+// Running totals of every numeric attribute over the selected features.
+// `undecided` counts the open features that could still change a total.
+export function aggregateAttributes(model, states) {
+  const totals = [];
+  for (const [name, type] of collectAttributeTypes(model)) {
+    if (type !== "number") continue;
+    const total = {
+      name,
+      sum: 0,
+      min: null,
+      max: null,
+      count: 0,
+      undecided: 0,
+    };
+    for (const feature of model?.features || []) {
+      const value = feature?.attributes?.[name];
+      if (attributeTypeOf(value) !== "number") continue;
+      const state = states?.[feature.id] || "undecided";
+      if (state === "undecided") total.undecided++;
+      if (state !== "selected") continue;
+      total.sum += value;
+      total.min = total.min === null ? value : Math.min(total.min, value);
+      total.max = total.max === null ? value : Math.max(total.max, value);
+      total.count++;
+    }
+    totals.push(total);
+  }
+  return totals;
+}
+
+export function formatAttributeValue(value) {
+  if (typeof value === "number") {
+    return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+  }
+  return String(value);
+}
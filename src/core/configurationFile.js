@@ -0,0 +1,184 @@
+import { checkConfiguration } from "./analysis";
+import { findRootId, normalizeConstraint } from "./featureFormula";
+import { collectGroups, formatCardinality } from "./model";
+import { describeConstraint } from "./parser";
+import { expressionFeatures, parseExpression } from "./expression";
+
+// Configuration files list the decisions of one product:
+//   { "model": "<root id>", "selected": [...], "deselected": [...],
+//     "undecided": [...] }
+// `undecided` is optional and marks features a partial configuration leaves
+// open. Features listed in none of the arrays count as deselected.
+
+const listFeatures = (ids) =>
+  ids.length <= 1
+    ? ids.join("")
+    : `${ids.slice(0, -1).join(", ")} and ${ids[ids.length - 1]}`;
+
+export function parseConfigurationFile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("A configuration file must be a JSON object.");
+  }
+  if (typeof data.model !== "string" || !data.model.trim()) {
+    throw new Error(
+      "Missing 'model': name the root feature of the model this configuration belongs to."
+    );
+  }
+  for (const key of ["selected", "deselected", "undecided"]) {
+    const ids = data[key] ?? [];
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) {
+      throw new Error(`'${key}' must be an array of feature ids.`);
+    }
+  }
+
+  const selected = [...new Set(data.selected || [])];
+  const deselected = [...new Set(data.deselected || [])];
+  const undecided = [...new Set(data.undecided || [])];
+  for (const [first, second, what] of [
+    [selected, deselected, "both selected and deselected"],
+    [selected, undecided, "both selected and undecided"],
+    [deselected, undecided, "both deselected and undecided"],
+  ]) {
+    const both = first.filter((id) => second.includes(id));
+    if (both.length) {
+      throw new Error(
+        `${both.map((id) => `'${id}'`).join(", ")} ${
+          both.length === 1 ? "is" : "are"
+        } ${what}.`
+      );
+    }
+  }
+  return { model: data.model, selected, deselected, undecided };
+}
+
+// Open features of a partial configuration are written as `undecided` so
+// that reading the file back does not take them as deselected
+export function createConfigurationFile(model, states) {
+  const ids = (model?.features || []).map((f) => f.id);
+  const file = {
+    model: findRootId(model),
+    selected: ids.filter((id) => states[id] === "selected"),
+    deselected: ids.filter((id) => states[id] === "deselected"),
+  };
+  const undecided = ids.filter((id) => states[id] === "undecided");
+  return undecided.length ? { ...file, undecided } : file;
+}
+
+// Badge states as drawn in Configure mode, with every listed decision
+// shown as a user decision
+export function configurationFileStates(model, configuration) {
+  const selected = new Set(configuration.selected);
+  const undecided = new Set(configuration.undecided);
+  const states = {};
+  const sources = {};
+  for (const { id } of model?.features || []) {
+    if (undecided.has(id)) {
+      states[id] = "undecided";
+      continue;
+    }
+    states[id] = selected.has(id) ? "selected" : "deselected";
+    sources[id] = "user";
+  }
+  return { states, sources };
+}
+
+function constraintFeatures(constraint) {
+  const { type, a, b, expression } = normalizeConstraint(constraint);
+  if (type !== "expression") return [a, b];
+  return expressionFeatures(parseExpression(expression));
+}
+
+function describeViolation(model, source, selected) {
+  const constraints = model?.constraints || [];
+  switch (source.kind) {
+    case "root":
+      return {
+        features: [source.feature],
+        message: `Root feature ${source.feature} is not selected`,
+      };
+    case "parent":
+      return {
+        features: [source.feature, source.parent],
+        message: `${source.feature} is selected without its parent ${source.parent}`,
+      };
+    case "mandatory":
+      return {
+        features: [source.feature, source.parent],
+        message: `Mandatory feature ${source.feature} is missing under ${source.parent}`,
+      };
+    case "group": {
+      const group = collectGroups(model.features).find(
+        (g) => g.parent === source.parent
+      );
+      const chosen = group.members.filter((id) => selected.has(id));
+      return {
+        features: [source.parent, ...group.members],
+        message: `The ${source.group} group of ${
+          source.parent
+        } allows ${formatCardinality(group)} selected members but has ${
+          chosen.length ? `${chosen.length}: ${listFeatures(chosen)}` : "none"
+        }`,
+      };
+    }
+    default: {
+      const constraint = constraints[source.constraint];
+      const { type, a, b } = normalizeConstraint(constraint);
+      const message =
+        type === "requires"
+          ? `${a} requires ${b}, but ${b} is not selected`
+          : type === "excludes"
+          ? `${a} excludes ${b}, but both are selected`
+          : `"${describeConstraint(constraint)}" is not satisfied`;
+      return {
+        features: constraintFeatures(constraint),
+        constraints: [source.constraint],
+        message,
+      };
+    }
+  }
+}
+
+// Lists everything wrong with a configuration for the given model: a model
+// mismatch, unknown ids and every broken rule. Each violation has the shape
+// of a constraint finding so it can be highlighted the same way.
+export function checkConfigurationFile(model, configuration) {
+  const violations = [];
+  const rootId = findRootId(model);
+  if (configuration.model !== rootId) {
+    violations.push({
+      kind: "model",
+      features: [],
+      constraints: [],
+      message: `Configuration is for model ${configuration.model}, but the loaded model is ${rootId}`,
+    });
+  }
+
+  const known = new Set((model?.features || []).map((f) => f.id));
+  for (const id of [
+    ...configuration.selected,
+    ...configuration.deselected,
+    ...(configuration.undecided || []),
+  ]) {
+    if (known.has(id)) continue;
+    violations.push({
+      kind: "unknown",
+      features: [],
+      constraints: [],
+      message: `Unknown feature ${id}`,
+    });
+  }
+
+  const selected = new Set(configuration.selected);
+  for (const source of checkConfiguration(
+    model,
+    configuration.selected,
+    configuration.undecided
+  ).violations) {
+    violations.push({
+      kind: source.kind,
+      constraints: [],
+      ...describeViolation(model, source, selected),
+    });
+  }
+  return { valid: violations.length === 0, violations };
+}
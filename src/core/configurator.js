@@ -0,0 +1,107 @@
+import { buildFeatureFormula } from "./featureFormula";
+import { solve } from "./satSolver";
+
+// `decisions` maps feature ids to true (selected by the user) or false
+// (deselected by the user). Features without a decision are left to the
+// solver: a feature is forced when only one of its values stays satisfiable.
+export function propagateConfiguration(model, decisions = {}) {
+  const formula = buildFeatureFormula(model);
+  const clauses = formula.clauses.map((clause) => clause.literals);
+  const { variableCount } = formula;
+
+  const decisionLiterals = Object.entries(decisions)
+    .filter(([id]) => formula.variableOf.has(id))
+    .map(([id, value]) => (value ? 1 : -1) * formula.variableOf.get(id));
+
+  const states = {};
+  const sources = {};
+  for (const [id, value] of Object.entries(decisions)) {
+    if (!formula.variableOf.has(id)) continue;
+    states[id] = value ? "selected" : "deselected";
+    sources[id] = "user";
+  }
+
+  const witness = solve(clauses, variableCount, decisionLiterals);
+  if (!witness) {
+    formula.variables.forEach((id) => {
+      if (!states[id]) states[id] = "undecided";
+    });
+    return {
+      states,
+      sources,
+      contradictory: true,
+      complete: false,
+      conflictingDecisions: minimalConflictingDecisions(
+        clauses,
+        variableCount,
+        decisionLiterals,
+        formula.variables
+      ),
+    };
+  }
+
+  // Values seen in any witness are known to be possible, so the solver is
+  // only asked about the opposite value of each feature once.
+  const canBeSelected = new Set();
+  const canBeDeselected = new Set();
+  const recordWitness = (assignment) =>
+    formula.variables.forEach((id, index) =>
+      (assignment[index + 1] ? canBeSelected : canBeDeselected).add(id)
+    );
+  recordWitness(witness);
+
+  formula.variables.forEach((id, index) => {
+    if (sources[id] === "user") return;
+    const variable = index + 1;
+    for (const [possible, literal] of [
+      [canBeSelected, variable],
+      [canBeDeselected, -variable],
+    ]) {
+      if (possible.has(id)) continue;
+      const assignment = solve(clauses, variableCount, [
+        ...decisionLiterals,
+        literal,
+      ]);
+      if (assignment) recordWitness(assignment);
+    }
+
+    if (canBeSelected.has(id) && canBeDeselected.has(id)) {
+      states[id] = "undecided";
+      return;
+    }
+    states[id] = canBeSelected.has(id) ? "selected" : "deselected";
+    sources[id] = "propagated";
+  });
+
+  return {
+    states,
+    sources,
+    contradictory: false,
+    complete: Object.values(states).every((state) => state !== "undecided"),
+    conflictingDecisions: [],
+  };
+}
+
+function minimalConflictingDecisions(
+  clauses,
+  variableCount,
+  decisionLiterals,
+  variables
+) {
+  let conflicting = [...decisionLiterals];
+  for (const literal of decisionLiterals) {
+    const remaining = conflicting.filter((other) => other !== literal);
+    if (!solve(clauses, variableCount, remaining)) conflicting = remaining;
+  }
+  return conflicting.map((literal) => variables[Math.abs(literal) - 1]);
+}
+
+// Clicking cycles a feature through user decisions. A feature that was
+// forced by propagation starts with the opposite of its forced value, since
+// confirming a forced value would change nothing on screen.
+export function toggleDecision(decisions, featureId, currentState) {
+  const { [featureId]: previous, ...rest } = decisions;
+  if (previous === true) return { ...rest, [featureId]: false };
+  if (previous === false) return rest;
+  return { ...rest, [featureId]: currentState !== "selected" };
+}
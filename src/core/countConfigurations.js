@@ -0,0 +1,169 @@
+import { buildFeatureFormula } from "./featureFormula";
+import { checkTimeLimit } from "./timeLimit";
+
+// Exact model counter in the style of #DPLL: unit propagation, splitting
+// into independent components, and caching component counts by their
+// clause set. Counts are BigInts because they grow exponentially.
+//
+// Components are split on their most frequent variable. Components with
+// group counters (variables above `featureCount`) are split on their lowest
+// variable instead, which walks the members in counter order so that equal
+// partial counts hit the cache.
+
+function simplify(clauses, literal) {
+  const result = [];
+  for (const clause of clauses) {
+    if (clause.includes(literal)) continue;
+    result.push(
+      clause.includes(-literal)
+        ? clause.filter((other) => other !== -literal)
+        : clause
+    );
+  }
+  return result;
+}
+
+function propagateUnits(clauses, variables) {
+  let remainingClauses = clauses;
+  const remainingVariables = new Set(variables);
+  for (;;) {
+    if (remainingClauses.some((clause) => clause.length === 0)) return null;
+    const unit = remainingClauses.find((clause) => clause.length === 1);
+    if (!unit)
+      return { clauses: remainingClauses, variables: remainingVariables };
+    remainingVariables.delete(Math.abs(unit[0]));
+    remainingClauses = simplify(remainingClauses, unit[0]);
+  }
+}
+
+function splitComponents(clauses) {
+  const parent = new Map();
+  const find = (v) => {
+    while (parent.get(v) !== v) {
+      parent.set(v, parent.get(parent.get(v)));
+      v = parent.get(v);
+    }
+    return v;
+  };
+  for (const clause of clauses) {
+    for (const literal of clause) {
+      const v = Math.abs(literal);
+      if (!parent.has(v)) parent.set(v, v);
+    }
+    const first = find(Math.abs(clause[0]));
+    for (const literal of clause) parent.set(find(Math.abs(literal)), first);
+  }
+
+  const components = new Map();
+  for (const clause of clauses) {
+    const root = find(Math.abs(clause[0]));
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(clause);
+  }
+  return [...components.values()];
+}
+
+function componentKey(clauses) {
+  return clauses
+    .map((clause) => [...clause].sort((a, b) => a - b).join(","))
+    .sort()
+    .join(" ");
+}
+
+function countComponent(clauses, context) {
+  const { cache, featureCount } = context;
+  const key = componentKey(clauses);
+  if (cache.has(key)) return cache.get(key);
+  checkTimeLimit();
+
+  const occurrences = new Map();
+  for (const clause of clauses) {
+    for (const literal of clause) {
+      const v = Math.abs(literal);
+      occurrences.set(v, (occurrences.get(v) || 0) + 1);
+    }
+  }
+  let branchVariable = 0;
+  let mostOccurrences = 0;
+  const counted = [...occurrences.keys()].some((v) => v > featureCount);
+  for (const [v, count] of occurrences) {
+    if (
+      counted ? !branchVariable || v < branchVariable : count > mostOccurrences
+    ) {
+      branchVariable = v;
+      mostOccurrences = count;
+    }
+  }
+
+  const variables = [...occurrences.keys()].filter((v) => v !== branchVariable);
+  const result =
+    countFormula(simplify(clauses, branchVariable), variables, context) +
+    countFormula(simplify(clauses, -branchVariable), variables, context);
+  cache.set(key, result);
+  return result;
+}
+
+function countFormula(clauses, variables, context) {
+  const propagated = propagateUnits(clauses, variables);
+  if (!propagated) return 0n;
+
+  const constrained = new Set();
+  for (const clause of propagated.clauses) {
+    for (const literal of clause) constrained.add(Math.abs(literal));
+  }
+  let freeVariables = 0;
+  for (const v of propagated.variables) {
+    if (!constrained.has(v)) freeVariables++;
+  }
+
+  let total = 1n << BigInt(freeVariables);
+  for (const component of splitComponents(propagated.clauses)) {
+    total *= countComponent(component, context);
+    if (total === 0n) return 0n;
+  }
+  return total;
+}
+
+export function countSolutions(
+  clauses,
+  variableCount,
+  assumptions = [],
+  cache = new Map(),
+  featureCount = variableCount
+) {
+  const variables = Array.from({ length: variableCount }, (_, i) => i + 1);
+  const withAssumptions = [
+    ...clauses,
+    ...assumptions.map((literal) => [literal]),
+  ];
+  return countFormula(withAssumptions, variables, { cache, featureCount });
+}
+
+export function selectionRatio(part, total) {
+  if (!total) return 0;
+  return Number((part * 1000000n) / total) / 1000000;
+}
+
+export default function countConfigurations(model) {
+  const formula = buildFeatureFormula(model);
+  const clauses = formula.clauses.map((clause) => clause.literals);
+  const { variableCount } = formula;
+  const featureCount = formula.variables.length;
+  const cache = new Map();
+  const countWith = (assumptions) =>
+    countSolutions(clauses, variableCount, assumptions, cache, featureCount);
+
+  const total = countWith([]);
+  const perFeature = {};
+  const ratios = {};
+  formula.variables.forEach((id, index) => {
+    perFeature[id] = total === 0n ? 0n : countWith([index + 1]);
+    ratios[id] = selectionRatio(perFeature[id], total);
+  });
+
+  return { total, perFeature, ratios };
+}
+
+export function formatSelectionRatio(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,135 @@
+import { validateModel } from "./parser";
+import { findRootId } from "./featureFormula";
+
+// Encodes what is on screen into a URL hash and back:
+//   q  search query           h  highlighted ids, when there is no query
+//   f  selected feature       z  zoom transform "x,y,k"
+//   c  decisions "A,!B"       n  file name
+//   m  the model, deflated and base64url-encoded, when it is small enough
+// Ids in h and c are percent-encoded, "," and "!" included, before joining.
+
+// Longest compressed model that still goes into a link
+export const MODEL_HASH_LIMIT = 6000;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const list = (value) => (value ? value.split(",").filter(Boolean) : []);
+
+const encodeId = (id) => encodeURIComponent(id).replace(/!/g, "%21");
+const encodeIds = (ids) => ids.map(encodeId).join(",");
+
+// null for text that is not valid percent-encoding
+function decodeId(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return null;
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const canCompress = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+async function compressModel(model) {
+  const json = new TextEncoder().encode(JSON.stringify(model));
+  return toBase64Url(await pipe(json, new CompressionStream("deflate-raw")));
+}
+
+async function decompressModel(text) {
+  const bytes = await pipe(
+    fromBase64Url(text),
+    new DecompressionStream("deflate-raw")
+  );
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Returns the hash ("#..."), or "" when there is nothing to share
+export async function encodeLink({
+  fileName,
+  model,
+  query,
+  searchHits,
+  activeId,
+  zoom,
+  configuration,
+}) {
+  const params = new URLSearchParams();
+  if (query) params.set("q", query);
+  else if (searchHits?.length) params.set("h", encodeIds(searchHits));
+  if (activeId) params.set("f", activeId);
+  if (zoom) {
+    params.set(
+      "z",
+      [round(zoom.x, 1), round(zoom.y, 1), round(zoom.k, 3)].join(",")
+    );
+  }
+  const decisions = Object.entries(configuration || {}).map(([id, selected]) =>
+    selected ? encodeId(id) : `!${encodeId(id)}`
+  );
+  if (decisions.length) params.set("c", decisions.join(","));
+
+  if (model && canCompress()) {
+    const compressed = await compressModel(model);
+    if (compressed.length <= MODEL_HASH_LIMIT) {
+      params.set("n", fileName || `${findRootId(model)}.json`);
+      params.set("m", compressed);
+    }
+  }
+
+  const hash = params.toString();
+  return hash ? `#${hash}` : "";
+}
+
+// Reads a hash written by encodeLink(). Resolves to null for a hash without
+// view state and rejects when the model in it cannot be read.
+export async function decodeLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const keys = ["q", "h", "f", "z", "c", "m"];
+  if (!keys.some((key) => params.has(key))) return null;
+
+  let model = null;
+  if (params.has("m")) {
+    if (!canCompress()) throw new Error("This browser cannot read the model.");
+    model = await decompressModel(params.get("m"));
+    const { ok, errors } = validateModel(model);
+    if (!ok) throw new Error("Invalid model:\n" + errors.join("\n"));
+  }
+
+  const [x, y, k] = list(params.get("z")).map(Number);
+  const configuration = {};
+  for (const decision of list(params.get("c"))) {
+    const id = decodeId(decision.replace(/^!/, ""));
+    if (id !== null) configuration[id] = !decision.startsWith("!");
+  }
+
+  return {
+    fileName: model ? params.get("n") || `${findRootId(model)}.json` : null,
+    model,
+    query: params.get("q") || "",
+    searchHits: list(params.get("h"))
+      .map(decodeId)
+      .filter((id) => id !== null),
+    activeId: params.get("f"),
+    zoom: [x, y, k].every(Number.isFinite) ? { x, y, k } : null,
+    configuration,
+  };
+}
@@ -0,0 +1,15 @@
+import { buildFeatureFormula } from "./featureFormula";
+
+// DIMACS CNF for external SAT solvers: one variable per feature, numbered as
+// in buildFeatureFormula, and one clause per line ending in 0. The `c` lines
+// at the top map each variable number to its feature id; counter variables
+// of large groups come after the features and have no `c` line.
+export function formatDimacs(model) {
+  const { variables, variableCount, clauses } = buildFeatureFormula(model);
+  const lines = [
+    ...variables.map((id, index) => `c ${index + 1} ${id}`),
+    `p cnf ${variableCount} ${clauses.length}`,
+    ...clauses.map(({ literals }) => `${literals.join(" ")} 0`),
+  ];
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,48 @@
+import { constraintTracePaths, layoutExpressionChips } from "./drawConstraints";
+
+const FOCUS_COLOR = "#e53935";
+
+// Highlights the constraints of an analysis finding: their curves or chip
+// spokes are overdrawn and the features involved are ringed.
+export default function drawConstraintFocus(
+  treeContainer,
+  rootNode,
+  model,
+  issue
+) {
+  treeContainer.selectAll(".constraint-focus-layer").remove();
+  if (!issue) return null;
+
+  const nodeById = {};
+  rootNode.descendants().forEach((node) => (nodeById[node.data.id] = node));
+  const layer = treeContainer
+    .append("g")
+    .attr("class", "constraint-focus-layer")
+    .style("pointer-events", "none");
+
+  const chips = layoutExpressionChips(model.constraints, nodeById);
+  issue.constraints.forEach((index) =>
+    constraintTracePaths(model.constraints, index, nodeById, chips).forEach(
+      (pathData) =>
+        layer
+          .append("path")
+          .attr("d", pathData)
+          .attr("fill", "none")
+          .attr("stroke", FOCUS_COLOR)
+          .attr("stroke-width", 5)
+          .attr("stroke-dasharray", "10 6")
+          .attr("opacity", 0.7)
+    )
+  );
+
+  return layer
+    .selectAll("circle")
+    .data(issue.features.map((id) => nodeById[id]).filter(Boolean))
+    .join("circle")
+    .attr("cx", (node) => node.x)
+    .attr("cy", (node) => node.y)
+    .attr("r", 31)
+    .attr("fill", "none")
+    .attr("stroke", FOCUS_COLOR)
+    .attr("stroke-width", 3);
+}
@@ -1,4 +1,26 @@
 import * as d3 from "d3";
+import { expressionFeatures, parseExpression } from "./expression";
+
+const EXPRESSION_COLOR = "#6a1b9a";
+
+export function constraintCurvePath(sourceNode, targetNode) {
+  const controlMagnitude = Math.max(
+    80,
+    Math.abs(sourceNode.y - targetNode.y) / 3
+  );
+  return d3
+    .line()
+    .curve(d3.curveBasis)
+    .x((p) => p.x)
+    .y((p) => p.y)([
+    { x: sourceNode.x, y: sourceNode.y },
+    {
+      x: (sourceNode.x + targetNode.x) / 2,
+      y: (sourceNode.y + targetNode.y) / 2 - controlMagnitude,
+    },
+    { x: targetNode.x, y: targetNode.y },
+  ]);
+}
 
 export default function drawConstraints(treeContainer, model, rootNode) {
   const nodeById = {};
@@ -10,26 +32,9 @@ export default function drawConstraints(treeContainer, model, rootNode) {
     const targetNode = nodeById[constraint.b];
     if (!sourceNode || !targetNode) return;
 
-    const controlMagnitude = Math.max(
-      80,
-      Math.abs(sourceNode.y - targetNode.y) / 3
-    );
-    const pathData = d3
-      .line()
-      .curve(d3.curveBasis)
-      .x((p) => p.x)
-      .y((p) => p.y)([
-      { x: sourceNode.x, y: sourceNode.y },
-      {
-        x: (sourceNode.x + targetNode.x) / 2,
-        y: (sourceNode.y + targetNode.y) / 2 - controlMagnitude,
-      },
-      { x: targetNode.x, y: targetNode.y },
-    ]);
-
     constraintLayer
       .append("path")
-      .attr("d", pathData)
+      .attr("d", constraintCurvePath(sourceNode, targetNode))
       .attr("fill", "none")
       .attr("stroke", constraint.type === "requires" ? "#2196f3" : "#e53935")
       .attr("stroke-width", 2)
@@ -47,4 +52,96 @@ export default function drawConstraints(treeContainer, model, rootNode) {
         .attr("stroke-width", 1.5);
     });
   });
+
+  drawExpressionChips(constraintLayer, model.constraints || [], nodeById);
+}
+
+// Expression constraints can involve any number of features, so each one is
+// drawn as a chip above its features with a spoke to every one of them.
+// Successive chips are staggered vertically so neighbours stay readable.
+export function layoutExpressionChips(constraints, nodeById) {
+  const chips = [];
+  (constraints || []).forEach((constraint, index) => {
+    if (typeof constraint?.expression !== "string") return;
+    let names;
+    try {
+      names = expressionFeatures(parseExpression(constraint.expression));
+    } catch {
+      return;
+    }
+    const nodes = names.map((name) => nodeById[name]).filter(Boolean);
+    if (!nodes.length) return;
+
+    const label = constraint.expression.trim();
+    chips.push({
+      index,
+      label,
+      nodes,
+      width: label.length * 7 + 20,
+      x: nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length,
+      y:
+        Math.min(...nodes.map((node) => node.y)) - 70 - (chips.length % 3) * 30,
+    });
+  });
+  return chips;
+}
+
+// Paths that trace constraint `index` as drawn: the spokes of its chip, or
+// the curve between the two features of a pair constraint
+export function constraintTracePaths(constraints, index, nodeById, chips) {
+  const chip = chips.find((c) => c.index === index);
+  if (chip) {
+    return chip.nodes.map((node) => `M${chip.x},${chip.y}L${node.x},${node.y}`);
+  }
+  const sourceNode = nodeById[constraints?.[index]?.a];
+  const targetNode = nodeById[constraints?.[index]?.b];
+  return sourceNode && targetNode
+    ? [constraintCurvePath(sourceNode, targetNode)]
+    : [];
+}
+
+function drawExpressionChips(constraintLayer, constraints, nodeById) {
+  layoutExpressionChips(constraints, nodeById).forEach((chip) => {
+    chip.nodes.forEach((node) => {
+      constraintLayer
+        .append("line")
+        .attr("x1", chip.x)
+        .attr("y1", chip.y)
+        .attr("x2", node.x)
+        .attr("y2", node.y)
+        .attr("stroke", EXPRESSION_COLOR)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "2 3")
+        .attr("opacity", 0.8);
+      constraintLayer
+        .append("circle")
+        .attr("cx", node.x)
+        .attr("cy", node.y)
+        .attr("r", 4)
+        .attr("fill", EXPRESSION_COLOR)
+        .attr("stroke", "#fff")
+        .attr("stroke-width", 1.5);
+    });
+
+    constraintLayer
+      .append("rect")
+      .attr("x", chip.x - chip.width / 2)
+      .attr("y", chip.y - 11)
+      .attr("width", chip.width)
+      .attr("height", 22)
+      .attr("rx", 11)
+      .attr("fill", "#fff")
+      .attr("stroke", EXPRESSION_COLOR)
+      .attr("stroke-width", 1.5);
+    constraintLayer
+      .append("text")
+      .attr("x", chip.x)
+      .attr("y", chip.y)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "middle")
+      .attr("font-size", 12)
+      .attr("font-family", "monospace")
+      .attr("fill", EXPRESSION_COLOR)
+      .text(chip.label);
+  });
 }
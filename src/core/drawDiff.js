@@ -0,0 +1,77 @@
+import { constraintTracePaths, layoutExpressionChips } from "./drawConstraints";
+
+export const diffStyles = {
+  added: { color: "#2e7d32", symbol: "+" },
+  removed: { color: "#c62828", symbol: "−" },
+  changed: { color: "#f9a825", symbol: "~" },
+};
+
+// Colours the tree of a merged model by its diff: changed features are
+// ringed and badged, removed ones are drawn faded as ghosts, and added or
+// removed constraints are overdrawn.
+export default function drawDiff(
+  treeContainer,
+  rootNode,
+  nodeSelection,
+  model,
+  diff
+) {
+  treeContainer.selectAll(".diff-layer").remove();
+  if (!diff) return null;
+
+  const statusOf = (node) => diff.featureStatus[node.data.id];
+  nodeSelection
+    .filter((node) => statusOf(node) === "removed")
+    .attr("opacity", 0.35);
+
+  const nodeById = {};
+  rootNode.descendants().forEach((node) => (nodeById[node.data.id] = node));
+  const layer = treeContainer
+    .append("g")
+    .attr("class", "diff-layer")
+    .style("pointer-events", "none");
+
+  const chips = layoutExpressionChips(model.constraints, nodeById);
+  diff.constraintStatus.forEach((status, index) => {
+    if (status === "unchanged") return;
+    constraintTracePaths(model.constraints, index, nodeById, chips).forEach(
+      (pathData) =>
+        layer
+          .append("path")
+          .attr("d", pathData)
+          .attr("fill", "none")
+          .attr("stroke", diffStyles[status].color)
+          .attr("stroke-width", 3)
+          .attr("stroke-dasharray", status === "removed" ? "6 4" : null)
+          .attr("opacity", 0.8)
+    );
+  });
+
+  const marked = layer
+    .selectAll("g")
+    .data(rootNode.descendants().filter(statusOf))
+    .join("g")
+    .attr("transform", (node) => `translate(${node.x}, ${node.y})`);
+
+  marked
+    .append("circle")
+    .attr("r", 31)
+    .attr("fill", "none")
+    .attr("stroke", (node) => diffStyles[statusOf(node)].color)
+    .attr("stroke-width", 3)
+    .attr("stroke-dasharray", (node) =>
+      statusOf(node) === "removed" ? "4 3" : null
+    );
+
+  marked
+    .append("text")
+    .attr("x", -30)
+    .attr("y", -22)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 16)
+    .attr("font-weight", 700)
+    .attr("fill", (node) => diffStyles[statusOf(node)].color)
+    .text((node) => diffStyles[statusOf(node)].symbol);
+
+  return marked;
+}
@@ -0,0 +1,65 @@
+import * as d3 from "d3";
+import { constraintTracePaths, layoutExpressionChips } from "./drawConstraints";
+
+const EXPLANATION_COLOR = "#ff6f00";
+
+// Traces an explanation over the tree: the features of the chain are ringed
+// and the tree links and constraint curves it went through are overdrawn.
+export default function drawExplanation(
+  treeContainer,
+  rootNode,
+  model,
+  explanation
+) {
+  treeContainer.selectAll(".explanation-layer").remove();
+  if (!explanation) return null;
+
+  const nodeById = {};
+  rootNode.descendants().forEach((node) => (nodeById[node.data.id] = node));
+  const layer = treeContainer
+    .append("g")
+    .attr("class", "explanation-layer")
+    .style("pointer-events", "none");
+
+  const overdraw = (pathData) =>
+    layer
+      .append("path")
+      .attr("d", pathData)
+      .attr("fill", "none")
+      .attr("stroke", EXPLANATION_COLOR)
+      .attr("stroke-width", 6)
+      .attr("stroke-linecap", "round")
+      .attr("opacity", 0.55);
+
+  const treeLink = d3
+    .linkVertical()
+    .x((p) => p.x)
+    .y((p) => p.y);
+  explanation.links.forEach(({ parent, child }) => {
+    if (nodeById[parent] && nodeById[child]) {
+      overdraw(treeLink({ source: nodeById[parent], target: nodeById[child] }));
+    }
+  });
+
+  const chips = layoutExpressionChips(model.constraints, nodeById);
+  explanation.constraints.forEach((index) =>
+    constraintTracePaths(model.constraints, index, nodeById, chips).forEach(
+      overdraw
+    )
+  );
+
+  return layer
+    .selectAll("circle")
+    .data(explanation.features.map((id) => nodeById[id]).filter(Boolean))
+    .join("circle")
+    .attr("cx", (node) => node.x)
+    .attr("cy", (node) => node.y)
+    .attr("r", 31)
+    .attr("fill", "none")
+    .attr("stroke", (node) =>
+      node.data.id === explanation.feature ? EXPLANATION_COLOR : "#ffb74d"
+    )
+    .attr("stroke-width", (node) =>
+      node.data.id === explanation.feature ? 4 : 3
+    );
+}
@@ -0,0 +1,99 @@
+import {
+  GROUP_TYPES,
+  formatCardinality,
+  parseCardinality,
+  relationType,
+} from "./model";
+
+const GROUP_ARC_RADIUS = 45;
+
+// Point where the vertical link from `source` to `target` (the cubic curve
+// drawn by d3.linkVertical) is `distance` away from the source, found by
+// bisection on the curve parameter.
+export function pointOnLink(source, target, distance) {
+  const midY = (source.y + target.y) / 2;
+  const at = (t) => {
+    const u = 1 - t;
+    return {
+      x:
+        u * u * u * source.x +
+        3 * u * u * t * source.x +
+        3 * u * t * t * target.x +
+        t * t * t * target.x,
+      y:
+        u * u * u * source.y +
+        3 * u * u * t * midY +
+        3 * u * t * t * midY +
+        t * t * t * target.y,
+    };
+  };
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    const point = at(mid);
+    if (Math.hypot(point.x - source.x, point.y - source.y) < distance) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return at((low + high) / 2);
+}
+
+// FODA notation: an empty arc across the links of an alternative group and
+// a filled arc across those of an or group.
+export function groupArcPath(parent, members, type, radius = GROUP_ARC_RADIUS) {
+  const ordered = [...members].sort((a, b) => a.x - b.x);
+  const start = pointOnLink(parent, ordered[0], radius);
+  const end = pointOnLink(parent, ordered[ordered.length - 1], radius);
+  const arc = `A${radius},${radius} 0 0 0 ${end.x},${end.y}`;
+  return type === "or"
+    ? `M${parent.x},${parent.y} L${start.x},${start.y} ${arc} Z`
+    : `M${start.x},${start.y} ${arc}`;
+}
+
+export default function drawGroups(treeContainer, rootNode) {
+  const groups = [];
+  rootNode.descendants().forEach((node) => {
+    for (const type of GROUP_TYPES) {
+      const members = (node.children || []).filter(
+        (child) => relationType(child.data) === type
+      );
+      if (members.length) groups.push({ parent: node, type, members });
+    }
+  });
+
+  const layer = treeContainer.append("g");
+  const arcs = layer
+    .selectAll("path")
+    .data(groups)
+    .join("path")
+    .attr("d", (group) => groupArcPath(group.parent, group.members, group.type))
+    .attr("fill", (group) => (group.type === "or" ? "#555" : "none"))
+    .attr("fill-opacity", (group) => (group.type === "or" ? 0.85 : null))
+    .attr("stroke", "#555")
+    .attr("stroke-width", 2);
+
+  // Declared group cardinalities are labelled just below their arc
+  layer
+    .selectAll("text")
+    .data(
+      groups.filter((group) =>
+        parseCardinality(group.parent.data.groupCardinality)
+      )
+    )
+    .join("text")
+    .attr("x", (group) => group.parent.x)
+    .attr("y", (group) => group.parent.y + GROUP_ARC_RADIUS + 14)
+    .attr("text-anchor", "middle")
+    .attr("font-size", 12)
+    .attr("font-weight", 600)
+    .attr("fill", "#555")
+    .text((group) =>
+      formatCardinality(parseCardinality(group.parent.data.groupCardinality))
+    );
+
+  return arcs;
+}
@@ -1,17 +1,26 @@
 import * as d3 from "d3";
 import { searchFeatures } from "./search";
+import { formatSelectionRatio } from "./countConfigurations";
+import { formatCardinality, parseCardinality } from "./model";
 export default function drawNodes(
   treeContainer,
   rootNode,
   model,
   setSearchHits,
-  setQuery
+  setQuery,
+  onNodeClick,
+  onNodeContextMenu,
+  onNodeDrop
 ) {
   const colorForNode = (node) =>
     node.data.type === "mandatory"
       ? "#43a047"
       : node.data.type === "optional"
       ? "#1e88e5"
+      : node.data.type === "alternative"
+      ? "#8e24aa"
+      : node.data.type === "or"
+      ? "#00897b"
       : "#999";
 
   const nodeSelection = treeContainer
@@ -27,6 +36,16 @@ export default function drawNodes(
     .attr("stroke-width", 2)
     .style("filter", "drop-shadow(0 1px 3px rgba(0,0,0,0.15))")
     .style("cursor", "pointer")
+    .on("click", (event, node) => {
+      // The second click of a double-click belongs to the dblclick search
+      if (!onNodeClick || event.detail > 1) return;
+      onNodeClick(node.data.id);
+    })
+    .on("contextmenu", (event, node) => {
+      if (!onNodeContextMenu) return;
+      event.preventDefault();
+      onNodeContextMenu(node.data.id, event);
+    })
     .on("dblclick", (event, node) => {
       event.stopPropagation();
       const query = node.data.label || node.data.id;
@@ -35,6 +54,49 @@ export default function drawNodes(
       setSearchHits(hits);
     });
 
+  // Dragging a node onto another asks to make it that node's child. The
+  // node follows the pointer and the node under it is ringed; the tree is
+  // redrawn once the move is committed.
+  if (onNodeDrop) {
+    const nodes = rootNode.descendants();
+    const targetAt = (dragged, x, y) =>
+      nodes.find(
+        (node) => node !== dragged && Math.hypot(node.x - x, node.y - y) < 25
+      ) || null;
+    const ringTarget = (target) => {
+      treeContainer.selectAll(".drop-target").remove();
+      if (!target) return;
+      treeContainer
+        .append("circle")
+        .attr("class", "drop-target")
+        .attr("cx", target.x)
+        .attr("cy", target.y)
+        .attr("r", 31)
+        .attr("fill", "none")
+        .attr("stroke", "#f9a825")
+        .attr("stroke-width", 3)
+        .attr("stroke-dasharray", "4 3")
+        .style("pointer-events", "none");
+    };
+
+    nodeSelection.call(
+      d3
+        .drag()
+        // The root stays put, and right-clicks open the context menu
+        .filter((event, node) => !event.ctrlKey && !event.button && node.parent)
+        .on("drag", function (event, node) {
+          d3.select(this).attr("cx", event.x).attr("cy", event.y);
+          ringTarget(targetAt(node, event.x, event.y));
+        })
+        .on("end", function (event, node) {
+          d3.select(this).attr("cx", node.x).attr("cy", node.y);
+          ringTarget(null);
+          const target = targetAt(node, event.x, event.y);
+          if (target) onNodeDrop(node.data.id, target.data.id);
+        })
+    );
+  }
+
   function wrapText(textSelection, widthLimit = 130) {
     textSelection.each(function (node) {
       const textElement = d3.select(this);
@@ -92,5 +154,94 @@ export default function drawNodes(
     .text((node) => node.data.label)
     .call(wrapText, 120);
 
+  // Clone cardinalities sit to the right of their node, e.g. "[1..4]"
+  treeContainer
+    .append("g")
+    .selectAll("text")
+    .data(
+      rootNode
+        .descendants()
+        .filter((node) => parseCardinality(node.data.cardinality))
+    )
+    .join("text")
+    .attr("x", (node) => node.x + 30)
+    .attr("y", (node) => node.y + 4)
+    .attr("font-size", 12)
+    .attr("font-weight", 600)
+    .attr("fill", "#555")
+    .text((node) => formatCardinality(parseCardinality(node.data.cardinality)));
+
   return nodeSelection;
 }
+
+const configurationBadges = {
+  selected: { color: "#2e7d32", symbol: "✓" },
+  deselected: { color: "#c62828", symbol: "✕" },
+  undecided: { color: "#9e9e9e", symbol: "?" },
+};
+
+// Badges on the top-right of each node: solid for the user's own decisions,
+// outlined for values forced by propagation or still open.
+export function drawConfigurationStates(
+  treeContainer,
+  nodeSelection,
+  rootNode,
+  configurationState
+) {
+  treeContainer.selectAll(".configuration-layer").remove();
+  if (!configurationState) {
+    nodeSelection.attr("opacity", 1);
+    return null;
+  }
+
+  const { states, sources } = configurationState;
+  const stateOf = (node) => states[node.data.id] || "undecided";
+  const isUserDecision = (node) => sources[node.data.id] === "user";
+
+  nodeSelection.attr("opacity", (node) =>
+    stateOf(node) === "deselected" ? 0.4 : 1
+  );
+
+  const badgeGroups = treeContainer
+    .append("g")
+    .attr("class", "configuration-layer")
+    .style("pointer-events", "none")
+    .selectAll("g")
+    .data(rootNode.descendants())
+    .join("g")
+    .attr("transform", (node) => `translate(${node.x + 20}, ${node.y - 20})`);
+
+  badgeGroups
+    .append("circle")
+    .attr("r", 9)
+    .attr("fill", (node) =>
+      isUserDecision(node) ? configurationBadges[stateOf(node)].color : "#fff"
+    )
+    .attr("stroke", (node) => configurationBadges[stateOf(node)].color)
+    .attr("stroke-width", 2);
+
+  badgeGroups
+    .append("text")
+    .attr("text-anchor", "middle")
+    .attr("dy", "0.35em")
+    .attr("font-size", 11)
+    .attr("font-weight", 700)
+    .attr("fill", (node) =>
+      isUserDecision(node) ? "#fff" : configurationBadges[stateOf(node)].color
+    )
+    .text((node) => configurationBadges[stateOf(node)].symbol);
+
+  return badgeGroups;
+}
+
+export function applyNodeTooltips(nodeSelection, counts) {
+  nodeSelection.selectAll("title").remove();
+  nodeSelection.append("title").text((node) => {
+    const name = node.data.label || node.data.id;
+    const ratio = counts?.ratios[node.data.id];
+    if (ratio === undefined) return name;
+    return `${name}\nIn ${formatSelectionRatio(
+      ratio
+    )} of ${counts.total.toLocaleString("en-US")} valid products`;
+  });
+}
@@ -0,0 +1,163 @@
+import { findRootId, normalizeConstraint } from "./featureFormula";
+import { expressionFeatures, parseExpression } from "./expression";
+import { GROUP_TYPES, buildGraph, relationType } from "./model";
+import { validateModel } from "./parser";
+
+// Edits never change the model they are given: each returns a new model
+// and throws when the edit makes no sense for the tree.
+
+export const FEATURE_TYPES = ["optional", "mandatory", "alternative", "or"];
+
+function featureOf(model, id) {
+  const feature = (model?.features || []).find((f) => f.id === id);
+  if (!feature) throw new Error(`Unknown feature ${id}`);
+  return feature;
+}
+
+// The feature and all of its descendants
+export function subtreeOf(model, id) {
+  const ids = new Set([id]);
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (const f of model.features) {
+      if (f.parent && ids.has(f.parent) && !ids.has(f.id)) {
+        ids.add(f.id);
+        grown = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// A group cardinality only stays meaningful while its owner still has group
+// children
+function dropEmptyGroupCardinalities(features) {
+  return features.map((f) => {
+    if (f.groupCardinality === undefined) return f;
+    const grouped = features.some(
+      (x) => x.parent === f.id && GROUP_TYPES.includes(relationType(x))
+    );
+    if (grouped) return f;
+    const rest = { ...f };
+    delete rest.groupCardinality;
+    return rest;
+  });
+}
+
+function constraintFeatures(constraint) {
+  const { type, a, b, expression } = normalizeConstraint(constraint);
+  if (type !== "expression") return [a, b];
+  try {
+    return expressionFeatures(parseExpression(expression));
+  } catch {
+    return [];
+  }
+}
+
+// "Night Mode" becomes NightMode, with a number appended when taken
+export function newFeatureId(model, label) {
+  const words = String(label).match(/[A-Za-z0-9_]+/g) || [];
+  let base = words.map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+  if (!base) base = "Feature";
+  if (/^\d/.test(base)) base = `F${base}`;
+  const taken = new Set((model?.features || []).map((f) => f.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}${n}`;
+  return id;
+}
+
+export function addFeature(model, parentId, { id, label, type = "optional" }) {
+  featureOf(model, parentId);
+  const name = String(label ?? "").trim();
+  if (!name) throw new Error("A new feature needs a name");
+  const feature = {
+    id: id || newFeatureId(model, name),
+    label: name,
+    type,
+    parent: parentId,
+  };
+  return { ...model, features: [...model.features, feature] };
+}
+
+export function renameFeature(model, id, label) {
+  featureOf(model, id);
+  const name = String(label ?? "").trim();
+  if (!name) throw new Error(`The label of ${id} cannot be empty`);
+  return {
+    ...model,
+    features: model.features.map((f) =>
+      f.id === id ? { ...f, label: name } : f
+    ),
+  };
+}
+
+export function changeFeatureType(model, id, type) {
+  const feature = featureOf(model, id);
+  if (!feature.parent) {
+    throw new Error(`The root feature ${id} has no type to change`);
+  }
+  if (!FEATURE_TYPES.includes(type)) {
+    throw new Error(`Unknown feature type: ${type}`);
+  }
+  return {
+    ...model,
+    features: dropEmptyGroupCardinalities(
+      model.features.map((f) => (f.id === id ? { ...f, type } : f))
+    ),
+  };
+}
+
+// Removes the feature with all of its descendants and every constraint that
+// mentions one of them
+export function deleteFeature(model, id) {
+  featureOf(model, id);
+  if (id === findRootId(model)) {
+    throw new Error(`The root feature ${id} cannot be deleted`);
+  }
+  const removed = subtreeOf(model, id);
+  return {
+    ...model,
+    features: dropEmptyGroupCardinalities(
+      model.features.filter((f) => !removed.has(f.id))
+    ),
+    constraints: (model.constraints || []).filter(
+      (constraint) =>
+        !constraintFeatures(constraint).some((f) => removed.has(f))
+    ),
+  };
+}
+
+export function moveFeature(model, id, parentId) {
+  const feature = featureOf(model, id);
+  featureOf(model, parentId);
+  if (!feature.parent) {
+    throw new Error(`The root feature ${id} cannot be moved`);
+  }
+  if (subtreeOf(model, id).has(parentId)) {
+    throw new Error(`Cannot move ${id} under its own subtree (${parentId})`);
+  }
+  if (feature.parent === parentId) return model;
+  return {
+    ...model,
+    features: dropEmptyGroupCardinalities(
+      model.features.map((f) => (f.id === id ? { ...f, parent: parentId } : f))
+    ),
+  };
+}
+
+// Applies `edit` and only swaps the result in when it still validates, the
+// way an upload would. Returns the reasons an edit was refused, if any.
+export function commitModelEdit(model, edit, setModel, setGraph) {
+  let edited;
+  try {
+    edited = edit(model);
+  } catch (error) {
+    return [error.message];
+  }
+  const { ok, errors } = validateModel(edited);
+  if (!ok) return errors;
+  setModel(edited);
+  setGraph(buildGraph(edited.features));
+  return [];
+}
@@ -0,0 +1,179 @@
+import { buildFeatureFormula } from "./featureFormula";
+import { solve } from "./satSolver";
+import { describeConstraint } from "./parser";
+
+// Explains why propagation forced a feature. The clauses and user decisions
+// are first shrunk to a minimal set that still rules out the other value;
+// unit propagation over that set then yields a chain of reasons, each step
+// naming the rule that forced it and the features it depended on.
+export function explainState(model, decisions, featureId) {
+  const formula = buildFeatureFormula(model);
+  const variable = formula.variableOf.get(featureId);
+  if (!variable) return null;
+  const { variableCount } = formula;
+  const idOf = (literal) => formula.variables[Math.abs(literal) - 1];
+
+  const decisionClauses = Object.entries(decisions || {})
+    .filter(([id]) => formula.variableOf.has(id))
+    .map(([id, value]) => ({
+      literals: [(value ? 1 : -1) * formula.variableOf.get(id)],
+      source: { kind: "decision" },
+    }));
+  const candidates = [...formula.clauses, ...decisionClauses];
+  const solveWith = (clauses, assumptions) =>
+    solve(
+      clauses.map((clause) => clause.literals),
+      variableCount,
+      assumptions
+    );
+
+  // The forced value is the one the other value cannot have
+  const canSelect = !!solveWith(candidates, [variable]);
+  const canDeselect = !!solveWith(candidates, [-variable]);
+  if (canSelect === canDeselect) return null;
+  const target = canSelect ? variable : -variable;
+
+  let reasons = candidates;
+  for (const clause of candidates) {
+    const remaining = reasons.filter((other) => other !== clause);
+    if (!solveWith(remaining, [-target])) reasons = remaining;
+  }
+
+  const implied = propagate(reasons);
+  // Auxiliary variables of large groups and constraints are not shown: a
+  // step that depends on one depends on the features that set it instead
+  const antecedentsOf = (reason, literal, seen = new Set()) =>
+    reason.literals
+      .filter((other) => other !== literal)
+      .map((other) => -other)
+      .flatMap((other) => {
+        if (Math.abs(other) <= formula.variables.length) return [other];
+        if (seen.has(other)) return [];
+        seen.add(other);
+        const counterReason = implied.get(other);
+        return counterReason ? antecedentsOf(counterReason, other, seen) : [];
+      });
+  const steps = [];
+  const explained = new Set();
+  const queue = [target];
+  while (queue.length) {
+    const literal = queue.shift();
+    if (explained.has(literal)) continue;
+    explained.add(literal);
+
+    const reason = implied.get(literal);
+    if (!reason) {
+      // Unit propagation alone does not reach the target: the remaining
+      // rules only rule out the other value together.
+      steps.push({
+        feature: idOf(literal),
+        state: literal > 0 ? "selected" : "deselected",
+        kind: "combined",
+        because: [],
+        sources: reasons.map((clause) => clause.source),
+      });
+      continue;
+    }
+
+    const antecedents = [...new Set(antecedentsOf(reason, literal))];
+    steps.push({
+      feature: idOf(literal),
+      state: literal > 0 ? "selected" : "deselected",
+      kind: reason.source.kind,
+      because: antecedents.map(idOf),
+      source: reason.source,
+    });
+    queue.push(...antecedents);
+  }
+
+  const links = [];
+  const constraints = new Set();
+  for (const step of steps) {
+    const sources = step.sources || [step.source];
+    for (const source of sources) {
+      if (source?.kind === "constraint") constraints.add(source.constraint);
+      if (["parent", "mandatory"].includes(source?.kind)) {
+        links.push({ parent: source.parent, child: source.feature });
+      }
+    }
+    if (step.kind === "group") {
+      const parent = step.source.parent;
+      for (const member of [step.feature, ...step.because]) {
+        if (member !== parent) links.push({ parent, child: member });
+      }
+    }
+  }
+
+  return {
+    feature: featureId,
+    state: target > 0 ? "selected" : "deselected",
+    steps: steps.map((step) => ({ ...step, text: describeStep(step, model) })),
+    features: [...new Set(steps.flatMap((s) => [s.feature, ...s.because]))],
+    links,
+    constraints: [...constraints],
+  };
+}
+
+// Maps every literal unit propagation derives to the clause that forced it
+function propagate(clauses) {
+  const implied = new Map();
+  const isTrue = (literal) => implied.has(literal);
+  const isFalse = (literal) => implied.has(-literal);
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const clause of clauses) {
+      if (clause.literals.some(isTrue)) continue;
+      const open = clause.literals.filter((literal) => !isFalse(literal));
+      if (open.length !== 1) continue;
+      implied.set(open[0], clause);
+      changed = true;
+    }
+  }
+  return implied;
+}
+
+const listFeatures = (ids) =>
+  ids.length <= 1
+    ? ids.join("")
+    : `${ids.slice(0, -1).join(", ")} and ${ids[ids.length - 1]}`;
+
+export function describeStep(step, model) {
+  const { feature, state, kind, because, source } = step;
+  const selected = state === "selected";
+  switch (kind) {
+    case "decision":
+      return `${feature} was ${state} by you`;
+    case "root":
+      return `${feature} is the root feature`;
+    case "parent":
+      return selected
+        ? `${feature} selected because its child ${source.feature} is selected`
+        : `${feature} deselected because its parent ${source.parent} is deselected`;
+    case "mandatory":
+      return selected
+        ? `${feature} selected because it is mandatory under ${source.parent}`
+        : `${feature} deselected because its mandatory child ${source.feature} is deselected`;
+    case "group": {
+      const group = `the ${source.group} group of ${source.parent}`;
+      const members = because.filter((id) => id !== source.parent);
+      if (feature === source.parent) {
+        return `${feature} deselected because no member of ${group} can be selected`;
+      }
+      return selected
+        ? `${feature} selected because ${group} needs it while ${listFeatures(
+            members
+          )} ${members.length === 1 ? "is" : "are"} deselected`
+        : `${feature} deselected because ${group} already has ${listFeatures(
+            members
+          )} selected`;
+    }
+    case "constraint":
+      return `${feature} ${state} because ${describeConstraint(
+        model.constraints[source.constraint]
+      )}`;
+    default:
+      return `${feature} ${state} because the other choice conflicts with the remaining rules together`;
+  }
+}
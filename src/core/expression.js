@@ -0,0 +1,326 @@
+// Propositional constraint expressions such as `(GPS & WiFi) => !LowPower`.
+// Operators from tightest to loosest: `!`, `&`, `|`, `=>` (right
+// associative) and `<=>`. Feature names are identifiers or double-quoted
+// strings for ids that contain spaces or operator characters.
+
+export class ExpressionError extends Error {
+  constructor(message, column) {
+    super(message);
+    this.name = "ExpressionError";
+    this.column = column;
+  }
+}
+
+const OPERATORS = ["<=>", "=>", "&", "|", "!", "(", ")"];
+const BINARY_PRECEDENCE = { iff: 1, implies: 2, or: 3, and: 4 };
+const BINARY_SYMBOLS = { iff: "<=>", implies: "=>", or: "|", and: "&" };
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const column = index + 1;
+    const operator = OPERATORS.find((op) => text.startsWith(op, index));
+    if (operator) {
+      tokens.push({ kind: operator, text: operator, column });
+      index += operator.length;
+    } else if (char === '"') {
+      const end = text.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new ExpressionError(
+          `Unterminated quoted name starting at column ${column}`,
+          column
+        );
+      }
+      const name = text.slice(index + 1, end);
+      tokens.push({ kind: "name", text: name, column });
+      index = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = /^[A-Za-z_][\w.]*/.exec(text.slice(index))[0];
+      tokens.push({ kind: "name", text: name, column });
+      index += name.length;
+    } else {
+      throw new ExpressionError(
+        `Unexpected character "${char}" at column ${column}`,
+        column
+      );
+    }
+  }
+  tokens.push({ kind: "end", text: "end of expression", column: index + 1 });
+  return tokens;
+}
+
+const describeToken = (token) =>
+  token.kind === "end" ? "the end of the expression" : `"${token.text}"`;
+
+export function parseExpression(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new ExpressionError("Expression is empty", 1);
+  }
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseBinary = (kind, operator, parseOperand) => {
+    let left = parseOperand();
+    while (peek().kind === operator) {
+      next();
+      left = { type: kind, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseIff = () => parseBinary("iff", "<=>", parseImplies);
+  const parseImplies = () => {
+    const left = parseOr();
+    if (peek().kind !== "=>") return left;
+    next();
+    return { type: "implies", left, right: parseImplies() };
+  };
+  const parseOr = () => parseBinary("or", "|", parseAnd);
+  const parseAnd = () => parseBinary("and", "&", parseNot);
+  const parseNot = () => {
+    if (peek().kind !== "!") return parsePrimary();
+    next();
+    return { type: "not", operand: parseNot() };
+  };
+  const parsePrimary = () => {
+    const token = next();
+    if (token.kind === "name") {
+      return { type: "feature", name: token.text, column: token.column };
+    }
+    if (token.kind === "(") {
+      const inner = parseIff();
+      if (peek().kind !== ")") {
+        throw new ExpressionError(
+          `Expected ")" to close "(" at column ${
+            token.column
+          } but found ${describeToken(peek())} at column ${peek().column}`,
+          peek().column
+        );
+      }
+      next();
+      return inner;
+    }
+    throw new ExpressionError(
+      `Expected a feature name at column ${
+        token.column
+      } but found ${describeToken(token)}`,
+      token.column
+    );
+  };
+
+  const expression = parseIff();
+  if (peek().kind !== "end") {
+    throw new ExpressionError(
+      `Unexpected ${describeToken(peek())} at column ${peek().column}`,
+      peek().column
+    );
+  }
+  return expression;
+}
+
+// Feature names in order of first appearance
+export function expressionFeatures(expression) {
+  const names = [];
+  const visit = (node) => {
+    if (node.type === "feature") {
+      if (!names.includes(node.name)) names.push(node.name);
+    } else if (node.type === "not") {
+      visit(node.operand);
+    } else {
+      visit(node.left);
+      visit(node.right);
+    }
+  };
+  visit(expression);
+  return names;
+}
+
+export function evaluateExpression(expression, isSelected) {
+  switch (expression.type) {
+    case "feature":
+      return isSelected(expression.name);
+    case "not":
+      return !evaluateExpression(expression.operand, isSelected);
+    case "and":
+      return (
+        evaluateExpression(expression.left, isSelected) &&
+        evaluateExpression(expression.right, isSelected)
+      );
+    case "or":
+      return (
+        evaluateExpression(expression.left, isSelected) ||
+        evaluateExpression(expression.right, isSelected)
+      );
+    case "implies":
+      return (
+        !evaluateExpression(expression.left, isSelected) ||
+        evaluateExpression(expression.right, isSelected)
+      );
+    default:
+      return (
+        evaluateExpression(expression.left, isSelected) ===
+        evaluateExpression(expression.right, isSelected)
+      );
+  }
+}
+
+const formatName = (name) =>
+  /^[A-Za-z_][\w.]*$/.test(name) ? name : `"${name}"`;
+
+// Prints with the fewest parentheses that keep the structure
+export function formatExpression(expression, parentPrecedence = 0) {
+  if (expression.type === "feature") return formatName(expression.name);
+  if (expression.type === "not") {
+    return `!${formatExpression(expression.operand, 5)}`;
+  }
+  const precedence = BINARY_PRECEDENCE[expression.type];
+  // `=>` groups to the right, the other operators to the left
+  const rightAssociative = expression.type === "implies";
+  const left = formatExpression(
+    expression.left,
+    rightAssociative ? precedence + 1 : precedence
+  );
+  const right = formatExpression(
+    expression.right,
+    rightAssociative ? precedence : precedence + 1
+  );
+  const text = `${left} ${BINARY_SYMBOLS[expression.type]} ${right}`;
+  return precedence < parentPrecedence ? `(${text})` : text;
+}
+
+const containsIff = (expression) =>
+  expression.type === "iff" ||
+  (expression.type === "not" && containsIff(expression.operand)) ||
+  (Boolean(expression.left) &&
+    (containsIff(expression.left) || containsIff(expression.right)));
+
+// A new variable equivalent to the conjunction of `clauses`. A clause of
+// several literals first gets a variable of its own, equivalent to it.
+function nameClauses(clauses, { newVariable, addDefinition }) {
+  const parts = clauses.map((clause) => {
+    if (clause.length === 1) return clause[0];
+    const part = newVariable();
+    addDefinition([-part, ...clause]);
+    clause.forEach((literal) => addDefinition([part, -literal]));
+    return part;
+  });
+  const named = newVariable();
+  parts.forEach((part) => addDefinition([-named, part]));
+  addDefinition([named, ...parts.map((part) => -part)]);
+  return named;
+}
+
+// Clauses of DIMACS literals, via negation normal form and distribution of
+// `|` over `&`. Given `newVariable`, a disjunction whose sides both have
+// several clauses names the side with more clauses by an auxiliary variable
+// instead, which keeps the clause count linear. Every auxiliary variable is
+// defined as equivalent to what it names, so model counts stay exact.
+// Without `newVariable` the clause count can grow exponentially for
+// disjunctions of long conjunctions.
+function toClauses(expression, positive, encoding) {
+  switch (expression.type) {
+    case "feature": {
+      const variable = encoding.variableOf.get(expression.name);
+      return [[positive ? variable : -variable]];
+    }
+    case "literal":
+      return [[positive ? expression.literal : -expression.literal]];
+    case "not":
+      return toClauses(expression.operand, !positive, encoding);
+    case "and":
+    case "or": {
+      const left = toClauses(expression.left, positive, encoding);
+      const right = toClauses(expression.right, positive, encoding);
+      const conjunction = (expression.type === "and") === positive;
+      if (conjunction) return [...left, ...right];
+      if (encoding.newVariable && left.length > 1 && right.length > 1) {
+        const [named, other] =
+          left.length > right.length ? [left, right] : [right, left];
+        const literal = nameClauses(named, encoding);
+        return other.map((clause) => [...clause, literal]);
+      }
+      return left.flatMap((a) => right.map((b) => [...a, ...b]));
+    }
+    case "implies":
+      return toClauses(
+        {
+          type: "or",
+          left: { type: "not", operand: expression.left },
+          right: expression.right,
+        },
+        positive,
+        encoding
+      );
+    default: {
+      // a <=> b is (!a | b) & (a | !b); its negation is (a | b) & (!a | !b)
+      // Both sides appear twice, so a side holding another `<=>` is named
+      // first, or chains of `<=>` would double the clauses at every step
+      const named = (operand) =>
+        encoding.newVariable && containsIff(operand)
+          ? {
+              type: "literal",
+              literal: nameClauses(
+                toClauses(operand, true, encoding),
+                encoding
+              ),
+            }
+          : operand;
+      const left = named(expression.left);
+      const right = named(expression.right);
+      const notLeft = { type: "not", operand: left };
+      const notRight = { type: "not", operand: right };
+      return positive
+        ? [
+            ...toClauses({ type: "or", left: notLeft, right }, true, encoding),
+            ...toClauses({ type: "or", left, right: notRight }, true, encoding),
+          ]
+        : [
+            ...toClauses({ type: "or", left, right }, true, encoding),
+            ...toClauses(
+              { type: "or", left: notLeft, right: notRight },
+              true,
+              encoding
+            ),
+          ];
+    }
+  }
+}
+
+// Repeated literals are merged; tautological clauses become null
+function simplifyClause(clause) {
+  const literals = [...new Set(clause)];
+  return literals.some((literal) => literals.includes(-literal))
+    ? null
+    : literals;
+}
+
+// DIMACS-style clauses for an expression; tautological clauses are dropped.
+// Auxiliary variables come from `newVariable`, and their defining clauses
+// go to `addDefinition` rather than into the result.
+export function expressionToClauses(
+  expression,
+  variableOf,
+  newVariable,
+  addDefinition
+) {
+  const encoding = {
+    variableOf,
+    newVariable,
+    addDefinition: (clause) => {
+      const literals = simplifyClause(clause);
+      if (literals) addDefinition(literals);
+    },
+  };
+  return toClauses(expression, true, encoding)
+    .map(simplifyClause)
+    .filter(Boolean);
+}
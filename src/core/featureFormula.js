@@ -0,0 +1,272 @@
+import { collectGroups, parseCardinality, relationType } from "./model";
+import {
+  expressionFeatures,
+  expressionToClauses,
+  formatExpression,
+  parseExpression,
+} from "./expression";
+
+// Translates a feature model into a propositional formula in CNF. Each clause
+// keeps a `source` describing which part of the model produced it, so that
+// analyses can point back at the tree relation or constraint involved.
+//
+// Variables 1..variables.length are the features. Large groups add auxiliary
+// counter variables after them, up to variableCount, and so do constraints
+// that would otherwise take many clauses. Every auxiliary variable is fixed
+// by the feature variables, so products and model counts are the same with
+// or without them.
+
+// Groups whose binomial encoding would take more clauses than this use a
+// counter instead
+export const BINOMIAL_CLAUSE_LIMIT = 500;
+
+// Constraints carrying an `expression` string are propositional formulas
+// over feature ids; all others are `requires`/`excludes` pairs.
+export function normalizeConstraint(constraint) {
+  if (typeof constraint?.expression === "string") {
+    return { type: "expression", expression: constraint.expression };
+  }
+  const type = (constraint?.type || "").toLowerCase();
+  return {
+    type: type === "conflicts" ? "excludes" : type,
+    a: constraint?.a ?? constraint?.from,
+    b: constraint?.b ?? constraint?.to,
+  };
+}
+
+// The constraint as an expression tree, or null for an unknown type
+export function constraintToExpression(constraint) {
+  const { type, a, b, expression } = normalizeConstraint(constraint);
+  const feature = (name) => ({ type: "feature", name });
+  if (type === "expression") return parseExpression(expression);
+  if (type === "requires") {
+    return { type: "implies", left: feature(a), right: feature(b) };
+  }
+  if (type === "excludes") {
+    return {
+      type: "implies",
+      left: feature(a),
+      right: { type: "not", operand: feature(b) },
+    };
+  }
+  return null;
+}
+
+// Plain implications become requires/excludes pairs, the rest expressions
+export function expressionToConstraint(expression) {
+  const { type, left, right } = expression;
+  if (type === "implies" && left.type === "feature") {
+    if (right.type === "feature") {
+      return { type: "requires", a: left.name, b: right.name };
+    }
+    if (right.type === "not" && right.operand.type === "feature") {
+      return { type: "excludes", a: left.name, b: right.operand.name };
+    }
+  }
+  return { expression: formatExpression(expression) };
+}
+
+export function findRootId(model) {
+  const features = model?.features || [];
+  if (model?.root && features.some((f) => f.id === model.root)) {
+    return model.root;
+  }
+  return features.find((f) => !f.parent)?.id ?? null;
+}
+
+export function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+export function combinations(items, size) {
+  if (size === 0) return [[]];
+  const result = [];
+  for (let i = 0; i <= items.length - size; i++) {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([items[i], ...rest]);
+    }
+  }
+  return result;
+}
+
+// Malformed expressions and expressions over unknown features are skipped,
+// like pair constraints with unknown ids; the validators report them.
+// Clauses that only define auxiliary variables are marked `defines`.
+function addExpressionClauses(text, variableOf, newVariable, addClause) {
+  let expression;
+  try {
+    expression = parseExpression(text);
+  } catch {
+    return;
+  }
+  if (!expressionFeatures(expression).every((name) => variableOf.has(name))) {
+    return;
+  }
+  expressionToClauses(expression, variableOf, newVariable, (literals) =>
+    addClause(literals, true)
+  ).forEach((literals) => addClause(literals, false));
+}
+
+// Binomial encoding: every n-min+1 members contain a selected one, and every
+// max+1 members contain a deselected one
+function addBinomialClauses(group, parentVar, memberVars, addClause) {
+  const n = memberVars.length;
+  if (group.min > 0) {
+    for (const members of combinations(memberVars, n - group.min + 1)) {
+      addClause([-parentVar, ...members]);
+    }
+  }
+  if (group.max < n) {
+    for (const members of combinations(memberVars, group.max + 1)) {
+      addClause(members.map((v) => -v));
+    }
+  }
+}
+
+// Sequential counter: the counter for (i, j) holds exactly when at least j
+// of the first i members are selected. Clauses that only define counters
+// are marked `defines`.
+function addCounterClauses(
+  group,
+  parentVar,
+  memberVars,
+  newVariable,
+  addClause
+) {
+  const n = memberVars.length;
+  const top = Math.min(
+    n,
+    Math.max(group.min, group.max < n ? group.max + 1 : 0)
+  );
+  const not = (literal) => (typeof literal === "boolean" ? !literal : -literal);
+  // Constant literals are dropped from a clause, or drop the whole clause
+  const add = (literals, defines) => {
+    if (literals.includes(true)) return;
+    addClause(
+      literals.filter((literal) => literal !== false),
+      defines
+    );
+  };
+
+  // No members: at least 0 are selected, any more is false
+  let previous = Array.from({ length: top + 1 }, (_, j) => j === 0);
+  memberVars.forEach((member, index) => {
+    const row = [true];
+    for (let j = 1; j <= top; j++) {
+      if (j > index + 1) {
+        row[j] = false;
+        continue;
+      }
+      row[j] = newVariable();
+      const without = previous[j];
+      const counted = previous[j - 1];
+      add([not(without), row[j]], true);
+      add([-member, not(counted), row[j]], true);
+      add([not(row[j]), without, member], true);
+      add([not(row[j]), without, counted], true);
+    }
+    previous = row;
+  });
+
+  if (group.min > 0) add([-parentVar, previous[group.min]], false);
+  if (group.max < n) add([not(previous[group.max + 1])], false);
+}
+
+export function buildFeatureFormula(model) {
+  const features = (model?.features || []).filter((f) => f?.id);
+  const variables = [];
+  const variableOf = new Map();
+  for (const feature of features) {
+    if (variableOf.has(feature.id)) continue;
+    variables.push(feature.id);
+    variableOf.set(feature.id, variables.length);
+  }
+
+  let variableCount = variables.length;
+  const newVariable = () => ++variableCount;
+
+  const clauses = [];
+  const addClause = (literals, source, defines = false) =>
+    clauses.push(
+      defines ? { literals, source, defines } : { literals, source }
+    );
+
+  const rootId = findRootId(model);
+  if (rootId)
+    addClause([variableOf.get(rootId)], { kind: "root", feature: rootId });
+
+  for (const feature of features) {
+    const parentVar = variableOf.get(feature.parent);
+    if (!parentVar || feature.id === rootId) continue;
+    const childVar = variableOf.get(feature.id);
+
+    addClause([-childVar, parentVar], {
+      kind: "parent",
+      feature: feature.id,
+      parent: feature.parent,
+    });
+
+    // A clone cardinality with a positive minimum makes at least one
+    // instance, and so the feature itself, required under its parent.
+    const clones = parseCardinality(feature.cardinality);
+    if (relationType(feature) === "mandatory" || clones?.min > 0) {
+      addClause([-parentVar, childVar], {
+        kind: "mandatory",
+        feature: feature.id,
+        parent: feature.parent,
+      });
+    }
+  }
+
+  for (const group of collectGroups(features)) {
+    const parentVar = variableOf.get(group.parent);
+    if (!parentVar) continue;
+    const memberVars = group.members.map((id) => variableOf.get(id));
+    const source = { kind: "group", group: group.type, parent: group.parent };
+    const addGroupClause = (literals, defines) =>
+      addClause(literals, source, defines);
+
+    const n = memberVars.length;
+    if (group.min > n) {
+      addClause([-parentVar], source);
+      continue;
+    }
+    const binomialClauses =
+      (group.min > 0 ? binomial(n, n - group.min + 1) : 0) +
+      (group.max < n ? binomial(n, group.max + 1) : 0);
+    if (binomialClauses <= BINOMIAL_CLAUSE_LIMIT) {
+      addBinomialClauses(group, parentVar, memberVars, addGroupClause);
+    } else {
+      addCounterClauses(
+        group,
+        parentVar,
+        memberVars,
+        newVariable,
+        addGroupClause
+      );
+    }
+  }
+
+  (model?.constraints || []).forEach((rawConstraint, index) => {
+    const { type, a, b, expression } = normalizeConstraint(rawConstraint);
+    const source = { kind: "constraint", constraint: index };
+    if (type === "expression") {
+      addExpressionClauses(
+        expression,
+        variableOf,
+        newVariable,
+        (literals, defines) => addClause(literals, source, defines)
+      );
+      return;
+    }
+    const varA = variableOf.get(a);
+    const varB = variableOf.get(b);
+    if (!varA || !varB) return;
+    if (type === "requires") addClause([-varA, varB], source);
+    if (type === "excludes") addClause([-varA, -varB], source);
+  });
+
+  return { variables, variableOf, variableCount, clauses };
+}
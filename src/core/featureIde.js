@@ -0,0 +1,334 @@
+import {
+  BINOMIAL_CLAUSE_LIMIT,
+  binomial,
+  combinations,
+  constraintToExpression,
+  expressionToConstraint,
+  findRootId,
+} from "./featureFormula";
+import {
+  GROUP_TYPES,
+  collectGroups,
+  formatCardinality,
+  parseCardinality,
+  relationType,
+} from "./model";
+
+// FeatureIDE model.xml files. The <struct> tree nests <feature> leaves and
+// <and>, <or> and <alt> features whose children form that kind of group;
+// <constraints> holds one <rule> formula per constraint built from <var>,
+// <not>, <conj>, <disj>, <imp> and <eq>.
+
+const MEMBER_TYPES = { or: "or", alt: "alternative" };
+const FEATURE_ELEMENTS = ["feature", "and", "or", "alt"];
+const BINARY_TYPES = { conj: "and", disj: "or", imp: "implies", eq: "iff" };
+
+const childElements = (element, name) =>
+  Array.from(element.children).filter(
+    (child) => name === undefined || child.nodeName === name
+  );
+
+function readFeatures(element, parent, parentKind, features) {
+  const id = element.getAttribute("name");
+  if (!id) throw new Error(`A <${element.nodeName}> feature has no name.`);
+
+  const mandatory = element.getAttribute("mandatory") === "true";
+  const feature = {
+    id,
+    type: !parent
+      ? "mandatory"
+      : MEMBER_TYPES[parentKind] || (mandatory ? "mandatory" : "optional"),
+  };
+  if (parent) feature.parent = parent;
+  if (element.getAttribute("abstract") === "true") feature.abstract = true;
+  const description = childElements(element, "description")[0];
+  if (description?.textContent.trim()) {
+    feature.description = description.textContent.trim();
+  }
+  features.push(feature);
+
+  for (const child of childElements(element)) {
+    if (FEATURE_ELEMENTS.includes(child.nodeName)) {
+      readFeatures(child, id, element.nodeName, features);
+    }
+  }
+}
+
+function readFormula(element) {
+  const name = element.nodeName;
+  if (name === "var") {
+    return { type: "feature", name: element.textContent.trim() };
+  }
+  const type = name === "not" ? "not" : BINARY_TYPES[name];
+  if (!type) throw new Error(`Unsupported constraint element <${name}>.`);
+  const operands = childElements(element).map(readFormula);
+  // <conj> and <disj> take any number of operands
+  const expected = { not: 1, implies: 2, iff: 2 }[type];
+  if (!operands.length || (expected && operands.length !== expected)) {
+    throw new Error(`<${name}> has ${operands.length} operands.`);
+  }
+  if (type === "not") return { type, operand: operands[0] };
+  return operands.reduce((left, right) => ({ type, left, right }));
+}
+
+// Maps a model.xml document to the internal model; throws on anything that
+// is not a FeatureIDE feature model
+export function parseFeatureIdeXml(text) {
+  const document = new DOMParser().parseFromString(text, "application/xml");
+  const parseError = document.getElementsByTagName("parsererror")[0];
+  if (parseError) {
+    throw new Error(`Invalid XML: ${parseError.textContent.trim()}`);
+  }
+  const root = document.documentElement;
+  if (root.nodeName !== "featureModel") {
+    throw new Error(
+      `Expected a FeatureIDE <featureModel> document, found <${root.nodeName}>.`
+    );
+  }
+
+  const struct = childElements(root, "struct")[0];
+  const top =
+    struct &&
+    childElements(struct).find((child) =>
+      FEATURE_ELEMENTS.includes(child.nodeName)
+    );
+  if (!top) throw new Error("The <struct> section has no root feature.");
+  const features = [];
+  readFeatures(top, null, null, features);
+
+  const constraints = [];
+  for (const section of childElements(root, "constraints")) {
+    for (const rule of childElements(section, "rule")) {
+      const formula = childElements(rule).find(
+        (child) => child.nodeName !== "description"
+      );
+      if (formula)
+        constraints.push(expressionToConstraint(readFormula(formula)));
+    }
+  }
+
+  return { root: features[0].id, features, constraints };
+}
+
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+const FORMULA_ELEMENTS = { and: "conj", or: "disj", implies: "imp", iff: "eq" };
+
+// Chains of one operator become a single <conj> or <disj>
+function formulaOperands(formula) {
+  if (formula.type === "not") return [formula.operand];
+  if (formula.type !== "and" && formula.type !== "or") {
+    return [formula.left, formula.right];
+  }
+  return [formula.left, formula.right].flatMap((operand) =>
+    operand.type === formula.type ? formulaOperands(operand) : [operand]
+  );
+}
+
+function writeFormula(formula, depth, lines) {
+  const indent = "\t".repeat(depth);
+  if (formula.type === "feature") {
+    lines.push(`${indent}<var>${escapeXml(formula.name)}</var>`);
+    return;
+  }
+  const element = FORMULA_ELEMENTS[formula.type] || "not";
+  lines.push(`${indent}<${element}>`);
+  for (const operand of formulaOperands(formula)) {
+    writeFormula(operand, depth + 1, lines);
+  }
+  lines.push(`${indent}</${element}>`);
+}
+
+function writeFeature(node, depth, lines) {
+  const indent = "\t".repeat(depth);
+  const attributes = [
+    node.abstract && 'abstract="true"',
+    node.mandatory && 'mandatory="true"',
+    `name="${escapeXml(node.name)}"`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  if (!node.children.length && !node.description) {
+    lines.push(`${indent}<${node.element} ${attributes}/>`);
+    return;
+  }
+  lines.push(`${indent}<${node.element} ${attributes}>`);
+  if (node.description) {
+    lines.push(
+      `${indent}\t<description>${escapeXml(node.description)}</description>`
+    );
+  }
+  for (const child of node.children) writeFeature(child, depth + 1, lines);
+  lines.push(`${indent}</${node.element}>`);
+}
+
+const variable = (id) => ({ type: "feature", name: id });
+const joined = (type, ids) =>
+  ids.map(variable).reduce((left, right) => ({ type, left, right }));
+
+// A group with a declared cardinality is written as the FeatureIDE group
+// that comes closest (<or> for at least one member, <alt> for exactly one,
+// optional children for none) plus rules for the remaining bounds
+function groupShape(group, declared) {
+  const n = group.members.length;
+  if (!declared) {
+    return { element: group.type === "or" ? "or" : "alt", rules: [] };
+  }
+  const { min, max } = group;
+  const element = min === 0 ? "and" : max === 1 ? "alt" : "or";
+  if (min > n) {
+    return {
+      element,
+      rules: [{ type: "not", operand: variable(group.parent) }],
+    };
+  }
+  const lower = min > 1 ? binomial(n, n - min + 1) : 0;
+  const upper = max < n && element !== "alt" ? binomial(n, max + 1) : 0;
+  if (lower + upper > BINOMIAL_CLAUSE_LIMIT) {
+    throw new Error(
+      `The ${formatCardinality(declared)} group of "${
+        group.parent
+      }" would take ${
+        lower + upper
+      } FeatureIDE rules; export the model as UVL instead.`
+    );
+  }
+  return {
+    element,
+    rules: [
+      ...(lower
+        ? combinations(group.members, n - min + 1).map((members) => ({
+            type: "implies",
+            left: variable(group.parent),
+            right: joined("or", members),
+          }))
+        : []),
+      ...(upper
+        ? combinations(group.members, max + 1).map((members) => ({
+            type: "not",
+            operand: joined("and", members),
+          }))
+        : []),
+    ],
+  };
+}
+
+// Writes the model as a model.xml document. FeatureIDE groups take all
+// children of a feature, so group members that share their parent with
+// mandatory or optional features are wrapped in an abstract mandatory
+// feature. Group cardinalities and clone minimums become extra rules, and a
+// model whose rules would get too large is refused. Labels, attributes and
+// the clone maximums have no counterpart there and are left out.
+export function formatFeatureIdeXml(model) {
+  const features = model.features || [];
+  const usedIds = new Set(features.map((f) => f.id));
+  const childrenOf = new Map();
+  for (const f of features) {
+    if (!f.parent) continue;
+    if (!childrenOf.has(f.parent)) childrenOf.set(f.parent, []);
+    childrenOf.get(f.parent).push(f);
+  }
+
+  const declared = new Map(
+    features.map((f) => [f.id, parseCardinality(f.groupCardinality)])
+  );
+  const shapes = new Map();
+  for (const group of collectGroups(features)) {
+    if (shapes.has(group.parent)) {
+      throw new Error(
+        `"${group.parent}" has both an or group and an alternative group, which FeatureIDE cannot express.`
+      );
+    }
+    shapes.set(group.parent, groupShape(group, declared.get(group.parent)));
+  }
+  const cardinalityRules = [...shapes.values()].flatMap((shape) => shape.rules);
+  // A positive clone minimum makes the feature required under its parent
+  for (const f of features) {
+    const clones = parseCardinality(f.cardinality);
+    if (f.parent && clones?.min > 0 && relationType(f) !== "mandatory") {
+      cardinalityRules.push({
+        type: "implies",
+        left: variable(f.parent),
+        right: variable(f.id),
+      });
+    }
+  }
+
+  // Members of a group without a FeatureIDE group are optional children
+  const isMember = (f) =>
+    GROUP_TYPES.includes(relationType(f)) &&
+    shapes.get(f.parent)?.element !== "and";
+  const groupElement = (members) => shapes.get(members[0].parent).element;
+  const wrapperId = (parent) => {
+    let id = `${parent}Group`;
+    for (let n = 2; usedIds.has(id); n++) id = `${parent}Group${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  const toNode = (feature, mandatory) => {
+    const children = childrenOf.get(feature.id) || [];
+    const members = children.filter(isMember);
+    const solitary = children.filter((child) => !isMember(child));
+    const node = {
+      element: "feature",
+      name: feature.id,
+      abstract: Boolean(feature.abstract),
+      mandatory,
+      description: feature.description,
+      children: [],
+    };
+    const memberNodes = members.map((member) => toNode(member, false));
+    if (members.length && !solitary.length) {
+      return { ...node, element: groupElement(members), children: memberNodes };
+    }
+    if (!children.length) return node;
+    node.element = "and";
+    node.children = solitary.map((child) =>
+      toNode(child, relationType(child) === "mandatory")
+    );
+    if (members.length) {
+      node.children.push({
+        element: groupElement(members),
+        name: wrapperId(feature.id),
+        abstract: true,
+        mandatory: true,
+        children: memberNodes,
+      });
+    }
+    return node;
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    "<featureModel>",
+    "\t<struct>",
+  ];
+  const root = features.find((f) => f.id === findRootId(model));
+  if (root) writeFeature(toNode(root, true), 2, lines);
+  lines.push("\t</struct>");
+
+  const formulas = [
+    ...(model.constraints || []).map(constraintToExpression).filter(Boolean),
+    ...cardinalityRules,
+  ];
+  if (formulas.length) {
+    lines.push("\t<constraints>");
+    for (const formula of formulas) {
+      lines.push("\t\t<rule>");
+      writeFormula(formula, 3, lines);
+      lines.push("\t\t</rule>");
+    }
+    lines.push("\t</constraints>");
+  }
+  lines.push("</featureModel>");
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,140 @@
+import { findRootId } from "./featureFormula";
+import { diffModels } from "./modelDiff";
+
+// Undo history over snapshots of the recorded state. Snapshots are plain
+// objects that keep referencing the unchanged values of their predecessor,
+// so a step costs a handful of references rather than a copy of the model.
+export const HISTORY_LIMIT = 100;
+
+// Related changes closer together than this become one step, see
+// recordChange()
+export const MERGE_WINDOW_MS = 500;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Arrays and objects count as equal when their items are identical, so that
+// recomputing the same highlights does not record a step
+function sameValue(a, b) {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && Object.is(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+export function createHistory(state) {
+  return { entries: [state], index: 0, lastChangeAt: null, lastKind: null };
+}
+
+export const currentState = (history) => history.entries[history.index];
+
+// Records `changes` (a partial state) as a new step after the current one,
+// dropping any undone steps. Returns the history unchanged when nothing
+// actually changes.
+//
+// A change of `kind` joins the previous step instead when that step was
+// recorded within `mergeWindow` and its kind is one of `mergeWith`: typing a
+// search continues a "query" step, and the graph of a loaded model completes
+// its "model" step. Changes without `mergeWith` always start a new step.
+export function recordChange(
+  history,
+  changes,
+  now,
+  {
+    limit = HISTORY_LIMIT,
+    mergeWindow = MERGE_WINDOW_MS,
+    kind = null,
+    mergeWith = [],
+  } = {}
+) {
+  const present = currentState(history);
+  const changed = Object.keys(changes).filter(
+    (key) => !sameValue(present[key], changes[key])
+  );
+  if (!changed.length) return history;
+
+  const next = { ...present };
+  for (const key of changed) next[key] = changes[key];
+
+  const merge =
+    history.index > 0 &&
+    history.lastChangeAt !== null &&
+    now - history.lastChangeAt < mergeWindow &&
+    mergeWith.includes(history.lastKind);
+  let entries = [
+    ...history.entries.slice(0, merge ? history.index : history.index + 1),
+    next,
+  ];
+  if (entries.length > limit) entries = entries.slice(entries.length - limit);
+  return {
+    entries,
+    index: entries.length - 1,
+    lastChangeAt: now,
+    lastKind: merge ? history.lastKind : kind,
+  };
+}
+
+// Moving through the history never merges with the next change
+export function jumpTo(history, index) {
+  if (index < 0 || index >= history.entries.length) return history;
+  return { ...history, index, lastChangeAt: null, lastKind: null };
+}
+
+export const undo = (history) => jumpTo(history, history.index - 1);
+export const redo = (history) => jumpTo(history, history.index + 1);
+
+function describeModelChange(before, after) {
+  if (!after) return "Closed the model";
+  if (!before) return `Loaded ${findRootId(after)}`;
+  const { changes } = diffModels(before, after);
+  if (!changes.length) return "Reloaded the model";
+  return changes.length === 1
+    ? changes[0].text
+    : `${changes[0].text} (+${changes.length - 1} more)`;
+}
+
+function describeDecisions(before = {}, after = {}) {
+  const ids = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changed = ids.filter((id) => before[id] !== after[id]);
+  if (!Object.keys(after).length) return "Reset the configuration";
+  if (changed.length > 1) return `Changed ${changed.length} decisions`;
+  const [id] = changed;
+  return after[id] === true
+    ? `Selected ${id}`
+    : after[id] === false
+    ? `Deselected ${id}`
+    : `Undecided ${id}`;
+}
+
+// A one-line summary of what changed from one snapshot to the next, most
+// significant change first
+export function describeChange(before, after) {
+  if (!before) return "Started";
+  if (before.model !== after.model) {
+    return describeModelChange(before.model, after.model);
+  }
+  if (!sameValue(before.configuration, after.configuration)) {
+    return describeDecisions(before.configuration, after.configuration);
+  }
+  if (before.query !== after.query) {
+    return after.query ? `Searched "${after.query}"` : "Cleared the search";
+  }
+  if (!sameValue(before.searchHits, after.searchHits)) {
+    const hits = after.searchHits || [];
+    return hits.length === 0
+      ? "Cleared the highlights"
+      : hits.length === 1
+      ? `Highlighted ${hits[0]}`
+      : `Highlighted ${hits.length} features`;
+  }
+  return "Updated the view";
+}
@@ -1,12 +1,74 @@
+export const GROUP_TYPES = ["alternative", "or"];
+
+export function relationType(feature) {
+  return (feature?.type || "optional").toLowerCase();
+}
+
+// Cardinalities are written "min..max" (optionally in brackets) with "*"
+// for an unbounded maximum, or as a single number for an exact count.
+export function parseCardinality(value) {
+  if (typeof value === "number") value = String(value);
+  if (typeof value !== "string") return null;
+  const match = value
+    .trim()
+    .match(/^\[?\s*(\d+)\s*(?:\.\.\s*(\d+|\*)\s*)?\]?$/);
+  if (!match) return null;
+  const min = Number(match[1]);
+  const max =
+    match[2] === undefined
+      ? min
+      : match[2] === "*"
+      ? Infinity
+      : Number(match[2]);
+  return max < min ? null : { min, max };
+}
+
+export function formatCardinality({ min, max }) {
+  return `[${min}..${max === Infinity ? "*" : max}]`;
+}
+
+// Children typed `alternative` or `or` form a group under their parent:
+// exactly one member of an alternative group and at least one member of an
+// or group must be selected whenever the parent is. A `groupCardinality` on
+// the parent replaces these bounds with its own [min..max].
+export function collectGroups(features) {
+  const groups = new Map();
+  for (const f of features || []) {
+    const type = relationType(f);
+    if (!f?.parent || !GROUP_TYPES.includes(type)) continue;
+    const key = `${f.parent}:${type}`;
+    if (!groups.has(key))
+      groups.set(key, { parent: f.parent, type, members: [] });
+    groups.get(key).members.push(f.id);
+  }
+
+  const declared = new Map();
+  for (const f of features || []) {
+    const cardinality = parseCardinality(f?.groupCardinality);
+    if (f?.id && cardinality) declared.set(f.id, cardinality);
+  }
+  return [...groups.values()].map((group) => {
+    const cardinality = declared.get(group.parent) || {
+      min: 1,
+      max: group.type === "alternative" ? 1 : group.members.length,
+    };
+    return {
+      ...group,
+      min: cardinality.min,
+      max: Math.min(cardinality.max, group.members.length),
+    };
+  });
+}
+
 export function buildGraph(features) {
   const nodes = features.map((f) => ({
     id: f.id,
     label: f.label,
-    type: f.type || "optional",
+    type: relationType(f),
   }));
   const edges = features
     .filter((f) => f.parent)
-    .map((f) => ({ from: f.parent, to: f.id }));
+    .map((f) => ({ from: f.parent, to: f.id, type: relationType(f) }));
 
   const childrenMap = new Map();
   const parentMap = new Map();
@@ -16,5 +78,9 @@ export function buildGraph(features) {
       childrenMap.set(f.parent || "ROOT", []);
     childrenMap.get(f.parent || "ROOT").push(f.id);
   }
-  return { nodes, edges, childrenMap, parentMap };
+
+  const groups = new Map();
+  for (const group of collectGroups(features)) groups.set(group.parent, group);
+
+  return { nodes, edges, childrenMap, parentMap, groups };
 }
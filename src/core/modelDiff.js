@@ -0,0 +1,278 @@
+import { buildFeatureFormula, normalizeConstraint } from "./featureFormula";
+import { solve } from "./satSolver";
+import { countSolutions } from "./countConfigurations";
+import { relationType } from "./model";
+import { describeConstraint } from "./parser";
+import { formatExpression, parseExpression } from "./expression";
+
+// Constraints match when they say the same thing: excludes is symmetric and
+// expressions are compared in their printed form, so whitespace and
+// redundant parentheses do not count as changes.
+function constraintKey(constraint) {
+  const { type, a, b, expression } = normalizeConstraint(constraint);
+  if (type === "expression") {
+    try {
+      return `expression:${formatExpression(parseExpression(expression))}`;
+    } catch {
+      return `expression:${expression.trim()}`;
+    }
+  }
+  const pair = type === "excludes" ? [a, b].sort() : [a, b];
+  return `${type}:${pair.join(":")}`;
+}
+
+// Constraints of `from` that have no counterpart left in `to`, counting
+// duplicates
+function unmatchedConstraints(from, to) {
+  const remaining = new Map();
+  for (const constraint of to) {
+    const key = constraintKey(constraint);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  return from.filter((constraint) => {
+    const key = constraintKey(constraint);
+    if (!remaining.get(key)) return true;
+    remaining.set(key, remaining.get(key) - 1);
+    return false;
+  });
+}
+
+// Compares two versions of a model. Besides the change list, the result
+// holds a merged model for drawing: the compared version plus its removed
+// features and constraints, marked with `ghost: true`.
+export function diffModels(base, compared) {
+  const baseFeatures = new Map((base?.features || []).map((f) => [f.id, f]));
+  const comparedFeatures = new Map(
+    (compared?.features || []).map((f) => [f.id, f])
+  );
+  const changes = [];
+  const featureStatus = {};
+  const labelOf = (feature) => feature.label || feature.id;
+
+  for (const feature of comparedFeatures.values()) {
+    const before = baseFeatures.get(feature.id);
+    if (!before) {
+      featureStatus[feature.id] = "added";
+      changes.push({
+        kind: "added",
+        feature: feature.id,
+        text: feature.parent
+          ? `Added ${feature.id} under ${feature.parent}`
+          : `Added ${feature.id}`,
+      });
+      continue;
+    }
+
+    const beforeType = relationType(before);
+    const afterType = relationType(feature);
+    if (beforeType !== afterType) {
+      changes.push({
+        kind: "type",
+        feature: feature.id,
+        text: `${feature.id} changed from ${beforeType} to ${afterType}`,
+      });
+    }
+    if ((before.parent || null) !== (feature.parent || null)) {
+      changes.push({
+        kind: "parent",
+        feature: feature.id,
+        text: `${feature.id} moved from ${before.parent || "the top"} to ${
+          feature.parent || "the top"
+        }`,
+      });
+    }
+    if (labelOf(before) !== labelOf(feature)) {
+      changes.push({
+        kind: "label",
+        feature: feature.id,
+        text: `${feature.id} relabeled from "${labelOf(before)}" to "${labelOf(
+          feature
+        )}"`,
+      });
+    }
+    if (changes.some((change) => change.feature === feature.id)) {
+      featureStatus[feature.id] = "changed";
+    }
+  }
+
+  const removedFeatures = [...baseFeatures.values()].filter(
+    (feature) => !comparedFeatures.has(feature.id)
+  );
+  for (const feature of removedFeatures) {
+    featureStatus[feature.id] = "removed";
+    changes.push({
+      kind: "removed",
+      feature: feature.id,
+      text: feature.parent
+        ? `Removed ${feature.id} from ${feature.parent}`
+        : `Removed ${feature.id}`,
+    });
+  }
+
+  const baseConstraints = base?.constraints || [];
+  const comparedConstraints = compared?.constraints || [];
+  const addedConstraints = unmatchedConstraints(
+    comparedConstraints,
+    baseConstraints
+  );
+  const removedConstraints = unmatchedConstraints(
+    baseConstraints,
+    comparedConstraints
+  );
+  for (const constraint of addedConstraints) {
+    changes.push({
+      kind: "constraint-added",
+      text: `Added constraint ${describeConstraint(constraint)}`,
+    });
+  }
+  for (const constraint of removedConstraints) {
+    changes.push({
+      kind: "constraint-removed",
+      text: `Removed constraint ${describeConstraint(constraint)}`,
+    });
+  }
+
+  const mergedConstraints = [
+    ...comparedConstraints,
+    ...removedConstraints.map((constraint) => ({ ...constraint, ghost: true })),
+  ];
+  const constraintStatus = mergedConstraints.map((constraint) =>
+    constraint.ghost
+      ? "removed"
+      : addedConstraints.includes(constraint)
+      ? "added"
+      : "unchanged"
+  );
+
+  return {
+    changes,
+    featureStatus,
+    constraintStatus,
+    merged: {
+      ...compared,
+      features: [
+        ...(compared?.features || []),
+        ...removedFeatures.map((feature) => ({ ...feature, ghost: true })),
+      ],
+      constraints: mergedConstraints,
+    },
+  };
+}
+
+// Clauses of a model over a shared variable numbering, with its counter
+// variables numbered from `firstCounter` on. Features the model does not
+// have are deselected in all of its products. Clauses that only define
+// counters are kept apart, so that a product is never counted as breaking
+// them.
+function clausesOver(model, variableOf, firstCounter) {
+  const formula = buildFeatureFormula(model);
+  const featureCount = formula.variables.length;
+  const renumber = (literal) => {
+    const v = Math.abs(literal);
+    return (
+      Math.sign(literal) *
+      (v <= featureCount
+        ? variableOf.get(formula.variables[v - 1])
+        : firstCounter + v - featureCount - 1)
+    );
+  };
+  const clauses = [];
+  const definitions = [];
+  for (const clause of formula.clauses) {
+    (clause.defines ? definitions : clauses).push(
+      clause.literals.map(renumber)
+    );
+  }
+  for (const [id, variable] of variableOf) {
+    if (!formula.variableOf.has(id)) clauses.push([-variable]);
+  }
+  return {
+    clauses,
+    definitions,
+    nextCounter: firstCounter + formula.variableCount - featureCount,
+  };
+}
+
+// A product of `clauses` lies outside `otherClauses` exactly when it breaks
+// one of their clauses, so each clause is tried in turn with its literals
+// negated as assumptions. The counter definitions of both models hold
+// throughout.
+function productsOnlyIn(
+  clauses,
+  otherClauses,
+  { definitions, variableCount, ids },
+  limit
+) {
+  const examples = new Map();
+  for (const clause of otherClauses) {
+    const witness = solve(
+      [...clauses, ...definitions],
+      variableCount,
+      clause.map((literal) => -literal)
+    );
+    if (!witness) continue;
+    const selected = ids.filter((_, index) => witness[index + 1]);
+    examples.set(selected.join("\n"), selected);
+    if (examples.size >= limit) break;
+  }
+  return [...examples.values()];
+}
+
+// Classifies an edit by its effect on the set of valid products: a
+// refactoring keeps it, a specialization only removes products, a
+// generalization only adds them and an arbitrary edit does both.
+export function compareProducts(base, compared, { examples = 3 } = {}) {
+  const ids = [
+    ...new Set(
+      [...(base?.features || []), ...(compared?.features || [])]
+        .filter((f) => f?.id)
+        .map((f) => f.id)
+    ),
+  ];
+  const variableOf = new Map(ids.map((id, index) => [id, index + 1]));
+  const baseFormula = clausesOver(base, variableOf, ids.length + 1);
+  const comparedFormula = clausesOver(
+    compared,
+    variableOf,
+    baseFormula.nextCounter
+  );
+  const baseClauses = baseFormula.clauses;
+  const comparedClauses = comparedFormula.clauses;
+  const definitions = [
+    ...baseFormula.definitions,
+    ...comparedFormula.definitions,
+  ];
+  const variableCount = comparedFormula.nextCounter - 1;
+  const shared = { definitions, variableCount, ids };
+
+  const lost = productsOnlyIn(baseClauses, comparedClauses, shared, examples);
+  const gained = productsOnlyIn(comparedClauses, baseClauses, shared, examples);
+  const kind =
+    lost.length && gained.length
+      ? "arbitrary"
+      : lost.length
+      ? "specialization"
+      : gained.length
+      ? "generalization"
+      : "refactoring";
+
+  return {
+    kind,
+    lost,
+    gained,
+    baseTotal: countSolutions(
+      [...baseClauses, ...definitions],
+      variableCount,
+      [],
+      new Map(),
+      ids.length
+    ),
+    comparedTotal: countSolutions(
+      [...comparedClauses, ...definitions],
+      variableCount,
+      [],
+      new Map(),
+      ids.length
+    ),
+  };
+}
@@ -0,0 +1,176 @@
+import { buildFeatureFormula } from "./featureFormula";
+import { solve } from "./satSolver";
+import {
+  aggregateAttributes,
+  attributeTypeOf,
+  collectAttributeTypes,
+} from "./attributes";
+import { ACTION_TIME_LIMIT, withTimeLimit } from "./timeLimit";
+
+const EPSILON = 1e-9;
+const LIMIT_PATTERN =
+  /^\s*([A-Za-z_][\w.-]*)\s*(<=|≤|>=|≥)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// Reads limits such as "memoryKB <= 512" or "cost ≥ 20".
+export function parseLimit(text) {
+  const match = LIMIT_PATTERN.exec(text || "");
+  if (!match) return null;
+  return {
+    attribute: match[1],
+    operator: ["<=", "≤"].includes(match[2]) ? "<=" : ">=",
+    value: Number(match[3]),
+  };
+}
+
+// The first limit on an attribute that no feature carries as a number, which
+// would otherwise count as a weight of 0 everywhere
+export function findUnknownLimit(model, limits) {
+  const types = collectAttributeTypes(model);
+  return limits.find((limit) => types.get(limit.attribute) !== "number");
+}
+
+export function describeLimit({ attribute, operator, value }) {
+  return `${attribute} ${operator === "<=" ? "≤" : "≥"} ${value}`;
+}
+
+// Branch-and-bound over the features that carry a weight in the objective
+// or in a limit. Every node asks the SAT solver for a witness under the
+// current assumptions: an UNSAT answer prunes the node, and the witness is a
+// valid product that may improve the incumbent. Features without weights
+// never need branching since any witness completes them. Running out of
+// nodes or time stops the search with the best product found so far.
+export function optimizeConfiguration(
+  model,
+  {
+    attribute,
+    direction = "min",
+    pinned = {},
+    limits = [],
+    nodeLimit = 20000,
+    timeLimit = ACTION_TIME_LIMIT,
+  }
+) {
+  const unknown = findUnknownLimit(model, limits);
+  if (unknown) {
+    throw new Error(
+      `No feature has a numeric attribute "${unknown.attribute}".`
+    );
+  }
+
+  const formula = buildFeatureFormula(model);
+  const clauses = formula.clauses.map((clause) => clause.literals);
+  const { variableCount } = formula;
+  const featureById = new Map(
+    (model?.features || []).map((feature) => [feature.id, feature])
+  );
+  const weightsOf = (name) =>
+    formula.variables.map((id) => {
+      const value = featureById.get(id)?.attributes?.[name];
+      return attributeTypeOf(value) === "number" ? value : 0;
+    });
+
+  // Everything is minimized and every limit is written as `weights ≤ bound`
+  const sense = direction === "max" ? -1 : 1;
+  const objective = weightsOf(attribute).map((weight) => sense * weight);
+  const rows = limits.map((limit) => {
+    const weights = weightsOf(limit.attribute);
+    return limit.operator === "<="
+      ? { weights, bound: limit.value }
+      : { weights: weights.map((weight) => -weight), bound: -limit.value };
+  });
+
+  const fixed = new Int8Array(variableCount);
+  const assumptions = [];
+  for (const [id, value] of Object.entries(pinned)) {
+    const variable = formula.variableOf.get(id);
+    if (!variable) continue;
+    fixed[variable - 1] = value ? 1 : -1;
+    assumptions.push(value ? variable : -variable);
+  }
+
+  const order = formula.variables
+    .map((_, index) => index)
+    .filter(
+      (index) =>
+        !fixed[index] &&
+        (objective[index] || rows.some((row) => row.weights[index]))
+    )
+    .sort((a, b) => Math.abs(objective[b]) - Math.abs(objective[a]));
+
+  // Smallest value `weights` can still reach given the fixed features
+  const lowestSum = (weights) =>
+    weights.reduce(
+      (sum, weight, index) =>
+        sum +
+        (fixed[index] === 1
+          ? weight
+          : fixed[index] === 0
+          ? Math.min(0, weight)
+          : 0),
+      0
+    );
+  const sumOf = (weights, assignment) =>
+    weights.reduce(
+      (sum, weight, index) => sum + (assignment[index + 1] ? weight : 0),
+      0
+    );
+
+  let best = null;
+  let bestValue = Infinity;
+  let nodes = 0;
+  let exhausted = true;
+
+  const search = (depth) => {
+    if (nodes++ >= nodeLimit) {
+      exhausted = false;
+      return;
+    }
+    if (rows.some((row) => lowestSum(row.weights) > row.bound + EPSILON)) {
+      return;
+    }
+    if (lowestSum(objective) >= bestValue - EPSILON) return;
+
+    const witness = solve(clauses, variableCount, assumptions);
+    if (!witness) return;
+    const value = sumOf(objective, witness);
+    if (
+      value < bestValue - EPSILON &&
+      rows.every((row) => sumOf(row.weights, witness) <= row.bound + EPSILON)
+    ) {
+      best = witness;
+      bestValue = value;
+    }
+    if (depth === order.length) return;
+
+    const index = order[depth];
+    const preferSelected = objective[index] < 0;
+    for (const selected of [preferSelected, !preferSelected]) {
+      fixed[index] = selected ? 1 : -1;
+      assumptions.push(selected ? index + 1 : -(index + 1));
+      search(depth + 1);
+      assumptions.pop();
+      fixed[index] = 0;
+    }
+  };
+  if (withTimeLimit(timeLimit, () => search(0)).tooLarge) exhausted = false;
+
+  if (!best) {
+    return {
+      status: exhausted ? "infeasible" : "unknown",
+      features: [],
+      value: null,
+      totals: [],
+    };
+  }
+
+  const states = {};
+  formula.variables.forEach((id, index) => {
+    states[id] = best[index + 1] ? "selected" : "deselected";
+  });
+  return {
+    status: exhausted ? "optimal" : "feasible",
+    features: formula.variables.filter((_, index) => best[index + 1]),
+    value: sumOf(weightsOf(attribute), best),
+    totals: aggregateAttributes(model, states),
+  };
+}
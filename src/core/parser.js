@@ -1,3 +1,13 @@
+import { normalizeConstraint } from "./featureFormula";
+import { expressionFeatures, parseExpression } from "./expression";
+import {
+  GROUP_TYPES,
+  collectGroups,
+  formatCardinality,
+  parseCardinality,
+  relationType,
+} from "./model";
+
 export function validateModel(json) {
   const errors = [];
 
@@ -24,28 +34,95 @@ export function validateModel(json) {
     if (!ids.has(json.root)) {
       errors.push(`Root '${json.root}' not found in features`);
     }
+
+    for (const f of json.features) {
+      if (GROUP_TYPES.includes(relationType(f)) && !f?.parent) {
+        errors.push(`Group feature ${f?.id} has no parent`);
+      }
+    }
+    const groupTypesByParent = new Map();
+    for (const group of collectGroups(json.features)) {
+      if (groupTypesByParent.has(group.parent)) {
+        errors.push(`Parent ${group.parent} mixes alternative and or children`);
+      }
+      groupTypesByParent.set(group.parent, group.type);
+    }
+
+    for (const f of json.features) {
+      if (f?.cardinality !== undefined && !parseCardinality(f.cardinality)) {
+        errors.push(`Invalid clone cardinality for ${f.id}: ${f.cardinality}`);
+      }
+      if (f?.groupCardinality === undefined) continue;
+      const cardinality = parseCardinality(f.groupCardinality);
+      const members = json.features.filter(
+        (x) => x?.parent === f.id && GROUP_TYPES.includes(relationType(x))
+      ).length;
+      if (!cardinality) {
+        errors.push(
+          `Invalid group cardinality for ${f.id}: ${f.groupCardinality}`
+        );
+      } else if (!members) {
+        errors.push(
+          `Feature ${f.id} declares a group cardinality but has no group children`
+        );
+      } else if (cardinality.min > members) {
+        errors.push(
+          `Group cardinality ${formatCardinality(cardinality)} of ${
+            f.id
+          } exceeds its ${members} members`
+        );
+      }
+    }
   }
 
   if (Array.isArray(json.constraints)) {
     const featureIds = new Set((json.features || []).map((f) => f.id));
-    for (const c of json.constraints) {
+    json.constraints.forEach((c, index) => {
+      if (typeof c?.expression === "string") {
+        errors.push(...validateExpression(c.expression, index, featureIds));
+        return;
+      }
       if (!["requires", "excludes"].includes(c.type)) {
         errors.push(`Invalid constraint type: ${c.type}`);
       }
       if (!featureIds.has(c.a) || !featureIds.has(c.b)) {
         errors.push(`Constraint refers to missing feature: ${c.a} or ${c.b}`);
       }
-    }
+    });
   }
 
   return { ok: errors.length === 0, errors };
 }
 
+function validateExpression(text, index, featureIds) {
+  let expression;
+  try {
+    expression = parseExpression(text);
+  } catch (error) {
+    return [`Constraint #${index + 1}: ${error.message}`];
+  }
+  return expressionFeatures(expression)
+    .filter((name) => !featureIds.has(name))
+    .map(
+      (name) => `Constraint #${index + 1} refers to unknown feature: ${name}`
+    );
+}
+
 export function getRelationsFor(featureId, constraints) {
   const requires = [];
   const excludes = [];
+  const expressions = [];
 
   for (const c of constraints || []) {
+    if (typeof c?.expression === "string") {
+      try {
+        const names = expressionFeatures(parseExpression(c.expression));
+        if (names.includes(featureId)) expressions.push(c.expression);
+      } catch {
+        // Malformed expressions relate to nothing
+      }
+      continue;
+    }
     if (c?.type === "requires" && c.a === featureId) {
       requires.push(c.b);
     }
@@ -54,5 +131,11 @@ export function getRelationsFor(featureId, constraints) {
     }
   }
 
-  return { requires, excludes };
+  return { requires, excludes, expressions };
+}
+
+export function describeConstraint(constraint) {
+  const { type, a, b, expression } = normalizeConstraint(constraint);
+  if (type === "expression") return expression.trim();
+  return `${a} ${type} ${b}`;
 }
@@ -0,0 +1,209 @@
+import { buildFeatureFormula } from "./featureFormula";
+import { solve } from "./satSolver";
+import { countSolutions } from "./countConfigurations";
+import { checkConfiguration } from "./analysis";
+import { checkTimeLimit } from "./timeLimit";
+
+export const SAMPLING_STRENGTHS = [1, 2, 3];
+
+function combinations(items, size, start = 0, prefix = [], result = []) {
+  if (prefix.length === size) {
+    result.push(prefix);
+    return result;
+  }
+  for (let i = start; i <= items.length - (size - prefix.length); i++) {
+    combinations(items, size, i + 1, [...prefix, items[i]], result);
+  }
+  return result;
+}
+
+// Every selected/deselected combination of every t features
+function interactionsOf(variables, t) {
+  const interactions = [];
+  for (const combination of combinations(variables, t)) {
+    checkTimeLimit();
+    for (let signs = 0; signs < 1 << t; signs++) {
+      interactions.push(
+        combination.map((v, bit) => (signs & (1 << bit) ? -v : v))
+      );
+    }
+  }
+  return interactions;
+}
+
+// Greedy t-wise sampling. Each product starts from the first uncovered
+// interaction and absorbs every further one that stays satisfiable with the
+// interactions already chosen; interactions the current witness happens to
+// cover cost no solver call. Core and dead features are left out since
+// they take the same value in every product. An interaction that fails on
+// its own can never be covered and is dropped as invalid.
+export function sampleConfigurations(model, t = 2) {
+  const formula = buildFeatureFormula(model);
+  const clauses = formula.clauses.map((clause) => clause.literals);
+  const { variableCount } = formula;
+  const solveWith = (assumptions) => solve(clauses, variableCount, assumptions);
+
+  const first = solveWith([]);
+  if (!first) {
+    return { t, features: formula.variables, configurations: [], covered: 0 };
+  }
+  const variables = formula.variables
+    .map((_, index) => index + 1)
+    .filter((v) => solveWith([first[v] ? -v : v]));
+
+  const holds = (witness, literal) =>
+    literal > 0 ? witness[literal] : !witness[-literal];
+  let uncovered = variables.length
+    ? interactionsOf(variables, Math.min(t, variables.length))
+    : [];
+  const witnesses = [];
+  let covered = 0;
+
+  while (uncovered.length) {
+    let assumptions = [];
+    let witness = null;
+    const invalid = new Set();
+    for (const interaction of uncovered) {
+      checkTimeLimit();
+      if (witness && interaction.every((l) => holds(witness, l))) continue;
+      if (interaction.some((literal) => assumptions.includes(-literal))) {
+        continue;
+      }
+      const trial = [
+        ...assumptions,
+        ...interaction.filter((literal) => !assumptions.includes(literal)),
+      ];
+      const candidate = solveWith(trial);
+      if (candidate) {
+        assumptions = trial;
+        witness = candidate;
+      } else if (!assumptions.length) {
+        invalid.add(interaction);
+      }
+    }
+    if (!witness) break;
+
+    witnesses.push(witness);
+    uncovered = uncovered.filter((interaction) => {
+      if (invalid.has(interaction)) return false;
+      if (!interaction.every((literal) => holds(witness, literal))) {
+        return true;
+      }
+      covered++;
+      return false;
+    });
+  }
+
+  return {
+    t,
+    features: formula.variables,
+    configurations: (witnesses.length ? witnesses : [first]).map((witness) =>
+      formula.variables.filter((_, index) => witness[index + 1])
+    ),
+    covered,
+  };
+}
+
+// mulberry32, seeded from a number or from the characters of a string
+export function seededRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let mixed = Math.imul(state ^ (state >>> 15), 1 | state);
+    mixed = (mixed + Math.imul(mixed ^ (mixed >>> 7), 61 | mixed)) ^ mixed;
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Uniform BigInt in [0, bound) from 32-bit chunks, by rejection
+function randomBelow(bound, random) {
+  const bits = bound.toString(2).length;
+  for (;;) {
+    let value = 0n;
+    for (let filled = 0; filled < bits; filled += 32) {
+      value = (value << 32n) | BigInt(Math.floor(random() * 4294967296));
+    }
+    value &= (1n << BigInt(bits)) - 1n;
+    if (value < bound) return value;
+  }
+}
+
+// Draws products uniformly: a random rank among all valid products is
+// located one feature at a time, using the exact count of products that
+// select the feature under the decisions made so far. Every draw is checked
+// against the model before it is returned.
+export function randomConfigurations(model, { count = 1, seed } = {}) {
+  const actualSeed = seed ?? Math.floor(Math.random() * 1000000);
+  const random = seededRandom(actualSeed);
+  const formula = buildFeatureFormula(model);
+  const clauses = formula.clauses.map((clause) => clause.literals);
+  const { variableCount } = formula;
+  const cache = new Map();
+  const countWith = (assumptions) =>
+    countSolutions(
+      clauses,
+      variableCount,
+      assumptions,
+      cache,
+      formula.variables.length
+    );
+
+  const total = countWith([]);
+  const configurations = [];
+  for (let draw = 0; total > 0n && draw < count; draw++) {
+    let rank = randomBelow(total, random);
+    const assumptions = [];
+    // Counter variables follow from the features and need no decision
+    for (let v = 1; v <= formula.variables.length; v++) {
+      const selecting = countWith([...assumptions, v]);
+      if (rank < selecting) {
+        assumptions.push(v);
+      } else {
+        rank -= selecting;
+        assumptions.push(-v);
+      }
+    }
+
+    const selected = formula.variables.filter((_, index) =>
+      assumptions.includes(index + 1)
+    );
+    if (!checkConfiguration(model, selected).valid) {
+      throw new Error(`Random product #${draw + 1} violates the model`);
+    }
+    configurations.push(selected);
+  }
+
+  return { seed: actualSeed, features: formula.variables, configurations };
+}
+
+const csvField = (value) =>
+  /[",\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value;
+
+// One row per product, one 0/1 column per feature
+export function sampleToCSV(sample) {
+  const header = ["Configuration", ...sample.features].map(csvField);
+  const rows = sample.configurations.map((selected, index) => [
+    String(index + 1),
+    ...sample.features.map((id) => (selected.includes(id) ? "1" : "0")),
+  ]);
+  return [header, ...rows].map((row) => row.join(",")).join("\n") + "\n";
+}
+
+export function sampleToJSON(sample) {
+  return JSON.stringify(
+    {
+      ...(sample.seed !== undefined
+        ? { seed: sample.seed }
+        : { t: sample.t, coveredInteractions: sample.covered }),
+      configurations: sample.configurations.map((selected, index) => ({
+        id: index + 1,
+        features: selected,
+      })),
+    },
+    null,
+    2
+  );
+}
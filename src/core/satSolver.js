@@ -0,0 +1,125 @@
+import { checkTimeLimit } from "./timeLimit";
+
+// Small DPLL solver with two watched literals. Clauses use DIMACS-style
+// literals: variable v (1-based) is `v` when true and `-v` when false.
+
+const literalIndex = (literal) =>
+  literal > 0 ? literal * 2 : -literal * 2 + 1;
+
+export function solve(clauses, variableCount, assumptions = []) {
+  const values = new Int8Array(variableCount + 1);
+  const watches = Array.from({ length: variableCount * 2 + 2 }, () => []);
+  const watchedClauses = [];
+  const trail = [];
+  const units = [];
+
+  for (const clause of clauses) {
+    const literals = [...new Set(clause)];
+    if (literals.some((literal) => literals.includes(-literal))) continue;
+    if (literals.length === 0) return null;
+    if (literals.length === 1) {
+      units.push(literals[0]);
+      continue;
+    }
+    const clauseIndex = watchedClauses.length;
+    watchedClauses.push(literals);
+    watches[literalIndex(literals[0])].push(clauseIndex);
+    watches[literalIndex(literals[1])].push(clauseIndex);
+  }
+
+  const valueOf = (literal) => {
+    const value = values[Math.abs(literal)];
+    return literal > 0 ? value : -value;
+  };
+
+  const assign = (literal) => {
+    const value = valueOf(literal);
+    if (value === 1) return true;
+    if (value === -1) return false;
+    values[Math.abs(literal)] = literal > 0 ? 1 : -1;
+    trail.push(literal);
+    return true;
+  };
+
+  let propagationHead = 0;
+  const propagate = () => {
+    while (propagationHead < trail.length) {
+      const falseLiteral = -trail[propagationHead++];
+      const watchList = watches[literalIndex(falseLiteral)];
+      for (let i = 0; i < watchList.length; ) {
+        const literals = watchedClauses[watchList[i]];
+        if (literals[0] === falseLiteral) {
+          literals[0] = literals[1];
+          literals[1] = falseLiteral;
+        }
+        if (valueOf(literals[0]) === 1) {
+          i++;
+          continue;
+        }
+        let moved = false;
+        for (let k = 2; k < literals.length; k++) {
+          if (valueOf(literals[k]) !== -1) {
+            literals[1] = literals[k];
+            literals[k] = falseLiteral;
+            watches[literalIndex(literals[1])].push(watchList[i]);
+            watchList[i] = watchList[watchList.length - 1];
+            watchList.pop();
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+        if (!assign(literals[0])) return false;
+        i++;
+      }
+    }
+    return true;
+  };
+
+  for (const literal of [...units, ...assumptions]) {
+    if (!assign(literal)) return null;
+  }
+  if (!propagate()) return null;
+
+  // Each decision remembers where it sits on the trail and whether its
+  // opposite polarity has already been tried.
+  const decisions = [];
+  let nextVariable = 1;
+
+  for (;;) {
+    checkTimeLimit();
+    while (nextVariable <= variableCount && values[nextVariable] !== 0) {
+      nextVariable++;
+    }
+    if (nextVariable > variableCount) {
+      const assignment = [];
+      for (let v = 1; v <= variableCount; v++) assignment[v] = values[v] === 1;
+      return assignment;
+    }
+
+    decisions.push({
+      trailSize: trail.length,
+      literal: -nextVariable,
+      flipped: false,
+    });
+    assign(-nextVariable);
+
+    while (!propagate()) {
+      let decision = decisions.pop();
+      while (decision && decision.flipped) decision = decisions.pop();
+      if (!decision) return null;
+
+      while (trail.length > decision.trailSize)
+        values[Math.abs(trail.pop())] = 0;
+      propagationHead = trail.length;
+      nextVariable = Math.min(nextVariable, Math.abs(decision.literal));
+
+      decisions.push({
+        ...decision,
+        literal: -decision.literal,
+        flipped: true,
+      });
+      assign(-decision.literal);
+    }
+  }
+}
@@ -0,0 +1,351 @@
+import { describe, test, expect } from "vitest";
+import {
+  checkSatisfiability,
+  findDeadFeatures,
+  findFalseOptionalFeatures,
+  analyzeModel,
+  findConstraintIssues,
+  checkConfiguration,
+} from "../analysis";
+import infusionSystemModel from "../../../public/sample-complex-infusion-system.json";
+import automotiveSystemModel from "../../../public/sample-automotive.json";
+
+const voidModel = {
+  root: "Pump",
+  features: [
+    { id: "Pump", type: "mandatory" },
+    { id: "Power", type: "mandatory", parent: "Pump" },
+    { id: "Battery", type: "optional", parent: "Power" },
+    { id: "Mains", type: "optional", parent: "Power" },
+    { id: "Alarm", type: "mandatory", parent: "Pump" },
+    { id: "Display", type: "optional", parent: "Pump" },
+  ],
+  constraints: [
+    { type: "requires", a: "Alarm", b: "Battery" },
+    { type: "excludes", a: "Display", b: "Mains" },
+    { type: "excludes", a: "Battery", b: "Alarm" },
+  ],
+};
+
+// Two terms of two features already make both sides of the `|` take two
+// clauses, so the constraint is encoded over auxiliary variables
+const dnfModel = {
+  root: "R",
+  features: [
+    { id: "R", type: "mandatory" },
+    { id: "A", type: "optional", parent: "R" },
+    { id: "B", type: "optional", parent: "R" },
+    { id: "C", type: "optional", parent: "R" },
+    { id: "D", type: "optional", parent: "R" },
+  ],
+  constraints: [{ expression: "(A & B) | (C & D)" }],
+};
+
+describe("checkSatisfiability()", () => {
+  test("sample models are satisfiable and return a witness product", () => {
+    const result = checkSatisfiability(automotiveSystemModel);
+    expect(result.satisfiable).toBe(true);
+    expect(result.configuration).toEqual(
+      expect.arrayContaining(["Car", "Engine", "Safety"])
+    );
+    expect(result.conflicts).toEqual([]);
+
+    expect(checkSatisfiability(infusionSystemModel).satisfiable).toBe(true);
+  });
+
+  test("reports a void model with a minimal set of conflicting constraints", () => {
+    const result = checkSatisfiability(voidModel);
+    expect(result.satisfiable).toBe(false);
+    expect(result.configuration).toBeNull();
+    expect(result.conflicts.map((c) => c.index)).toEqual([0, 2]);
+    expect(result.conflicts[0].constraint).toBe(voidModel.constraints[0]);
+  });
+
+  test("detects two excludes plus one requires ruling out every product", () => {
+    const model = {
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "A", type: "mandatory", parent: "R" },
+        { id: "B", type: "optional", parent: "R" },
+        { id: "C", type: "optional", parent: "R" },
+        { id: "D", type: "optional", parent: "R" },
+      ],
+      constraints: [
+        { type: "excludes", a: "A", b: "C" },
+        { type: "requires", a: "A", b: "C" },
+        { type: "excludes", a: "B", b: "D" },
+      ],
+    };
+    const result = checkSatisfiability(model);
+    expect(result.satisfiable).toBe(false);
+    expect(result.conflicts.map((c) => c.index)).toEqual([0, 1]);
+  });
+
+  test("treats an alternative group without children conflicts as satisfiable", () => {
+    const model = {
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "X", type: "alternative", parent: "R" },
+        { id: "Y", type: "alternative", parent: "R" },
+      ],
+      constraints: [{ type: "requires", a: "X", b: "Y" }],
+    };
+    const result = checkSatisfiability(model);
+    expect(result.satisfiable).toBe(true);
+    expect(result.configuration).toEqual(["R", "Y"]);
+  });
+});
+
+const anomalousModel = {
+  root: "Car",
+  features: [
+    { id: "Car", type: "mandatory" },
+    { id: "Engine", type: "mandatory", parent: "Car" },
+    { id: "Gasoline", type: "optional", parent: "Engine" },
+    { id: "Electric", type: "optional", parent: "Engine" },
+    { id: "Turbo", type: "optional", parent: "Gasoline" },
+    { id: "Safety", type: "mandatory", parent: "Car" },
+    { id: "ABS", type: "optional", parent: "Safety" },
+  ],
+  constraints: [
+    { type: "requires", a: "Engine", b: "Electric" },
+    { type: "excludes", a: "Gasoline", b: "Electric" },
+    { type: "requires", a: "Electric", b: "ABS" },
+  ],
+};
+
+describe("findDeadFeatures()", () => {
+  test("finds features no valid configuration can include", () => {
+    expect(findDeadFeatures(anomalousModel)).toEqual(["Gasoline", "Turbo"]);
+  });
+
+  test("finds no dead features in the sample models", () => {
+    expect(findDeadFeatures(infusionSystemModel)).toEqual([]);
+    expect(findDeadFeatures(automotiveSystemModel)).toEqual([]);
+  });
+
+  test("returns nothing for a void model", () => {
+    expect(findDeadFeatures(voidModel)).toEqual([]);
+  });
+});
+
+describe("findFalseOptionalFeatures()", () => {
+  test("finds optional features present whenever their parent is", () => {
+    expect(findFalseOptionalFeatures(anomalousModel)).toEqual([
+      "Electric",
+      "ABS",
+    ]);
+  });
+
+  test("ignores mandatory features and features below dead parents", () => {
+    const result = findFalseOptionalFeatures(anomalousModel);
+    expect(result).not.toContain("Engine");
+    expect(result).not.toContain("Turbo");
+  });
+
+  test("finds no false-optional features in the infusion pump sample", () => {
+    expect(findFalseOptionalFeatures(infusionSystemModel)).toEqual([]);
+  });
+});
+
+describe("checkConfiguration()", () => {
+  test("accepts valid products and flags broken constraints", () => {
+    expect(
+      checkConfiguration(voidModel, ["Pump", "Power", "Battery", "Alarm"])
+    ).toEqual({
+      valid: false,
+      violations: [{ kind: "constraint", constraint: 2 }],
+    });
+    expect(
+      checkConfiguration(
+        anomalousModel,
+        checkSatisfiability(anomalousModel).configuration
+      )
+    ).toEqual({ valid: true, violations: [] });
+  });
+
+  test("names every broken rule once", () => {
+    const { violations } = checkConfiguration(voidModel, [
+      "Power",
+      "Display",
+      "Mains",
+    ]);
+    expect(violations).toEqual([
+      { kind: "root", feature: "Pump" },
+      expect.objectContaining({ kind: "parent", feature: "Power" }),
+      expect.objectContaining({ kind: "parent", feature: "Display" }),
+      { kind: "constraint", constraint: 1 },
+    ]);
+  });
+
+  test("checks constraints encoded over auxiliary variables as a whole", () => {
+    expect(checkConfiguration(dnfModel, ["R", "C", "D"]).valid).toBe(true);
+    expect(checkConfiguration(dnfModel, ["R", "A", "C"])).toEqual({
+      valid: false,
+      violations: [{ kind: "constraint", constraint: 0 }],
+    });
+    expect(checkConfiguration(dnfModel, ["R", "A"], ["B"]).valid).toBe(true);
+  });
+});
+
+describe("analyzeModel()", () => {
+  test("combines satisfiability with feature anomalies", () => {
+    const result = analyzeModel(anomalousModel);
+    expect(result.satisfiable).toBe(true);
+    expect(result.deadFeatures).toEqual(["Gasoline", "Turbo"]);
+    expect(result.falseOptionalFeatures).toEqual(["Electric", "ABS"]);
+  });
+
+  test("skips anomaly detection for a void model", () => {
+    const result = analyzeModel(voidModel);
+    expect(result.satisfiable).toBe(false);
+    expect(result.conflicts).toHaveLength(2);
+    expect(result.deadFeatures).toEqual([]);
+    expect(result.falseOptionalFeatures).toEqual([]);
+  });
+});
+
+const phoneTree = [
+  { id: "Phone", type: "mandatory" },
+  { id: "Screen", type: "mandatory", parent: "Phone" },
+  { id: "GPS", type: "optional", parent: "Phone" },
+  { id: "Camera", type: "optional", parent: "Phone" },
+  { id: "Flash", type: "optional", parent: "Camera" },
+  { id: "Radio", type: "optional", parent: "Phone" },
+];
+const phoneModel = (constraints) => ({
+  root: "Phone",
+  features: phoneTree,
+  constraints,
+});
+
+describe("findConstraintIssues()", () => {
+  test("returns nothing for well-formed constraints", () => {
+    expect(
+      findConstraintIssues(
+        phoneModel([{ type: "requires", a: "GPS", b: "Camera" }])
+      )
+    ).toEqual([]);
+  });
+
+  test("flags a constraint that contradicts the tree", () => {
+    const issues = findConstraintIssues(
+      phoneModel([
+        { type: "excludes", a: "Phone", b: "Screen" },
+        { type: "excludes", a: "Camera", b: "Screen" },
+      ])
+    );
+    expect(issues[0]).toEqual({
+      kind: "contradicts-tree",
+      constraints: [0],
+      features: ["Phone", "Screen"],
+      message:
+        "#1 (Phone excludes Screen) contradicts the feature tree: no product satisfies it",
+    });
+    expect(issues[1]).toMatchObject({
+      kind: "contradicts-tree",
+      constraints: [1],
+      features: ["Camera"],
+      message:
+        "#2 (Camera excludes Screen) contradicts the feature tree: it makes Camera dead",
+    });
+  });
+
+  test("flags two constraints that only contradict each other together", () => {
+    const issues = findConstraintIssues(
+      phoneModel([
+        { type: "requires", a: "GPS", b: "Radio" },
+        { type: "excludes", a: "GPS", b: "Radio" },
+      ])
+    );
+    expect(issues).toEqual([
+      {
+        kind: "contradicts-constraints",
+        constraints: [0, 1],
+        features: ["GPS"],
+        message:
+          "#1 (GPS requires Radio) and #2 (GPS excludes Radio) contradict each other: together they make GPS dead",
+      },
+    ]);
+  });
+
+  test("flags requires cycles", () => {
+    const issues = findConstraintIssues(
+      phoneModel([
+        { type: "requires", a: "GPS", b: "Radio" },
+        { type: "requires", a: "Radio", b: "Camera" },
+        { type: "requires", a: "Camera", b: "GPS" },
+      ])
+    );
+    expect(issues).toEqual([
+      {
+        kind: "cycle",
+        constraints: [0, 1, 2],
+        features: ["GPS", "Radio", "Camera"],
+        message:
+          "#1, #2, #3 form a requires cycle: GPS, Radio and Camera can only be selected together",
+      },
+    ]);
+  });
+
+  test("flags constraints implied by the tree or by other constraints", () => {
+    const issues = findConstraintIssues(
+      phoneModel([
+        { type: "requires", a: "Flash", b: "Camera" },
+        { type: "requires", a: "GPS", b: "Radio" },
+        { type: "requires", a: "Radio", b: "Camera" },
+        { expression: "GPS => Camera" },
+      ])
+    );
+    expect(issues).toEqual([
+      {
+        kind: "redundant",
+        constraints: [0],
+        impliedBy: [],
+        features: ["Flash", "Camera"],
+        message:
+          "#1 (Flash requires Camera) is already implied by the feature tree",
+      },
+      {
+        kind: "redundant",
+        constraints: [3],
+        impliedBy: [1, 2],
+        features: ["GPS", "Camera"],
+        message:
+          "#4 (GPS => Camera) is already implied by the feature tree and #2, #3",
+      },
+    ]);
+  });
+
+  test("finds constraints encoded over auxiliary variables redundant", () => {
+    const issues = findConstraintIssues({
+      ...dnfModel,
+      constraints: [...dnfModel.constraints, { expression: "C & D" }],
+    });
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      kind: "redundant",
+      constraints: [0],
+      impliedBy: [1],
+    });
+    expect([...issues[0].features].sort()).toEqual(["A", "B", "C", "D"]);
+  });
+
+  test("is part of the model analysis, even for void models", () => {
+    expect(analyzeModel(anomalousModel).constraintIssues).toEqual(
+      findConstraintIssues(anomalousModel)
+    );
+    // Battery excludes the mandatory Alarm
+    const voidIssues = analyzeModel(voidModel).constraintIssues;
+    expect(voidIssues).toContainEqual(
+      expect.objectContaining({
+        kind: "contradicts-tree",
+        constraints: [2],
+        features: ["Battery"],
+      })
+    );
+    expect(voidIssues.some((issue) => issue.kind === "redundant")).toBe(false);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect, vi, beforeEach } from "vitest";
-import applyHighlights from "../applyHighlights";
+import applyHighlights, { applyAnalysisHighlights } from "../applyHighlights";
 
 
 function createFakeSelection() {
@@ -99,3 +99,38 @@ describe("applyHighlights", () => {
     expect(nodeSel.attr).toHaveBeenCalledTimes(2);
   });
 });
+
+describe("applyAnalysisHighlights", () => {
+  const nodes = [makeNode("root"), makeNode("dead"), makeNode("forced")];
+  const analysis = { deadFeatures: ["dead"], falseOptionalFeatures: ["forced"] };
+
+  test("skips processing when the analysis has no findings", () => {
+    const nodeSel = createFakeSelection();
+    applyAnalysisHighlights(nodeSel, { deadFeatures: [], falseOptionalFeatures: [] });
+    applyAnalysisHighlights(nodeSel, null);
+    expect(nodeSel.attr).not.toHaveBeenCalled();
+  });
+
+  test("outlines dead and false-optional nodes with distinct colours", () => {
+    const nodeSel = createFakeSelection();
+    applyAnalysisHighlights(nodeSel, analysis);
+
+    const strokeFn = nodeSel._attrs["stroke"];
+    expect(strokeFn(nodes[0])).toBe("#fff");
+    expect(strokeFn(nodes[1])).toBe("#424242");
+    expect(strokeFn(nodes[2])).toBe("#fb8c00");
+
+    const dashFn = nodeSel._attrs["stroke-dasharray"];
+    expect(dashFn(nodes[0])).toBeNull();
+    expect(dashFn(nodes[1])).toBe("6 3");
+  });
+
+  test("fades dead nodes only", () => {
+    const nodeSel = createFakeSelection();
+    applyAnalysisHighlights(nodeSel, analysis);
+
+    const opacityFn = nodeSel._attrs["fill-opacity"];
+    expect(opacityFn(nodes[1])).toBe(0.35);
+    expect(opacityFn(nodes[2])).toBe(1);
+  });
+});
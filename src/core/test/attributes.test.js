@@ -0,0 +1,90 @@
+import { describe, test, expect } from "vitest";
+import {
+  attributeTypeOf,
+  collectAttributeTypes,
+  aggregateAttributes,
+  formatAttributeValue,
+} from "../attributes";
+import iotSystemModel from "../../../public/sample-iot.json";
+
+describe("attributeTypeOf()", () => {
+  test("recognises numbers, strings and booleans", () => {
+    expect(attributeTypeOf(12.5)).toBe("number");
+    expect(attributeTypeOf("Acme")).toBe("string");
+    expect(attributeTypeOf(false)).toBe("boolean");
+  });
+
+  test("rejects other values", () => {
+    expect(attributeTypeOf(NaN)).toBeNull();
+    expect(attributeTypeOf(null)).toBeNull();
+    expect(attributeTypeOf([1])).toBeNull();
+  });
+});
+
+describe("collectAttributeTypes()", () => {
+  test("prefers declared types and infers the rest", () => {
+    const types = collectAttributeTypes({
+      attributeTypes: { cost: "number" },
+      features: [
+        { id: "A", attributes: { cost: 3, vendor: "Acme" } },
+        { id: "B", attributes: { certified: true } },
+      ],
+    });
+    expect([...types]).toEqual([
+      ["cost", "number"],
+      ["vendor", "string"],
+      ["certified", "boolean"],
+    ]);
+  });
+});
+
+describe("aggregateAttributes()", () => {
+  test("totals numeric attributes over selected features", () => {
+    const totals = aggregateAttributes(iotSystemModel, {
+      SmartHome: "selected",
+      Sensors: "selected",
+      Temperature: "selected",
+      Motion: "deselected",
+      Camera: "selected",
+      CloudService: "selected",
+    });
+    expect(totals).toEqual([
+      {
+        name: "cost",
+        sum: 146.5,
+        min: 6.5,
+        max: 79,
+        count: 4,
+        undecided: 0,
+      },
+      {
+        name: "memoryKB",
+        sum: 2704,
+        min: 16,
+        max: 2048,
+        count: 4,
+        undecided: 0,
+      },
+    ]);
+  });
+
+  test("counts undecided features in a partial configuration", () => {
+    const [cost] = aggregateAttributes(iotSystemModel, {
+      SmartHome: "selected",
+    });
+    expect(cost).toMatchObject({ sum: 49, min: 49, max: 49, undecided: 4 });
+  });
+
+  test("leaves min and max empty when nothing is selected", () => {
+    const [cost] = aggregateAttributes(iotSystemModel, {});
+    expect(cost).toMatchObject({ sum: 0, min: null, max: null, count: 0 });
+  });
+});
+
+describe("formatAttributeValue()", () => {
+  test("formats numbers with at most two decimals", () => {
+    expect(formatAttributeValue(1234.567)).toBe("1,234.57");
+    expect(formatAttributeValue("Acme")).toBe("Acme");
+    expect(formatAttributeValue(true)).toBe("true");
+  });
+});
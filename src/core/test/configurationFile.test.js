@@ -0,0 +1,211 @@
+import { describe, test, expect } from "vitest";
+import {
+  parseConfigurationFile,
+  createConfigurationFile,
+  configurationFileStates,
+  checkConfigurationFile,
+} from "../configurationFile";
+
+const phoneModel = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "alternative", parent: "Screen" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+    { id: "Maps", type: "optional", parent: "Phone" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "Flash", type: "optional", parent: "Camera" },
+  ],
+  constraints: [
+    { type: "requires", a: "Maps", b: "GPS" },
+    { type: "excludes", a: "GPS", b: "Basic" },
+    { expression: "Flash => HD" },
+  ],
+};
+
+describe("parseConfigurationFile()", () => {
+  test("normalizes the decisions and drops duplicates", () => {
+    expect(
+      parseConfigurationFile({
+        model: "Phone",
+        selected: ["Phone", "GPS", "GPS"],
+      })
+    ).toEqual({
+      model: "Phone",
+      selected: ["Phone", "GPS"],
+      deselected: [],
+      undecided: [],
+    });
+  });
+
+  test.each([
+    [[], "A configuration file must be a JSON object."],
+    [{ selected: [] }, /^Missing 'model'/],
+    [
+      { model: "A", selected: "A" },
+      "'selected' must be an array of feature ids.",
+    ],
+    [
+      { model: "A", deselected: [1] },
+      "'deselected' must be an array of feature ids.",
+    ],
+    [
+      { model: "A", selected: ["A", "B"], deselected: ["B"] },
+      "'B' is both selected and deselected.",
+    ],
+    [
+      { model: "A", deselected: ["B"], undecided: ["B"] },
+      "'B' is both deselected and undecided.",
+    ],
+  ])("rejects %j", (data, message) => {
+    expect(() => parseConfigurationFile(data)).toThrow(message);
+  });
+});
+
+describe("createConfigurationFile()", () => {
+  test("lists decided features in model order and marks open ones", () => {
+    expect(
+      createConfigurationFile(phoneModel, {
+        GPS: "selected",
+        Phone: "selected",
+        Camera: "deselected",
+        Maps: "undecided",
+      })
+    ).toEqual({
+      model: "Phone",
+      selected: ["Phone", "GPS"],
+      deselected: ["Camera"],
+      undecided: ["Maps"],
+    });
+  });
+
+  test("writes a partial configuration that checks as valid", () => {
+    const file = createConfigurationFile(phoneModel, {
+      Phone: "selected",
+      Screen: "selected",
+      Basic: "undecided",
+      HD: "undecided",
+      GPS: "deselected",
+      Maps: "deselected",
+      Camera: "undecided",
+      Flash: "undecided",
+    });
+    expect(
+      checkConfigurationFile(phoneModel, parseConfigurationFile(file))
+    ).toEqual({ valid: true, violations: [] });
+  });
+});
+
+describe("configurationFileStates()", () => {
+  test("treats unlisted features as deselected user decisions", () => {
+    const { states, sources } = configurationFileStates(phoneModel, {
+      selected: ["Phone", "Screen"],
+      deselected: ["GPS"],
+    });
+    expect(states.Phone).toBe("selected");
+    expect(states.GPS).toBe("deselected");
+    expect(states.Flash).toBe("deselected");
+    expect(new Set(Object.values(sources))).toEqual(new Set(["user"]));
+  });
+
+  test("leaves undecided features open", () => {
+    const { states, sources } = configurationFileStates(phoneModel, {
+      selected: ["Phone"],
+      deselected: [],
+      undecided: ["GPS"],
+    });
+    expect(states.GPS).toBe("undecided");
+    expect(sources.GPS).toBeUndefined();
+  });
+});
+
+describe("checkConfigurationFile()", () => {
+  const check = (selected, extra = {}) =>
+    checkConfigurationFile(phoneModel, {
+      model: "Phone",
+      selected,
+      deselected: [],
+      ...extra,
+    });
+
+  test("accepts a valid product", () => {
+    expect(check(["Phone", "Screen", "HD", "GPS", "Maps"])).toEqual({
+      valid: true,
+      violations: [],
+    });
+  });
+
+  test("lists missing mandatory children and broken groups", () => {
+    const { valid, violations } = check(["Phone", "Flash", "Basic", "HD"]);
+    expect(valid).toBe(false);
+    expect(violations.map((v) => v.message)).toEqual([
+      "Mandatory feature Screen is missing under Phone",
+      "Basic is selected without its parent Screen",
+      "HD is selected without its parent Screen",
+      "Flash is selected without its parent Camera",
+      "The alternative group of Screen allows [1..1] selected members but has 2: Basic and HD",
+    ]);
+    expect(violations[0]).toEqual({
+      kind: "mandatory",
+      features: ["Screen", "Phone"],
+      constraints: [],
+      message: "Mandatory feature Screen is missing under Phone",
+    });
+  });
+
+  test("lists broken requires, clashing excludes and false expressions", () => {
+    const { violations } = check([
+      "Phone",
+      "Screen",
+      "Basic",
+      "GPS",
+      "Maps",
+      "Camera",
+      "Flash",
+    ]);
+    expect(violations).toEqual([
+      {
+        kind: "constraint",
+        features: ["GPS", "Basic"],
+        constraints: [1],
+        message: "GPS excludes Basic, but both are selected",
+      },
+      {
+        kind: "constraint",
+        features: ["Flash", "HD"],
+        constraints: [2],
+        message: '"Flash => HD" is not satisfied',
+      },
+    ]);
+    expect(check(["Phone", "Screen", "HD", "Maps"]).violations[0].message).toBe(
+      "Maps requires GPS, but GPS is not selected"
+    );
+  });
+
+  test("only reports rules that undecided features can no longer keep", () => {
+    const { violations } = check(["Phone", "Screen", "Maps"], {
+      deselected: ["GPS"],
+      undecided: ["Basic", "HD", "Camera", "Flash"],
+    });
+    expect(violations.map((v) => v.message)).toEqual([
+      "Maps requires GPS, but GPS is not selected",
+    ]);
+  });
+
+  test("reports the root, an empty group, unknown ids and a model mismatch", () => {
+    const { violations } = check(["Screen", "Radio"], {
+      model: "Tablet",
+      deselected: ["Phone", "Modem"],
+    });
+    expect(violations.map((v) => v.message)).toEqual([
+      "Configuration is for model Tablet, but the loaded model is Phone",
+      "Unknown feature Radio",
+      "Unknown feature Modem",
+      "Root feature Phone is not selected",
+      "Screen is selected without its parent Phone",
+      "The alternative group of Screen allows [1..1] selected members but has none",
+    ]);
+  });
+});
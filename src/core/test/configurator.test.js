@@ -0,0 +1,102 @@
+import { describe, test, expect } from "vitest";
+import { propagateConfiguration, toggleDecision } from "../configurator";
+import automotiveSystemModel from "../../../public/sample-automotive.json";
+
+const groupModel = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "alternative", parent: "Screen" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+  ],
+  constraints: [{ type: "requires", a: "Camera", b: "HD" }],
+};
+
+describe("propagateConfiguration()", () => {
+  test("propagates the root and mandatory children without decisions", () => {
+    const result = propagateConfiguration(groupModel);
+    expect(result.states).toEqual({
+      Phone: "selected",
+      Screen: "selected",
+      Basic: "undecided",
+      HD: "undecided",
+      Camera: "undecided",
+      GPS: "undecided",
+    });
+    expect(result.sources.Phone).toBe("propagated");
+    expect(result.complete).toBe(false);
+    expect(result.contradictory).toBe(false);
+  });
+
+  test("propagates requires targets and alternative siblings", () => {
+    const { states, sources } = propagateConfiguration(groupModel, {
+      Camera: true,
+    });
+    expect(sources.Camera).toBe("user");
+    expect(states.HD).toBe("selected");
+    expect(states.Basic).toBe("deselected");
+    expect(sources.Basic).toBe("propagated");
+    expect(states.GPS).toBe("undecided");
+  });
+
+  test("propagates excludes partners", () => {
+    const { states } = propagateConfiguration(automotiveSystemModel, {
+      Gasoline: true,
+    });
+    expect(states.ElectricMotor).toBe("deselected");
+    expect(states.ABS).toBe("undecided");
+  });
+
+  test("reports a complete configuration", () => {
+    const result = propagateConfiguration(groupModel, {
+      Camera: true,
+      GPS: false,
+    });
+    expect(result.complete).toBe(true);
+    expect(Object.values(result.states)).not.toContain("undecided");
+  });
+
+  test("reports contradictory decisions with a minimal culprit set", () => {
+    const result = propagateConfiguration(groupModel, {
+      GPS: true,
+      Camera: true,
+      Basic: true,
+    });
+    expect(result.contradictory).toBe(true);
+    expect(result.complete).toBe(false);
+    expect(result.conflictingDecisions).toEqual(["Camera", "Basic"]);
+    expect(result.states.GPS).toBe("selected");
+    expect(result.states.HD).toBe("undecided");
+  });
+
+  test("ignores decisions on unknown features", () => {
+    const result = propagateConfiguration(groupModel, { Ghost: true });
+    expect(result.states.Ghost).toBeUndefined();
+    expect(result.contradictory).toBe(false);
+  });
+});
+
+describe("toggleDecision()", () => {
+  test("cycles undecided -> selected -> deselected -> cleared", () => {
+    const selected = toggleDecision({}, "GPS", "undecided");
+    expect(selected).toEqual({ GPS: true });
+    const deselected = toggleDecision(selected, "GPS", "selected");
+    expect(deselected).toEqual({ GPS: false });
+    expect(toggleDecision(deselected, "GPS", "deselected")).toEqual({});
+  });
+
+  test("starts a propagated feature with the opposite of its forced value", () => {
+    expect(toggleDecision({}, "Screen", "selected")).toEqual({ Screen: false });
+    expect(toggleDecision({}, "Basic", "deselected")).toEqual({ Basic: true });
+  });
+
+  test("leaves other decisions untouched", () => {
+    expect(toggleDecision({ A: true }, "B", "undecided")).toEqual({
+      A: true,
+      B: true,
+    });
+  });
+});
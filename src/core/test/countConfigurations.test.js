@@ -0,0 +1,204 @@
+import { describe, test, expect } from "vitest";
+import countConfigurations, {
+  countSolutions,
+  selectionRatio,
+  formatSelectionRatio,
+} from "../countConfigurations";
+import { buildFeatureFormula } from "../featureFormula";
+import infusionSystemModel from "../../../public/sample-complex-infusion-system.json";
+import automotiveSystemModel from "../../../public/sample-automotive.json";
+
+function bruteForceCount(model) {
+  const formula = buildFeatureFormula(model);
+  const variableCount = formula.variables.length;
+  let count = 0;
+  for (let mask = 0; mask < 1 << variableCount; mask++) {
+    const isTrue = (v) => ((mask >> (v - 1)) & 1) === 1;
+    const satisfied = formula.clauses.every((clause) =>
+      clause.literals.some((literal) =>
+        literal > 0 ? isTrue(literal) : !isTrue(-literal)
+      )
+    );
+    if (satisfied) count++;
+  }
+  return BigInt(count);
+}
+
+const groupModel = {
+  root: "Sensor",
+  features: [
+    { id: "Sensor", type: "mandatory" },
+    { id: "Bus", type: "mandatory", parent: "Sensor" },
+    { id: "I2C", type: "alternative", parent: "Bus" },
+    { id: "SPI", type: "alternative", parent: "Bus" },
+    { id: "UART", type: "alternative", parent: "Bus" },
+    { id: "Outputs", type: "optional", parent: "Sensor" },
+    { id: "LED", type: "or", parent: "Outputs" },
+    { id: "Buzzer", type: "or", parent: "Outputs" },
+    { id: "Display", type: "or", parent: "Outputs" },
+    { id: "Logging", type: "optional", parent: "Sensor" },
+  ],
+  constraints: [
+    { type: "requires", a: "Display", b: "SPI" },
+    { type: "excludes", a: "Logging", b: "UART" },
+  ],
+};
+
+describe("countSolutions()", () => {
+  test("counts free variables", () => {
+    expect(countSolutions([], 3)).toBe(8n);
+  });
+
+  test("counts a small CNF exactly", () => {
+    // (a | b) & (!a | c): 4 of 8 assignments
+    expect(
+      countSolutions(
+        [
+          [1, 2],
+          [-1, 3],
+        ],
+        3
+      )
+    ).toBe(4n);
+  });
+
+  test("returns 0 for contradictions", () => {
+    expect(countSolutions([[1], [-1, 2], [-2]], 2)).toBe(0n);
+  });
+
+  test("applies assumptions", () => {
+    expect(countSolutions([[1, 2]], 2, [-1])).toBe(1n);
+  });
+
+  test("handles counts beyond Number precision", () => {
+    expect(countSolutions([], 80)).toBe(1n << 80n);
+  });
+});
+
+describe("countConfigurations()", () => {
+  test("matches brute-force enumeration", () => {
+    expect(countConfigurations(automotiveSystemModel).total).toBe(
+      bruteForceCount(automotiveSystemModel)
+    );
+    expect(countConfigurations(groupModel).total).toBe(
+      bruteForceCount(groupModel)
+    );
+  });
+
+  test("counts the infusion pump sample exactly", () => {
+    const { total, ratios } = countConfigurations(infusionSystemModel);
+    expect(total).toBe(206928n);
+    expect(ratios.InfusionPump).toBe(1);
+    expect(ratios.BatteryBackup).toBeCloseTo(0.4906, 4);
+  });
+
+  test("reports per-feature counts and selection ratios", () => {
+    const { total, perFeature, ratios } = countConfigurations(
+      automotiveSystemModel
+    );
+    expect(total).toBe(10n);
+    expect(perFeature.ElectricMotor).toBe(2n);
+    expect(ratios.ElectricMotor).toBe(0.2);
+    expect(ratios.ABS).toBe(0.6);
+    expect(ratios.Engine).toBe(1);
+  });
+
+  test("shows how much a new constraint removes", () => {
+    const before = countConfigurations(automotiveSystemModel).total;
+    const after = countConfigurations({
+      ...automotiveSystemModel,
+      constraints: [
+        ...automotiveSystemModel.constraints,
+        { type: "requires", a: "Airbag", b: "ABS" },
+      ],
+    }).total;
+    expect(after).toBeLessThan(before);
+    expect(after).toBe(8n);
+  });
+
+  test("honours group cardinalities", () => {
+    const sensors = {
+      root: "Platform",
+      features: [
+        { id: "Platform", groupCardinality: "2..3" },
+        { id: "Temp", type: "or", parent: "Platform" },
+        { id: "Humidity", type: "or", parent: "Platform" },
+        { id: "Pressure", type: "or", parent: "Platform" },
+        { id: "Light", type: "or", parent: "Platform" },
+      ],
+    };
+    // C(4,2) + C(4,3)
+    expect(countConfigurations(sensors).total).toBe(10n);
+    expect(countConfigurations(sensors).total).toBe(bruteForceCount(sensors));
+  });
+
+  test("counts large groups encoded with counter variables", () => {
+    const groupOf = (size, cardinality) => ({
+      root: "R",
+      features: [
+        { id: "R", groupCardinality: cardinality },
+        ...Array.from({ length: size }, (_, i) => ({
+          id: `M${i}`,
+          type: "or",
+          parent: "R",
+        })),
+      ],
+    });
+    // C(12,3) + C(12,4) + C(12,5)
+    const small = countConfigurations(groupOf(12, "3..5"));
+    expect(small.total).toBe(1507n);
+    expect(Object.keys(small.perFeature)).toHaveLength(13);
+    // C(11,2) + C(11,3) + C(11,4) products select M0
+    expect(small.perFeature.M0).toBe(550n);
+    // C(30,15)
+    const large = buildFeatureFormula(groupOf(30, "15..15"));
+    const total = countSolutions(
+      large.clauses.map((clause) => clause.literals),
+      large.variableCount,
+      [],
+      new Map(),
+      large.variables.length
+    );
+    expect(total).toBe(155117520n);
+  });
+
+  test("counts constraints encoded with auxiliary variables exactly", () => {
+    const features = [{ id: "R" }];
+    const terms = [];
+    for (let i = 0; i < 10; i++) {
+      features.push({ id: `A${i}`, type: "optional", parent: "R" });
+      features.push({ id: `B${i}`, type: "optional", parent: "R" });
+      terms.push(`(A${i} & B${i})`);
+    }
+    const counts = countConfigurations({
+      root: "R",
+      features,
+      constraints: [{ expression: terms.join(" | ") }],
+    });
+    // Products with some pair selected: 4^10 - 3^10
+    expect(counts.total).toBe(989527n);
+    // A0 and B0 selected: 4^9, or only A0 with some other pair: 4^9 - 3^9
+    expect(counts.perFeature.A0).toBe(504605n);
+  });
+
+  test("reports zero products for a void model", () => {
+    const { total, ratios } = countConfigurations({
+      ...automotiveSystemModel,
+      constraints: [{ type: "excludes", a: "Car", b: "Engine" }],
+    });
+    expect(total).toBe(0n);
+    expect(ratios.Car).toBe(0);
+  });
+});
+
+describe("selection ratio helpers", () => {
+  test("divides BigInt counts", () => {
+    expect(selectionRatio(1n, 4n)).toBe(0.25);
+    expect(selectionRatio(0n, 0n)).toBe(0);
+  });
+
+  test("formats ratios as percentages", () => {
+    expect(formatSelectionRatio(0.4906)).toBe("49.1%");
+    expect(formatSelectionRatio(1)).toBe("100.0%");
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from "vitest";
+import { encodeLink, decodeLink } from "../deepLink";
+
+const model = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+    { id: "NFC", type: "optional", parent: "Phone" },
+  ],
+  constraints: [{ type: "requires", a: "NFC", b: "GPS" }],
+};
+
+describe("encodeLink() and decodeLink()", () => {
+  test("round-trip the view and the model", async () => {
+    const hash = await encodeLink({
+      fileName: "phone.json",
+      model,
+      query: "gps",
+      searchHits: ["GPS"],
+      activeId: "GPS",
+      zoom: { x: 12.345, y: -40, k: 1.23456 },
+      configuration: { GPS: true, NFC: false },
+    });
+    expect(hash.startsWith("#")).toBe(true);
+
+    expect(await decodeLink(hash)).toEqual({
+      fileName: "phone.json",
+      model,
+      query: "gps",
+      searchHits: [],
+      activeId: "GPS",
+      zoom: { x: 12.3, y: -40, k: 1.235 },
+      configuration: { GPS: true, NFC: false },
+    });
+  });
+
+  test("keep highlights only when there is no query", async () => {
+    const hash = await encodeLink({ searchHits: ["GPS", "NFC"] });
+    expect(hash).toBe("#h=GPS%2CNFC");
+    expect((await decodeLink(hash)).searchHits).toEqual(["GPS", "NFC"]);
+  });
+
+  test("escape commas and exclamation marks in ids", async () => {
+    const hash = await encodeLink({
+      searchHits: ["A,B", "!C"],
+      configuration: { "!C": true, "A,B": false, "100%": true },
+    });
+    const link = await decodeLink(hash);
+    expect(link.searchHits).toEqual(["A,B", "!C"]);
+    expect(link.configuration).toEqual({
+      "!C": true,
+      "A,B": false,
+      "100%": true,
+    });
+    expect((await decodeLink("#h=A%2C%25zz%2CB")).searchHits).toEqual([
+      "A",
+      "B",
+    ]);
+  });
+
+  test("leave out models too large for a link", async () => {
+    const features = [{ id: "Root", type: "mandatory" }];
+    for (let i = 0; i < 3000; i++) {
+      features.push({
+        id: `F${i}x${(i * 7919) % 104729}`,
+        type: "optional",
+        parent: "Root",
+      });
+    }
+    const hash = await encodeLink({ model: { root: "Root", features } });
+    expect(hash).toBe("");
+  });
+
+  test("names a linked model after its root without a file name", async () => {
+    const link = await decodeLink(await encodeLink({ model }));
+    expect(link.fileName).toBe("Phone.json");
+    expect(link.activeId).toBeNull();
+    expect(link.zoom).toBeNull();
+  });
+
+  test("ignore hashes without view state and reject broken models", async () => {
+    expect(await decodeLink("")).toBeNull();
+    expect(await decodeLink("#section-2")).toBeNull();
+    await expect(decodeLink("#m=not-a-model")).rejects.toThrow();
+  });
+});
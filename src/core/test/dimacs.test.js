@@ -0,0 +1,58 @@
+import { describe, test, expect } from "vitest";
+import { formatDimacs } from "../dimacs";
+import { solve } from "../satSolver";
+
+const model = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD Color", type: "alternative", parent: "Screen" },
+  ],
+  constraints: [
+    { type: "requires", a: "GPS", b: "HD Color" },
+    { expression: "!GPS | Screen" },
+  ],
+};
+
+// Reads the clauses back the way a solver would
+function readDimacs(text) {
+  const lines = text.trimEnd().split("\n");
+  const header = lines.find((line) => line.startsWith("p "));
+  const [, , variableCount, clauseCount] = header.split(" ").map(Number);
+  const clauses = lines
+    .filter((line) => !line.startsWith("c") && !line.startsWith("p"))
+    .map((line) => line.split(" ").map(Number));
+  return { variableCount, clauseCount, clauses };
+}
+
+describe("formatDimacs()", () => {
+  test("maps variable numbers to feature ids in the header", () => {
+    const text = formatDimacs(model);
+    expect(text.split("\n").slice(0, 6)).toEqual([
+      "c 1 Phone",
+      "c 2 Screen",
+      "c 3 GPS",
+      "c 4 Basic",
+      "c 5 HD Color",
+      "p cnf 5 10",
+    ]);
+    expect(text.endsWith(" 0\n")).toBe(true);
+  });
+
+  test("writes the tree and constraints as clauses", () => {
+    const { variableCount, clauseCount, clauses } = readDimacs(
+      formatDimacs(model)
+    );
+    expect(clauses).toHaveLength(clauseCount);
+    expect(clauses.every((clause) => clause.at(-1) === 0)).toBe(true);
+    expect(clauses).toContainEqual([1, 0]);
+    expect(clauses).toContainEqual([-3, 5, 0]);
+
+    const literals = clauses.map((clause) => clause.slice(0, -1));
+    expect(solve(literals, variableCount, [3, 4])).toBeNull();
+    expect(solve(literals, variableCount, [3])).not.toBeNull();
+  });
+});
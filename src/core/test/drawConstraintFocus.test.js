@@ -0,0 +1,67 @@
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import drawConstraintFocus from "../drawConstraintFocus";
+import { constraintCurvePath } from "../drawConstraints";
+
+function createMockSvgContainer() {
+  const selection = {
+    append: vi.fn(() => selection),
+    attr: vi.fn(() => selection),
+    style: vi.fn(() => selection),
+    selectAll: vi.fn(() => selection),
+    remove: vi.fn(() => selection),
+    data: vi.fn(() => selection),
+    join: vi.fn(() => selection),
+  };
+  return selection;
+}
+
+describe("drawConstraintFocus", () => {
+  let container;
+  let rootNode;
+  let nodes;
+  const model = {
+    constraints: [
+      { type: "requires", a: "GPS", b: "Radio" },
+      { expression: "GPS => !Radio" },
+    ],
+  };
+
+  beforeEach(() => {
+    container = createMockSvgContainer();
+    nodes = [
+      { data: { id: "Phone" }, x: 0, y: 0 },
+      { data: { id: "GPS" }, x: -100, y: 200 },
+      { data: { id: "Radio" }, x: 100, y: 200 },
+    ];
+    rootNode = { descendants: () => nodes };
+  });
+
+  test("removes the layer and draws nothing without a finding", () => {
+    expect(drawConstraintFocus(container, rootNode, model, null)).toBeNull();
+    expect(container.selectAll).toHaveBeenCalledWith(".constraint-focus-layer");
+    expect(container.append).not.toHaveBeenCalled();
+  });
+
+  test("overdraws the constraints of a finding and rings its features", () => {
+    drawConstraintFocus(container, rootNode, model, {
+      kind: "contradicts-constraints",
+      constraints: [0, 1],
+      features: ["GPS", "Unknown"],
+    });
+
+    expect(container.attr).toHaveBeenCalledWith(
+      "class",
+      "constraint-focus-layer"
+    );
+    const paths = container.attr.mock.calls
+      .filter(([key]) => key === "d")
+      .map(([, value]) => value);
+    expect(paths).toEqual([
+      constraintCurvePath(nodes[1], nodes[2]),
+      "M0,130L-100,200",
+      "M0,130L100,200",
+    ]);
+    const ringed = container.data.mock.calls[0][0];
+    expect(ringed.map((node) => node.data.id)).toEqual(["GPS"]);
+  });
+});
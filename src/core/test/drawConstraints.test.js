@@ -29,6 +29,9 @@ function createMockSvgContainer() {
     attr: vi.fn(function () {
       return container;
     }),
+    text: vi.fn(function () {
+      return container;
+    }),
   };
   return container;
 }
@@ -105,4 +108,34 @@ describe("drawConstraints", () => {
     drawConstraints(svgContainer, smallModel, smallRoot);
     expect(d3.line).toHaveBeenCalled();
   });
+
+  test("draws an expression constraint as a chip linked to its features", () => {
+    const expressionModel = {
+      constraints: [{ expression: " (A & B) => !C " }],
+    };
+    drawConstraints(svgContainer, expressionModel, rootNode);
+
+    const tags = svgContainer.append.mock.calls.map(([tag]) => tag);
+    expect(tags.filter((tag) => tag === "line")).toHaveLength(3);
+    expect(tags.filter((tag) => tag === "rect")).toHaveLength(1);
+    expect(tags).not.toContain("path");
+    expect(svgContainer.text).toHaveBeenCalledWith("(A & B) => !C");
+
+    // Centred over the features and above the highest one
+    const attrsOf = (key) =>
+      svgContainer.attr.mock.calls.filter(([k]) => k === key).map(([, v]) => v);
+    expect(attrsOf("x1")).toEqual([100, 100, 100]);
+    expect(attrsOf("y1")).toEqual([-70, -70, -70]);
+    expect(attrsOf("x2")).toEqual([0, 100, 200]);
+  });
+
+  test("skips malformed expressions and unknown features", () => {
+    drawConstraints(
+      svgContainer,
+      { constraints: [{ expression: "A &" }, { expression: "X | Y" }] },
+      rootNode
+    );
+    const tags = svgContainer.append.mock.calls.map(([tag]) => tag);
+    expect(tags).toEqual(["g"]);
+  });
 });
@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import drawDiff from "../drawDiff";
+import { constraintCurvePath } from "../drawConstraints";
+
+function createMockSvgContainer() {
+  const selection = {
+    append: vi.fn(() => selection),
+    attr: vi.fn(() => selection),
+    style: vi.fn(() => selection),
+    selectAll: vi.fn(() => selection),
+    remove: vi.fn(() => selection),
+    data: vi.fn(() => selection),
+    join: vi.fn(() => selection),
+    filter: vi.fn(() => selection),
+    text: vi.fn(() => selection),
+  };
+  return selection;
+}
+
+describe("drawDiff", () => {
+  let container;
+  let nodeSelection;
+  let rootNode;
+  let nodes;
+  const model = {
+    constraints: [
+      { type: "requires", a: "GPS", b: "Radio" },
+      { type: "excludes", a: "GPS", b: "NFC" },
+      { type: "requires", a: "Radio", b: "NFC", ghost: true },
+    ],
+  };
+  const diff = {
+    featureStatus: { GPS: "changed", NFC: "added", Radio: "removed" },
+    constraintStatus: ["unchanged", "added", "removed"],
+  };
+
+  beforeEach(() => {
+    container = createMockSvgContainer();
+    nodeSelection = createMockSvgContainer();
+    nodes = [
+      { data: { id: "Phone" }, x: 0, y: 0 },
+      { data: { id: "GPS" }, x: -100, y: 200 },
+      { data: { id: "NFC" }, x: 0, y: 200 },
+      { data: { id: "Radio" }, x: 100, y: 200 },
+    ];
+    rootNode = { descendants: () => nodes };
+  });
+
+  test("removes the layer and draws nothing without a diff", () => {
+    expect(drawDiff(container, rootNode, nodeSelection, model, null)).toBe(
+      null
+    );
+    expect(container.selectAll).toHaveBeenCalledWith(".diff-layer");
+    expect(container.append).not.toHaveBeenCalled();
+  });
+
+  test("fades ghosts, overdraws changed constraints and marks features", () => {
+    drawDiff(container, rootNode, nodeSelection, model, diff);
+
+    const isRemoved = nodeSelection.filter.mock.calls[0][0];
+    expect(nodes.filter(isRemoved).map((n) => n.data.id)).toEqual(["Radio"]);
+    expect(nodeSelection.attr).toHaveBeenCalledWith("opacity", 0.35);
+
+    const paths = container.attr.mock.calls
+      .filter(([key]) => key === "d")
+      .map(([, value]) => value);
+    expect(paths).toEqual([
+      constraintCurvePath(nodes[1], nodes[2]),
+      constraintCurvePath(nodes[3], nodes[2]),
+    ]);
+
+    const marked = container.data.mock.calls[0][0];
+    expect(marked.map((node) => node.data.id)).toEqual(["GPS", "NFC", "Radio"]);
+    const symbol = container.text.mock.calls[0][0];
+    expect(marked.map(symbol)).toEqual(["~", "+", "−"]);
+  });
+});
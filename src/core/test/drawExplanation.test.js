@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import drawExplanation from "../drawExplanation";
+import { constraintCurvePath } from "../drawConstraints";
+
+function createMockSvgContainer() {
+  const selection = {
+    append: vi.fn(() => selection),
+    attr: vi.fn(() => selection),
+    style: vi.fn(() => selection),
+    selectAll: vi.fn(() => selection),
+    remove: vi.fn(() => selection),
+    data: vi.fn(() => selection),
+    join: vi.fn(() => selection),
+  };
+  return selection;
+}
+
+describe("drawExplanation", () => {
+  let container;
+  let rootNode;
+  let nodes;
+  const model = {
+    constraints: [
+      { type: "requires", a: "ElectricMotor", b: "ABS" },
+      { expression: "ABS | Airbag" },
+    ],
+  };
+
+  beforeEach(() => {
+    container = createMockSvgContainer();
+    nodes = [
+      { data: { id: "Car" }, x: 0, y: 0 },
+      { data: { id: "ElectricMotor" }, x: -100, y: 200 },
+      { data: { id: "ABS" }, x: 100, y: 200 },
+      { data: { id: "Airbag" }, x: 200, y: 200 },
+    ];
+    rootNode = { descendants: () => nodes };
+  });
+
+  test("removes the layer and draws nothing without an explanation", () => {
+    expect(drawExplanation(container, rootNode, model, null)).toBeNull();
+    expect(container.selectAll).toHaveBeenCalledWith(".explanation-layer");
+    expect(container.remove).toHaveBeenCalled();
+    expect(container.append).not.toHaveBeenCalled();
+  });
+
+  test("overdraws links and constraint curves and rings the features", () => {
+    drawExplanation(container, rootNode, model, {
+      feature: "ABS",
+      state: "selected",
+      features: ["ABS", "ElectricMotor", "Unknown"],
+      links: [{ parent: "Car", child: "ElectricMotor" }],
+      constraints: [0, 1],
+    });
+
+    expect(container.attr).toHaveBeenCalledWith("class", "explanation-layer");
+    const paths = container.attr.mock.calls
+      .filter(([key]) => key === "d")
+      .map(([, value]) => value);
+    expect(paths).toEqual([
+      "M0,0C0,100,-100,100,-100,200",
+      constraintCurvePath(nodes[1], nodes[2]),
+      "M150,130L100,200",
+      "M150,130L200,200",
+    ]);
+
+    const ringed = container.data.mock.calls[0][0];
+    expect(ringed.map((node) => node.data.id)).toEqual([
+      "ABS",
+      "ElectricMotor",
+    ]);
+    const stroke = container.attr.mock.calls
+      .filter(([key]) => key === "stroke")
+      .at(-1)[1];
+    expect(stroke(nodes[2])).toBe("#ff6f00");
+    expect(stroke(nodes[1])).toBe("#ffb74d");
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import drawGroups, { pointOnLink, groupArcPath } from "../drawGroups";
+
+function createMockSvgContainer() {
+  const selection = {
+    append: vi.fn(() => selection),
+    selectAll: vi.fn(() => selection),
+    data: vi.fn(() => selection),
+    join: vi.fn(() => selection),
+    attr: vi.fn(() => selection),
+    text: vi.fn(() => selection),
+  };
+  return selection;
+}
+
+function makeNode(id, type, x, y, children = []) {
+  return { data: { id, type }, x, y, children };
+}
+
+describe("pointOnLink", () => {
+  test("returns a point at the requested distance from the source", () => {
+    const source = { x: 0, y: 0 };
+    const target = { x: 140, y: 200 };
+    const point = pointOnLink(source, target, 45);
+    expect(Math.hypot(point.x, point.y)).toBeCloseTo(45, 3);
+  });
+
+  test("follows a straight vertical link", () => {
+    const point = pointOnLink({ x: 10, y: 0 }, { x: 10, y: 200 }, 50);
+    expect(point.x).toBeCloseTo(10, 5);
+    expect(point.y).toBeCloseTo(50, 3);
+  });
+});
+
+describe("groupArcPath", () => {
+  const parent = { x: 0, y: 0 };
+  const members = [
+    { x: 140, y: 200 },
+    { x: -140, y: 200 },
+  ];
+
+  test("draws an open arc from the leftmost to the rightmost link", () => {
+    const path = groupArcPath(parent, members, "alternative", 45);
+    const start = pointOnLink(parent, members[1], 45);
+    expect(path.startsWith(`M${start.x},${start.y} A45,45 0 0 0 `)).toBe(true);
+    expect(path).not.toContain("Z");
+  });
+
+  test("closes the arc through the parent for or groups", () => {
+    const path = groupArcPath(parent, members, "or", 45);
+    expect(path.startsWith("M0,0 L")).toBe(true);
+    expect(path.endsWith("Z")).toBe(true);
+  });
+});
+
+describe("drawGroups", () => {
+  let container;
+  let rootNode;
+
+  beforeEach(() => {
+    container = createMockSvgContainer();
+    const screen = makeNode("Screen", "mandatory", 0, 200, [
+      makeNode("Basic", "alternative", -70, 400),
+      makeNode("HD", "alternative", 70, 400),
+    ]);
+    const media = makeNode("Media", "optional", 200, 200, [
+      makeNode("MP3", "or", 130, 400),
+      makeNode("MP4", "or", 270, 400),
+      makeNode("Radio", "optional", 410, 400),
+    ]);
+    const root = makeNode("Phone", "mandatory", 100, 0, [screen, media]);
+    rootNode = {
+      descendants: () => [
+        root,
+        screen,
+        media,
+        ...screen.children,
+        ...media.children,
+      ],
+    };
+  });
+
+  test("binds one entry per group with its members", () => {
+    drawGroups(container, rootNode);
+    expect(container.append).toHaveBeenCalledWith("g");
+
+    const groups = container.data.mock.calls[0][0];
+    expect(
+      groups.map((g) => [
+        g.parent.data.id,
+        g.type,
+        g.members.map((m) => m.data.id),
+      ])
+    ).toEqual([
+      ["Screen", "alternative", ["Basic", "HD"]],
+      ["Media", "or", ["MP3", "MP4"]],
+    ]);
+  });
+
+  test("fills or arcs and leaves alternative arcs empty", () => {
+    drawGroups(container, rootNode);
+    const fill = container.attr.mock.calls.find(([k]) => k === "fill")[1];
+    expect(fill({ type: "or" })).toBe("#555");
+    expect(fill({ type: "alternative" })).toBe("none");
+  });
+
+  test("labels only groups whose parent declares a cardinality", () => {
+    const media = rootNode.descendants()[2];
+    media.data.groupCardinality = "1..*";
+    drawGroups(container, rootNode);
+
+    const labelled = container.data.mock.calls[1][0];
+    expect(labelled.map((g) => g.parent.data.id)).toEqual(["Media"]);
+    const text = container.text.mock.calls[0][0];
+    expect(text(labelled[0])).toBe("[1..*]");
+  });
+});
@@ -41,7 +41,27 @@ vi.mock("d3", () => {
   };
 
   const select = vi.fn(() => mockSelection);
-  return { __esModule: true, select, selectAll: select, ...mockSelection };
+  // A drag behaviour that keeps its filter and event handlers
+  const drag = vi.fn(() => {
+    const behavior = vi.fn();
+    behavior.filter = vi.fn((filter) => {
+      behavior.filterFn = filter;
+      return behavior;
+    });
+    behavior.handlers = {};
+    behavior.on = vi.fn((type, handler) => {
+      behavior.handlers[type] = handler;
+      return behavior;
+    });
+    return behavior;
+  });
+  return {
+    __esModule: true,
+    select,
+    selectAll: select,
+    drag,
+    ...mockSelection,
+  };
 });
 
 // --- Mock searchFeatures ---
@@ -49,14 +69,21 @@ vi.mock("../search", () => ({
   searchFeatures: vi.fn(() => ["matched-feature"]),
 }));
 
+import * as d3 from "d3";
 import { searchFeatures } from "../search";
-import drawNodes from "../drawNodes";
+import drawNodes, {
+  drawConfigurationStates,
+  applyNodeTooltips,
+} from "../drawNodes";
 
 function createMockContainer() {
   const sel = {
     append: vi.fn(function () {
       return sel;
     }),
+    remove: vi.fn(function () {
+      return sel;
+    }),
     selectAll: vi.fn(function () {
       return sel;
     }),
@@ -122,6 +149,13 @@ describe("drawNodes", () => {
     expect(fillFn({ data: { type: "other" } })).toBe("#999");
   });
 
+  test("colours alternative and or group members", () => {
+    drawNodes(mockContainer, rootNode, model, setSearchHits, setQuery);
+    const fillFn = mockContainer.attr.mock.calls.find(([k]) => k === "fill")[1];
+    expect(fillFn({ data: { type: "alternative" } })).toBe("#8e24aa");
+    expect(fillFn({ data: { type: "or" } })).toBe("#00897b");
+  });
+
   test("handles dblclick correctly", () => {
     drawNodes(mockContainer, rootNode, model, setSearchHits, setQuery);
 
@@ -137,6 +171,89 @@ describe("drawNodes", () => {
     expect(setSearchHits).toHaveBeenCalledWith(["matched-feature"]);
   });
 
+  test("routes single clicks to onNodeClick and ignores double-click repeats", () => {
+    const onNodeClick = vi.fn();
+    drawNodes(
+      mockContainer,
+      rootNode,
+      model,
+      setSearchHits,
+      setQuery,
+      onNodeClick
+    );
+
+    const handler = mockContainer.on.mock.calls.find(([e]) => e === "click")[1];
+    handler({ detail: 1 }, { data: { id: "B" } });
+    handler({ detail: 2 }, { data: { id: "B" } });
+    expect(onNodeClick).toHaveBeenCalledTimes(1);
+    expect(onNodeClick).toHaveBeenCalledWith("B");
+  });
+
+  test("click without onNodeClick is a no-op", () => {
+    drawNodes(mockContainer, rootNode, model, setSearchHits, setQuery);
+    const handler = mockContainer.on.mock.calls.find(([e]) => e === "click")[1];
+    expect(() => handler({ detail: 1 }, { data: { id: "B" } })).not.toThrow();
+  });
+
+  test("opens the context menu on right-click instead of the browser's", () => {
+    const onNodeContextMenu = vi.fn();
+    drawNodes(
+      mockContainer,
+      rootNode,
+      model,
+      setSearchHits,
+      setQuery,
+      undefined,
+      onNodeContextMenu
+    );
+
+    const handler = mockContainer.on.mock.calls.find(
+      ([e]) => e === "contextmenu"
+    )[1];
+    const event = { preventDefault: vi.fn() };
+    handler(event, { data: { id: "B" } });
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(onNodeContextMenu).toHaveBeenCalledWith("B", event);
+  });
+
+  test("drops a dragged node onto the node under the pointer", () => {
+    const onNodeDrop = vi.fn();
+    drawNodes(
+      mockContainer,
+      rootNode,
+      model,
+      setSearchHits,
+      setQuery,
+      undefined,
+      undefined,
+      onNodeDrop
+    );
+    const behavior = d3.drag.mock.results[0].value;
+    expect(mockContainer.call).toHaveBeenCalledWith(behavior);
+
+    const root = { data: { id: "A" }, x: 10, y: 20 };
+    const dragged = rootNode.descendants()[1];
+    dragged.parent = root;
+    expect(behavior.filterFn({ button: 0 }, dragged)).toBeTruthy();
+    expect(behavior.filterFn({ button: 2 }, dragged)).toBeFalsy();
+    expect(behavior.filterFn({ button: 0 }, root)).toBeFalsy();
+
+    // Over C, the target is ringed
+    behavior.handlers.drag({ x: 52, y: 58 }, dragged);
+    expect(mockContainer.attr).toHaveBeenCalledWith("class", "drop-target");
+    expect(mockContainer.attr).toHaveBeenCalledWith("cx", 50);
+
+    behavior.handlers.end({ x: 300, y: 300 }, dragged);
+    expect(onNodeDrop).not.toHaveBeenCalled();
+    behavior.handlers.end({ x: 52, y: 58 }, dragged);
+    expect(onNodeDrop).toHaveBeenCalledWith("B", "C");
+  });
+
+  test("leaves nodes undraggable without onNodeDrop", () => {
+    drawNodes(mockContainer, rootNode, model, setSearchHits, setQuery);
+    expect(d3.drag).not.toHaveBeenCalled();
+  });
+
   test("renders text labels", () => {
     drawNodes(mockContainer, rootNode, model, setSearchHits, setQuery);
     expect(mockContainer.selectAll).toHaveBeenCalledWith("text");
@@ -160,3 +277,104 @@ describe("drawNodes", () => {
     expect(typeof result.attr).toBe("function");
   });
 });
+
+describe("drawConfigurationStates", () => {
+  let treeContainer;
+  let nodeSelection;
+  let rootNode;
+  const nodes = [
+    { data: { id: "A" }, x: 0, y: 0 },
+    { data: { id: "B" }, x: 10, y: 10 },
+    { data: { id: "C" }, x: 20, y: 20 },
+  ];
+  const configurationState = {
+    states: { A: "selected", B: "deselected", C: "undecided" },
+    sources: { A: "user", B: "propagated" },
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    treeContainer = createMockContainer();
+    nodeSelection = createMockContainer();
+    rootNode = { descendants: vi.fn(() => nodes) };
+  });
+
+  function attrFn(selection, key, nth = 0) {
+    return selection.attr.mock.calls.filter(([k]) => k === key)[nth][1];
+  }
+
+  test("removes the badge layer and restores opacity when switched off", () => {
+    const result = drawConfigurationStates(
+      treeContainer,
+      nodeSelection,
+      rootNode,
+      null
+    );
+    expect(result).toBeNull();
+    expect(treeContainer.selectAll).toHaveBeenCalledWith(
+      ".configuration-layer"
+    );
+    expect(treeContainer.remove).toHaveBeenCalled();
+    expect(nodeSelection.attr).toHaveBeenCalledWith("opacity", 1);
+  });
+
+  test("fades deselected nodes", () => {
+    drawConfigurationStates(
+      treeContainer,
+      nodeSelection,
+      rootNode,
+      configurationState
+    );
+    const opacity = attrFn(nodeSelection, "opacity");
+    expect(opacity(nodes[0])).toBe(1);
+    expect(opacity(nodes[1])).toBe(0.4);
+  });
+
+  test("draws solid badges for user decisions and outlined ones otherwise", () => {
+    drawConfigurationStates(
+      treeContainer,
+      nodeSelection,
+      rootNode,
+      configurationState
+    );
+    expect(treeContainer.data).toHaveBeenCalledWith(nodes);
+
+    const fill = attrFn(treeContainer, "fill");
+    expect(fill(nodes[0])).toBe("#2e7d32");
+    expect(fill(nodes[1])).toBe("#fff");
+
+    const stroke = attrFn(treeContainer, "stroke");
+    expect(stroke(nodes[1])).toBe("#c62828");
+    expect(stroke(nodes[2])).toBe("#9e9e9e");
+
+    const symbol = treeContainer.text.mock.calls.at(-1)[0];
+    expect(nodes.map(symbol)).toEqual(["✓", "✕", "?"]);
+  });
+});
+
+describe("applyNodeTooltips", () => {
+  test("shows the selection ratio next to the feature name", () => {
+    const nodeSelection = createMockContainer();
+    applyNodeTooltips(nodeSelection, {
+      total: 1200n,
+      ratios: { A: 0.25 },
+    });
+
+    expect(nodeSelection.selectAll).toHaveBeenCalledWith("title");
+    expect(nodeSelection.remove).toHaveBeenCalled();
+    expect(nodeSelection.append).toHaveBeenCalledWith("title");
+
+    const textFn = nodeSelection.text.mock.calls.at(-1)[0];
+    expect(textFn({ data: { id: "A", label: "Alpha" } })).toBe(
+      "Alpha\nIn 25.0% of 1,200 valid products"
+    );
+    expect(textFn({ data: { id: "B" } })).toBe("B");
+  });
+
+  test("falls back to the name when no counts are available", () => {
+    const nodeSelection = createMockContainer();
+    applyNodeTooltips(nodeSelection, null);
+    const textFn = nodeSelection.text.mock.calls.at(-1)[0];
+    expect(textFn({ data: { id: "A", label: "Alpha" } })).toBe("Alpha");
+  });
+});
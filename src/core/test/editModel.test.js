@@ -0,0 +1,174 @@
+import { describe, test, expect, vi } from "vitest";
+import {
+  newFeatureId,
+  addFeature,
+  renameFeature,
+  changeFeatureType,
+  deleteFeature,
+  moveFeature,
+  commitModelEdit,
+} from "../editModel";
+
+const model = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "alternative", parent: "Screen" },
+    {
+      id: "Camera",
+      type: "optional",
+      parent: "Phone",
+      groupCardinality: "1..2",
+    },
+    { id: "Front", type: "or", parent: "Camera" },
+    { id: "Back", type: "or", parent: "Camera" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+  ],
+  constraints: [
+    { type: "requires", a: "Front", b: "HD" },
+    { type: "excludes", a: "GPS", b: "Basic" },
+    { expression: "Back => GPS" },
+  ],
+};
+
+describe("newFeatureId()", () => {
+  test("joins the words of the label", () => {
+    expect(newFeatureId(model, "night mode")).toBe("NightMode");
+    expect(newFeatureId(model, "4K video")).toBe("F4KVideo");
+    expect(newFeatureId(model, "!!")).toBe("Feature");
+  });
+
+  test("appends a number when the id is taken", () => {
+    expect(newFeatureId(model, "GPS")).toBe("GPS2");
+  });
+});
+
+describe("model edits", () => {
+  test("addFeature() appends an optional child", () => {
+    const edited = addFeature(model, "Phone", { label: " Night mode " });
+    expect(edited.features.at(-1)).toEqual({
+      id: "NightMode",
+      label: "Night mode",
+      type: "optional",
+      parent: "Phone",
+    });
+    expect(model.features).toHaveLength(8);
+  });
+
+  test("addFeature() rejects empty names and unknown parents", () => {
+    expect(() => addFeature(model, "Phone", { label: " " })).toThrow(
+      "A new feature needs a name"
+    );
+    expect(() => addFeature(model, "Nope", { label: "X" })).toThrow(
+      "Unknown feature Nope"
+    );
+  });
+
+  test("renameFeature() changes only the label", () => {
+    const edited = renameFeature(model, "GPS", "Location");
+    expect(edited.features.find((f) => f.id === "GPS")).toEqual({
+      id: "GPS",
+      type: "optional",
+      parent: "Phone",
+      label: "Location",
+    });
+    expect(() => renameFeature(model, "GPS", "")).toThrow(
+      "The label of GPS cannot be empty"
+    );
+  });
+
+  test("changeFeatureType() refuses the root and unknown types", () => {
+    expect(
+      changeFeatureType(model, "GPS", "mandatory").features.find(
+        (f) => f.id === "GPS"
+      ).type
+    ).toBe("mandatory");
+    expect(() => changeFeatureType(model, "Phone", "optional")).toThrow(
+      "The root feature Phone has no type to change"
+    );
+    expect(() => changeFeatureType(model, "GPS", "abstract")).toThrow(
+      "Unknown feature type: abstract"
+    );
+  });
+
+  test("a group cardinality is dropped with the last group member", () => {
+    let edited = changeFeatureType(model, "Front", "optional");
+    expect(
+      edited.features.find((f) => f.id === "Camera").groupCardinality
+    ).toBe("1..2");
+    edited = changeFeatureType(edited, "Back", "optional");
+    expect(edited.features.find((f) => f.id === "Camera")).not.toHaveProperty(
+      "groupCardinality"
+    );
+  });
+
+  test("deleteFeature() removes the subtree and its constraints", () => {
+    const edited = deleteFeature(model, "Camera");
+    expect(edited.features.map((f) => f.id)).toEqual([
+      "Phone",
+      "Screen",
+      "Basic",
+      "HD",
+      "GPS",
+    ]);
+    expect(edited.constraints).toEqual([
+      { type: "excludes", a: "GPS", b: "Basic" },
+    ]);
+    expect(() => deleteFeature(model, "Phone")).toThrow(
+      "The root feature Phone cannot be deleted"
+    );
+  });
+
+  test("moveFeature() reparents and refuses cycles", () => {
+    const edited = moveFeature(model, "GPS", "Camera");
+    expect(edited.features.find((f) => f.id === "GPS").parent).toBe("Camera");
+    expect(moveFeature(model, "GPS", "Phone")).toBe(model);
+    expect(() => moveFeature(model, "Camera", "Front")).toThrow(
+      "Cannot move Camera under its own subtree (Front)"
+    );
+    expect(() => moveFeature(model, "Phone", "GPS")).toThrow(
+      "The root feature Phone cannot be moved"
+    );
+  });
+});
+
+describe("commitModelEdit()", () => {
+  test("stores the edited model and its graph", () => {
+    const setModel = vi.fn();
+    const setGraph = vi.fn();
+    const errors = commitModelEdit(
+      model,
+      (m) => renameFeature(m, "GPS", "Location"),
+      setModel,
+      setGraph
+    );
+    expect(errors).toEqual([]);
+    expect(setModel.mock.calls[0][0].features[7].label).toBe("Location");
+    expect(setGraph.mock.calls[0][0].nodes).toHaveLength(8);
+  });
+
+  test("keeps the model when the edit throws or fails validation", () => {
+    const setModel = vi.fn();
+    const setGraph = vi.fn();
+    expect(
+      commitModelEdit(
+        model,
+        (m) => deleteFeature(m, "Phone"),
+        setModel,
+        setGraph
+      )
+    ).toEqual(["The root feature Phone cannot be deleted"]);
+    expect(
+      commitModelEdit(
+        model,
+        (m) => changeFeatureType(m, "Front", "alternative"),
+        setModel,
+        setGraph
+      )
+    ).toEqual(["Parent Camera mixes alternative and or children"]);
+    expect(setModel).not.toHaveBeenCalled();
+    expect(setGraph).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, test, expect } from "vitest";
+import { explainState } from "../explain";
+import automotiveSystemModel from "../../../public/sample-automotive.json";
+
+const groupModel = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "alternative", parent: "Screen" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "Flash", type: "optional", parent: "Camera" },
+  ],
+  constraints: [{ type: "requires", a: "Camera", b: "HD" }],
+};
+
+const textsOf = (explanation) => explanation.steps.map((step) => step.text);
+
+describe("explainState()", () => {
+  test("follows a requires constraint back to the user's decision", () => {
+    const explanation = explainState(
+      automotiveSystemModel,
+      { ElectricMotor: true },
+      "ABS"
+    );
+    expect(explanation.state).toBe("selected");
+    expect(textsOf(explanation)).toEqual([
+      "ABS selected because ElectricMotor requires ABS",
+      "ElectricMotor was selected by you",
+    ]);
+    expect(explanation.features).toEqual(["ABS", "ElectricMotor"]);
+    expect(explanation.constraints).toEqual([0]);
+    expect(explanation.links).toEqual([]);
+  });
+
+  test("explains excluded features", () => {
+    const explanation = explainState(
+      automotiveSystemModel,
+      { ElectricMotor: true },
+      "Gasoline"
+    );
+    expect(textsOf(explanation)).toEqual([
+      "Gasoline deselected because Gasoline excludes ElectricMotor",
+      "ElectricMotor was selected by you",
+    ]);
+    expect(explanation.constraints).toEqual([1]);
+  });
+
+  test("chains through groups and constraints", () => {
+    const explanation = explainState(groupModel, { Camera: true }, "Basic");
+    expect(textsOf(explanation)).toEqual([
+      "Basic deselected because the alternative group of Screen already has HD selected",
+      "HD selected because Camera requires HD",
+      "Camera was selected by you",
+    ]);
+    expect(explanation.links).toEqual([
+      { parent: "Screen", child: "Basic" },
+      { parent: "Screen", child: "HD" },
+    ]);
+  });
+
+  test("explains the tree structure without any decision", () => {
+    const explanation = explainState(groupModel, {}, "Screen");
+    expect(textsOf(explanation)).toEqual([
+      "Screen selected because it is mandatory under Phone",
+      "Phone is the root feature",
+    ]);
+    expect(explanation.links).toEqual([{ parent: "Phone", child: "Screen" }]);
+  });
+
+  test("explains children of a deselected parent", () => {
+    const explanation = explainState(groupModel, { Camera: false }, "Flash");
+    expect(textsOf(explanation)).toEqual([
+      "Flash deselected because its parent Camera is deselected",
+      "Camera was deselected by you",
+    ]);
+    expect(explanation.links).toEqual([{ parent: "Camera", child: "Flash" }]);
+  });
+
+  test("names only the decisions that matter", () => {
+    const explanation = explainState(
+      groupModel,
+      { Camera: true, Flash: true },
+      "HD"
+    );
+    expect(textsOf(explanation)).toEqual([
+      "HD selected because Camera requires HD",
+      "Camera was selected by you",
+    ]);
+  });
+
+  test("falls back to the combined rules when propagation cannot reach it", () => {
+    const explanation = explainState(
+      {
+        root: "R",
+        features: [
+          { id: "R" },
+          { id: "A", parent: "R" },
+          { id: "B", parent: "R" },
+        ],
+        constraints: [{ expression: "A | B" }, { expression: "A | !B" }],
+      },
+      {},
+      "A"
+    );
+    expect(explanation.steps).toHaveLength(1);
+    expect(explanation.steps[0]).toMatchObject({
+      feature: "A",
+      kind: "combined",
+      text: "A selected because the other choice conflicts with the remaining rules together",
+    });
+    expect(explanation.constraints).toEqual([0, 1]);
+  });
+
+  test("returns null for open, unknown and contradictory features", () => {
+    expect(explainState(groupModel, {}, "Camera")).toBeNull();
+    expect(explainState(groupModel, {}, "Missing")).toBeNull();
+    expect(
+      explainState(groupModel, { Camera: true, HD: false }, "Basic")
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, test, expect } from "vitest";
+import { solve } from "../satSolver";
+import {
+  ExpressionError,
+  parseExpression,
+  expressionFeatures,
+  evaluateExpression,
+  formatExpression,
+  expressionToClauses,
+} from "../expression";
+
+function errorOf(text) {
+  try {
+    parseExpression(text);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// Compares the CNF against direct evaluation on every assignment
+function expectEquivalentClauses(text) {
+  const expression = parseExpression(text);
+  const names = expressionFeatures(expression);
+  const variableOf = new Map(names.map((name, index) => [name, index + 1]));
+  const clauses = expressionToClauses(expression, variableOf);
+  for (let mask = 0; mask < 1 << names.length; mask++) {
+    const isTrue = (v) => ((mask >> (v - 1)) & 1) === 1;
+    const byClauses = clauses.every((clause) =>
+      clause.some((l) => (l > 0 ? isTrue(l) : !isTrue(-l)))
+    );
+    const byEvaluation = evaluateExpression(expression, (name) =>
+      isTrue(variableOf.get(name))
+    );
+    expect(byClauses).toBe(byEvaluation);
+  }
+}
+
+// Encodes with auxiliary variables and checks that every assignment of the
+// features that satisfies the expression extends to exactly one assignment
+// of the auxiliary variables, and no other assignment extends at all
+function expectExactAuxiliaryClauses(text) {
+  const expression = parseExpression(text);
+  const names = expressionFeatures(expression);
+  const variableOf = new Map(names.map((name, index) => [name, index + 1]));
+  let variableCount = names.length;
+  const definitions = [];
+  const clauses = [
+    ...expressionToClauses(
+      expression,
+      variableOf,
+      () => ++variableCount,
+      (literals) => definitions.push(literals)
+    ),
+    ...definitions,
+  ];
+  expect(variableCount).toBeGreaterThan(names.length);
+  for (let mask = 0; mask < 1 << names.length; mask++) {
+    const features = names.map((_, index) =>
+      (mask >> index) & 1 ? index + 1 : -(index + 1)
+    );
+    const witness = solve(clauses, variableCount, features);
+    const byEvaluation = evaluateExpression(
+      expression,
+      (name) => ((mask >> (variableOf.get(name) - 1)) & 1) === 1
+    );
+    expect(Boolean(witness)).toBe(byEvaluation);
+    if (!witness) continue;
+    for (let v = names.length + 1; v <= variableCount; v++) {
+      const other = witness[v] ? -v : v;
+      expect(solve(clauses, variableCount, [...features, other])).toBe(null);
+    }
+  }
+}
+
+const dnfOf = (terms) =>
+  Array.from(
+    { length: terms },
+    (_, index) => `(A${index} & B${index} & C${index})`
+  ).join(" | ");
+
+describe("parseExpression()", () => {
+  test("parses features, negation and parentheses", () => {
+    expect(parseExpression("(GPS & WiFi) => !LowPower")).toEqual({
+      type: "implies",
+      left: {
+        type: "and",
+        left: { type: "feature", name: "GPS", column: 2 },
+        right: { type: "feature", name: "WiFi", column: 8 },
+      },
+      right: {
+        type: "not",
+        operand: { type: "feature", name: "LowPower", column: 18 },
+      },
+    });
+  });
+
+  test("binds & tighter than | tighter than => tighter than <=>", () => {
+    expect(formatExpression(parseExpression("A <=> B => C | D & E"))).toBe(
+      "A <=> B => C | D & E"
+    );
+    const expression = parseExpression("A | B & C");
+    expect(expression.type).toBe("or");
+    expect(expression.right.type).toBe("and");
+  });
+
+  test("groups => to the right", () => {
+    const expression = parseExpression("A => B => C");
+    expect(expression.left).toMatchObject({ type: "feature", name: "A" });
+    expect(expression.right.type).toBe("implies");
+  });
+
+  test("reads quoted names", () => {
+    expect(expressionFeatures(parseExpression('"Cell Tower" | GPS'))).toEqual([
+      "Cell Tower",
+      "GPS",
+    ]);
+  });
+
+  test("reports the column of each error", () => {
+    expect(errorOf("A & ")).toMatchObject({
+      message:
+        "Expected a feature name at column 5 but found the end of the expression",
+      column: 5,
+    });
+    expect(errorOf("(A | B")).toMatchObject({
+      message:
+        'Expected ")" to close "(" at column 1 but found the end of the expression at column 7',
+      column: 7,
+    });
+    expect(errorOf("A B").message).toBe('Unexpected "B" at column 3');
+    expect(errorOf("A $ B").message).toBe(
+      'Unexpected character "$" at column 3'
+    );
+    expect(errorOf('"Cell Tower').message).toBe(
+      "Unterminated quoted name starting at column 1"
+    );
+    expect(errorOf("   ").message).toBe("Expression is empty");
+    expect(errorOf("A &")).toBeInstanceOf(ExpressionError);
+  });
+});
+
+describe("formatExpression()", () => {
+  test("keeps only the needed parentheses", () => {
+    expect(formatExpression(parseExpression("((A & B)) | (C)"))).toBe(
+      "A & B | C"
+    );
+    expect(formatExpression(parseExpression("(A | B) & !(C => D)"))).toBe(
+      "(A | B) & !(C => D)"
+    );
+    expect(formatExpression(parseExpression("(A => B) => C"))).toBe(
+      "(A => B) => C"
+    );
+    expect(formatExpression(parseExpression('!"Cell Tower"'))).toBe(
+      '!"Cell Tower"'
+    );
+  });
+});
+
+describe("expressionToClauses()", () => {
+  test("encodes an implication as one clause", () => {
+    const expression = parseExpression("(GPS & WiFi) => !LowPower");
+    const variableOf = new Map([
+      ["GPS", 1],
+      ["WiFi", 2],
+      ["LowPower", 3],
+    ]);
+    expect(expressionToClauses(expression, variableOf)).toEqual([[-1, -2, -3]]);
+  });
+
+  test("drops tautologies", () => {
+    const expression = parseExpression("A | !A");
+    expect(expressionToClauses(expression, new Map([["A", 1]]))).toEqual([]);
+  });
+
+  test("names the sides of wide disjunctions, keeping the clause count linear", () => {
+    const clauseCount = (terms) => {
+      const expression = parseExpression(dnfOf(terms));
+      const variableOf = new Map(
+        expressionFeatures(expression).map((name, index) => [name, index + 1])
+      );
+      let variableCount = variableOf.size;
+      let definitions = 0;
+      const clauses = expressionToClauses(
+        expression,
+        variableOf,
+        () => ++variableCount,
+        () => definitions++
+      );
+      return clauses.length + definitions;
+    };
+    // Distributing would take 3^terms clauses
+    expect(clauseCount(40)).toBeLessThanOrEqual(2 * clauseCount(20) + 5);
+    expect(clauseCount(40)).toBeLessThan(5 * 40);
+  });
+
+  test.each([
+    "(A & B) | (C & !D)",
+    dnfOf(3),
+    "!((A | B) & (C | D) & (E | F))",
+    "A <=> (B <=> (C <=> (D & E)))",
+    "!(A <=> (B | C & D)) | (E & F)",
+  ])("encodes %s exactly with auxiliary variables", (text) => {
+    expectExactAuxiliaryClauses(text);
+  });
+
+  test.each([
+    "A <=> (B | C)",
+    "!(A <=> B)",
+    "(A & B) | (C & !D)",
+    "!((A | B) => (C & D))",
+    "A => B => !C",
+    "!(A & (B | !C)) <=> D",
+  ])("is equivalent to %s", (text) => {
+    expectEquivalentClauses(text);
+  });
+});
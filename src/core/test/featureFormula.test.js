@@ -0,0 +1,232 @@
+import { describe, test, expect } from "vitest";
+import {
+  BINOMIAL_CLAUSE_LIMIT,
+  buildFeatureFormula,
+  normalizeConstraint,
+  findRootId,
+} from "../featureFormula";
+
+const model = {
+  root: "Car",
+  features: [
+    { id: "Car", type: "mandatory" },
+    { id: "Engine", type: "mandatory", parent: "Car" },
+    { id: "Radio", type: "optional", parent: "Car" },
+    { id: "Electric", type: "alternative", parent: "Engine" },
+    { id: "Gasoline", type: "alternative", parent: "Engine" },
+  ],
+  constraints: [
+    { type: "requires", a: "Radio", b: "Electric" },
+    { type: "conflicts", from: "Radio", to: "Gasoline" },
+  ],
+};
+
+function clausesOfKind(formula, kind) {
+  return formula.clauses
+    .filter((clause) => clause.source.kind === kind)
+    .map((clause) => clause.literals);
+}
+
+describe("normalizeConstraint()", () => {
+  test("maps from/to fields and the conflicts alias", () => {
+    expect(
+      normalizeConstraint({ type: "Conflicts", from: "A", to: "B" })
+    ).toEqual({ type: "excludes", a: "A", b: "B" });
+  });
+
+  test("recognises expression constraints", () => {
+    expect(normalizeConstraint({ expression: "A | B" })).toEqual({
+      type: "expression",
+      expression: "A | B",
+    });
+  });
+
+  test("keeps legacy a/b fields", () => {
+    expect(normalizeConstraint({ type: "requires", a: "A", b: "B" })).toEqual({
+      type: "requires",
+      a: "A",
+      b: "B",
+    });
+  });
+});
+
+describe("findRootId()", () => {
+  test("prefers the declared root", () => {
+    expect(findRootId(model)).toBe("Car");
+  });
+
+  test("falls back to the first feature without a parent", () => {
+    expect(
+      findRootId({ features: [{ id: "X", parent: "Y" }, { id: "Y" }] })
+    ).toBe("Y");
+  });
+});
+
+describe("buildFeatureFormula()", () => {
+  const formula = buildFeatureFormula(model);
+  const v = (id) => formula.variableOf.get(id);
+
+  test("numbers variables in feature order", () => {
+    expect(formula.variables).toEqual([
+      "Car",
+      "Engine",
+      "Radio",
+      "Electric",
+      "Gasoline",
+    ]);
+    expect(v("Car")).toBe(1);
+  });
+
+  test("forces the root and links every child to its parent", () => {
+    expect(clausesOfKind(formula, "root")).toEqual([[v("Car")]]);
+    expect(clausesOfKind(formula, "parent")).toContainEqual([
+      -v("Radio"),
+      v("Car"),
+    ]);
+  });
+
+  test("encodes mandatory children", () => {
+    expect(clausesOfKind(formula, "mandatory")).toEqual([
+      [-v("Car"), v("Engine")],
+    ]);
+  });
+
+  test("encodes an alternative group as exactly one child", () => {
+    expect(clausesOfKind(formula, "group")).toEqual([
+      [-v("Engine"), v("Electric"), v("Gasoline")],
+      [-v("Electric"), -v("Gasoline")],
+    ]);
+  });
+
+  test("encodes an or group as at least one child", () => {
+    const orFormula = buildFeatureFormula({
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "A", type: "or", parent: "R" },
+        { id: "B", type: "or", parent: "R" },
+      ],
+    });
+    expect(clausesOfKind(orFormula, "group")).toEqual([[-1, 2, 3]]);
+  });
+
+  test("encodes a group cardinality without auxiliary variables", () => {
+    const bounded = buildFeatureFormula({
+      root: "R",
+      features: [
+        { id: "R", groupCardinality: "2..2" },
+        { id: "A", type: "or", parent: "R" },
+        { id: "B", type: "or", parent: "R" },
+        { id: "C", type: "or", parent: "R" },
+      ],
+    });
+    expect(bounded.variables).toHaveLength(4);
+    expect(clausesOfKind(bounded, "group")).toEqual([
+      [-1, 2, 3],
+      [-1, 2, 4],
+      [-1, 3, 4],
+      [-2, -3, -4],
+    ]);
+  });
+
+  test("encodes large group cardinalities with counter variables", () => {
+    const features = [{ id: "R", groupCardinality: "15..15" }];
+    for (let i = 0; i < 30; i++) {
+      features.push({ id: `M${i}`, type: "or", parent: "R" });
+    }
+    const bounded = buildFeatureFormula({ root: "R", features });
+    const groupClauses = bounded.clauses.filter(
+      (clause) => clause.source.kind === "group"
+    );
+    expect(bounded.variables).toHaveLength(31);
+    expect(bounded.variableCount).toBeGreaterThan(31);
+    expect(groupClauses.length).toBeLessThan(BINOMIAL_CLAUSE_LIMIT * 4);
+    expect(groupClauses.filter((clause) => !clause.defines)).toHaveLength(2);
+  });
+
+  test("requires clone-able features with a positive minimum", () => {
+    const clones = buildFeatureFormula({
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "Channel", type: "optional", parent: "R", cardinality: "1..4" },
+        { id: "Spare", type: "optional", parent: "R", cardinality: "0..2" },
+      ],
+    });
+    expect(clausesOfKind(clones, "mandatory")).toEqual([[-1, 2]]);
+  });
+
+  test("encodes requires and excludes constraints with their index", () => {
+    const constraintClauses = formula.clauses.filter(
+      (clause) => clause.source.kind === "constraint"
+    );
+    expect(constraintClauses).toEqual([
+      {
+        literals: [-v("Radio"), v("Electric")],
+        source: { kind: "constraint", constraint: 0 },
+      },
+      {
+        literals: [-v("Radio"), -v("Gasoline")],
+        source: { kind: "constraint", constraint: 1 },
+      },
+    ]);
+  });
+
+  test("encodes expression constraints in CNF", () => {
+    const withExpression = buildFeatureFormula({
+      ...model,
+      constraints: [{ expression: "Radio <=> (Electric | !Engine)" }],
+    });
+    expect(withExpression.clauses.at(-1).source).toEqual({
+      kind: "constraint",
+      constraint: 0,
+    });
+    expect(clausesOfKind(withExpression, "constraint")).toEqual([
+      [-v("Radio"), v("Electric"), -v("Engine")],
+      [v("Radio"), -v("Electric")],
+      [v("Radio"), v("Engine")],
+    ]);
+  });
+
+  test("names the sides of wide disjunctions with auxiliary variables", () => {
+    const features = [{ id: "R" }];
+    const terms = [];
+    for (let i = 0; i < 30; i++) {
+      features.push({ id: `A${i}`, type: "optional", parent: "R" });
+      features.push({ id: `B${i}`, type: "optional", parent: "R" });
+      terms.push(`(A${i} & B${i})`);
+    }
+    const wide = buildFeatureFormula({
+      root: "R",
+      features,
+      constraints: [{ expression: terms.join(" | ") }],
+    });
+    const constraintClauses = wide.clauses.filter(
+      (clause) => clause.source.kind === "constraint"
+    );
+    expect(wide.variableCount).toBeGreaterThan(61);
+    expect(constraintClauses.length).toBeLessThan(4 * 30);
+    expect(constraintClauses.filter((clause) => !clause.defines)).toHaveLength(
+      2
+    );
+  });
+
+  test("skips malformed expressions and expressions over unknown features", () => {
+    const broken = buildFeatureFormula({
+      ...model,
+      constraints: [
+        { expression: "Radio &" },
+        { expression: "Radio | Missing" },
+      ],
+    });
+    expect(clausesOfKind(broken, "constraint")).toEqual([]);
+  });
+
+  test("skips constraints that reference unknown features", () => {
+    const broken = buildFeatureFormula({
+      ...model,
+      constraints: [{ type: "requires", a: "Radio", b: "Missing" }],
+    });
+    expect(clausesOfKind(broken, "constraint")).toEqual([]);
+  });
+});
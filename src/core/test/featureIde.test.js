@@ -0,0 +1,229 @@
+// @vitest-environment jsdom
+import { describe, test, expect } from "vitest";
+import { parseFeatureIdeXml, formatFeatureIdeXml } from "../featureIde";
+import { validateModel } from "../parser";
+import { buildGraph } from "../model";
+import { compareProducts } from "../modelDiff";
+import { loadJSONFile } from "../../data/loaders/jsonLoader";
+
+const xml = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<featureModel>
+  <properties/>
+  <struct>
+    <and abstract="true" mandatory="true" name="Car">
+      <description>A configurable car</description>
+      <feature mandatory="true" name="Body"/>
+      <alt abstract="true" mandatory="true" name="Engine">
+        <feature name="Electric"/>
+        <feature name="Gasoline"/>
+      </alt>
+      <or name="Assist">
+        <feature name="Park Assist"/>
+        <feature name="LaneKeeping"/>
+      </or>
+      <feature name="Towbar"/>
+    </and>
+  </struct>
+  <constraints>
+    <rule><imp><var>Towbar</var><var>Gasoline</var></imp></rule>
+    <rule><imp><var>Electric</var><not><var>Towbar</var></not></imp></rule>
+    <rule>
+      <description>Assists need power</description>
+      <imp>
+        <disj><var>Park Assist</var><var>LaneKeeping</var><var>Towbar</var></disj>
+        <conj><var>Body</var><not><var>Gasoline</var></not></conj>
+      </imp>
+    </rule>
+    <rule><eq><var>Assist</var><not><var>Towbar</var></not></eq></rule>
+  </constraints>
+</featureModel>`;
+
+describe("parseFeatureIdeXml()", () => {
+  test("maps the feature tree and its groups", () => {
+    const model = parseFeatureIdeXml(xml);
+    expect(model.root).toBe("Car");
+    expect(model.features).toEqual([
+      {
+        id: "Car",
+        type: "mandatory",
+        abstract: true,
+        description: "A configurable car",
+      },
+      { id: "Body", type: "mandatory", parent: "Car" },
+      { id: "Engine", type: "mandatory", parent: "Car", abstract: true },
+      { id: "Electric", type: "alternative", parent: "Engine" },
+      { id: "Gasoline", type: "alternative", parent: "Engine" },
+      { id: "Assist", type: "optional", parent: "Car" },
+      { id: "Park Assist", type: "or", parent: "Assist" },
+      { id: "LaneKeeping", type: "or", parent: "Assist" },
+      { id: "Towbar", type: "optional", parent: "Car" },
+    ]);
+  });
+
+  test("maps rules to pairs where possible and expressions otherwise", () => {
+    expect(parseFeatureIdeXml(xml).constraints).toEqual([
+      { type: "requires", a: "Towbar", b: "Gasoline" },
+      { type: "excludes", a: "Electric", b: "Towbar" },
+      {
+        expression: '"Park Assist" | LaneKeeping | Towbar => Body & !Gasoline',
+      },
+      { expression: "Assist <=> !Towbar" },
+    ]);
+  });
+
+  test("produces a model the app can validate and draw", () => {
+    const model = parseFeatureIdeXml(xml);
+    expect(validateModel(model)).toEqual({ ok: true, errors: [] });
+    expect(buildGraph(model.features).nodes).toHaveLength(9);
+  });
+
+  test("rejects malformed or foreign documents", () => {
+    expect(() => parseFeatureIdeXml("<featureModel><struct>")).toThrow(
+      /Invalid XML/
+    );
+    expect(() => parseFeatureIdeXml("<svg/>")).toThrow(/found <svg>/);
+    expect(() =>
+      parseFeatureIdeXml("<featureModel><struct/></featureModel>")
+    ).toThrow(/no root feature/);
+    expect(() =>
+      parseFeatureIdeXml(
+        `<featureModel><struct><feature name="A"/></struct>
+        <constraints><rule><imp><var>A</var></imp></rule></constraints>
+        </featureModel>`
+      )
+    ).toThrow("<imp> has 1 operands.");
+  });
+});
+
+describe("formatFeatureIdeXml()", () => {
+  test("writes a model that reads back unchanged", () => {
+    const model = parseFeatureIdeXml(xml);
+    const written = formatFeatureIdeXml(model);
+    expect(written).toContain(
+      '\t\t<and abstract="true" mandatory="true" name="Car">'
+    );
+    expect(written).toContain('<feature name="Park Assist"/>');
+    expect(parseFeatureIdeXml(written)).toEqual(model);
+  });
+
+  test("writes constraints as rules", () => {
+    const written = formatFeatureIdeXml({
+      root: "A",
+      features: [
+        { id: "A", type: "mandatory" },
+        { id: "B & C", type: "optional", parent: "A" },
+        { id: "D", type: "optional", parent: "A" },
+      ],
+      constraints: [
+        { from: "D", to: "B & C", type: "conflicts" },
+        { expression: 'A & D & "B & C" | !D' },
+      ],
+    });
+    expect(written).toContain(
+      [
+        "\t<constraints>",
+        "\t\t<rule>",
+        "\t\t\t<imp>",
+        "\t\t\t\t<var>D</var>",
+        "\t\t\t\t<not>",
+        "\t\t\t\t\t<var>B &amp; C</var>",
+        "\t\t\t\t</not>",
+        "\t\t\t</imp>",
+        "\t\t</rule>",
+        "\t\t<rule>",
+        "\t\t\t<disj>",
+        "\t\t\t\t<conj>",
+        "\t\t\t\t\t<var>A</var>",
+        "\t\t\t\t\t<var>D</var>",
+        "\t\t\t\t\t<var>B &amp; C</var>",
+        "\t\t\t\t</conj>",
+        "\t\t\t\t<not>",
+        "\t\t\t\t\t<var>D</var>",
+        "\t\t\t\t</not>",
+        "\t\t\t</disj>",
+        "\t\t</rule>",
+      ].join("\n")
+    );
+    expect(parseFeatureIdeXml(written).constraints).toEqual([
+      { type: "excludes", a: "D", b: "B & C" },
+      { expression: 'A & D & "B & C" | !D' },
+    ]);
+  });
+
+  test("wraps group members that share a parent with other children", () => {
+    const model = {
+      root: "Phone",
+      features: [
+        { id: "Phone", type: "mandatory" },
+        { id: "PhoneGroup", type: "optional", parent: "Phone" },
+        { id: "Camera", type: "mandatory", parent: "Phone" },
+        { id: "Basic", type: "alternative", parent: "Phone" },
+        { id: "HD", type: "alternative", parent: "Phone" },
+      ],
+    };
+    const features = parseFeatureIdeXml(formatFeatureIdeXml(model)).features;
+    expect(features.map(({ id, type, parent }) => [id, type, parent])).toEqual([
+      ["Phone", "mandatory", undefined],
+      ["PhoneGroup", "optional", "Phone"],
+      ["Camera", "mandatory", "Phone"],
+      ["PhoneGroup2", "mandatory", "Phone"],
+      ["Basic", "alternative", "PhoneGroup2"],
+      ["HD", "alternative", "PhoneGroup2"],
+    ]);
+    expect(features[3].abstract).toBe(true);
+  });
+
+  test("writes group cardinalities and clone minimums as rules", () => {
+    const model = {
+      root: "Platform",
+      features: [
+        { id: "Platform", type: "mandatory", groupCardinality: "2..3" },
+        { id: "Temp", type: "or", parent: "Platform" },
+        { id: "Humidity", type: "or", parent: "Platform" },
+        { id: "Pressure", type: "or", parent: "Platform" },
+        {
+          id: "Light",
+          type: "or",
+          parent: "Platform",
+          groupCardinality: "0..1",
+        },
+        { id: "Probe", type: "optional", parent: "Temp", cardinality: "1..2" },
+        { id: "Lux", type: "alternative", parent: "Light" },
+        { id: "Color", type: "alternative", parent: "Light" },
+      ],
+      constraints: [{ type: "requires", a: "Color", b: "Pressure" }],
+    };
+    const written = formatFeatureIdeXml(model);
+    expect(written).toContain('<or mandatory="true" name="Platform">');
+    expect(written).toContain('<feature name="Lux"/>');
+    const read = parseFeatureIdeXml(written);
+    expect(read.constraints[0]).toEqual({
+      type: "requires",
+      a: "Color",
+      b: "Pressure",
+    });
+    expect(compareProducts(model, read).kind).toBe("refactoring");
+  });
+
+  test("refuses cardinalities that would take too many rules", () => {
+    const features = [{ id: "R", type: "mandatory", groupCardinality: "5..6" }];
+    for (let i = 0; i < 16; i++) {
+      features.push({ id: `M${i}`, type: "or", parent: "R" });
+    }
+    expect(() => formatFeatureIdeXml({ root: "R", features })).toThrow(
+      /\[5\.\.6\] group of "R"/
+    );
+  });
+});
+
+describe("loadJSONFile()", () => {
+  const file = (name, text) => ({ name, text: async () => text });
+
+  test("detects FeatureIDE files by extension or content", async () => {
+    expect((await loadJSONFile(file("model.xml", xml))).root).toBe("Car");
+    expect((await loadJSONFile(file("download", xml))).root).toBe("Car");
+    expect(await loadJSONFile(file("model.json", '{"root":"A"}'))).toEqual({
+      root: "A",
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, test, expect } from "vitest";
+import {
+  createHistory,
+  currentState,
+  recordChange,
+  undo,
+  redo,
+  jumpTo,
+  describeChange,
+} from "../history";
+
+const model = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+  ],
+};
+const start = { model, searchHits: [], query: "", configuration: {} };
+
+describe("recordChange()", () => {
+  test("adds a step that shares unchanged values", () => {
+    const history = recordChange(createHistory(start), { query: "GPS" }, 0);
+    expect(history.entries).toHaveLength(2);
+    expect(history.index).toBe(1);
+    expect(currentState(history).query).toBe("GPS");
+    expect(currentState(history).model).toBe(model);
+  });
+
+  test("ignores changes to equal values", () => {
+    const history = createHistory({ ...start, searchHits: ["GPS"] });
+    expect(recordChange(history, { searchHits: ["GPS"] }, 0)).toBe(history);
+    expect(recordChange(history, { configuration: {} }, 0)).toBe(history);
+  });
+
+  test("merges related changes made within the merge window", () => {
+    const typing = { kind: "query", mergeWith: ["query"] };
+    let history = createHistory(start);
+    history = recordChange(history, { query: "G" }, 1000, typing);
+    history = recordChange(history, { query: "GP" }, 1200, typing);
+    history = recordChange(history, { searchHits: ["GPS"] }, 1300, {
+      kind: "searchHits",
+      mergeWith: ["query"],
+    });
+    expect(history.entries).toHaveLength(2);
+    expect(currentState(history)).toMatchObject({
+      query: "GP",
+      searchHits: ["GPS"],
+    });
+
+    history = recordChange(history, { query: "GPS" }, 1400, typing);
+    expect(history.entries).toHaveLength(2);
+    history = recordChange(history, { query: "" }, 5000, typing);
+    expect(history.entries).toHaveLength(3);
+  });
+
+  test("keeps quick changes of different kinds as separate steps", () => {
+    const edited = { ...model, features: model.features.slice(0, 1) };
+    let history = createHistory(start);
+    history = recordChange(history, { model: edited }, 1000, { kind: "model" });
+    history = recordChange(history, { configuration: { GPS: true } }, 1100, {
+      kind: "configuration",
+    });
+    history = recordChange(history, { configuration: { GPS: false } }, 1200, {
+      kind: "configuration",
+    });
+    expect(history.entries).toHaveLength(4);
+
+    history = undo(history);
+    expect(currentState(history).configuration).toEqual({ GPS: true });
+    history = undo(history);
+    expect(currentState(history)).toMatchObject({
+      model: edited,
+      configuration: {},
+    });
+  });
+
+  test("drops undone steps and keeps at most `limit` steps", () => {
+    let history = createHistory({ n: 0 });
+    for (let n = 1; n <= 5; n++) {
+      history = recordChange(history, { n }, n * 1000, { limit: 3 });
+    }
+    expect(history.entries.map((entry) => entry.n)).toEqual([3, 4, 5]);
+
+    history = recordChange(undo(undo(history)), { n: 9 }, 9000);
+    expect(history.entries.map((entry) => entry.n)).toEqual([3, 9]);
+  });
+});
+
+describe("undo(), redo() and jumpTo()", () => {
+  let history = createHistory(start);
+  history = recordChange(history, { query: "a" }, 1000);
+  history = recordChange(history, { query: "b" }, 2000);
+
+  test("move through the steps within bounds", () => {
+    expect(currentState(undo(history)).query).toBe("a");
+    expect(currentState(redo(undo(history))).query).toBe("b");
+    expect(redo(history)).toBe(history);
+    expect(undo(jumpTo(history, 0))).toEqual(jumpTo(history, 0));
+    expect(currentState(jumpTo(history, 0)).query).toBe("");
+  });
+
+  test("a change right after undo starts a new step", () => {
+    const changed = recordChange(undo(history), { query: "c" }, 2100);
+    expect(changed.entries.map((entry) => entry.query)).toEqual(["", "a", "c"]);
+  });
+});
+
+describe("describeChange()", () => {
+  test("names the most significant change", () => {
+    const edited = {
+      ...model,
+      features: [...model.features, { id: "NFC", parent: "Phone" }],
+    };
+    expect(describeChange(undefined, start)).toBe("Started");
+    expect(describeChange({ ...start, model: null }, start)).toBe(
+      "Loaded Phone"
+    );
+    expect(describeChange(start, { ...start, model: null })).toBe(
+      "Closed the model"
+    );
+    expect(describeChange(start, { ...start, model: edited })).toBe(
+      "Added NFC under Phone"
+    );
+    expect(
+      describeChange(start, {
+        ...start,
+        model: {
+          ...model,
+          constraints: [{ type: "requires", a: "GPS", b: "Phone" }],
+        },
+        query: "x",
+      })
+    ).toBe("Added constraint GPS requires Phone");
+  });
+
+  test("describes decisions, searches and highlights", () => {
+    const selected = { ...start, configuration: { GPS: true } };
+    expect(describeChange(start, selected)).toBe("Selected GPS");
+    expect(
+      describeChange(selected, { ...start, configuration: { GPS: false } })
+    ).toBe("Deselected GPS");
+    expect(describeChange(selected, start)).toBe("Reset the configuration");
+    expect(
+      describeChange(start, {
+        ...start,
+        configuration: { GPS: true, A: false },
+      })
+    ).toBe("Changed 2 decisions");
+    expect(describeChange(start, { ...start, query: "GPS" })).toBe(
+      'Searched "GPS"'
+    );
+    expect(describeChange(start, { ...start, searchHits: ["GPS"] })).toBe(
+      "Highlighted GPS"
+    );
+    expect(describeChange(start, { ...start, searchHits: ["a", "b"] })).toBe(
+      "Highlighted 2 features"
+    );
+  });
+});
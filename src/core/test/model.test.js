@@ -1,5 +1,10 @@
 import { describe, test, expect } from "vitest";
-import { buildGraph } from "../model";
+import {
+  buildGraph,
+  collectGroups,
+  formatCardinality,
+  parseCardinality,
+} from "../model";
 import { pathToRoot } from "../search";
 import infusionSystemModel from "../../../public/sample-complex-infusion-system.json";
 import automotiveSystemModel from "../../../public/sample-automotive.json";
@@ -59,3 +64,83 @@ describe("pathToRoot() traversal behavior", () => {
     expect(path).toEqual([]);
   });
 });
+
+describe("group semantics in buildGraph()", () => {
+  const features = [
+    { id: "Phone" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "Alternative", parent: "Screen" },
+    { id: "Media", type: "optional", parent: "Phone" },
+    { id: "MP3", type: "or", parent: "Media" },
+    { id: "MP4", type: "or", parent: "Media" },
+  ];
+
+  test("keeps group types on nodes and on parent-child edges", () => {
+    const graph = buildGraph(features);
+    expect(graph.nodes.find((n) => n.id === "HD").type).toBe("alternative");
+    expect(graph.nodes.find((n) => n.id === "Phone").type).toBe("optional");
+    expect(graph.edges).toContainEqual({
+      from: "Media",
+      to: "MP3",
+      type: "or",
+    });
+  });
+
+  test("collects one group per parent", () => {
+    const graph = buildGraph(features);
+    expect(graph.groups.get("Screen")).toEqual({
+      parent: "Screen",
+      type: "alternative",
+      members: ["Basic", "HD"],
+      min: 1,
+      max: 1,
+    });
+    expect(graph.groups.get("Media").members).toEqual(["MP3", "MP4"]);
+    expect(graph.groups.has("Phone")).toBe(false);
+  });
+
+  test("collectGroups() ignores plain and parentless features", () => {
+    expect(
+      collectGroups([
+        { id: "A", type: "or" },
+        { id: "B", type: "optional", parent: "A" },
+      ])
+    ).toEqual([]);
+  });
+});
+
+describe("cardinalities", () => {
+  test("parseCardinality() reads ranges, open ranges and exact counts", () => {
+    expect(parseCardinality("1..4")).toEqual({ min: 1, max: 4 });
+    expect(parseCardinality("[0..*]")).toEqual({ min: 0, max: Infinity });
+    expect(parseCardinality(2)).toEqual({ min: 2, max: 2 });
+    expect(parseCardinality("3..1")).toBeNull();
+    expect(parseCardinality("one")).toBeNull();
+    expect(parseCardinality(undefined)).toBeNull();
+  });
+
+  test("formatCardinality() writes bracketed ranges", () => {
+    expect(formatCardinality({ min: 1, max: 4 })).toBe("[1..4]");
+    expect(formatCardinality({ min: 0, max: Infinity })).toBe("[0..*]");
+  });
+
+  test("collectGroups() applies a declared group cardinality", () => {
+    const [group] = collectGroups([
+      { id: "Sensors", groupCardinality: "2..5" },
+      { id: "S1", type: "or", parent: "Sensors" },
+      { id: "S2", type: "or", parent: "Sensors" },
+      { id: "S3", type: "or", parent: "Sensors" },
+    ]);
+    expect(group).toMatchObject({ min: 2, max: 3 });
+  });
+
+  test("collectGroups() defaults or groups to [1..n]", () => {
+    const [group] = collectGroups([
+      { id: "P" },
+      { id: "A", type: "or", parent: "P" },
+      { id: "B", type: "or", parent: "P" },
+    ]);
+    expect(group).toMatchObject({ min: 1, max: 2 });
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, test, expect } from "vitest";
+import { diffModels, compareProducts } from "../modelDiff";
+
+const base = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "GPS", type: "optional", parent: "Phone", label: "GPS" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "Flash", type: "optional", parent: "Camera" },
+    { id: "Radio", type: "optional", parent: "Phone" },
+  ],
+  constraints: [
+    { type: "requires", a: "Flash", b: "GPS" },
+    { type: "excludes", a: "GPS", b: "Radio" },
+    { expression: "(Camera & GPS) => Screen" },
+  ],
+};
+
+const compared = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "GPS", type: "mandatory", parent: "Phone", label: "Location" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "Flash", type: "optional", parent: "Screen" },
+    { id: "NFC", type: "optional", parent: "Phone" },
+  ],
+  constraints: [
+    { type: "excludes", a: "Radio", b: "GPS" },
+    { expression: "Camera & GPS => Screen" },
+    { type: "requires", a: "NFC", b: "GPS" },
+  ],
+};
+
+describe("diffModels()", () => {
+  test("finds no changes between equal versions", () => {
+    const diff = diffModels(base, structuredClone(base));
+    expect(diff.changes).toEqual([]);
+    expect(diff.featureStatus).toEqual({});
+    expect(diff.constraintStatus).toEqual([
+      "unchanged",
+      "unchanged",
+      "unchanged",
+    ]);
+  });
+
+  test("lists feature and constraint changes", () => {
+    expect(diffModels(base, compared).changes).toEqual([
+      {
+        kind: "type",
+        feature: "GPS",
+        text: "GPS changed from optional to mandatory",
+      },
+      {
+        kind: "label",
+        feature: "GPS",
+        text: 'GPS relabeled from "GPS" to "Location"',
+      },
+      {
+        kind: "parent",
+        feature: "Flash",
+        text: "Flash moved from Camera to Screen",
+      },
+      { kind: "added", feature: "NFC", text: "Added NFC under Phone" },
+      { kind: "removed", feature: "Radio", text: "Removed Radio from Phone" },
+      { kind: "constraint-added", text: "Added constraint NFC requires GPS" },
+      {
+        kind: "constraint-removed",
+        text: "Removed constraint Flash requires GPS",
+      },
+    ]);
+  });
+
+  test("merges removed features and constraints in as ghosts", () => {
+    const diff = diffModels(base, compared);
+    expect(diff.featureStatus).toEqual({
+      GPS: "changed",
+      Flash: "changed",
+      NFC: "added",
+      Radio: "removed",
+    });
+    expect(diff.merged.root).toBe("Phone");
+    expect(diff.merged.features.at(-1)).toEqual({
+      id: "Radio",
+      type: "optional",
+      parent: "Phone",
+      ghost: true,
+    });
+    expect(diff.merged.constraints).toHaveLength(4);
+    expect(diff.merged.constraints[3]).toEqual({
+      type: "requires",
+      a: "Flash",
+      b: "GPS",
+      ghost: true,
+    });
+    expect(diff.constraintStatus).toEqual([
+      "unchanged",
+      "unchanged",
+      "added",
+      "removed",
+    ]);
+  });
+
+  test("counts duplicated constraints", () => {
+    const twice = {
+      ...base,
+      constraints: [...base.constraints, base.constraints[0]],
+    };
+    expect(diffModels(twice, base).changes).toEqual([
+      {
+        kind: "constraint-removed",
+        text: "Removed constraint Flash requires GPS",
+      },
+    ]);
+  });
+});
+
+describe("compareProducts()", () => {
+  const withFeature = (id, changes) => ({
+    ...base,
+    features: base.features.map((f) =>
+      f.id === id ? { ...f, ...changes } : f
+    ),
+  });
+
+  test("calls an edit that keeps every product a refactoring", () => {
+    const reordered = {
+      ...base,
+      features: [...base.features].reverse(),
+      constraints: [
+        { type: "excludes", a: "Radio", b: "GPS" },
+        { expression: "!(Camera & GPS) | Screen" },
+        { type: "requires", a: "Flash", b: "GPS" },
+      ],
+    };
+    const result = compareProducts(base, reordered);
+    expect(result).toMatchObject({ kind: "refactoring", lost: [], gained: [] });
+    expect(result.baseTotal).toBe(result.comparedTotal);
+  });
+
+  test("calls a narrowing edit a specialization and shows lost products", () => {
+    const result = compareProducts(
+      base,
+      withFeature("GPS", { type: "mandatory" })
+    );
+    expect(result.kind).toBe("specialization");
+    expect(result.gained).toEqual([]);
+    expect(result.lost.length).toBeGreaterThan(0);
+    result.lost.forEach((product) => expect(product).not.toContain("GPS"));
+    expect(result.comparedTotal).toBeLessThan(result.baseTotal);
+  });
+
+  test("calls a widening edit a generalization", () => {
+    const result = compareProducts(base, { ...base, constraints: [] });
+    expect(result.kind).toBe("generalization");
+    expect(result.lost).toEqual([]);
+    // The expression is implied by the mandatory Screen, so only the requires
+    // and the excludes gave up products
+    expect(result.gained).toHaveLength(2);
+    result.gained.forEach((product) =>
+      expect(
+        (product.includes("Flash") && !product.includes("GPS")) ||
+          (product.includes("GPS") && product.includes("Radio"))
+      ).toBe(true)
+    );
+  });
+
+  test("calls an edit that adds and removes products arbitrary", () => {
+    const result = compareProducts(base, compared, { examples: 1 });
+    expect(result.kind).toBe("arbitrary");
+    expect(result.lost).toHaveLength(1);
+    expect(result.gained).toHaveLength(1);
+  });
+});
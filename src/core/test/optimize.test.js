@@ -0,0 +1,217 @@
+import { describe, test, expect } from "vitest";
+import {
+  optimizeConfiguration,
+  parseLimit,
+  describeLimit,
+  findUnknownLimit,
+} from "../optimize";
+import { buildFeatureFormula } from "../featureFormula";
+import iotSystemModel from "../../../public/sample-iot.json";
+
+const boardModel = {
+  root: "Board",
+  features: [
+    { id: "Board", attributes: { cost: 20, memoryKB: 128 } },
+    { id: "Radio", type: "mandatory", parent: "Board" },
+    {
+      id: "BLE",
+      type: "alternative",
+      parent: "Radio",
+      attributes: { cost: 4, memoryKB: 96 },
+    },
+    {
+      id: "WiFi",
+      type: "alternative",
+      parent: "Radio",
+      attributes: { cost: 3, memoryKB: 256 },
+    },
+    {
+      id: "LoRa",
+      type: "alternative",
+      parent: "Radio",
+      attributes: { cost: 9, memoryKB: 64 },
+    },
+    {
+      id: "Display",
+      type: "optional",
+      parent: "Board",
+      attributes: { cost: 15, memoryKB: 192 },
+    },
+    {
+      id: "Logger",
+      type: "optional",
+      parent: "Board",
+      attributes: { cost: 2, memoryKB: 320 },
+    },
+  ],
+  constraints: [{ type: "requires", a: "Display", b: "WiFi" }],
+};
+
+// Reference optimum by enumerating every assignment
+function bruteForceOptimum(
+  model,
+  attribute,
+  direction,
+  limits = [],
+  pinned = {}
+) {
+  const formula = buildFeatureFormula(model);
+  const featureById = new Map(model.features.map((f) => [f.id, f]));
+  const sum = (name, selected) =>
+    selected.reduce(
+      (total, id) => total + (featureById.get(id).attributes?.[name] || 0),
+      0
+    );
+  let best = null;
+  for (let mask = 0; mask < 1 << formula.variables.length; mask++) {
+    const isTrue = (v) => ((mask >> (v - 1)) & 1) === 1;
+    const valid = formula.clauses.every((clause) =>
+      clause.literals.some((l) => (l > 0 ? isTrue(l) : !isTrue(-l)))
+    );
+    if (!valid) continue;
+    const selected = formula.variables.filter((_, i) => isTrue(i + 1));
+    if (
+      Object.entries(pinned).some(
+        ([id, value]) => selected.includes(id) !== value
+      )
+    )
+      continue;
+    const fits = limits.every(({ attribute: name, operator, value }) =>
+      operator === "<="
+        ? sum(name, selected) <= value
+        : sum(name, selected) >= value
+    );
+    if (!fits) continue;
+    const value = sum(attribute, selected);
+    if (best === null || (direction === "min" ? value < best : value > best))
+      best = value;
+  }
+  return best;
+}
+
+describe("parseLimit()", () => {
+  test("reads ASCII and unicode comparisons", () => {
+    expect(parseLimit("memoryKB <= 512")).toEqual({
+      attribute: "memoryKB",
+      operator: "<=",
+      value: 512,
+    });
+    expect(parseLimit(" cost ≥ 12.5 ")).toEqual({
+      attribute: "cost",
+      operator: ">=",
+      value: 12.5,
+    });
+  });
+
+  test("rejects anything else", () => {
+    expect(parseLimit("memoryKB < 512")).toBeNull();
+    expect(parseLimit("512 >= memoryKB")).toBeNull();
+    expect(parseLimit("")).toBeNull();
+  });
+
+  test("describeLimit() prints the unicode form", () => {
+    expect(describeLimit(parseLimit("memoryKB <= 512"))).toBe("memoryKB ≤ 512");
+  });
+});
+
+describe("optimizeConfiguration()", () => {
+  test("finds the cheapest product", () => {
+    const result = optimizeConfiguration(boardModel, { attribute: "cost" });
+    expect(result.status).toBe("optimal");
+    expect(result.value).toBe(23);
+    expect(result.features).toEqual(["Board", "Radio", "WiFi"]);
+  });
+
+  test("maximizes an objective", () => {
+    const result = optimizeConfiguration(boardModel, {
+      attribute: "memoryKB",
+      direction: "max",
+    });
+    expect(result.value).toBe(bruteForceOptimum(boardModel, "memoryKB", "max"));
+    expect(result.features).toContain("Logger");
+  });
+
+  test("respects numeric limits", () => {
+    const limits = [parseLimit("memoryKB <= 300")];
+    const result = optimizeConfiguration(boardModel, {
+      attribute: "cost",
+      limits,
+    });
+    expect(result.value).toBe(
+      bruteForceOptimum(boardModel, "cost", "min", limits)
+    );
+    expect(result.features).toEqual(["Board", "Radio", "BLE"]);
+    expect(result.totals.find((t) => t.name === "memoryKB").sum).toBe(224);
+  });
+
+  test("respects pinned features", () => {
+    const result = optimizeConfiguration(boardModel, {
+      attribute: "cost",
+      pinned: { Display: true, Logger: true },
+    });
+    expect(result.features).toEqual([
+      "Board",
+      "Radio",
+      "WiFi",
+      "Display",
+      "Logger",
+    ]);
+    expect(result.value).toBe(40);
+  });
+
+  test("matches enumeration on the IoT sample", () => {
+    for (const direction of ["min", "max"]) {
+      const limits = [parseLimit("memoryKB <= 700")];
+      const result = optimizeConfiguration(iotSystemModel, {
+        attribute: "cost",
+        direction,
+        limits,
+      });
+      expect(result.value).toBe(
+        bruteForceOptimum(iotSystemModel, "cost", direction, limits)
+      );
+    }
+  });
+
+  test("reports infeasible limits and pins", () => {
+    expect(
+      optimizeConfiguration(boardModel, {
+        attribute: "cost",
+        limits: [parseLimit("memoryKB <= 100")],
+      })
+    ).toMatchObject({ status: "infeasible", features: [], value: null });
+    expect(
+      optimizeConfiguration(boardModel, {
+        attribute: "cost",
+        pinned: { Display: true, BLE: true },
+      }).status
+    ).toBe("infeasible");
+  });
+
+  test("stops at the time limit", () => {
+    expect(
+      optimizeConfiguration(boardModel, { attribute: "cost", timeLimit: 0 })
+    ).toMatchObject({ status: "unknown", features: [], value: null });
+  });
+
+  test("refuses limits on attributes no feature has", () => {
+    expect(findUnknownLimit(boardModel, [parseLimit("memoryKB <= 300")])).toBe(
+      undefined
+    );
+    const typo = parseLimit("cots <= 10");
+    expect(findUnknownLimit(boardModel, [typo])).toBe(typo);
+    expect(() =>
+      optimizeConfiguration(boardModel, { attribute: "cost", limits: [typo] })
+    ).toThrow('No feature has a numeric attribute "cots".');
+  });
+
+  test("returns the best product found when the node limit is hit", () => {
+    const result = optimizeConfiguration(boardModel, {
+      attribute: "cost",
+      direction: "max",
+      nodeLimit: 1,
+    });
+    expect(result.status).toBe("feasible");
+    expect(result.features).toContain("Board");
+  });
+});
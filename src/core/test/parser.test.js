@@ -1,5 +1,5 @@
 import { describe, test, expect } from "vitest";
-import { validateModel } from "../parser";
+import { validateModel, describeConstraint, getRelationsFor } from "../parser";
 import infusionSystemModel from "../../../public/sample-complex-infusion-system.json";
 import automotiveSystemModel from "../../../public/sample-automotive.json";
 import iotSystemModel from "../../../public/sample-iot.json";
@@ -45,3 +45,160 @@ describe("validateModel() with real JSON datasets", () => {
     expect(errors.join(" ")).toMatch(/Invalid constraint type/);
   });
 });
+
+describe("describeConstraint()", () => {
+  test("formats legacy and from/to constraints the same way", () => {
+    expect(describeConstraint({ type: "requires", a: "A", b: "B" })).toBe(
+      "A requires B"
+    );
+    expect(describeConstraint({ type: "conflicts", from: "A", to: "B" })).toBe(
+      "A excludes B"
+    );
+  });
+});
+
+describe("validateModel() group checks", () => {
+  test("accepts well-formed alternative and or groups", () => {
+    const { ok } = validateModel({
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "A", type: "alternative", parent: "R" },
+        { id: "B", type: "alternative", parent: "R" },
+      ],
+    });
+    expect(ok).toBe(true);
+  });
+
+  test("rejects group features without a parent", () => {
+    const { ok, errors } = validateModel({
+      root: "R",
+      features: [{ id: "R", type: "or" }],
+    });
+    expect(ok).toBe(false);
+    expect(errors).toContain("Group feature R has no parent");
+  });
+
+  test("rejects parents that mix alternative and or children", () => {
+    const { errors } = validateModel({
+      root: "R",
+      features: [
+        { id: "R" },
+        { id: "A", type: "alternative", parent: "R" },
+        { id: "B", type: "or", parent: "R" },
+      ],
+    });
+    expect(errors).toContain("Parent R mixes alternative and or children");
+  });
+});
+
+describe("validateModel() cardinality checks", () => {
+  const sensors = (extra = {}) => ({
+    root: "Platform",
+    features: [
+      { id: "Platform", groupCardinality: "1..2", ...extra },
+      { id: "Temp", type: "or", parent: "Platform", cardinality: "1..4" },
+      { id: "Light", type: "or", parent: "Platform" },
+    ],
+  });
+
+  test("accepts group and clone cardinalities", () => {
+    expect(validateModel(sensors()).ok).toBe(true);
+  });
+
+  test("rejects malformed cardinalities", () => {
+    const { errors } = validateModel({
+      root: "R",
+      features: [
+        { id: "R", groupCardinality: "many" },
+        { id: "A", type: "or", parent: "R", cardinality: "4..1" },
+      ],
+    });
+    expect(errors).toContain("Invalid group cardinality for R: many");
+    expect(errors).toContain("Invalid clone cardinality for A: 4..1");
+  });
+
+  test("rejects a group cardinality without group children", () => {
+    const { errors } = validateModel({
+      root: "R",
+      features: [
+        { id: "R", groupCardinality: "1..2" },
+        { id: "A", type: "optional", parent: "R" },
+      ],
+    });
+    expect(errors).toContain(
+      "Feature R declares a group cardinality but has no group children"
+    );
+  });
+
+  test("rejects a minimum above the number of members", () => {
+    const { errors } = validateModel(sensors({ groupCardinality: "3..*" }));
+    expect(errors).toContain(
+      "Group cardinality [3..*] of Platform exceeds its 2 members"
+    );
+  });
+});
+
+describe("expression constraints", () => {
+  const features = [
+    { id: "Car" },
+    { id: "GPS", parent: "Car" },
+    { id: "WiFi", parent: "Car" },
+    { id: "LowPower", parent: "Car" },
+  ];
+
+  test("validateModel() accepts well-formed expressions", () => {
+    const { ok } = validateModel({
+      root: "Car",
+      features,
+      constraints: [{ expression: "(GPS & WiFi) => !LowPower" }],
+    });
+    expect(ok).toBe(true);
+  });
+
+  test("validateModel() reports syntax errors with their column", () => {
+    const { errors } = validateModel({
+      root: "Car",
+      features,
+      constraints: [
+        { type: "requires", a: "GPS", b: "WiFi" },
+        { expression: "(GPS & WiFi => !LowPower" },
+      ],
+    });
+    expect(errors).toEqual([
+      'Constraint #2: Expected ")" to close "(" at column 1 but found the end of the expression at column 25',
+    ]);
+  });
+
+  test("validateModel() reports unknown feature ids", () => {
+    const { errors } = validateModel({
+      root: "Car",
+      features,
+      constraints: [{ expression: "GPS | Radio | Cell" }],
+    });
+    expect(errors).toEqual([
+      "Constraint #1 refers to unknown feature: Radio",
+      "Constraint #1 refers to unknown feature: Cell",
+    ]);
+  });
+
+  test("describeConstraint() shows the expression", () => {
+    expect(describeConstraint({ expression: " GPS => WiFi " })).toBe(
+      "GPS => WiFi"
+    );
+  });
+
+  test("getRelationsFor() lists expressions mentioning the feature", () => {
+    const constraints = [
+      { type: "requires", a: "GPS", b: "WiFi" },
+      { expression: "GPS => !LowPower" },
+      { expression: "WiFi | LowPower" },
+      { expression: "GPS &" },
+    ];
+    expect(getRelationsFor("GPS", constraints)).toEqual({
+      requires: ["WiFi"],
+      excludes: [],
+      expressions: ["GPS => !LowPower"],
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, test, expect } from "vitest";
+import {
+  sampleConfigurations,
+  randomConfigurations,
+  seededRandom,
+  sampleToCSV,
+  sampleToJSON,
+} from "../sampling";
+import { checkConfiguration } from "../analysis";
+import { buildFeatureFormula } from "../featureFormula";
+import { withTimeLimit } from "../timeLimit";
+import iotSystemModel from "../../../public/sample-iot.json";
+
+const phoneModel = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "Screen", type: "mandatory", parent: "Phone" },
+    { id: "Basic", type: "alternative", parent: "Screen" },
+    { id: "HD", type: "alternative", parent: "Screen" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+    { id: "Camera", type: "optional", parent: "Phone" },
+    { id: "Radio", type: "optional", parent: "Phone" },
+  ],
+  constraints: [{ type: "requires", a: "Camera", b: "HD" }],
+};
+
+// Every valid product of a small model, by brute force
+function allProducts(model) {
+  const { variables, clauses } = buildFeatureFormula(model);
+  const products = [];
+  for (let mask = 0; mask < 1 << variables.length; mask++) {
+    const selected = (v) => (mask & (1 << (v - 1))) !== 0;
+    const valid = clauses.every(({ literals }) =>
+      literals.some((literal) =>
+        literal > 0 ? selected(literal) : !selected(-literal)
+      )
+    );
+    if (valid) products.push(variables.filter((_, i) => selected(i + 1)));
+  }
+  return products;
+}
+
+function pairsOf(products, features) {
+  const pairs = new Set();
+  for (const product of products) {
+    features.forEach((a, i) =>
+      features.slice(i + 1).forEach((b) => {
+        pairs.add(`${a}=${product.includes(a)},${b}=${product.includes(b)}`);
+      })
+    );
+  }
+  return pairs;
+}
+
+describe("sampleConfigurations()", () => {
+  test("covers every valid pair with fewer products than exist", () => {
+    const sample = sampleConfigurations(phoneModel, 2);
+    const products = allProducts(phoneModel);
+    const features = sample.features;
+
+    expect(sample.t).toBe(2);
+    expect(sample.configurations.length).toBeLessThan(products.length);
+    expect(pairsOf(sample.configurations, features)).toEqual(
+      pairsOf(products, features)
+    );
+    sample.configurations.forEach((configuration) =>
+      expect(products).toContainEqual(configuration)
+    );
+  });
+
+  test("t=1 selects and deselects every variable feature at least once", () => {
+    const sample = sampleConfigurations(phoneModel, 1);
+    expect(sample.configurations).toHaveLength(2);
+    for (const id of ["Basic", "HD", "GPS", "Camera", "Radio"]) {
+      const selected = sample.configurations.map((c) => c.includes(id));
+      expect(selected).toEqual(expect.arrayContaining([true, false]));
+    }
+    // 5 variable features, each both ways
+    expect(sample.covered).toBe(10);
+  });
+
+  test("t=3 covers every valid triple of the IoT sample", () => {
+    const sample = sampleConfigurations(iotSystemModel, 3);
+    const products = allProducts(iotSystemModel);
+    const triplesOf = (configurations) => {
+      const triples = new Set();
+      const f = sample.features;
+      for (const product of configurations) {
+        for (let i = 0; i < f.length; i++)
+          for (let j = i + 1; j < f.length; j++)
+            for (let k = j + 1; k < f.length; k++)
+              triples.add(
+                [f[i], f[j], f[k]]
+                  .map((id) => `${id}=${product.includes(id)}`)
+                  .join()
+              );
+      }
+      return triples;
+    };
+    expect(triplesOf(sample.configurations)).toEqual(triplesOf(products));
+  });
+
+  test("returns one product when nothing varies and none for a void model", () => {
+    const fixed = {
+      root: "A",
+      features: [
+        { id: "A", type: "mandatory" },
+        { id: "B", type: "mandatory", parent: "A" },
+      ],
+      constraints: [],
+    };
+    expect(sampleConfigurations(fixed, 2).configurations).toEqual([["A", "B"]]);
+    expect(
+      sampleConfigurations(
+        { ...fixed, constraints: [{ type: "excludes", a: "A", b: "B" }] },
+        2
+      ).configurations
+    ).toEqual([]);
+  });
+
+  test("stops at the time limit", () => {
+    expect(
+      withTimeLimit(0, () => sampleConfigurations(iotSystemModel, 3))
+    ).toEqual({ tooLarge: true });
+    expect(
+      withTimeLimit(0, () => randomConfigurations(iotSystemModel, { count: 5 }))
+    ).toEqual({ tooLarge: true });
+  });
+});
+
+describe("randomConfigurations()", () => {
+  test("draws valid products, reproducibly for a seed", () => {
+    const first = randomConfigurations(iotSystemModel, { count: 5, seed: 42 });
+    expect(first.seed).toBe(42);
+    expect(first.configurations).toHaveLength(5);
+    first.configurations.forEach((configuration) =>
+      expect(checkConfiguration(iotSystemModel, configuration).valid).toBe(true)
+    );
+    expect(
+      randomConfigurations(iotSystemModel, { count: 5, seed: 42 })
+    ).toEqual(first);
+    expect(
+      randomConfigurations(iotSystemModel, { count: 5, seed: "other" })
+        .configurations
+    ).not.toEqual(first.configurations);
+  });
+
+  test("picks a seed when none is given", () => {
+    const { seed, configurations } = randomConfigurations(phoneModel);
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(configurations).toHaveLength(1);
+  });
+
+  test("draws every product about equally often", () => {
+    const products = allProducts(phoneModel);
+    const draws = 200 * products.length;
+    const { configurations } = randomConfigurations(phoneModel, {
+      count: draws,
+      seed: "uniform",
+    });
+    const frequency = new Map(products.map((p) => [p.join(), 0]));
+    configurations.forEach((c) =>
+      frequency.set(c.join(), frequency.get(c.join()) + 1)
+    );
+    expect(frequency.size).toBe(products.length);
+    for (const hits of frequency.values()) {
+      expect(hits).toBeGreaterThan(140);
+      expect(hits).toBeLessThan(260);
+    }
+  });
+
+  test("draws nothing from a void model", () => {
+    const voidModel = {
+      root: "A",
+      features: [{ id: "A", type: "mandatory" }],
+      constraints: [{ type: "excludes", a: "A", b: "A" }],
+    };
+    expect(
+      randomConfigurations(voidModel, { count: 3, seed: 1 }).configurations
+    ).toEqual([]);
+  });
+
+  test("seededRandom() yields repeatable numbers in [0, 1)", () => {
+    const a = seededRandom("seed");
+    const b = seededRandom("seed");
+    const values = Array.from({ length: 100 }, () => a());
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()));
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe("sample export", () => {
+  const sample = {
+    t: 2,
+    features: ["Phone", "GPS", 'Big, "HD"'],
+    configurations: [["Phone"], ["Phone", "GPS", 'Big, "HD"']],
+    covered: 12,
+  };
+
+  test("sampleToCSV() writes one 0/1 column per feature", () => {
+    expect(sampleToCSV(sample)).toBe(
+      'Configuration,Phone,GPS,"Big, ""HD"""\n1,1,0,0\n2,1,1,1\n'
+    );
+  });
+
+  test("sampleToJSON() lists the selected features of each product", () => {
+    expect(JSON.parse(sampleToJSON(sample))).toEqual({
+      t: 2,
+      coveredInteractions: 12,
+      configurations: [
+        { id: 1, features: ["Phone"] },
+        { id: 2, features: ["Phone", "GPS", 'Big, "HD"'] },
+      ],
+    });
+  });
+
+  test("sampleToJSON() records the seed of a random sample", () => {
+    const random = { seed: 7, features: ["A"], configurations: [["A"]] };
+    expect(JSON.parse(sampleToJSON(random))).toEqual({
+      seed: 7,
+      configurations: [{ id: 1, features: ["A"] }],
+    });
+  });
+});
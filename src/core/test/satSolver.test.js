@@ -0,0 +1,79 @@
+import { describe, test, expect } from "vitest";
+import { solve } from "../satSolver";
+
+function satisfies(clauses, assignment) {
+  return clauses.every((clause) =>
+    clause.some((literal) =>
+      literal > 0 ? assignment[literal] : !assignment[-literal]
+    )
+  );
+}
+
+describe("solve(): DPLL SAT solver", () => {
+  test("returns a satisfying assignment for a satisfiable formula", () => {
+    const clauses = [
+      [1, 2],
+      [-1, 3],
+      [-2, -3],
+      [2, 3],
+    ];
+    const assignment = solve(clauses, 3);
+    expect(assignment).not.toBeNull();
+    expect(satisfies(clauses, assignment)).toBe(true);
+  });
+
+  test("returns null for a contradiction", () => {
+    expect(solve([[1], [-1]], 1)).toBeNull();
+    expect(
+      solve(
+        [
+          [1, 2],
+          [-1, 2],
+          [1, -2],
+          [-1, -2],
+        ],
+        2
+      )
+    ).toBeNull();
+  });
+
+  test("returns null when an empty clause is present", () => {
+    expect(solve([[1], []], 1)).toBeNull();
+  });
+
+  test("honours assumptions", () => {
+    const clauses = [[-1, 2]];
+    expect(solve(clauses, 2, [1])[2]).toBe(true);
+    expect(solve(clauses, 2, [1, -2])).toBeNull();
+  });
+
+  test("ignores tautologies and duplicate literals", () => {
+    const assignment = solve(
+      [
+        [1, -1],
+        [2, 2],
+      ],
+      2
+    );
+    expect(assignment[2]).toBe(true);
+  });
+
+  test("backtracks through several decisions (pigeonhole 3 into 2 is UNSAT)", () => {
+    // p(i,j): pigeon i in hole j -> variable (i - 1) * 2 + j
+    const v = (i, j) => (i - 1) * 2 + j;
+    const clauses = [];
+    for (let i = 1; i <= 3; i++) clauses.push([v(i, 1), v(i, 2)]);
+    for (let j = 1; j <= 2; j++) {
+      for (let a = 1; a <= 3; a++) {
+        for (let b = a + 1; b <= 3; b++) clauses.push([-v(a, j), -v(b, j)]);
+      }
+    }
+    expect(solve(clauses, 6)).toBeNull();
+  });
+
+  test("finds the single model of a chain of implications", () => {
+    const clauses = [[1], [-1, 2], [-2, 3], [-3, -4], [4, 5]];
+    const assignment = solve(clauses, 5);
+    expect(assignment.slice(1)).toEqual([true, true, true, false, true]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, test, expect } from "vitest";
+import { withTimeLimit, withDeadline, TimeLimitError } from "../timeLimit";
+import { analyzeModel } from "../analysis";
+import countConfigurations from "../countConfigurations";
+import { compareProducts } from "../modelDiff";
+
+const model = {
+  root: "R",
+  features: [
+    { id: "R", type: "mandatory" },
+    { id: "A", type: "or", parent: "R" },
+    { id: "B", type: "or", parent: "R" },
+  ],
+  constraints: [],
+};
+
+describe("withTimeLimit()", () => {
+  test("returns the result of a search that finishes in time", () => {
+    expect(withTimeLimit(10000, () => countConfigurations(model))).toEqual({
+      result: countConfigurations(model),
+    });
+  });
+
+  test("gives up on searches past the limit", () => {
+    expect(withTimeLimit(0, () => analyzeModel(model))).toEqual({
+      tooLarge: true,
+    });
+    expect(withTimeLimit(0, () => countConfigurations(model))).toEqual({
+      tooLarge: true,
+    });
+    expect(withTimeLimit(0, () => compareProducts(model, model))).toEqual({
+      tooLarge: true,
+    });
+  });
+
+  test("keeps the outer limit around an inner one", () => {
+    const outer = withTimeLimit(0, () => {
+      withTimeLimit(10000, () => null);
+      return countConfigurations(model);
+    });
+    expect(outer).toEqual({ tooLarge: true });
+    expect(countConfigurations(model).total).toBe(3n);
+  });
+
+  test("shares one deadline between runs", () => {
+    const deadline = Date.now() + 10000;
+    expect(withDeadline(deadline, () => countConfigurations(model))).toEqual({
+      result: countConfigurations(model),
+    });
+    const passed = Date.now() - 1;
+    expect(withDeadline(passed, () => analyzeModel(model))).toEqual({
+      tooLarge: true,
+    });
+    expect(withDeadline(passed, () => countConfigurations(model))).toEqual({
+      tooLarge: true,
+    });
+  });
+
+  test("passes on other errors", () => {
+    expect(() =>
+      withTimeLimit(10000, () => {
+        throw new Error("broken");
+      })
+    ).toThrow("broken");
+    expect(new TimeLimitError().name).toBe("TimeLimitError");
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, test, expect } from "vitest";
+import { parseUvl, formatUvl, UvlError } from "../uvl";
+import { validateModel } from "../parser";
+import { loadJSONFile } from "../../data/loaders/jsonLoader";
+
+const uvl = `namespace Phone
+
+// A small phone product line
+features
+    Phone {abstract}
+        mandatory
+            Screen {size 6.1, vendor 'Acme'}
+        optional
+            GPS {cost 12.5, certified true}
+            "Media Player"
+            Sensor cardinality [1..4]
+        [1..2]
+            Camera
+            NFC
+            Radio
+
+constraints
+    GPS => Screen
+    "Media Player" => !NFC
+    (Camera | NFC) & Radio => GPS // needs location
+`;
+
+describe("parseUvl()", () => {
+  test("reads the feature tree, groups, cardinalities and attributes", () => {
+    const model = parseUvl(uvl);
+    expect(model.root).toBe("Phone");
+    expect(model.features).toEqual([
+      {
+        id: "Phone",
+        type: "mandatory",
+        abstract: true,
+        groupCardinality: "1..2",
+      },
+      {
+        id: "Screen",
+        type: "mandatory",
+        parent: "Phone",
+        attributes: { size: 6.1, vendor: "Acme" },
+      },
+      {
+        id: "GPS",
+        type: "optional",
+        parent: "Phone",
+        attributes: { cost: 12.5, certified: true },
+      },
+      { id: "Media Player", type: "optional", parent: "Phone" },
+      { id: "Sensor", type: "optional", parent: "Phone", cardinality: "1..4" },
+      { id: "Camera", type: "or", parent: "Phone" },
+      { id: "NFC", type: "or", parent: "Phone" },
+      { id: "Radio", type: "or", parent: "Phone" },
+    ]);
+    expect(model.constraints).toEqual([
+      { type: "requires", a: "GPS", b: "Screen" },
+      { type: "excludes", a: "Media Player", b: "NFC" },
+      { expression: "(Camera | NFC) & Radio => GPS" },
+    ]);
+  });
+
+  test("makes [n..1] groups alternative", () => {
+    const model = parseUvl("features\n\tA\n\t\t[0..1]\n\t\t\tB\n\t\t\tC\n");
+    expect(model.features[0].groupCardinality).toBe("0..1");
+    expect(model.features[1].type).toBe("alternative");
+  });
+
+  test.each([
+    ["features\n  A\n    mandatory\n      B\n  C\n", 5, 3, /single root/],
+    [
+      "features\n  A\n    mandatory\n      B\n    sometimes\n",
+      5,
+      5,
+      /but found "sometimes"/,
+    ],
+    [
+      "features\n  A\n    optional\n      B {cost}\n      C {cost €}\n",
+      5,
+      15,
+      /Expected a number/,
+    ],
+    [
+      "features\n  A\n    optional\n      B cardinality 4\n",
+      4,
+      21,
+      /cardinality such as/,
+    ],
+    [
+      "features\n  A\n    or\n      B\n    alternative\n      C\n",
+      5,
+      5,
+      /already has a group on line 3/,
+    ],
+    ["features\n  A\n    optional\n      A\n", 4, 7, /Duplicate feature "A"/],
+    ["features\n  A\nconstraints\n  A & (B\n", 4, 9, /Expected "\)"/],
+    [
+      "features\n  A\nconstraints\n  A => Missing\n",
+      4,
+      8,
+      /Unknown feature "Missing"/,
+    ],
+    ["features\n  A\nimports\n", 3, 1, /not supported/],
+  ])("reports line and column for %j", (text, line, column, message) => {
+    let error;
+    try {
+      parseUvl(text);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(UvlError);
+    expect(error.message).toMatch(message);
+    expect(error.message.startsWith(`Line ${line}: `)).toBe(true);
+    expect([error.line, error.column]).toEqual([line, column]);
+  });
+});
+
+describe("formatUvl()", () => {
+  test("writes a model that reads back unchanged", () => {
+    const model = parseUvl(uvl);
+    expect(validateModel(model).ok).toBe(true);
+    const written = formatUvl(model);
+    expect(written).toContain("\t\t[1..2]\n\t\t\tCamera\n");
+    expect(written).toContain('\t\t\t"Media Player"\n');
+    expect(written).toContain("\t\t\tSensor cardinality [1..4]\n");
+    expect(written).toContain("\t\t\tScreen {size 6.1, vendor 'Acme'}\n");
+    expect(parseUvl(written)).toEqual(model);
+  });
+
+  test("escapes quotes and backslashes in string attributes", () => {
+    const model = {
+      root: "Team",
+      features: [
+        {
+          id: "Team",
+          type: "mandatory",
+          attributes: { lead: "O'Neil", path: "C:\\tmp\\" },
+        },
+      ],
+      constraints: [],
+    };
+    const written = formatUvl(model);
+    expect(written).toContain(
+      "\tTeam {lead 'O\\'Neil', path 'C:\\\\tmp\\\\'}\n"
+    );
+    expect(parseUvl(written)).toEqual(model);
+  });
+
+  test("writes group keywords, quoted keywords and constraints", () => {
+    const written = formatUvl({
+      root: "Car",
+      features: [
+        { id: "Car", type: "mandatory", label: "My car" },
+        { id: "Engine", type: "mandatory", parent: "Car" },
+        { id: "Electric", type: "alternative", parent: "Engine" },
+        { id: "optional", type: "alternative", parent: "Engine" },
+      ],
+      constraints: [{ from: "Electric", to: "optional", type: "conflicts" }],
+    });
+    expect(written).toBe(
+      [
+        "features",
+        "\tCar",
+        "\t\tmandatory",
+        "\t\t\tEngine",
+        "\t\t\t\talternative",
+        "\t\t\t\t\tElectric",
+        '\t\t\t\t\t"optional"',
+        "",
+        "constraints",
+        "\tElectric => !optional",
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("loadJSONFile()", () => {
+  const file = (name, text) => ({ name, text: async () => text });
+
+  test("detects UVL files by extension or content", async () => {
+    expect((await loadJSONFile(file("phone.uvl", uvl))).root).toBe("Phone");
+    expect((await loadJSONFile(file("phone.txt", uvl))).root).toBe("Phone");
+    expect(
+      (await loadJSONFile(file("x", "// model\nfeatures\n\tA\n"))).root
+    ).toBe("A");
+  });
+});
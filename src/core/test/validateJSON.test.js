@@ -59,4 +59,82 @@ describe("validateJSON – structure validation tests", () => {
 
     spy.mockRestore();
   });
+
+  test("accepts cardinalities and rejects malformed ones", () => {
+    const model = (cardinality) => ({
+      root: "Platform",
+      features: [
+        { id: "Platform", groupCardinality: "1..*" },
+        { id: "Channel", parent: "Platform", type: "or", cardinality },
+      ],
+    });
+
+    expect(validateJSON(model("1..4"))).toBe(true);
+    expect(() => validateJSON(model("lots"))).toThrowError(
+      /'Channel' has an invalid 'cardinality' value 'lots'/
+    );
+  });
+
+  test("accepts typed feature attributes", () => {
+    const result = validateJSON({
+      root: "Board",
+      attributeTypes: { cost: "number", vendor: "string" },
+      features: [
+        { id: "Board", attributes: { cost: 49, vendor: "Acme" } },
+        { id: "Radio", parent: "Board", attributes: { cost: 12.5 } },
+      ],
+    });
+    expect(result).toBe(true);
+  });
+
+  test("rejects attribute values that do not match their type", () => {
+    expect(() =>
+      validateJSON({
+        attributeTypes: { cost: "number" },
+        features: [{ id: "Board", attributes: { cost: "cheap" } }],
+      })
+    ).toThrowError(
+      /Attribute 'cost' of feature 'Board' should be a number but is a string/
+    );
+
+    expect(() =>
+      validateJSON({
+        features: [
+          { id: "Board", attributes: { vendor: "Acme" } },
+          { id: "Radio", attributes: { vendor: 7 } },
+        ],
+      })
+    ).toThrowError(/'vendor' of feature 'Radio' should be a string/);
+  });
+
+  test("rejects malformed attribute sections", () => {
+    expect(() =>
+      validateJSON({ features: [{ id: "Board", attributes: [1, 2] }] })
+    ).toThrowError(/Feature 'Board' has invalid 'attributes'/);
+    expect(() =>
+      validateJSON({
+        attributeTypes: { cost: "money" },
+        features: [{ id: "Board" }],
+      })
+    ).toThrowError(/declared with an invalid type 'money'/);
+  });
+
+  test("validates expression constraints", () => {
+    const model = (expression) => ({
+      root: "Car",
+      features: [{ id: "Car" }, { id: "GPS", parent: "Car" }],
+      constraints: [{ expression }],
+    });
+
+    expect(validateJSON(model("Car & !GPS"))).toBe(true);
+    expect(() => validateJSON(model("Car & "))).toThrowError(
+      'Constraint #1 has an invalid expression "Car & ": Expected a feature name at column 7 but found the end of the expression.'
+    );
+    expect(() => validateJSON(model("GPS => Radio | Cell"))).toThrowError(
+      "Constraint #1 uses 'Radio', 'Cell', which are not defined in the 'features' list."
+    );
+    expect(() => validateJSON(model(42))).toThrowError(
+      /Constraint #1 has an invalid 'expression'/
+    );
+  });
 });
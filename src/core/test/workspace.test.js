@@ -0,0 +1,229 @@
+import { describe, test, expect } from "vitest";
+import { currentState, recordChange } from "../history";
+import {
+  createWorkspace,
+  activeTab,
+  tabTitle,
+  openTab,
+  selectTab,
+  closeTab,
+  updateActiveTab,
+  openStoredModel,
+  openLink,
+} from "../workspace";
+
+const phone = {
+  root: "Phone",
+  features: [
+    { id: "Phone", type: "mandatory" },
+    { id: "GPS", type: "optional", parent: "Phone" },
+  ],
+};
+const car = { root: "Car", features: [{ id: "Car", type: "mandatory" }] };
+const stored = (name, model, view) => ({ id: name, name, model, view });
+
+describe("tabs", () => {
+  test("open, select and close", () => {
+    let workspace = openTab(openTab(createWorkspace()));
+    expect(workspace.tabs.map((tab) => tab.id)).toEqual([1, 2, 3]);
+    expect(workspace.active).toBe(3);
+
+    workspace = selectTab(workspace, 2);
+    expect(activeTab(workspace).id).toBe(2);
+    expect(selectTab(workspace, 9)).toBe(workspace);
+
+    workspace = closeTab(workspace, 2);
+    expect(workspace.active).toBe(3);
+    workspace = closeTab(workspace, 3);
+    expect(workspace.active).toBe(1);
+  });
+
+  test("closing the last tab leaves an empty one", () => {
+    const workspace = closeTab(createWorkspace(), 1);
+    expect(workspace.tabs).toHaveLength(1);
+    expect(workspace.active).toBe(2);
+    expect(tabTitle(activeTab(workspace))).toBe("New tab");
+  });
+
+  test("updateActiveTab() changes only the active tab", () => {
+    const workspace = openTab(createWorkspace());
+    const next = updateActiveTab(workspace, "history", (history) =>
+      recordChange(history, { query: "GPS" }, 0)
+    );
+    expect(currentState(activeTab(next).history).query).toBe("GPS");
+    expect(next.tabs[0]).toBe(workspace.tabs[0]);
+    expect(updateActiveTab(next, "zoomState", null)).toBe(next);
+  });
+
+  test("keep their compared version and configuration file", () => {
+    const compared = { name: "car.json", model: car };
+    const file = { name: "p.json", model: "Phone", selected: ["Phone"] };
+    let workspace = openStoredModel(
+      createWorkspace(),
+      stored("phone.json", phone),
+      0
+    );
+    workspace = updateActiveTab(workspace, "comparedModel", compared);
+    workspace = updateActiveTab(workspace, "loadedConfiguration", file);
+
+    workspace = openStoredModel(workspace, stored("car.json", car), 1000);
+    expect(activeTab(workspace)).toMatchObject({
+      comparedModel: null,
+      loadedConfiguration: null,
+    });
+
+    workspace = selectTab(workspace, 1);
+    expect(activeTab(workspace)).toMatchObject({
+      comparedModel: compared,
+      loadedConfiguration: file,
+    });
+  });
+});
+
+describe("openStoredModel()", () => {
+  test("fills an empty tab and keeps the stored view", () => {
+    const zoom = { x: 10, y: 20, k: 2 };
+    const workspace = openStoredModel(
+      createWorkspace(),
+      stored("phone.json", phone, {
+        query: "GPS",
+        searchHits: ["GPS"],
+        featureListOpen: true,
+        zoom,
+      }),
+      0
+    );
+    const tab = activeTab(workspace);
+    expect(workspace.tabs).toHaveLength(1);
+    expect(tabTitle(tab)).toBe("phone.json");
+    expect(currentState(tab.history)).toMatchObject({
+      model: phone,
+      query: "GPS",
+      searchHits: ["GPS"],
+    });
+    expect(currentState(tab.history).graph.nodes).toHaveLength(2);
+    expect(tab.zoomState).toEqual({ model: phone, transform: zoom });
+    expect(tab.featureListOpen).toBe(true);
+  });
+
+  test("opens another model next to the loaded one", () => {
+    let workspace = openStoredModel(
+      createWorkspace(),
+      stored("phone.json", phone),
+      0
+    );
+    workspace = openStoredModel(workspace, stored("car.json", car), 1000);
+    expect(workspace.tabs.map(tabTitle)).toEqual(["phone.json", "car.json"]);
+    expect(workspace.active).toBe(2);
+    expect(currentState(workspace.tabs[0].history).model).toBe(phone);
+  });
+
+  test("keeps different files with the same name in their own tabs", () => {
+    let workspace = openStoredModel(
+      createWorkspace(),
+      { id: "a", name: "model.json", model: phone },
+      0
+    );
+    workspace = openStoredModel(
+      workspace,
+      { id: "b", name: "model.json", model: car },
+      1000
+    );
+    workspace = openStoredModel(
+      workspace,
+      { id: "a", name: "model.json", model: phone },
+      2000
+    );
+    expect(workspace.tabs.map(tabTitle)).toEqual(["model.json", "model.json"]);
+    expect(
+      workspace.tabs.map((tab) => currentState(tab.history).storedId)
+    ).toEqual(["a", "b"]);
+    expect(workspace.active).toBe(1);
+  });
+
+  test("switches to a model that is already open", () => {
+    let workspace = openStoredModel(
+      createWorkspace(),
+      stored("phone.json", phone),
+      0
+    );
+    workspace = openStoredModel(workspace, stored("car.json", car), 1000);
+    workspace = openStoredModel(workspace, stored("phone.json", phone), 2000);
+    expect(workspace.tabs).toHaveLength(2);
+    expect(workspace.active).toBe(1);
+  });
+});
+
+describe("openLink()", () => {
+  const link = {
+    fileName: "phone.json",
+    model: phone,
+    query: "",
+    searchHits: ["GPS"],
+    activeId: "GPS",
+    zoom: { x: 1, y: 2, k: 3 },
+    configuration: { GPS: true },
+  };
+
+  test("opens the linked model with its view in one step", () => {
+    const workspace = openLink(createWorkspace(), link, 0);
+    const tab = activeTab(workspace);
+    expect(tab.history.entries).toHaveLength(2);
+    expect(currentState(tab.history)).toMatchObject({
+      fileName: "phone.json",
+      model: phone,
+      searchHits: ["GPS"],
+      configuration: { GPS: true },
+    });
+    expect(tab.zoomState).toEqual({ model: phone, transform: link.zoom });
+    expect(currentState(tab.history).storedId).toEqual(expect.any(String));
+  });
+
+  test("replaces a different model open under the same name", () => {
+    const edited = { ...phone, features: phone.features.slice(0, 1) };
+    let workspace = openStoredModel(
+      createWorkspace(),
+      stored("phone.json", edited),
+      0
+    );
+    workspace = openLink(workspace, link, 5000);
+    expect(workspace.tabs).toHaveLength(1);
+    expect(currentState(activeTab(workspace).history).model).toBe(phone);
+
+    const same = openLink(workspace, { ...link, model: { ...phone } }, 9000);
+    expect(currentState(activeTab(same).history).model).toBe(phone);
+  });
+
+  test("applies a view without a model to the active tab", () => {
+    let workspace = openLink(createWorkspace(), { ...link, model: null }, 0);
+    expect(workspace.tabs).toHaveLength(1);
+    expect(currentState(activeTab(workspace).history).model).toBeNull();
+
+    workspace = openStoredModel(workspace, stored("car.json", car), 0);
+    workspace = openLink(
+      workspace,
+      { ...link, model: null, configuration: {}, searchHits: ["Car"] },
+      5000
+    );
+    expect(currentState(activeTab(workspace).history).searchHits).toEqual([
+      "Car",
+    ]);
+    expect(activeTab(workspace).zoomState.model).toBe(car);
+  });
+
+  test("drops highlights and decisions for unknown features", () => {
+    const workspace = openLink(
+      createWorkspace(),
+      {
+        ...link,
+        searchHits: ["GPS", "Radio"],
+        configuration: { GPS: true, Radio: false },
+      },
+      0
+    );
+    expect(currentState(activeTab(workspace).history)).toMatchObject({
+      searchHits: ["GPS"],
+      configuration: { GPS: true },
+    });
+  });
+});
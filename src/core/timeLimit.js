@@ -0,0 +1,41 @@
+// A time limit for the searches in solve() and countSolutions(), which run
+// synchronously on the main thread. withTimeLimit() sets a deadline for
+// everything `run` does, and the searches check it as they go.
+
+// Milliseconds the app gives all the analyses of one model version together
+export const ANALYSIS_TIME_LIMIT = 1500;
+// Milliseconds an optimization or sample asked for with a button may take
+export const ACTION_TIME_LIMIT = 5000;
+
+export class TimeLimitError extends Error {
+  constructor() {
+    super("The search took longer than its time limit.");
+    this.name = "TimeLimitError";
+  }
+}
+
+let deadline = Infinity;
+
+export function checkTimeLimit() {
+  if (Date.now() >= deadline) throw new TimeLimitError();
+}
+
+// Returns { result } when `run` finishes before `time` (from Date.now()) and
+// { tooLarge: true } when a search inside it hits the deadline. Runs given
+// the same deadline share one time budget.
+export function withDeadline(time, run) {
+  const outer = deadline;
+  deadline = Math.min(outer, time);
+  try {
+    return { result: run() };
+  } catch (error) {
+    if (error instanceof TimeLimitError) return { tooLarge: true };
+    throw error;
+  } finally {
+    deadline = outer;
+  }
+}
+
+export function withTimeLimit(milliseconds, run) {
+  return withDeadline(Date.now() + milliseconds, run);
+}
@@ -0,0 +1,373 @@
+import {
+  ExpressionError,
+  formatExpression,
+  parseExpression,
+} from "./expression";
+import {
+  constraintToExpression,
+  expressionToConstraint,
+  findRootId,
+} from "./featureFormula";
+import {
+  GROUP_TYPES,
+  formatCardinality,
+  parseCardinality,
+  relationType,
+} from "./model";
+
+// UVL (Universal Variability Language) text models:
+//
+//   features
+//       Phone {abstract}
+//           mandatory
+//               Screen
+//           optional
+//               GPS {cost 12.5, vendor 'Acme'}
+//               Sensor cardinality [1..4]
+//           [1..2]
+//               Camera
+//               NFC
+//   constraints
+//       GPS => Screen
+//
+// Indentation nests group keywords under features and features under groups.
+// Members of a [min..max] group become `alternative` features when max is 1
+// and `or` features otherwise, with the bounds as the parent's
+// groupCardinality. Constraints use the expression syntax of expression.js.
+
+export class UvlError extends Error {
+  constructor(message, line, column) {
+    super(`Line ${line}: ${message}`);
+    this.name = "UvlError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const GROUP_KEYWORDS = ["mandatory", "optional", "alternative", "or"];
+const KEYWORDS = [
+  ...GROUP_KEYWORDS,
+  "features",
+  "constraints",
+  "namespace",
+  "imports",
+  "include",
+  "cardinality",
+  "true",
+  "false",
+];
+const NAME = /^(?:"([^"]*)"|([A-Za-z_][\w.]*))/;
+
+const cardinalityText = (cardinality) =>
+  formatCardinality(cardinality).slice(1, -1);
+
+function stripComment(line) {
+  let quote = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === "\\") index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "/" && line[index + 1] === "/") {
+      return line.slice(0, index);
+    }
+  }
+  return line;
+}
+
+// `Name [cardinality [min..max]] [{attribute value, ...}]`
+function readFeatureLine(text, start, line, fields) {
+  let index = start;
+  const fail = (message) => {
+    throw new UvlError(`${message} at column ${index + 1}`, line, index + 1);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(text[index] || "")) index++;
+  };
+  const readName = (what) => {
+    const match = NAME.exec(text.slice(index));
+    if (!match || (match[2] && KEYWORDS.includes(match[2]))) {
+      fail(`Expected ${what} but found "${text.slice(index).split(/\s/)[0]}"`);
+    }
+    index += match[0].length;
+    return match[1] ?? match[2];
+  };
+  const readValue = () => {
+    const rest = text.slice(index);
+    const number = /^-?\d+(?:\.\d+)?(?![\w.])/.exec(rest);
+    const string = /^'((?:[^'\\]|\\.)*)'/.exec(rest);
+    const boolean = /^(?:true|false)(?![\w.])/.exec(rest);
+    const match = number || string || boolean;
+    if (!match) fail("Expected a number, 'text', true or false");
+    index += match[0].length;
+    if (number) return Number(number[0]);
+    return string ? string[1].replace(/\\(.)/g, "$1") : match[0] === "true";
+  };
+
+  const feature = { id: readName("a feature name"), ...fields };
+  skipSpace();
+
+  if (/^cardinality(?![\w.])/.test(text.slice(index))) {
+    index += "cardinality".length;
+    skipSpace();
+    const end = text.indexOf("]", index);
+    const cardinality =
+      text[index] === "[" && end > 0
+        ? parseCardinality(text.slice(index, end + 1))
+        : null;
+    if (!cardinality) fail("Expected a cardinality such as [1..4]");
+    feature.cardinality = cardinalityText(cardinality);
+    index = end + 1;
+    skipSpace();
+  }
+
+  if (text[index] === "{") {
+    index++;
+    const attributes = {};
+    skipSpace();
+    while (text[index] !== "}") {
+      const name = readName("an attribute name");
+      skipSpace();
+      const value = /[,}]/.test(text[index] || "") ? true : readValue();
+      if (name === "abstract" && value === true) feature.abstract = true;
+      else attributes[name] = value;
+      skipSpace();
+      if (text[index] === ",") {
+        index++;
+        skipSpace();
+      } else if (text[index] !== "}") {
+        fail('Expected "," or "}"');
+      }
+    }
+    index++;
+    if (Object.keys(attributes).length) feature.attributes = attributes;
+    skipSpace();
+  }
+
+  if (index < text.length) fail(`Unexpected "${text[index]}"`);
+  return feature;
+}
+
+// A group keyword or a [min..max] group cardinality
+function readGroupLine(text, start, line) {
+  const word = text.slice(start);
+  if (GROUP_KEYWORDS.includes(word)) return { type: word };
+  const cardinality = word.startsWith("[") ? parseCardinality(word) : null;
+  if (!cardinality) {
+    throw new UvlError(
+      `Expected mandatory, optional, alternative, or or a group cardinality such as [1..2] at column ${
+        start + 1
+      } but found "${word}"`,
+      line,
+      start + 1
+    );
+  }
+  return {
+    type: cardinality.max === 1 ? "alternative" : "or",
+    cardinality: cardinalityText(cardinality),
+  };
+}
+
+function featureReferences(expression) {
+  if (expression.type === "feature") return [expression];
+  if (expression.type === "not") return featureReferences(expression.operand);
+  return [
+    ...featureReferences(expression.left),
+    ...featureReferences(expression.right),
+  ];
+}
+
+// Maps UVL text to the internal model; throws a UvlError naming the line and
+// column of the first problem
+export function parseUvl(text) {
+  const features = [];
+  const formulas = [];
+  const groupLines = new Map(); // parent id -> line of its alternative/or group
+  let section = null;
+  let open = []; // enclosing features and groups: { indent, feature | group }
+
+  text.split(/\r?\n/).forEach((raw, lineIndex) => {
+    const line = lineIndex + 1;
+    const content = stripComment(raw).trimEnd();
+    const body = content.trimStart();
+    if (!body) return;
+    const indent = content.length - body.length;
+
+    if (indent === 0) {
+      const keyword = body.split(/\s+/)[0];
+      if (body === "features" || body === "constraints") {
+        section = body;
+      } else if (keyword === "namespace") {
+        section = null;
+      } else if (keyword === "imports" || keyword === "include") {
+        throw new UvlError(
+          `"${keyword}" is not supported at column 1`,
+          line,
+          1
+        );
+      } else {
+        throw new UvlError(
+          `Expected features, constraints or namespace at column 1 but found "${keyword}"`,
+          line,
+          1
+        );
+      }
+      return;
+    }
+
+    if (section === "constraints") {
+      try {
+        formulas.push({ expression: parseExpression(content), line });
+      } catch (error) {
+        if (!(error instanceof ExpressionError)) throw error;
+        throw new UvlError(error.message, line, error.column);
+      }
+      return;
+    }
+    if (section !== "features") {
+      throw new UvlError(
+        `Unexpected indented line at column ${indent + 1}`,
+        line,
+        indent + 1
+      );
+    }
+
+    open = open.filter((entry) => entry.indent < indent);
+    const parent = open[open.length - 1];
+    if (parent?.feature) {
+      const group = readGroupLine(content, indent, line);
+      const parentId = parent.feature.id;
+      if (GROUP_TYPES.includes(group.type)) {
+        if (groupLines.has(parentId)) {
+          throw new UvlError(
+            `"${parentId}" already has a group on line ${groupLines.get(
+              parentId
+            )}; only one alternative, or or cardinality group per feature is supported (column ${
+              indent + 1
+            })`,
+            line,
+            indent + 1
+          );
+        }
+        groupLines.set(parentId, line);
+        if (group.cardinality)
+          parent.feature.groupCardinality = group.cardinality;
+      }
+      open.push({ indent, group: { type: group.type, parent: parentId } });
+      return;
+    }
+
+    if (!parent && features.length) {
+      throw new UvlError(
+        `A model has a single root feature; found another at column ${
+          indent + 1
+        }`,
+        line,
+        indent + 1
+      );
+    }
+    const feature = readFeatureLine(
+      content,
+      indent,
+      line,
+      parent
+        ? { type: parent.group.type, parent: parent.group.parent }
+        : { type: "mandatory" }
+    );
+    if (features.some((f) => f.id === feature.id)) {
+      throw new UvlError(
+        `Duplicate feature "${feature.id}" at column ${indent + 1}`,
+        line,
+        indent + 1
+      );
+    }
+    features.push(feature);
+    open.push({ indent, feature });
+  });
+
+  if (!features.length) throw new Error("The UVL model declares no features.");
+
+  const ids = new Set(features.map((f) => f.id));
+  const constraints = formulas.map(({ expression, line }) => {
+    const unknown = featureReferences(expression).find(
+      (reference) => !ids.has(reference.name)
+    );
+    if (unknown) {
+      throw new UvlError(
+        `Unknown feature "${unknown.name}" at column ${unknown.column}`,
+        line,
+        unknown.column
+      );
+    }
+    return expressionToConstraint(expression);
+  });
+
+  return { root: features[0].id, features, constraints };
+}
+
+const formatName = (name) =>
+  /^[A-Za-z_][\w.]*$/.test(name) && !KEYWORDS.includes(name)
+    ? name
+    : `"${name}"`;
+
+// Quotes and backslashes in strings are escaped with a backslash
+const formatValue = (value) =>
+  typeof value === "string"
+    ? `'${value.replace(/['\\]/g, "\\$&")}'`
+    : String(value);
+
+function featureLine(feature) {
+  let line = formatName(feature.id);
+  const cardinality = parseCardinality(feature.cardinality);
+  if (cardinality) line += ` cardinality ${formatCardinality(cardinality)}`;
+  const attributes = [
+    ...(feature.abstract ? ["abstract"] : []),
+    ...Object.entries(feature.attributes || {}).map(
+      ([name, value]) => `${formatName(name)} ${formatValue(value)}`
+    ),
+  ];
+  if (attributes.length) line += ` {${attributes.join(", ")}}`;
+  return line;
+}
+
+// Writes the model as UVL with tab indentation. Labels and declared
+// attribute types have no UVL counterpart and are left out.
+export function formatUvl(model) {
+  const features = model.features || [];
+  const lines = ["features"];
+
+  const write = (feature, depth) => {
+    lines.push("\t".repeat(depth) + featureLine(feature));
+    // Children are grouped by relation, in order of first appearance
+    const groups = new Map();
+    for (const child of features.filter((f) => f.parent === feature.id)) {
+      const type = relationType(child);
+      if (!groups.has(type)) groups.set(type, []);
+      groups.get(type).push(child);
+    }
+    const groupCardinality = parseCardinality(feature.groupCardinality);
+    for (const [type, members] of groups) {
+      const header =
+        GROUP_TYPES.includes(type) && groupCardinality
+          ? formatCardinality(groupCardinality)
+          : type;
+      lines.push("\t".repeat(depth + 1) + header);
+      for (const member of members) write(member, depth + 2);
+    }
+  };
+  const root = features.find((f) => f.id === findRootId(model));
+  if (root) write(root, 1);
+
+  const expressions = (model.constraints || [])
+    .map(constraintToExpression)
+    .filter(Boolean);
+  if (expressions.length) {
+    lines.push("", "constraints");
+    for (const expression of expressions) {
+      lines.push(`\t${formatExpression(expression)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
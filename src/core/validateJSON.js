@@ -1,3 +1,6 @@
+import { parseCardinality } from "./model";
+import { ATTRIBUTE_TYPES, attributeTypeOf } from "./attributes";
+import { expressionFeatures, parseExpression } from "./expression";
 
 export default function validateJSON(data) {
   if (!data || typeof data !== "object") {
@@ -11,6 +14,7 @@ export default function validateJSON(data) {
   }
 
   const featureIds = new Set();
+  const attributeTypes = validateAttributeTypes(data.attributeTypes);
 
   data.features.forEach((feature, index) => {
     if (!feature || typeof feature !== "object") {
@@ -35,6 +39,16 @@ export default function validateJSON(data) {
       );
     }
 
+    for (const field of ["cardinality", "groupCardinality"]) {
+      if (feature[field] !== undefined && !parseCardinality(feature[field])) {
+        throw new Error(
+          `Feature '${feature.id}' has an invalid '${field}' value '${feature[field]}'. Write it as "min..max" (for example "1..4" or "0..*") or as a single number.`
+        );
+      }
+    }
+
+    validateAttributes(feature, attributeTypes);
+
     if (feature.parent && typeof feature.parent !== "string") {
       throw new Error(
         `Feature '${feature.id}' has an invalid parent reference. The 'parent' field must be a string referring to another feature's ID.`
@@ -64,6 +78,11 @@ export default function validateJSON(data) {
         throw new Error(`Constraint #${index + 1} must be a valid object.`);
       }
 
+      if (constraint.expression !== undefined) {
+        validateExpressionConstraint(constraint.expression, index, featureIds);
+        return;
+      }
+
       const { from, to, type } = renameConstraintFields(constraint, index);
 
       if (typeof from !== "string" || typeof to !== "string") {
@@ -90,6 +109,80 @@ export default function validateJSON(data) {
   return true;
 }
 
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateAttributeTypes(declared) {
+  const types = new Map();
+  if (declared === undefined) return types;
+  if (!isPlainObject(declared)) {
+    throw new Error(
+      "The 'attributeTypes' section must be an object mapping attribute names to number, string or boolean."
+    );
+  }
+  for (const [name, type] of Object.entries(declared)) {
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      throw new Error(
+        `Attribute '${name}' is declared with an invalid type '${type}'. Allowed types are: number, string, boolean.`
+      );
+    }
+    types.set(name, type);
+  }
+  return types;
+}
+
+// Undeclared attributes take the type of their first value, so every later
+// value is checked against it.
+function validateAttributes(feature, attributeTypes) {
+  if (feature.attributes === undefined) return;
+  if (!isPlainObject(feature.attributes)) {
+    throw new Error(
+      `Feature '${feature.id}' has invalid 'attributes'. They must be an object such as { "cost": 12.5, "vendor": "Acme" }.`
+    );
+  }
+  for (const [name, value] of Object.entries(feature.attributes)) {
+    const type = attributeTypeOf(value);
+    if (!type) {
+      throw new Error(
+        `Attribute '${name}' of feature '${feature.id}' must be a number, text or true/false value.`
+      );
+    }
+    if (!attributeTypes.has(name)) attributeTypes.set(name, type);
+    if (attributeTypes.get(name) !== type) {
+      throw new Error(
+        `Attribute '${name}' of feature '${feature.id}' should be a ${attributeTypes.get(name)} but is a ${type}.`
+      );
+    }
+  }
+}
+
+function validateExpressionConstraint(expression, index, featureIds) {
+  if (typeof expression !== "string") {
+    throw new Error(
+      `Constraint #${index + 1} has an invalid 'expression'. It must be text such as "(GPS & WiFi) => !LowPower".`
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = parseExpression(expression);
+  } catch (error) {
+    throw new Error(
+      `Constraint #${index + 1} has an invalid expression "${expression}": ${error.message}.`
+    );
+  }
+
+  const unknown = expressionFeatures(parsed).filter(
+    (name) => !featureIds.has(name)
+  );
+  if (unknown.length) {
+    throw new Error(
+      `Constraint #${index + 1} uses ${unknown.map((name) => `'${name}'`).join(", ")}, which ${unknown.length === 1 ? "is" : "are"} not defined in the 'features' list.`
+    );
+  }
+}
+
 function renameConstraintFields(constraint, index) {
   const mapped = {
     from: constraint.from ?? constraint.a,
@@ -0,0 +1,181 @@
+import { createHistory, currentState, recordChange } from "./history";
+import { findRootId } from "./featureFormula";
+import { buildGraph } from "./model";
+
+// The open tabs. Each tab is a model with its own undo history, zoom,
+// feature list state, compared version and loaded configuration file;
+// everything else in the app follows the active tab.
+
+export const EMPTY_STATE = {
+  storedId: null, // key of the model's record in sessionDB.js
+  fileName: null, // only shown; different files may share a name
+  model: null,
+  graph: null,
+  searchHits: [],
+  query: "",
+  configuration: {},
+};
+
+// Ids for stored models, unique across sessions
+export const newStoredId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const newTab = (id) => ({
+  id,
+  history: createHistory(EMPTY_STATE),
+  zoomState: null,
+  featureListOpen: false,
+  comparedModel: null, // second version to diff against: { name, model }
+  loadedConfiguration: null, // uploaded file, see configurationFile.js
+});
+
+export const createWorkspace = () => ({
+  tabs: [newTab(1)],
+  active: 1,
+  nextId: 2,
+});
+
+export const activeTab = (workspace) =>
+  workspace.tabs.find((tab) => tab.id === workspace.active);
+
+export function tabTitle(tab) {
+  const { fileName, model } = currentState(tab.history);
+  return fileName || findRootId(model) || "New tab";
+}
+
+export function openTab(workspace) {
+  const tab = newTab(workspace.nextId);
+  return {
+    tabs: [...workspace.tabs, tab],
+    active: tab.id,
+    nextId: workspace.nextId + 1,
+  };
+}
+
+export function selectTab(workspace, id) {
+  if (!workspace.tabs.some((tab) => tab.id === id)) return workspace;
+  return { ...workspace, active: id };
+}
+
+// Closing the active tab activates its right neighbour, or the left one at
+// the end. Closing the last tab leaves a new empty one.
+export function closeTab(workspace, id) {
+  const index = workspace.tabs.findIndex((tab) => tab.id === id);
+  if (index < 0) return workspace;
+  const tabs = workspace.tabs.filter((tab) => tab.id !== id);
+  if (!tabs.length) return openTab({ ...workspace, tabs: [] });
+  const active =
+    workspace.active === id
+      ? tabs[Math.min(index, tabs.length - 1)].id
+      : workspace.active;
+  return { ...workspace, tabs, active };
+}
+
+// Sets one field of the active tab, from a value or an updater
+export function updateActiveTab(workspace, key, value) {
+  const tab = activeTab(workspace);
+  const next = typeof value === "function" ? value(tab[key]) : value;
+  if (Object.is(next, tab[key])) return workspace;
+  return {
+    ...workspace,
+    tabs: workspace.tabs.map((t) => (t === tab ? { ...t, [key]: next } : t)),
+  };
+}
+
+// Shows a stored model ({ id, name, model, view }) with the view it was left
+// in: in its own tab if it is already open, in the active tab if that is
+// empty, and in a new tab otherwise
+export function openStoredModel(workspace, stored, now) {
+  const open = workspace.tabs.find(
+    (tab) => currentState(tab.history).storedId === stored.id
+  );
+  if (open) return selectTab(workspace, open.id);
+
+  let next = currentState(activeTab(workspace).history).model
+    ? openTab(workspace)
+    : workspace;
+  const view = stored.view || {};
+  next = updateActiveTab(next, "history", (history) =>
+    recordChange(
+      history,
+      {
+        storedId: stored.id,
+        fileName: stored.name,
+        model: stored.model,
+        graph: buildGraph(stored.model.features),
+        configuration: {},
+        searchHits: view.searchHits || [],
+        query: view.query || "",
+      },
+      now,
+      { kind: "model" }
+    )
+  );
+  next = updateActiveTab(
+    next,
+    "zoomState",
+    view.zoom ? { model: stored.model, transform: view.zoom } : null
+  );
+  return updateActiveTab(
+    next,
+    "featureListOpen",
+    Boolean(view.featureListOpen)
+  );
+}
+
+// Shows the view of a shared link (see deepLink.js). A linked model opens
+// like a newly stored one; if a different model is open under its name, the
+// link replaces it as an undoable step. Without a model the link applies to
+// the active tab. Highlights and decisions for ids the model lacks are
+// dropped.
+export function openLink(workspace, link, now) {
+  let next = workspace;
+  if (link.model) {
+    const named = workspace.tabs.find(
+      (tab) => currentState(tab.history).fileName === link.fileName
+    );
+    next = named
+      ? selectTab(next, named.id)
+      : openStoredModel(
+          next,
+          { id: newStoredId(), name: link.fileName, model: link.model },
+          now
+        );
+    const present = currentState(activeTab(next).history).model;
+    if (JSON.stringify(present) !== JSON.stringify(link.model)) {
+      next = updateActiveTab(next, "history", (history) =>
+        recordChange(
+          history,
+          {
+            model: link.model,
+            graph: buildGraph(link.model.features),
+            configuration: {},
+          },
+          now,
+          { kind: "model" }
+        )
+      );
+    }
+  }
+
+  const { model } = currentState(activeTab(next).history);
+  if (!model) return next;
+  const ids = new Set(model.features.map((f) => f.id));
+  next = updateActiveTab(next, "history", (history) =>
+    recordChange(
+      history,
+      {
+        query: link.query,
+        searchHits: link.searchHits.filter((id) => ids.has(id)),
+        configuration: Object.fromEntries(
+          Object.entries(link.configuration).filter(([id]) => ids.has(id))
+        ),
+      },
+      now,
+      { kind: "link", mergeWith: ["model"] }
+    )
+  );
+  return link.zoom
+    ? updateActiveTab(next, "zoomState", { model, transform: link.zoom })
+    : next;
+}
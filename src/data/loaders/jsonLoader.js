@@ -1,5 +1,18 @@
+import { parseFeatureIdeXml } from "../../core/featureIde";
+import { parseUvl } from "../../core/uvl";
+
+// FeatureIDE model.xml and UVL files are recognised by their extension or by
+// how they start; everything else is read as JSON
 export async function loadJSONFile(file) {
   if (!file) throw new Error("No file");
   const text = await file.text();
+  const name = file.name || "";
+  if (/\.xml$/i.test(name) || text.trimStart().startsWith("<")) {
+    return parseFeatureIdeXml(text);
+  }
+  const start = text.replace(/^(\s*\/\/[^\n]*\n)*\s*/, "");
+  if (/\.uvl$/i.test(name) || /^(features|namespace)\b/.test(start)) {
+    return parseUvl(text);
+  }
   return JSON.parse(text);
 }
@@ -0,0 +1,93 @@
+// Keeps loaded models and their view state in IndexedDB. Every call resolves
+// to an empty result where IndexedDB is unavailable, so the app works the
+// same without it, just without memory across reloads.
+
+const DB_NAME = "mini-variability-visualizer";
+const MODELS = "models"; // { id, name, model, view, openedAt }
+const SESSION = "session"; // "open" -> ids of the models open in tabs, "current" -> id of the active one
+
+export const RECENT_LIMIT = 10;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(MODELS, { keyPath: "id" });
+      request.result.createObjectStore(SESSION);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs `work` in one transaction and resolves with the result of the request
+// it returns, once the transaction has committed
+async function transact(storeNames, mode, work) {
+  if (typeof indexedDB === "undefined") return undefined;
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = work(transaction);
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+const allRecords = () =>
+  transact([MODELS], "readonly", (tx) => tx.objectStore(MODELS).getAll());
+
+// Newest first
+export async function listRecentModels() {
+  const records = (await allRecords()) || [];
+  return records.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+// Stores the model under `id` and forgets the oldest models beyond
+// RECENT_LIMIT, except those still open. `open` may include `id` itself.
+export async function saveRecentModel({ id, name, model, view }, open = []) {
+  const othersOpen = open.filter((openId) => openId !== id).length;
+  const stale = (await listRecentModels())
+    .filter((record) => record.id !== id && !open.includes(record.id))
+    .slice(Math.max(0, RECENT_LIMIT - 1 - othersOpen));
+  await transact([MODELS], "readwrite", (tx) => {
+    const models = tx.objectStore(MODELS);
+    for (const record of stale) models.delete(record.id);
+    return models.put({ id, name, model, view, openedAt: Date.now() });
+  });
+}
+
+// Records which models are open in tabs, so that a reload reopens them
+export async function saveOpenModels(open, current) {
+  await transact([SESSION], "readwrite", (tx) => {
+    tx.objectStore(SESSION).put(open, "open");
+    tx.objectStore(SESSION).put(current, "current");
+  });
+}
+
+// The models that were open, in tab order, and the id of the active one
+export async function loadLastSession() {
+  const read = (key) =>
+    transact([SESSION], "readonly", (tx) => tx.objectStore(SESSION).get(key));
+  const open = (await read("open")) || [];
+  const current = (await read("current")) ?? null;
+  const records = await listRecentModels();
+  return {
+    models: open
+      .map((id) => records.find((record) => record.id === id))
+      .filter(Boolean),
+    current,
+  };
+}
+
+export async function clearStoredData() {
+  await transact([MODELS, SESSION], "readwrite", (tx) => {
+    tx.objectStore(MODELS).clear();
+    tx.objectStore(SESSION).clear();
+  });
+}
@@ -0,0 +1,71 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import "fake-indexeddb/auto";
+import {
+  RECENT_LIMIT,
+  clearStoredData,
+  listRecentModels,
+  loadLastSession,
+  saveOpenModels,
+  saveRecentModel,
+} from "../sessionDB";
+
+const model = { root: "A", features: [{ id: "A", type: "mandatory" }] };
+
+// Saves models m0, m1, ... one millisecond apart, m0 oldest
+async function saveModels(count, open = []) {
+  for (let i = 0; i < count; i++) {
+    vi.setSystemTime(1000 + i);
+    await saveRecentModel(
+      { id: `m${i}`, name: `m${i}.json`, model, view: {} },
+      open
+    );
+  }
+}
+
+const storedIds = async () =>
+  (await listRecentModels()).map((record) => record.id);
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  await clearStoredData();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("saveRecentModel()", () => {
+  test("keeps the newest RECENT_LIMIT models", async () => {
+    await saveModels(RECENT_LIMIT + 3);
+    const ids = await storedIds();
+    expect(ids).toHaveLength(RECENT_LIMIT);
+    expect(ids[0]).toBe(`m${RECENT_LIMIT + 2}`);
+    expect(ids).not.toContain("m2");
+  });
+
+  test("counts the saved model once when it is open itself", async () => {
+    await saveModels(RECENT_LIMIT + 3);
+    vi.setSystemTime(5000);
+    await saveRecentModel({ id: "new", name: "new.json", model }, ["new"]);
+    expect(await storedIds()).toHaveLength(RECENT_LIMIT);
+  });
+
+  test("never forgets open models", async () => {
+    await saveModels(RECENT_LIMIT + 3, ["m0", "m1"]);
+    const ids = await storedIds();
+    expect(ids).toHaveLength(RECENT_LIMIT);
+    expect(ids).toContain("m0");
+    expect(ids).toContain("m1");
+    expect(ids).not.toContain("m2");
+  });
+});
+
+describe("loadLastSession()", () => {
+  test("returns the open models in tab order", async () => {
+    await saveModels(3);
+    await saveOpenModels(["m2", "gone", "m0"], "m0");
+    const { models, current } = await loadLastSession();
+    expect(models.map((record) => record.id)).toEqual(["m2", "m0"]);
+    expect(current).toBe("m0");
+  });
+});
@@ -1,16 +1,185 @@
-import { createContext, useContext, useState } from "react";
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { analyzeModel } from "../core/analysis";
+import { propagateConfiguration } from "../core/configurator";
+import countConfigurations from "../core/countConfigurations";
+import { aggregateAttributes } from "../core/attributes";
+import { explainState } from "../core/explain";
+import { checkConfigurationFile } from "../core/configurationFile";
+import { diffModels, compareProducts } from "../core/modelDiff";
+import { ANALYSIS_TIME_LIMIT, withDeadline } from "../core/timeLimit";
+import { currentState, recordChange, undo, redo, jumpTo } from "../core/history";
+import { createWorkspace, newStoredId, activeTab, openTab, selectTab, closeTab, updateActiveTab, openStoredModel, openLink } from "../core/workspace";
+import { encodeLink, decodeLink } from "../core/deepLink";
+import { listRecentModels, saveRecentModel, saveOpenModels, loadLastSession, clearStoredData } from "../data/sessionDB";
 
 const AppCtx = createContext(null);
+// Kinds of history step that a change of each recorded field continues
+const MERGES_WITH = { query: ["query"], searchHits: ["query"], graph: ["model"], fileName: ["model"] };
 export function AppProvider({ children }) {
-  const [model, setModel] = useState(null);       // original JSON
-  const [graph, setGraph] = useState(null);       // nodes/edges/childrenMap/parentMap
-  const [searchHits, setSearchHits] = useState([]); // matched feature ids
+  const [workspace, setWorkspace] = useState(createWorkspace); // open tabs: { tabs, active, nextId }
+  const { history, zoomState, featureListOpen, comparedModel, loadedConfiguration } = activeTab(workspace); // undoable state, one snapshot per step; last zoom of the tree and the model it was made on: { model, transform: { x, y, k } }; feature list panel shown; second version to diff against: { name, model }; uploaded configuration file: { name, model, selected, deselected, undecided }
+  const { storedId, fileName, model, graph, searchHits, query, configuration } = currentState(history); // key of its stored record, name the model was loaded as, original JSON, nodes/edges/childrenMap/parentMap, matched feature ids, search query, user decisions (feature id -> selected?)
   const [activeId, setActiveId] = useState(null); // currently chosen feature
-  const [query, setQuery] = useState(""); // search query
+  const [explainedId, setExplainedId] = useState(null); // propagated feature whose reasons are shown
+  const [focusedIssue, setFocusedIssue] = useState(null); // constraint finding highlighted in the tree
+  const [editTarget, setEditTarget] = useState(null); // feature whose edit menu is open: { featureId, x, y }
+  const [recentModels, setRecentModels] = useState([]); // models kept in the browser, newest first
+  const [sessionRestored, setSessionRestored] = useState(false); // the stored session and the link it was opened with have been read back
+  const [linkedFeature, setLinkedFeature] = useState(null); // feature a link selects once its model is shown: { id }
+  const [modelRuns] = useState(() => new WeakMap()); // SAT-based findings and exact product counts of each model version seen: { analysis, counts }, kept so undo and comparing reuse them
+  // One edit's analyses share a single time budget: the findings, counts and
+  // compared products each hold { result }, or { tooLarge } once it runs out
+  const runs = useMemo(() => {
+    if (!model) return {};
+    const deadline = Date.now() + ANALYSIS_TIME_LIMIT;
+    if (!modelRuns.has(model)) modelRuns.set(model, { analysis: withDeadline(deadline, () => analyzeModel(model)), counts: withDeadline(deadline, () => countConfigurations(model)) });
+    return { ...modelRuns.get(model), productDiff: comparedModel ? withDeadline(deadline, () => compareProducts(model, comparedModel.model)) : null };
+  }, [model, comparedModel, modelRuns]);
+  const configurationState = useMemo(() => (model ? propagateConfiguration(model, configuration) : null), [model, configuration]); // propagated states
+  const explanation = useMemo(() => (explainedId && configurationState?.sources[explainedId] === "propagated" ? explainState(model, configuration, explainedId) : null), [model, configuration, configurationState, explainedId]); // chain of reasons
+  const configurationCheck = useMemo(() => (model && loadedConfiguration ? checkConfigurationFile(model, loadedConfiguration) : null), [model, loadedConfiguration]); // violations of the uploaded configuration
+  const modelDiff = useMemo(() => (model && comparedModel ? diffModels(model, comparedModel.model) : null), [model, comparedModel]); // changes from model to comparedModel
+  const [analysis, counts, productDiff] = [runs.analysis, runs.counts, runs.productDiff].map((run) => run?.result ?? null);
+  const tooLarge = { analysis: Boolean(runs.analysis?.tooLarge), counts: Boolean(runs.counts?.tooLarge), productDiff: Boolean(runs.productDiff?.tooLarge) }; // analyses given up at the time limit
+  const attributeTotals = useMemo(() => (configurationState ? aggregateAttributes(model, configurationState.states) : null), [model, configurationState]); // sum/min/max of numeric attributes
 
+  const openFiles = workspace.tabs.map((tab) => currentState(tab.history).storedId).filter(Boolean).join("\n"); // stored ids of the models open in tabs
+
+  // The active tab's fields, set from a value or an updater
+  const setHistory = useCallback((value) => setWorkspace((w) => updateActiveTab(w, "history", value)), []);
+  const setZoomState = useCallback((value) => setWorkspace((w) => updateActiveTab(w, "zoomState", value)), []);
+  const setFeatureListOpen = useCallback((value) => setWorkspace((w) => updateActiveTab(w, "featureListOpen", value)), []);
+  const setComparedModel = useCallback((value) => setWorkspace((w) => updateActiveTab(w, "comparedModel", value)), []);
+  const setLoadedConfiguration = useCallback((value) => setWorkspace((w) => updateActiveTab(w, "loadedConfiguration", value)), []);
+  const openNewTab = useCallback(() => setWorkspace(openTab), []);
+  const switchTab = useCallback((id) => setWorkspace((w) => selectTab(w, id)), []);
+  const closeOpenTab = useCallback((id) => setWorkspace((w) => closeTab(w, id)), []);
+
+  // Recorded setters take a value or an updater, like useState's. Decisions
+  // belong to the model they were made on, so a new or edited model clears
+  // them within the same step, and a newly named file gets a new stored id.
+  // Typing continues a search step, and the graph and file name of a model
+  // join the step that set it.
+  const record = useCallback((key, value) => {
+    const now = Date.now();
+    setHistory((h) => {
+      const present = currentState(h);
+      const next = typeof value === "function" ? value(present[key]) : value;
+      const changes = key === "model" && next !== present.model ? { model: next, configuration: {} } : key === "fileName" && next !== present.fileName ? { fileName: next, storedId: next ? newStoredId() : null } : { [key]: next };
+      return recordChange(h, changes, now, { kind: key, mergeWith: MERGES_WITH[key] });
+    });
+  }, [setHistory]);
+  const setFileName = useCallback((value) => record("fileName", value), [record]);
+  const setModel = useCallback((value) => record("model", value), [record]);
+  const setGraph = useCallback((value) => record("graph", value), [record]);
+  const setSearchHits = useCallback((value) => record("searchHits", value), [record]);
+  const setQuery = useCallback((value) => record("query", value), [record]);
+  const setConfiguration = useCallback((value) => record("configuration", value), [record]);
+  const undoStep = useCallback(() => setHistory(undo), [setHistory]);
+  const redoStep = useCallback(() => setHistory(redo), [setHistory]);
+  const jumpToStep = useCallback((index) => setHistory((h) => jumpTo(h, index)), [setHistory]);
+
+  // Brings back a stored model together with the view it was left in
+  const restoreModel = useCallback((stored) => {
+    const now = Date.now();
+    setWorkspace((w) => openStoredModel(w, stored, now));
+  }, []);
+  // Shows the view encoded in a URL hash, see deepLink.js
+  const applyLink = useCallback(async (hash) => {
+    const link = await decodeLink(hash);
+    if (!link) return;
+    const now = Date.now();
+    setWorkspace((w) => openLink(w, link, now));
+    setLinkedFeature({ id: link.activeId });
+  }, []);
+  const refreshRecentModels = useCallback(() => listRecentModels().then(setRecentModels).catch(() => {}), []);
+  // The link in the address bar carries the model too, so it goes as well. Rejects when the browser storage cannot be cleared.
+  const clearStoredModels = useCallback(async () => {
+    await clearStoredData();
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    await refreshRecentModels();
+  }, [refreshRecentModels]);
+
+  // A reload reopens the tabs that were open, as they were left, then the view of the link it was opened with
+  useEffect(() => {
+    loadLastSession()
+      .then(({ models, current }) => {
+        const now = Date.now();
+        setWorkspace((w) => {
+          const restored = models.reduce((next, stored) => openStoredModel(next, stored, now), w);
+          const active = restored.tabs.find((tab) => currentState(tab.history).storedId === current);
+          return active ? selectTab(restored, active.id) : restored;
+        });
+      })
+      .catch(() => {})
+      .then(() => applyLink(window.location.hash))
+      .catch((error) => alert("Failed to open link: " + error.message))
+      .finally(() => setSessionRestored(true));
+    refreshRecentModels();
+    const handleHashChange = () => applyLink(window.location.hash).catch((error) => alert("Failed to open link: " + error.message));
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, [applyLink, refreshRecentModels]);
+
+  // The active model and its view are stored shortly after they settle
+  useEffect(() => {
+    if (!sessionRestored) return;
+    const timer = setTimeout(() => {
+      const open = openFiles ? openFiles.split("\n") : [];
+      const view = { searchHits, query, featureListOpen, zoom: zoomState?.model === model ? zoomState.transform : null };
+      Promise.all([saveOpenModels(open, storedId), model && storedId && saveRecentModel({ id: storedId, name: fileName, model, view }, open)])
+        .then(refreshRecentModels)
+        .catch(() => {});
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [sessionRestored, openFiles, storedId, fileName, model, searchHits, query, featureListOpen, zoomState, refreshRecentModels]);
+
+  // The URL hash follows the view, so that the address can be shared
+  useEffect(() => {
+    if (!sessionRestored) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const zoom = zoomState?.model === model ? zoomState.transform : null;
+      encodeLink({ fileName, model, query, searchHits, activeId, zoom, configuration })
+        .then((hash) => !cancelled && window.history.replaceState(null, "", hash || window.location.pathname + window.location.search))
+        .catch(() => {});
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionRestored, fileName, model, query, searchHits, activeId, zoomState, configuration]);
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes. Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeydown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (event.target?.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = event.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      event.preventDefault();
+      setHistory(key === "y" || event.shiftKey ? redo : undo);
+    };
+    window.addEventListener("keydown", handleKeydown);
+    return () => window.removeEventListener("keydown", handleKeydown);
+  }, [setHistory]);
+
+  // The inspected feature and open findings belong to the model they were made on
+  useEffect(() => {
+    setExplainedId(null);
+    setFocusedIssue(null);
+    setActiveId(null);
+  }, [model]);
+
+  // Runs after the reset above, so a linked selection outlives the model change that came with it
+  useEffect(() => {
+    if (!linkedFeature) return;
+    setActiveId(linkedFeature.id);
+    setLinkedFeature(null);
+  }, [linkedFeature]);
 
   return (
-    <AppCtx.Provider value={{ model, setModel, graph, setGraph, searchHits, setSearchHits, activeId, setActiveId, query, setQuery }}>
+    <AppCtx.Provider value={{ storedId, fileName, setFileName, model, setModel, graph, setGraph, searchHits, setSearchHits, activeId, setActiveId, query, setQuery, analysis, counts, tooLarge, configuration, setConfiguration, configurationState, attributeTotals, explainedId, setExplainedId, explanation, focusedIssue, setFocusedIssue, loadedConfiguration, setLoadedConfiguration, configurationCheck, comparedModel, setComparedModel, modelDiff, productDiff, editTarget, setEditTarget, history, undo: undoStep, redo: redoStep, jumpToStep, zoomState, setZoomState, featureListOpen, setFeatureListOpen, recentModels, restoreModel, clearStoredModels, tabs: workspace.tabs, activeTabId: workspace.active, openTab: openNewTab, selectTab: switchTab, closeTab: closeOpenTab }}>
       {children}
     </AppCtx.Provider>
   );